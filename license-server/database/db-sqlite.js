@@ -3,7 +3,63 @@
  * Replaces JSON-based storage with SQLite
  */
 
-const { getDatabase } = require('./schema');
+const { getDatabase: getConnection } = require('./schema');
+
+// Optional timing hook for repository queries (metrics): (sql, durationSeconds) => void
+let queryObserver = null;
+
+/**
+ * Observe the duration of every repository query (run / get / all)
+ *
+ * @param {Function|null} observer - (sql, durationSeconds) => void
+ */
+function setQueryObserver(observer) {
+    queryObserver = observer;
+}
+
+function timeStatement(stmt, sql) {
+    for (const method of ['run', 'get', 'all']) {
+        const execute = stmt[method];
+        stmt[method] = (...args) => {
+            const start = process.hrtime.bigint();
+            try {
+                return execute.apply(stmt, args);
+            } finally {
+                queryObserver(sql, Number(process.hrtime.bigint() - start) / 1e9);
+            }
+        };
+    }
+    return stmt;
+}
+
+/**
+ * Connection used by the repositories below. With a query observer set,
+ * prepare() returns timed statements; the shared connection itself is
+ * never modified.
+ */
+function getDatabase() {
+    const db = getConnection();
+    if (!queryObserver) return db;
+
+    return {
+        prepare: sql => timeStatement(db.prepare(sql), sql),
+        transaction: fn => db.transaction(fn),
+        backup: destination => db.backup(destination)
+    };
+}
+
+/**
+ * WHERE clause for an optional customer filter
+ *
+ * @param {number|string|null} customerId - id, 'none' (unassigned) or null (no filter)
+ * @param {string} [column]
+ * @returns {Object} { sql, params } - sql is '' or 'customer_id ...' (no WHERE/AND)
+ */
+function customerCondition(customerId, column = 'customer_id') {
+    if (customerId === null || customerId === undefined) return { sql: '', params: [] };
+    if (customerId === 'none') return { sql: `${column} IS NULL`, params: [] };
+    return { sql: `${column} = ?`, params: [customerId] };
+}
 
 // ============================================================================
 // Generated Keys Repository
@@ -16,14 +72,21 @@ const generatedKeysRepo = {
     add(keyData) {
         const db = getDatabase();
         const stmt = db.prepare(`
-            INSERT INTO generated_keys (license_key, product_code, generated_at)
-            VALUES (?, ?, ?)
+            INSERT INTO generated_keys (license_key, product_code, generated_at, expires_at, term_days, transfer_limit, seat_count, license_type, customer_id, batch_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
         const result = stmt.run(
             keyData.license_key,
             keyData.product_code,
-            new Date().toISOString()
+            new Date().toISOString(),
+            keyData.expires_at || null,
+            keyData.term_days || null,
+            keyData.transfer_limit ?? null,
+            keyData.seat_count || 1,
+            keyData.license_type || 'node_locked',
+            keyData.customer_id || null,
+            keyData.batch_id || null
         );
         
         return this.findByKey(keyData.license_key);
@@ -34,7 +97,11 @@ const generatedKeysRepo = {
      */
     findByKey(licenseKey) {
         const db = getDatabase();
-        const stmt = db.prepare('SELECT * FROM generated_keys WHERE license_key = ?');
+        const stmt = db.prepare(`
+            SELECT g.*, (SELECT COUNT(*) FROM active_licenses a WHERE a.license_key = g.license_key) AS seats_used
+            FROM generated_keys g
+            WHERE g.license_key = ?
+        `);
         const row = stmt.get(licenseKey);
         
         if (!row) return null;
@@ -46,7 +113,16 @@ const generatedKeysRepo = {
             is_used: Boolean(row.is_used),
             generated_at: row.generated_at,
             used_at: row.used_at,
-            activated_by_hardware_id: row.activated_by_hardware_id
+            activated_by_hardware_id: row.activated_by_hardware_id,
+            expires_at: row.expires_at,
+            term_days: row.term_days,
+            transfer_count: row.transfer_count || 0,
+            transfer_limit: row.transfer_limit,
+            seat_count: row.seat_count || 1,
+            seats_used: row.seats_used || 0,
+            license_type: row.license_type || 'node_locked',
+            customer_id: row.customer_id,
+            batch_id: row.batch_id
         };
     },
 
@@ -78,7 +154,11 @@ const generatedKeysRepo = {
      */
     getAll() {
         const db = getDatabase();
-        const stmt = db.prepare('SELECT * FROM generated_keys ORDER BY generated_at DESC');
+        const stmt = db.prepare(`
+            SELECT g.*, (SELECT COUNT(*) FROM active_licenses a WHERE a.license_key = g.license_key) AS seats_used
+            FROM generated_keys g
+            ORDER BY g.generated_at DESC
+        `);
         const rows = stmt.all();
         
         return rows.map(row => ({
@@ -88,7 +168,16 @@ const generatedKeysRepo = {
             is_used: Boolean(row.is_used),
             generated_at: row.generated_at,
             used_at: row.used_at,
-            activated_by_hardware_id: row.activated_by_hardware_id
+            activated_by_hardware_id: row.activated_by_hardware_id,
+            expires_at: row.expires_at,
+            term_days: row.term_days,
+            transfer_count: row.transfer_count || 0,
+            transfer_limit: row.transfer_limit,
+            seat_count: row.seat_count || 1,
+            seats_used: row.seats_used || 0,
+            license_type: row.license_type || 'node_locked',
+            customer_id: row.customer_id,
+            batch_id: row.batch_id
         }));
     },
 
@@ -108,6 +197,46 @@ const generatedKeysRepo = {
         stmt.run(licenseKey);
     },
 
+    /**
+     * Update key usage after a device was removed from active_licenses.
+     * Multi-seat keys stay "used" while any seat is still bound; the key
+     * only returns to unused when the last device is released.
+     */
+    releaseSeat(licenseKey) {
+        const db = getDatabase();
+        const remaining = db.prepare(`
+            SELECT hardware_id FROM active_licenses 
+            WHERE license_key = ? 
+            ORDER BY activated_at ASC
+        `).all(licenseKey);
+        
+        if (remaining.length === 0) {
+            this.resetKeyToUnused(licenseKey);
+            return;
+        }
+        
+        db.prepare(`
+            UPDATE generated_keys 
+            SET activated_by_hardware_id = ?
+            WHERE license_key = ?
+        `).run(remaining[0].hardware_id, licenseKey);
+    },
+
+    /**
+     * Count a self-service transfer (the remaining term is kept in
+     * license_transfers, see transfersRepo.claimCarryOver)
+     */
+    recordTransfer(licenseKey) {
+        const db = getDatabase();
+        db.prepare(`
+            UPDATE generated_keys 
+            SET transfer_count = transfer_count + 1
+            WHERE license_key = ?
+        `).run(licenseKey);
+        
+        return this.findByKey(licenseKey);
+    },
+
     /**
      * Delete a key
      */
@@ -118,17 +247,34 @@ const generatedKeysRepo = {
     },
 
     /**
-     * Get statistics
+     * Assign a key (and the devices already activated with it) to a customer
+     *
+     * @param {string} licenseKey
+     * @param {number|null} customerId - null = unassign
+     * @returns {boolean} Whether the key exists
+     */
+    assignCustomer(licenseKey, customerId) {
+        const db = getDatabase();
+        const result = db.prepare('UPDATE generated_keys SET customer_id = ? WHERE license_key = ?').run(customerId, licenseKey);
+        db.prepare('UPDATE active_licenses SET customer_id = ? WHERE license_key = ?').run(customerId, licenseKey);
+        return result.changes > 0;
+    },
+
+    /**
+     * Get statistics (optionally for one customer, see customerCondition)
      */
-    getStats() {
+    getStats(customerId = null) {
         const db = getDatabase();
+        const customer = customerCondition(customerId);
+        const where = customer.sql ? `WHERE ${customer.sql}` : '';
+        const and = customer.sql ? `AND ${customer.sql}` : '';
         
-        const total = db.prepare('SELECT COUNT(*) as count FROM generated_keys').get().count;
-        const used = db.prepare('SELECT COUNT(*) as count FROM generated_keys WHERE is_used = 1').get().count;
+        const total = db.prepare(`SELECT COUNT(*) as count FROM generated_keys ${where}`).get(...customer.params).count;
+        const used = db.prepare(`SELECT COUNT(*) as count FROM generated_keys WHERE is_used = 1 ${and}`).get(...customer.params).count;
         const unused = total - used;
         
         const byProduct = {};
-        const products = db.prepare('SELECT product_code, COUNT(*) as count FROM generated_keys GROUP BY product_code').all();
+        const products = db.prepare(`SELECT product_code, COUNT(*) as count FROM generated_keys ${where} GROUP BY product_code`).all(...customer.params);
         
         products.forEach(p => {
             byProduct[p.product_code] = p.count;
@@ -150,8 +296,8 @@ const licenseRepo = {
         const db = getDatabase();
         const stmt = db.prepare(`
             INSERT INTO active_licenses 
-            (license_key, hardware_id, device_name, product_code, activated_at, last_check_at)
-            VALUES (?, ?, ?, ?, ?, ?)
+            (license_key, hardware_id, device_name, product_code, activated_at, last_check_at, expires_at, activation_mode, license_type, hardware_components, customer_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
         const now = new Date().toISOString();
@@ -161,10 +307,15 @@ const licenseRepo = {
             licenseData.device_name || null,
             licenseData.product_code,
             now,
-            now
+            now,
+            licenseData.expires_at || null,
+            licenseData.activation_mode || 'online',
+            licenseData.license_type || 'node_locked',
+            licenseData.hardware_components ? JSON.stringify(licenseData.hardware_components) : null,
+            licenseData.customer_id || null
         );
         
-        return this.findByHardwareId(licenseData.hardware_id);
+        return this.findByHardwareAndProduct(licenseData.hardware_id, licenseData.product_code);
     },
 
     /**
@@ -194,7 +345,15 @@ const licenseRepo = {
             last_check_at: row.last_check_at,
             is_revoked: Boolean(row.is_revoked),
             revoked_at: row.revoked_at,
-            revoked_reason: row.revoked_reason
+            revoked_reason: row.revoked_reason,
+            expires_at: row.expires_at,
+            activation_mode: row.activation_mode || 'online',
+            license_type: row.license_type || 'node_locked',
+            hardware_components: row.hardware_components ? JSON.parse(row.hardware_components) : null,
+            hardware_changed_components: row.hardware_changed_components ? JSON.parse(row.hardware_changed_components) : null,
+            hardware_changed_at: row.hardware_changed_at,
+            customer_id: row.customer_id,
+            stale_since: row.stale_since
         };
     },
 
@@ -218,27 +377,75 @@ const licenseRepo = {
             last_check_at: row.last_check_at,
             is_revoked: Boolean(row.is_revoked),
             revoked_at: row.revoked_at,
-            revoked_reason: row.revoked_reason
+            revoked_reason: row.revoked_reason,
+            expires_at: row.expires_at,
+            activation_mode: row.activation_mode || 'online',
+            license_type: row.license_type || 'node_locked',
+            hardware_components: row.hardware_components ? JSON.parse(row.hardware_components) : null,
+            hardware_changed_components: row.hardware_changed_components ? JSON.parse(row.hardware_changed_components) : null,
+            hardware_changed_at: row.hardware_changed_at,
+            customer_id: row.customer_id,
+            stale_since: row.stale_since
         };
     },
 
     /**
-     * Update last check timestamp
+     * Find all devices bound to a license key (multi-seat)
+     */
+    findByKey(licenseKey) {
+        const db = getDatabase();
+        const stmt = db.prepare('SELECT * FROM active_licenses WHERE license_key = ? ORDER BY activated_at ASC');
+        const rows = stmt.all(licenseKey);
+        
+        return rows.map(row => ({
+            id: row.id,
+            license_key: row.license_key,
+            hardware_id: row.hardware_id,
+            device_name: row.device_name,
+            product_code: row.product_code,
+            activated_at: row.activated_at,
+            last_check_at: row.last_check_at,
+            is_revoked: Boolean(row.is_revoked),
+            revoked_at: row.revoked_at,
+            revoked_reason: row.revoked_reason,
+            expires_at: row.expires_at,
+            activation_mode: row.activation_mode || 'online',
+            license_type: row.license_type || 'node_locked',
+            hardware_components: row.hardware_components ? JSON.parse(row.hardware_components) : null,
+            hardware_changed_components: row.hardware_changed_components ? JSON.parse(row.hardware_changed_components) : null,
+            hardware_changed_at: row.hardware_changed_at,
+            customer_id: row.customer_id,
+            stale_since: row.stale_since
+        }));
+    },
+
+    /**
+     * Count seats in use for a license key
+     */
+    countByKey(licenseKey) {
+        const db = getDatabase();
+        return db.prepare('SELECT COUNT(*) as count FROM active_licenses WHERE license_key = ?').get(licenseKey).count;
+    },
+
+    /**
+     * Update last check timestamp of one product's license on a device
+     * (check-in for one product must not keep the device's other seats fresh)
      */
-    updateLastCheck(hardwareId) {
+    updateLastCheck(hardwareId, productCode) {
         const db = getDatabase();
         const stmt = db.prepare(`
             UPDATE active_licenses 
             SET last_check_at = ?,
+                stale_since = NULL,
                 updated_at = ?
-            WHERE hardware_id = ?
+            WHERE hardware_id = ? AND product_code = ?
         `);
         
         const now = new Date().toISOString();
-        stmt.run(now, now, hardwareId);
+        stmt.run(now, now, hardwareId, productCode);
         
         // Return updated license
-        return this.findByHardwareId(hardwareId);
+        return this.findByHardwareAndProduct(hardwareId, productCode);
     },
 
     /**
@@ -282,7 +489,155 @@ const licenseRepo = {
         return this.findByHardwareId(hardwareId);
     },
 
+    /**
+     * Revoke one product's license on a device (bulk operations)
+     */
+    revokeByHardwareAndProduct(hardwareId, productCode, reason) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        db.prepare(`
+            UPDATE active_licenses
+            SET is_revoked = 1,
+                revoked_at = ?,
+                revoked_reason = ?,
+                updated_at = ?
+            WHERE hardware_id = ? AND product_code = ?
+        `).run(now, reason, now, hardwareId, productCode);
+
+        return this.findByHardwareAndProduct(hardwareId, productCode);
+    },
+
+    /**
+     * Reactivate one product's license on a device (bulk operations)
+     */
+    reactivateByHardwareAndProduct(hardwareId, productCode) {
+        const db = getDatabase();
+        db.prepare(`
+            UPDATE active_licenses
+            SET is_revoked = 0,
+                revoked_at = NULL,
+                revoked_reason = NULL,
+                updated_at = ?
+            WHERE hardware_id = ? AND product_code = ?
+        `).run(new Date().toISOString(), hardwareId, productCode);
+
+        return this.findByHardwareAndProduct(hardwareId, productCode);
+    },
+
+
+
+    /**
+     * Set expiry date for a device's license (renewal / perpanjangan)
+     */
+    updateExpiry(hardwareId, productCode, expiresAt) {
+        const db = getDatabase();
+        const stmt = db.prepare(`
+            UPDATE active_licenses 
+            SET expires_at = ?,
+                updated_at = ?
+            WHERE hardware_id = ? AND product_code = ?
+        `);
+        
+        stmt.run(expiresAt, new Date().toISOString(), hardwareId, productCode);
+        
+        return this.findByHardwareAndProduct(hardwareId, productCode);
+    },
+
+    /**
+     * Switch a device's license between online and offline (file) activation
+     */
+    updateActivationMode(hardwareId, productCode, activationMode) {
+        const db = getDatabase();
+        const stmt = db.prepare(`
+            UPDATE active_licenses 
+            SET activation_mode = ?,
+                updated_at = ?
+            WHERE hardware_id = ? AND product_code = ?
+        `);
+        
+        stmt.run(activationMode, new Date().toISOString(), hardwareId, productCode);
+        
+        return this.findByHardwareAndProduct(hardwareId, productCode);
+    },
+
+    /**
+     * Licenses of a key that have a component fingerprint (tolerant matching candidates)
+     */
+    findWithComponents(licenseKey) {
+        const db = getDatabase();
+        const rows = db.prepare('SELECT * FROM active_licenses WHERE hardware_components IS NOT NULL AND license_key = ?').all(licenseKey);
+        
+        return rows.map(row => ({
+            id: row.id,
+            license_key: row.license_key,
+            hardware_id: row.hardware_id,
+            device_name: row.device_name,
+            product_code: row.product_code,
+            activated_at: row.activated_at,
+            last_check_at: row.last_check_at,
+            is_revoked: Boolean(row.is_revoked),
+            revoked_at: row.revoked_at,
+            revoked_reason: row.revoked_reason,
+            expires_at: row.expires_at,
+            activation_mode: row.activation_mode || 'online',
+            license_type: row.license_type || 'node_locked',
+            hardware_components: JSON.parse(row.hardware_components),
+            hardware_changed_components: row.hardware_changed_components ? JSON.parse(row.hardware_changed_components) : null,
+            hardware_changed_at: row.hardware_changed_at,
+            customer_id: row.customer_id,
+            stale_since: row.stale_since
+        }));
+    },
+
+    /**
+     * Store the component fingerprint of a device (first seen / backfill)
+     */
+    updateHardwareComponents(hardwareId, productCode, components) {
+        const db = getDatabase();
+        const stmt = db.prepare(`
+            UPDATE active_licenses 
+            SET hardware_components = ?,
+                updated_at = ?
+            WHERE hardware_id = ? AND product_code = ?
+        `);
+        
+        stmt.run(JSON.stringify(components), new Date().toISOString(), hardwareId, productCode);
+        
+        return this.findByHardwareAndProduct(hardwareId, productCode);
+    },
 
+    /**
+     * Move a license to the device's new hardware ID after some components
+     * changed. Leases and the key's first-device marker follow the binding.
+     */
+    rebindHardware(license, newHardwareId, components, changedComponents) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        
+        db.prepare(`
+            UPDATE active_licenses 
+            SET hardware_id = ?,
+                hardware_components = ?,
+                hardware_changed_components = ?,
+                hardware_changed_at = ?,
+                updated_at = ?
+            WHERE id = ?
+        `).run(newHardwareId, JSON.stringify(components), JSON.stringify(changedComponents), now, now, license.id);
+        
+        db.prepare(`
+            UPDATE license_leases 
+            SET hardware_id = ?
+            WHERE license_key = ? AND hardware_id = ?
+        `).run(newHardwareId, license.license_key, license.hardware_id);
+        
+        db.prepare(`
+            UPDATE generated_keys 
+            SET activated_by_hardware_id = ?
+            WHERE license_key = ? AND activated_by_hardware_id = ?
+        `).run(newHardwareId, license.license_key, license.hardware_id);
+        
+        return this.findByHardwareAndProduct(newHardwareId, license.product_code);
+    },
 
     /**
      * Delete a license by hardware ID only (hapus semua produk)
@@ -321,7 +676,15 @@ const licenseRepo = {
             last_check_at: row.last_check_at,
             is_revoked: Boolean(row.is_revoked),
             revoked_at: row.revoked_at,
-            revoked_reason: row.revoked_reason
+            revoked_reason: row.revoked_reason,
+            expires_at: row.expires_at,
+            activation_mode: row.activation_mode || 'online',
+            license_type: row.license_type || 'node_locked',
+            hardware_components: row.hardware_components ? JSON.parse(row.hardware_components) : null,
+            hardware_changed_components: row.hardware_changed_components ? JSON.parse(row.hardware_changed_components) : null,
+            hardware_changed_at: row.hardware_changed_at,
+            customer_id: row.customer_id,
+            stale_since: row.stale_since
         };
     },
 
@@ -333,12 +696,17 @@ const licenseRepo = {
     },
 
     /**
-     * Get all licenses
+     * Get all licenses (optionally for one customer, see customerCondition)
      */
-    getAll() {
+    getAll(customerId = null) {
         const db = getDatabase();
-        const stmt = db.prepare('SELECT * FROM active_licenses ORDER BY activated_at DESC');
-        const rows = stmt.all();
+        const customer = customerCondition(customerId);
+        const stmt = db.prepare(`
+            SELECT * FROM active_licenses 
+            ${customer.sql ? `WHERE ${customer.sql}` : ''}
+            ORDER BY activated_at DESC
+        `);
+        const rows = stmt.all(...customer.params);
         
         return rows.map(row => ({
             id: row.id,
@@ -350,108 +718,1510 @@ const licenseRepo = {
             last_check_at: row.last_check_at,
             is_revoked: Boolean(row.is_revoked),
             revoked_at: row.revoked_at,
-            revoked_reason: row.revoked_reason
+            revoked_reason: row.revoked_reason,
+            expires_at: row.expires_at,
+            activation_mode: row.activation_mode || 'online',
+            license_type: row.license_type || 'node_locked',
+            hardware_components: row.hardware_components ? JSON.parse(row.hardware_components) : null,
+            hardware_changed_components: row.hardware_changed_components ? JSON.parse(row.hardware_changed_components) : null,
+            hardware_changed_at: row.hardware_changed_at,
+            customer_id: row.customer_id,
+            stale_since: row.stale_since
         }));
     },
 
     /**
-     * Get statistics
+     * Assign one activated device to a customer (overrides the key's customer)
+     *
+     * @returns {boolean} Whether the license exists
+     */
+    assignCustomer(hardwareId, productCode, customerId) {
+        const db = getDatabase();
+        const result = db.prepare(`
+            UPDATE active_licenses SET customer_id = ?, updated_at = datetime('now') 
+            WHERE hardware_id = ? AND product_code = ?
+        `).run(customerId, hardwareId, productCode);
+        return result.changes > 0;
+    },
+
+    /**
+     * Flag active online licenses whose last check-in is older than cutoff.
+     * Offline (air-gapped) activations never check in and are skipped.
+     *
+     * @returns {Array} Licenses flagged by this call
+     */
+    markStale(cutoff) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        return db.prepare(`
+            UPDATE active_licenses 
+            SET stale_since = ?, updated_at = ?
+            WHERE stale_since IS NULL 
+              AND is_revoked = 0 
+              AND COALESCE(activation_mode, 'online') != 'offline'
+              AND last_check_at < ?
+            RETURNING license_key, hardware_id, device_name, product_code, last_check_at, expires_at, customer_id
+        `).all(now, now, cutoff);
+    },
+
+    /**
+     * Stale licenses (optionally of one product), longest without check-in first
      */
-    getStats() {
+    findStale(productCode = null) {
         const db = getDatabase();
+        const rows = productCode
+            ? db.prepare('SELECT * FROM active_licenses WHERE stale_since IS NOT NULL AND product_code = ? ORDER BY last_check_at ASC').all(productCode)
+            : db.prepare('SELECT * FROM active_licenses WHERE stale_since IS NOT NULL ORDER BY last_check_at ASC').all();
         
-        const total = db.prepare('SELECT COUNT(*) as count FROM active_licenses').get().count;
-        const active = db.prepare('SELECT COUNT(*) as count FROM active_licenses WHERE is_revoked = 0').get().count;
+        return rows.map(row => ({
+            id: row.id,
+            license_key: row.license_key,
+            hardware_id: row.hardware_id,
+            device_name: row.device_name,
+            product_code: row.product_code,
+            activated_at: row.activated_at,
+            last_check_at: row.last_check_at,
+            is_revoked: Boolean(row.is_revoked),
+            expires_at: row.expires_at,
+            activation_mode: row.activation_mode || 'online',
+            license_type: row.license_type || 'node_locked',
+            customer_id: row.customer_id,
+            stale_since: row.stale_since
+        }));
+    },
+
+    /**
+     * Clear the stale flag of licenses that were revoked or became offline
+     * activations after being flagged
+     */
+    clearStaleIneligible() {
+        const db = getDatabase();
+        return db.prepare(`
+            UPDATE active_licenses SET stale_since = NULL
+            WHERE stale_since IS NOT NULL AND (is_revoked = 1 OR activation_mode = 'offline')
+        `).run().changes;
+    },
+
+    /**
+     * License counts per product: active (not revoked), revoked, stale
+     */
+    countByProductAndState() {
+        const db = getDatabase();
+        return db.prepare(`
+            SELECT product_code,
+                SUM(is_revoked = 0) AS active,
+                SUM(is_revoked = 1) AS revoked,
+                SUM(is_revoked = 0 AND stale_since IS NOT NULL) AS stale
+            FROM active_licenses
+            GROUP BY product_code
+        `).all();
+    },
+
+    /**
+     * Get statistics (optionally for one customer, see customerCondition)
+     */
+    getStats(customerId = null) {
+        const db = getDatabase();
+        const customer = customerCondition(customerId);
+        const where = customer.sql ? `WHERE ${customer.sql}` : '';
+        const and = customer.sql ? `AND ${customer.sql}` : '';
+
+        const total = db.prepare(`SELECT COUNT(*) as count FROM active_licenses ${where}`).get(...customer.params).count;
+        const active = db.prepare(`SELECT COUNT(*) as count FROM active_licenses WHERE is_revoked = 0 ${and}`).get(...customer.params).count;
         const revoked = total - active;
+        const expired = db.prepare(`SELECT COUNT(*) as count FROM active_licenses WHERE is_revoked = 0 AND expires_at IS NOT NULL AND expires_at < ? ${and}`)
+            .get(new Date().toISOString(), ...customer.params).count;
         
         const byProduct = {};
-        const products = db.prepare('SELECT product_code, COUNT(*) as count FROM active_licenses WHERE is_revoked = 0 GROUP BY product_code').all();
+        const products = db.prepare(`SELECT product_code, COUNT(*) as count FROM active_licenses WHERE is_revoked = 0 ${and} GROUP BY product_code`).all(...customer.params);
         
         products.forEach(p => {
             byProduct[p.product_code] = p.count;
         });
         
-        return { total, active, revoked, byProduct };
+        return { total, active, revoked, expired, byProduct };
     }
 };
 
 // ============================================================================
-// Admin Users Repository
+// Key Batches Repository
 // ============================================================================
 
-const adminUsersRepo = {
+function mapBatchRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        purpose: row.purpose,
+        product_code: row.product_code,
+        customer_id: row.customer_id,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        key_count: row.key_count || 0,
+        used_count: row.used_count || 0
+    };
+}
+
+const batchesRepo = {
     /**
-     * Create admin user
+     * Create a batch (keys are added with generatedKeysRepo.add({ batch_id }))
      */
-    create(username, passwordHash, role = 'admin') {
+    create(batch) {
         const db = getDatabase();
-        const stmt = db.prepare(
-            'INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)'
+        const result = db.prepare(`
+            INSERT INTO key_batches (name, purpose, product_code, customer_id, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            batch.name,
+            batch.purpose || null,
+            batch.product_code,
+            batch.customer_id || null,
+            batch.created_by || null,
+            new Date().toISOString()
         );
-        const result = stmt.run(username, passwordHash, role);
         return this.findById(result.lastInsertRowid);
     },
 
     /**
-     * Find by username
+     * Find by ID (with key / used key counts)
      */
-    findByUsername(username) {
+    findById(id) {
         const db = getDatabase();
-        return db.prepare('SELECT * FROM admin_users WHERE username = ? AND is_active = 1').get(username);
+        const row = db.prepare(`
+            SELECT b.*,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.batch_id = b.id) AS key_count,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.batch_id = b.id AND g.is_used = 1) AS used_count
+            FROM key_batches b
+            WHERE b.id = ?
+        `).get(id);
+        return row ? mapBatchRow(row) : null;
     },
 
     /**
-     * Find by ID
+     * Get all batches, newest first (optionally for one customer)
+     */
+    getAll(customerId = null) {
+        const db = getDatabase();
+        const customer = customerCondition(customerId, 'b.customer_id');
+        return db.prepare(`
+            SELECT b.*,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.batch_id = b.id) AS key_count,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.batch_id = b.id AND g.is_used = 1) AS used_count
+            FROM key_batches b
+            ${customer.sql ? `WHERE ${customer.sql}` : ''}
+            ORDER BY b.created_at DESC, b.id DESC
+        `).all(...customer.params).map(mapBatchRow);
+    }
+};
+
+// ============================================================================
+// Customers Repository
+// ============================================================================
+
+function mapCustomerRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        contact_name: row.contact_name,
+        contact_email: row.contact_email,
+        contact_phone: row.contact_phone,
+        notes: row.notes,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        key_count: row.key_count || 0,
+        active_license_count: row.active_license_count || 0
+    };
+}
+
+const customersRepo = {
+    /**
+     * Create a customer
+     */
+    create(customer) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        const result = db.prepare(`
+            INSERT INTO customers (name, contact_name, contact_email, contact_phone, notes, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            customer.name,
+            customer.contact_name || null,
+            customer.contact_email || null,
+            customer.contact_phone || null,
+            customer.notes || null,
+            now,
+            now
+        );
+        return this.findById(result.lastInsertRowid);
+    },
+
+    /**
+     * Find by ID (with key / active license counts)
      */
     findById(id) {
         const db = getDatabase();
-        return db.prepare('SELECT id, username, role, is_active, created_at, last_login_at FROM admin_users WHERE id = ?').get(id);
+        const row = db.prepare(`
+            SELECT c.*,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.customer_id = c.id) AS key_count,
+                (SELECT COUNT(*) FROM active_licenses a WHERE a.customer_id = c.id AND a.is_revoked = 0) AS active_license_count
+            FROM customers c
+            WHERE c.id = ?
+        `).get(id);
+        return row ? mapCustomerRow(row) : null;
     },
 
     /**
-     * Get all users (no password hash)
+     * Find by name (case-insensitive)
      */
-    getAll() {
+    findByName(name) {
         const db = getDatabase();
-        return db.prepare('SELECT id, username, role, is_active, created_at, last_login_at FROM admin_users ORDER BY created_at DESC').all();
+        const row = db.prepare('SELECT * FROM customers WHERE name = ?').get(name);
+        return row ? mapCustomerRow(row) : null;
     },
 
     /**
-     * Update last login time
+     * Get all customers, sorted by name
      */
-    updateLastLogin(username) {
+    getAll() {
         const db = getDatabase();
-        db.prepare("UPDATE admin_users SET last_login_at = datetime('now') WHERE username = ?").run(username);
+        return db.prepare(`
+            SELECT c.*,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.customer_id = c.id) AS key_count,
+                (SELECT COUNT(*) FROM active_licenses a WHERE a.customer_id = c.id AND a.is_revoked = 0) AS active_license_count
+            FROM customers c
+            ORDER BY c.name COLLATE NOCASE
+        `).all().map(mapCustomerRow);
     },
 
     /**
-     * Update password
+     * Update customer details
      */
-    updatePassword(username, newPasswordHash) {
+    update(id, customer) {
         const db = getDatabase();
-        db.prepare('UPDATE admin_users SET password_hash = ? WHERE username = ?').run(newPasswordHash, username);
+        db.prepare(`
+            UPDATE customers 
+            SET name = ?, contact_name = ?, contact_email = ?, contact_phone = ?, notes = ?, updated_at = ?
+            WHERE id = ?
+        `).run(
+            customer.name,
+            customer.contact_name || null,
+            customer.contact_email || null,
+            customer.contact_phone || null,
+            customer.notes || null,
+            new Date().toISOString(),
+            id
+        );
+        return this.findById(id);
     },
 
     /**
-     * Deactivate user
+     * Delete a customer; its keys and licenses become unassigned
+     *
+     * @returns {boolean} Whether the customer existed
      */
-    deactivate(username) {
+    delete(id) {
         const db = getDatabase();
-        db.prepare('UPDATE admin_users SET is_active = 0 WHERE username = ?').run(username);
+        return db.transaction(() => {
+            db.prepare('UPDATE key_batches SET customer_id = NULL WHERE customer_id = ?').run(id);
+            db.prepare('UPDATE generated_keys SET customer_id = NULL WHERE customer_id = ?').run(id);
+            db.prepare('UPDATE active_licenses SET customer_id = NULL WHERE customer_id = ?').run(id);
+            return db.prepare('DELETE FROM customers WHERE id = ?').run(id).changes > 0;
+        })();
     },
 
     /**
-     * Check if any admin user exists
+     * Seats and devices per product for one customer
+     *
+     * @returns {Array} [{ product_code, keys, seats, seats_used, active, revoked, expired, last_check_at }]
      */
-    hasAnyUser() {
+    getUsageByProduct(id) {
         const db = getDatabase();
-        const row = db.prepare('SELECT COUNT(*) as count FROM admin_users WHERE is_active = 1').get();
-        return row.count > 0;
+        const now = new Date().toISOString();
+        
+        const keys = db.prepare(`
+            SELECT product_code, COUNT(*) AS keys, SUM(seat_count) AS seats,
+                SUM(CASE WHEN is_used = 1 THEN 1 ELSE 0 END) AS used_keys
+            FROM generated_keys 
+            WHERE customer_id = ? 
+            GROUP BY product_code
+        `).all(id);
+        
+        const licenses = db.prepare(`
+            SELECT product_code,
+                SUM(CASE WHEN is_revoked = 0 THEN 1 ELSE 0 END) AS active,
+                SUM(CASE WHEN is_revoked = 1 THEN 1 ELSE 0 END) AS revoked,
+                SUM(CASE WHEN is_revoked = 0 AND expires_at IS NOT NULL AND expires_at < ? THEN 1 ELSE 0 END) AS expired,
+                MAX(last_check_at) AS last_check_at
+            FROM active_licenses 
+            WHERE customer_id = ? 
+            GROUP BY product_code
+        `).all(now, id);
+        
+        const byProduct = {};
+        for (const row of keys) {
+            byProduct[row.product_code] = {
+                product_code: row.product_code,
+                keys: row.keys,
+                used_keys: row.used_keys,
+                seats: row.seats || 0,
+                active: 0,
+                revoked: 0,
+                expired: 0,
+                last_check_at: null
+            };
+        }
+        for (const row of licenses) {
+            byProduct[row.product_code] = {
+                product_code: row.product_code,
+                keys: 0,
+                used_keys: 0,
+                seats: 0,
+                ...byProduct[row.product_code],
+                active: row.active,
+                revoked: row.revoked,
+                expired: row.expired,
+                last_check_at: row.last_check_at
+            };
+        }
+        
+        return Object.values(byProduct).sort((a, b) => a.product_code.localeCompare(b.product_code));
     }
 };
 
+// ============================================================================
+// Products Repository
+// ============================================================================
+
+// secret_encrypted dikembalikan apa adanya; enkripsi / dekripsi di services/products.js
+function mapProductRow(row) {
+    return {
+        code: row.code,
+        name: row.name,
+        legacy_secret_encrypted: row.secret_encrypted || null,
+        is_active: Boolean(row.is_active),
+        stale_release_days: row.stale_release_days ?? null,
+        secret_rotated_at: row.secret_rotated_at,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        key_count: row.key_count || 0,
+        license_count: row.license_count || 0
+    };
+}
+
+const productsRepo = {
+    /**
+     * Create a product (secrets: addSecret)
+     */
+    create(product) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        db.prepare(`
+            INSERT INTO products (code, name, secret_encrypted, is_active, stale_release_days, created_at, updated_at)
+            VALUES (?, ?, '', ?, ?, ?, ?)
+        `).run(product.code, product.name, product.is_active === false ? 0 : 1, product.stale_release_days ?? null, now, now);
+        return this.findByCode(product.code);
+    },
+
+    /**
+     * Find by product code (with key / license counts)
+     */
+    findByCode(code) {
+        const db = getDatabase();
+        const row = db.prepare(`
+            SELECT p.*,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.product_code = p.code) AS key_count,
+                (SELECT COUNT(*) FROM active_licenses a WHERE a.product_code = p.code) AS license_count
+            FROM products p
+            WHERE p.code = ?
+        `).get(code);
+        return row ? mapProductRow(row) : null;
+    },
+
+    /**
+     * Get all products, sorted by code
+     */
+    getAll() {
+        const db = getDatabase();
+        return db.prepare(`
+            SELECT p.*,
+                (SELECT COUNT(*) FROM generated_keys g WHERE g.product_code = p.code) AS key_count,
+                (SELECT COUNT(*) FROM active_licenses a WHERE a.product_code = p.code) AS license_count
+            FROM products p
+            ORDER BY p.code
+        `).all().map(mapProductRow);
+    },
+
+    /**
+     * Update name / active flag / stale auto-release
+     */
+    update(code, product) {
+        const db = getDatabase();
+        db.prepare(`
+            UPDATE products 
+            SET name = ?, is_active = ?, stale_release_days = ?, updated_at = ?
+            WHERE code = ?
+        `).run(product.name, product.is_active ? 1 : 0, product.stale_release_days ?? null, new Date().toISOString(), code);
+        return this.findByCode(code);
+    },
+
+    /**
+     * Secret pre-versioning sudah dipindah ke product_secrets
+     */
+    clearLegacySecret(code) {
+        const db = getDatabase();
+        db.prepare("UPDATE products SET secret_encrypted = '' WHERE code = ?").run(code);
+    },
+
+    /**
+     * Add a secret generation
+     *
+     * @param {boolean} [pending] - Not used for new keys until activateSecret()
+     */
+    addSecret(code, version, secretEncrypted, pending = false) {
+        const db = getDatabase();
+        db.prepare(`
+            INSERT INTO product_secrets (product_code, version, secret_encrypted, is_pending, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(code, version, secretEncrypted, pending ? 1 : 0, new Date().toISOString());
+    },
+
+    /**
+     * Make a pending generation active; counts as a rotation (secret_rotated_at)
+     *
+     * @returns {boolean} Whether a pending generation was activated
+     */
+    activateSecret(code, version) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        return db.transaction(() => {
+            const activated = db.prepare(`
+                UPDATE product_secrets SET is_pending = 0 
+                WHERE product_code = ? AND version = ? AND is_pending = 1 AND retired_at IS NULL
+            `).run(code, version).changes > 0;
+            
+            if (activated) {
+                db.prepare('UPDATE products SET secret_rotated_at = ?, updated_at = ? WHERE code = ?').run(now, now, code);
+            }
+            return activated;
+        })();
+    },
+
+    /**
+     * Secret generations, oldest first
+     *
+     * @param {string|null} [code] - null = all products
+     */
+    getSecrets(code = null) {
+        const db = getDatabase();
+        const rows = code
+            ? db.prepare('SELECT * FROM product_secrets WHERE product_code = ? ORDER BY version').all(code)
+            : db.prepare('SELECT * FROM product_secrets ORDER BY product_code, version').all();
+        
+        return rows.map(row => ({
+            id: row.id,
+            product_code: row.product_code,
+            version: row.version,
+            secret_encrypted: row.secret_encrypted,
+            is_pending: Boolean(row.is_pending),
+            created_at: row.created_at,
+            retired_at: row.retired_at
+        }));
+    },
+
+    /**
+     * Same secret, re-encrypted (master key rotation)
+     */
+    updateSecretEncrypted(id, secretEncrypted) {
+        const db = getDatabase();
+        db.prepare('UPDATE product_secrets SET secret_encrypted = ? WHERE id = ?').run(secretEncrypted, id);
+    },
+
+    /**
+     * Retire a generation: keys checksummed with it stop validating
+     *
+     * @returns {boolean} Whether an active generation was retired
+     */
+    retireSecret(code, version) {
+        const db = getDatabase();
+        return db.prepare(`
+            UPDATE product_secrets SET retired_at = ? 
+            WHERE product_code = ? AND version = ? AND retired_at IS NULL
+        `).run(new Date().toISOString(), code, version).changes > 0;
+    },
+
+    /**
+     * Delete a product and its secrets
+     *
+     * @returns {boolean} Whether the product existed
+     */
+    delete(code) {
+        const db = getDatabase();
+        return db.transaction(() => {
+            db.prepare('DELETE FROM product_secrets WHERE product_code = ?').run(code);
+            return db.prepare('DELETE FROM products WHERE code = ?').run(code).changes > 0;
+        })();
+    }
+};
+
+// ============================================================================
+// Admin Users Repository
+// ============================================================================
+
+const adminUsersRepo = {
+    /**
+     * Create admin user
+     */
+    create(username, passwordHash, role = 'admin') {
+        const db = getDatabase();
+        const stmt = db.prepare(
+            'INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)'
+        );
+        const result = stmt.run(username, passwordHash, role);
+        return this.findById(result.lastInsertRowid);
+    },
+
+    /**
+     * Find by username
+     */
+    findByUsername(username) {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM admin_users WHERE username = ? AND is_active = 1').get(username);
+    },
+
+    /**
+     * Find by ID
+     */
+    findById(id) {
+        const db = getDatabase();
+        return db.prepare('SELECT id, username, role, is_active, created_at, last_login_at FROM admin_users WHERE id = ?').get(id);
+    },
+
+    /**
+     * Get all users (no password hash)
+     */
+    getAll() {
+        const db = getDatabase();
+        return db.prepare('SELECT id, username, role, is_active, created_at, last_login_at FROM admin_users ORDER BY created_at DESC').all();
+    },
+
+    /**
+     * Update last login time
+     */
+    updateLastLogin(username) {
+        const db = getDatabase();
+        db.prepare("UPDATE admin_users SET last_login_at = datetime('now') WHERE username = ?").run(username);
+    },
+
+    /**
+     * Update password
+     */
+    updatePassword(username, newPasswordHash) {
+        const db = getDatabase();
+        db.prepare('UPDATE admin_users SET password_hash = ? WHERE username = ?').run(newPasswordHash, username);
+    },
+
+    /**
+     * Deactivate user
+     */
+    deactivate(username) {
+        const db = getDatabase();
+        db.prepare('UPDATE admin_users SET is_active = 0 WHERE username = ?').run(username);
+    },
+
+    /**
+     * Check if any admin user exists (active or deactivated); once one
+     * does, the ADMIN_PASSWORD login is off
+     */
+    hasAnyUser() {
+        const db = getDatabase();
+        const row = db.prepare('SELECT COUNT(*) as count FROM admin_users').get();
+        return row.count > 0;
+    },
+
+    /**
+     * Number of active superadmins (legacy role 'admin' included)
+     */
+    countActiveSuperadmins() {
+        const db = getDatabase();
+        return db.prepare(`
+            SELECT COUNT(*) FROM admin_users
+            WHERE is_active = 1 AND role IN ('superadmin', 'admin')
+        `).pluck().get();
+    }
+};
+
+// ============================================================================
+// Admin Sessions Repository
+// ============================================================================
+
+const sessionsRepo = {
+    /**
+     * Create a session for a hashed token
+     */
+    create(session) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        
+        const result = db.prepare(`
+            INSERT INTO admin_sessions 
+            (token_hash, username, role, ip_address, user_agent, created_at, last_used_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            session.token_hash,
+            session.username,
+            session.role || null,
+            session.ip_address || null,
+            session.user_agent || null,
+            now,
+            now,
+            session.expires_at
+        );
+        
+        return this.findById(result.lastInsertRowid);
+    },
+
+    findById(id) {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM admin_sessions WHERE id = ?').get(id);
+    },
+
+    /**
+     * Find a session that is neither revoked nor expired
+     */
+    findActiveByTokenHash(tokenHash) {
+        const db = getDatabase();
+        return db.prepare(`
+            SELECT * FROM admin_sessions 
+            WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+        `).get(tokenHash, new Date().toISOString());
+    },
+
+    touch(id) {
+        const db = getDatabase();
+        db.prepare('UPDATE admin_sessions SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+    },
+
+    /**
+     * Revoke one session
+     *
+     * @returns {boolean} Whether an active session was revoked
+     */
+    revoke(id) {
+        const db = getDatabase();
+        const result = db.prepare(`
+            UPDATE admin_sessions SET revoked_at = ? 
+            WHERE id = ? AND revoked_at IS NULL
+        `).run(new Date().toISOString(), id);
+        return result.changes > 0;
+    },
+
+    /**
+     * Revoke every session of a user (logout everywhere / password change)
+     *
+     * @returns {number} Number of revoked sessions
+     */
+    revokeAllForUser(username) {
+        const db = getDatabase();
+        const result = db.prepare(`
+            UPDATE admin_sessions SET revoked_at = ? 
+            WHERE username = ? AND revoked_at IS NULL
+        `).run(new Date().toISOString(), username);
+        return result.changes;
+    },
+
+    /**
+     * Revoke sessions of users that no longer exist or are inactive
+     * (after admin_users was replaced by an import / restore). Without any
+     * DB user, login uses ADMIN_PASSWORD and sessions are kept.
+     *
+     * @returns {number} Number of revoked sessions
+     */
+    revokeOrphaned() {
+        const db = getDatabase();
+        return db.prepare(`
+            UPDATE admin_sessions SET revoked_at = ?
+            WHERE revoked_at IS NULL
+              AND EXISTS (SELECT 1 FROM admin_users)
+              AND username NOT IN (SELECT username FROM admin_users WHERE is_active = 1)
+        `).run(new Date().toISOString()).changes;
+    },
+
+    /**
+     * Active sessions, most recently used first
+     */
+    getActive() {
+        const db = getDatabase();
+        return db.prepare(`
+            SELECT id, username, role, ip_address, user_agent, created_at, last_used_at, expires_at 
+            FROM admin_sessions 
+            WHERE revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_used_at DESC
+        `).all(new Date().toISOString());
+    },
+
+    /**
+     * Remove expired and revoked sessions older than the cutoff
+     */
+    deleteExpired(cutoff) {
+        const db = getDatabase();
+        return db.prepare(`
+            DELETE FROM admin_sessions 
+            WHERE expires_at < ? OR (revoked_at IS NOT NULL AND revoked_at < ?)
+        `).run(cutoff, cutoff).changes;
+    }
+};
+
+// ============================================================================
+// License Transfers Repository
+// ============================================================================
+
+const transfersRepo = {
+    /**
+     * Record a device transfer in history
+     */
+    add(transfer) {
+        const db = getDatabase();
+        const stmt = db.prepare(`
+            INSERT INTO license_transfers 
+            (license_key, product_code, from_hardware_id, from_device_name, expires_at, reason, ip_address, transferred_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        
+        const result = stmt.run(
+            transfer.license_key,
+            transfer.product_code,
+            transfer.from_hardware_id,
+            transfer.from_device_name || null,
+            transfer.expires_at || null,
+            transfer.reason || null,
+            transfer.ip_address || null,
+            new Date().toISOString()
+        );
+        
+        return db.prepare('SELECT * FROM license_transfers WHERE id = ?').get(result.lastInsertRowid);
+    },
+
+    /**
+     * Oldest unclaimed transfer of a key: its expires_at is the remaining
+     * term for the device that activates the freed seat
+     *
+     * @returns {Object|null} Transfer row
+     */
+    findCarryOver(licenseKey) {
+        const db = getDatabase();
+        return db.prepare(`
+            SELECT * FROM license_transfers
+            WHERE license_key = ? AND claimed_at IS NULL
+            ORDER BY transferred_at ASC
+            LIMIT 1
+        `).get(licenseKey) || null;
+    },
+
+    /**
+     * Mark a transfer's remaining term as used by a new activation
+     */
+    claimCarryOver(id) {
+        const db = getDatabase();
+        db.prepare('UPDATE license_transfers SET claimed_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+    },
+
+    /**
+     * Transfer history for one key
+     */
+    findByKey(licenseKey) {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM license_transfers WHERE license_key = ? ORDER BY transferred_at DESC').all(licenseKey);
+    },
+
+    /**
+     * All transfers, newest first
+     */
+    getAll() {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM license_transfers ORDER BY transferred_at DESC').all();
+    }
+};
+
+// ============================================================================
+// Audit Events Repository
+// ============================================================================
+
+function mapAuditRow(row) {
+    return {
+        id: row.id,
+        action: row.action,
+        actor: row.actor,
+        license_key: row.license_key,
+        hardware_id: row.hardware_id,
+        product_code: row.product_code,
+        details: row.details ? JSON.parse(row.details) : null,
+        ip_address: row.ip_address,
+        user_agent: row.user_agent,
+        created_at: row.created_at
+    };
+}
+
+const auditRepo = {
+    /**
+     * Record an audit event
+     */
+    add(event) {
+        const db = getDatabase();
+        const result = db.prepare(`
+            INSERT INTO audit_events 
+            (action, actor, license_key, hardware_id, product_code, details, ip_address, user_agent, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            event.action,
+            event.actor,
+            event.license_key || null,
+            event.hardware_id || null,
+            event.product_code || null,
+            event.details ? JSON.stringify(event.details) : null,
+            event.ip_address || null,
+            event.user_agent || null,
+            new Date().toISOString()
+        );
+        
+        return mapAuditRow(db.prepare('SELECT * FROM audit_events WHERE id = ?').get(result.lastInsertRowid));
+    },
+
+    /**
+     * Filtered, paginated events (newest first)
+     *
+     * @param {Object} filters - action, actor, licenseKey, hardwareId, productCode, from, to
+     * @param {number} page - 1-based
+     * @param {number} limit
+     * @returns {Object} { events, total }
+     */
+    query(filters = {}, page = 1, limit = 50) {
+        const db = getDatabase();
+        const where = [];
+        const params = [];
+        
+        if (filters.action) {
+            where.push('action = ?');
+            params.push(filters.action);
+        }
+        if (filters.actor) {
+            where.push('actor = ?');
+            params.push(filters.actor);
+        }
+        if (filters.licenseKey) {
+            where.push('license_key = ?');
+            params.push(filters.licenseKey);
+        }
+        if (filters.hardwareId) {
+            where.push('hardware_id = ?');
+            params.push(filters.hardwareId);
+        }
+        if (filters.productCode) {
+            where.push('product_code = ?');
+            params.push(filters.productCode);
+        }
+        if (filters.from) {
+            where.push('created_at >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            where.push('created_at <= ?');
+            params.push(filters.to);
+        }
+        
+        const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        
+        const total = db.prepare(`SELECT COUNT(*) as count FROM audit_events ${whereSql}`).get(...params).count;
+        const rows = db.prepare(`
+            SELECT * FROM audit_events ${whereSql}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, (page - 1) * limit);
+        
+        return { events: rows.map(mapAuditRow), total };
+    }
+};
+
+// ============================================================================
+// Floating License Leases Repository
+// ============================================================================
+
+const leasesRepo = {
+    /**
+     * Create a new lease (checkout)
+     */
+    create(lease) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        
+        db.prepare(`
+            INSERT INTO license_leases 
+            (lease_id, license_key, product_code, hardware_id, device_name, ip_address, checked_out_at, last_heartbeat_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            lease.lease_id,
+            lease.license_key,
+            lease.product_code,
+            lease.hardware_id,
+            lease.device_name || null,
+            lease.ip_address || null,
+            now,
+            now
+        );
+        
+        return this.findById(lease.lease_id);
+    },
+
+    /**
+     * Find lease by its lease ID
+     */
+    findById(leaseId) {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM license_leases WHERE lease_id = ?').get(leaseId) || null;
+    },
+
+    /**
+     * Existing lease of a device for a key (re-checkout after restart)
+     */
+    findByKeyAndHardware(licenseKey, hardwareId) {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM license_leases WHERE license_key = ? AND hardware_id = ?')
+            .get(licenseKey, hardwareId) || null;
+    },
+
+    /**
+     * Leases currently held for a key
+     */
+    findByKey(licenseKey) {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM license_leases WHERE license_key = ? ORDER BY checked_out_at ASC').all(licenseKey);
+    },
+
+    countByKey(licenseKey) {
+        const db = getDatabase();
+        return db.prepare('SELECT COUNT(*) as count FROM license_leases WHERE license_key = ?').get(licenseKey).count;
+    },
+
+    /**
+     * Record a heartbeat
+     */
+    touch(leaseId) {
+        const db = getDatabase();
+        db.prepare('UPDATE license_leases SET last_heartbeat_at = ? WHERE lease_id = ?')
+            .run(new Date().toISOString(), leaseId);
+        
+        return this.findById(leaseId);
+    },
+
+    /**
+     * Release a lease (client quit)
+     */
+    release(leaseId) {
+        const db = getDatabase();
+        return db.prepare('DELETE FROM license_leases WHERE lease_id = ?').run(leaseId).changes > 0;
+    },
+
+    /**
+     * Release all leases of a device (license deleted / revoked)
+     */
+    releaseByHardware(licenseKey, hardwareId) {
+        const db = getDatabase();
+        db.prepare('DELETE FROM license_leases WHERE license_key = ? AND hardware_id = ?').run(licenseKey, hardwareId);
+    },
+
+    /**
+     * Reclaim leases whose heartbeat stopped before the cutoff
+     * 
+     * @param {string} cutoff - ISO timestamp
+     * @returns {number} Number of reclaimed leases
+     */
+    deleteStale(cutoff) {
+        const db = getDatabase();
+        return db.prepare('DELETE FROM license_leases WHERE last_heartbeat_at < ?').run(cutoff).changes;
+    },
+
+    /**
+     * All live leases, newest first
+     */
+    getAll() {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM license_leases ORDER BY checked_out_at DESC').all();
+    }
+};
+
+// ============================================================================
+// Webhooks Repository
+// ============================================================================
+
+function mapWebhookRow(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        description: row.description,
+        events: JSON.parse(row.events),
+        secret_encrypted: row.secret_encrypted,
+        is_active: Boolean(row.is_active),
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        pending_count: row.pending_count || 0,
+        failed_count: row.failed_count || 0,
+        last_delivery_at: row.last_delivery_at || null
+    };
+}
+
+const WEBHOOK_SELECT = `
+    SELECT w.*,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending_count,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed_count,
+        (SELECT MAX(d.last_attempt_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivery_at
+    FROM webhooks w
+`;
+
+const webhooksRepo = {
+    create(webhook) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        const result = db.prepare(`
+            INSERT INTO webhooks (url, description, events, secret_encrypted, is_active, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            webhook.url,
+            webhook.description || null,
+            JSON.stringify(webhook.events),
+            webhook.secret_encrypted,
+            webhook.is_active === false ? 0 : 1,
+            now,
+            now
+        );
+        return this.findById(result.lastInsertRowid);
+    },
+
+    findById(id) {
+        const db = getDatabase();
+        const row = db.prepare(`${WEBHOOK_SELECT} WHERE w.id = ?`).get(id);
+        return row ? mapWebhookRow(row) : null;
+    },
+
+    getAll() {
+        const db = getDatabase();
+        return db.prepare(`${WEBHOOK_SELECT} ORDER BY w.id`).all().map(mapWebhookRow);
+    },
+
+    /**
+     * Active webhooks subscribed to an event ('*' = all events)
+     */
+    findSubscribed(event) {
+        return this.getAll().filter(w => w.is_active && (w.events.includes('*') || w.events.includes(event)));
+    },
+
+    /**
+     * Update url / description / events / active flag
+     */
+    update(id, webhook) {
+        const db = getDatabase();
+        db.prepare(`
+            UPDATE webhooks 
+            SET url = ?, description = ?, events = ?, is_active = ?, updated_at = ?
+            WHERE id = ?
+        `).run(
+            webhook.url,
+            webhook.description || null,
+            JSON.stringify(webhook.events),
+            webhook.is_active ? 1 : 0,
+            new Date().toISOString(),
+            id
+        );
+        return this.findById(id);
+    },
+
+    updateSecret(id, secretEncrypted) {
+        const db = getDatabase();
+        db.prepare('UPDATE webhooks SET secret_encrypted = ?, updated_at = ? WHERE id = ?')
+            .run(secretEncrypted, new Date().toISOString(), id);
+    },
+
+    /**
+     * Delete a webhook and its delivery log
+     *
+     * @returns {boolean} Whether the webhook existed
+     */
+    delete(id) {
+        const db = getDatabase();
+        return db.transaction(() => {
+            db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+            return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+        })();
+    }
+};
+
+// ============================================================================
+// Webhook Deliveries Repository (queue + log)
+// ============================================================================
+
+function mapDeliveryRow(row) {
+    return {
+        id: row.id,
+        webhook_id: row.webhook_id,
+        webhook_url: row.webhook_url || null,
+        event_id: row.event_id,
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts || 0,
+        next_attempt_at: row.next_attempt_at,
+        last_attempt_at: row.last_attempt_at,
+        last_status_code: row.last_status_code,
+        last_error: row.last_error,
+        last_duration_ms: row.last_duration_ms,
+        created_at: row.created_at,
+        delivered_at: row.delivered_at
+    };
+}
+
+const webhookDeliveriesRepo = {
+    /**
+     * Queue a delivery, due immediately
+     */
+    add(delivery) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        const result = db.prepare(`
+            INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, status, next_attempt_at, created_at)
+            VALUES (?, ?, ?, ?, 'pending', ?, ?)
+        `).run(delivery.webhook_id, delivery.event_id, delivery.event, delivery.payload, now, now);
+        return this.findById(result.lastInsertRowid);
+    },
+
+    findById(id) {
+        const db = getDatabase();
+        const row = db.prepare(`
+            SELECT d.*, w.url AS webhook_url
+            FROM webhook_deliveries d LEFT JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.id = ?
+        `).get(id);
+        return row ? mapDeliveryRow(row) : null;
+    },
+
+    /**
+     * Pending deliveries whose next attempt is due, oldest first
+     */
+    findDue(now, limit) {
+        const db = getDatabase();
+        return db.prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at, id
+            LIMIT ?
+        `).all(now, limit).map(mapDeliveryRow);
+    },
+
+    /**
+     * Store the result of one attempt
+     *
+     * @param {Object} result - { status, next_attempt_at, status_code, error, duration_ms }
+     */
+    recordAttempt(id, result) {
+        const db = getDatabase();
+        const now = new Date().toISOString();
+        db.prepare(`
+            UPDATE webhook_deliveries
+            SET attempts = attempts + 1, status = ?, next_attempt_at = ?, last_attempt_at = ?,
+                last_status_code = ?, last_error = ?, last_duration_ms = ?,
+                delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+            WHERE id = ?
+        `).run(
+            result.status,
+            result.next_attempt_at || null,
+            now,
+            result.status_code || null,
+            result.error || null,
+            result.duration_ms,
+            result.status,
+            now,
+            id
+        );
+    },
+
+    /**
+     * Queue a failed delivery again with a fresh set of attempts
+     *
+     * @returns {boolean} Whether the delivery was failed
+     */
+    requeue(id) {
+        const db = getDatabase();
+        return db.prepare(`
+            UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+            WHERE id = ? AND status = 'failed'
+        `).run(new Date().toISOString(), id).changes > 0;
+    },
+
+    /**
+     * Delivery log, newest first
+     *
+     * @param {Object} filters - { webhookId, status, event }
+     */
+    query(filters = {}, page = 1, limit = 50) {
+        const db = getDatabase();
+        const where = [];
+        const params = [];
+        
+        if (filters.webhookId) {
+            where.push('d.webhook_id = ?');
+            params.push(filters.webhookId);
+        }
+        if (filters.status) {
+            where.push('d.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.event) {
+            where.push('d.event = ?');
+            params.push(filters.event);
+        }
+        
+        const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        
+        const total = db.prepare(`SELECT COUNT(*) as count FROM webhook_deliveries d ${whereSql}`).get(...params).count;
+        const rows = db.prepare(`
+            SELECT d.*, w.url AS webhook_url
+            FROM webhook_deliveries d LEFT JOIN webhooks w ON w.id = d.webhook_id
+            ${whereSql}
+            ORDER BY d.created_at DESC, d.id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, (page - 1) * limit);
+        
+        return { deliveries: rows.map(mapDeliveryRow), total };
+    }
+};
+
+// ============================================================================
+// Usage Statistics Repository (daily aggregates)
+// ============================================================================
+
+// Kolom counter yang boleh di-increment (nama kolom masuk ke SQL)
+const USAGE_COUNTERS = ['activations', 'validations', 'revocations'];
+
+function mapUsageRow(row) {
+    return {
+        day: row.day,
+        product_code: row.product_code,
+        activations: row.activations,
+        validations: row.validations,
+        revocations: row.revocations,
+        active_devices: row.active_devices
+    };
+}
+
+const usageRepo = {
+    /**
+     * Add 1 to a counter of (day, product)
+     */
+    increment(day, productCode, counter) {
+        if (!USAGE_COUNTERS.includes(counter)) {
+            throw new Error(`Unknown usage counter: ${counter}`);
+        }
+        const db = getDatabase();
+        db.prepare(`
+            INSERT INTO usage_daily (day, product_code, ${counter}) VALUES (?, ?, 1)
+            ON CONFLICT (day, product_code) DO UPDATE SET ${counter} = ${counter} + 1
+        `).run(day, productCode);
+    },
+
+    /**
+     * Count a device as active on a day (once per day & product)
+     *
+     * @returns {boolean} Whether the device was not counted yet
+     */
+    addActiveDevice(day, productCode, hardwareId) {
+        const db = getDatabase();
+        return db.transaction(() => {
+            const inserted = db.prepare(`
+                INSERT OR IGNORE INTO usage_daily_devices (day, product_code, hardware_id) VALUES (?, ?, ?)
+            `).run(day, productCode, hardwareId).changes > 0;
+            
+            if (inserted) {
+                db.prepare(`
+                    INSERT INTO usage_daily (day, product_code, active_devices) VALUES (?, ?, 1)
+                    ON CONFLICT (day, product_code) DO UPDATE SET active_devices = active_devices + 1
+                `).run(day, productCode);
+            }
+            return inserted;
+        })();
+    },
+
+    /**
+     * Delete device dedup rows before a day
+     */
+    pruneDevices(beforeDay) {
+        const db = getDatabase();
+        return db.prepare('DELETE FROM usage_daily_devices WHERE day < ?').run(beforeDay).changes;
+    },
+
+    /**
+     * Daily rows in [from, to] (days 'YYYY-MM-DD'), optionally one product
+     */
+    query(from, to, productCode = null) {
+        const db = getDatabase();
+        const rows = productCode
+            ? db.prepare('SELECT * FROM usage_daily WHERE day >= ? AND day <= ? AND product_code = ? ORDER BY day, product_code').all(from, to, productCode)
+            : db.prepare('SELECT * FROM usage_daily WHERE day >= ? AND day <= ? ORDER BY day, product_code').all(from, to);
+        return rows.map(mapUsageRow);
+    },
+
+    isEmpty() {
+        const db = getDatabase();
+        return !db.prepare('SELECT 1 FROM usage_daily LIMIT 1').get();
+    },
+
+    /**
+     * Fill activations / revocations from the audit log (history from before
+     * the aggregates existed). Validations and active devices were never logged.
+     *
+     * @returns {number} Number of (day, product) rows written
+     */
+    backfillFromAudit(activatedAction, revokedAction) {
+        const db = getDatabase();
+        return db.prepare(`
+            INSERT INTO usage_daily (day, product_code, activations, revocations)
+            SELECT substr(created_at, 1, 10), product_code,
+                SUM(action = ?), SUM(action = ?)
+            FROM audit_events
+            WHERE product_code IS NOT NULL AND action IN (?, ?)
+            GROUP BY substr(created_at, 1, 10), product_code
+            ON CONFLICT (day, product_code) DO UPDATE SET
+                activations = excluded.activations,
+                revocations = excluded.revocations
+        `).run(activatedAction, revokedAction, activatedAction, revokedAction).changes;
+    }
+};
+
+// ============================================================================
+// Maintenance Repository (backup / restore / export, services/backup.js)
+// ============================================================================
+
+// Nama tabel & schema berasal dari sqlite_master / daftar tetap di service,
+// bukan dari input user, jadi aman disisipkan ke SQL
+const maintenanceRepo = {
+    /**
+     * Online backup to a new file (SQLite backup API): consistent snapshot
+     * while the server keeps writing
+     *
+     * @returns {Promise}
+     */
+    backup(destination) {
+        return getDatabase().backup(destination);
+    },
+
+    /**
+     * Attach another database file as a read source (e.g. a backup)
+     */
+    attach(file, schema) {
+        getDatabase().prepare(`ATTACH DATABASE ? AS ${schema}`).run(file);
+    },
+
+    detach(schema) {
+        getDatabase().prepare(`DETACH DATABASE ${schema}`).run();
+    },
+
+    /**
+     * @returns {string} 'ok' or the first problem found
+     */
+    integrityCheck(schema = 'main') {
+        return getDatabase().prepare(`PRAGMA ${schema}.integrity_check(1)`).pluck().get();
+    },
+
+    /**
+     * User tables (without sqlite_* and schema_migrations)
+     */
+    listTables(schema = 'main') {
+        return getDatabase().prepare(`
+            SELECT name FROM ${schema}.sqlite_master
+            WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+            ORDER BY name
+        `).pluck().all();
+    },
+
+    getColumns(table, schema = 'main') {
+        return getDatabase().prepare(`PRAGMA ${schema}.table_info(${table})`).all().map(c => c.name);
+    },
+
+    /**
+     * Highest applied migration, 0 without schema_migrations
+     */
+    getSchemaVersion(schema = 'main') {
+        const db = getDatabase();
+        const table = db.prepare(`SELECT name FROM ${schema}.sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`).get();
+        if (!table) return 0;
+        return db.prepare(`SELECT MAX(version) FROM ${schema}.schema_migrations`).pluck().get() || 0;
+    },
+
+    countRows(table, schema = 'main') {
+        return getDatabase().prepare(`SELECT COUNT(*) FROM ${schema}.${table}`).pluck().get();
+    },
+
+    dumpTable(table) {
+        return getDatabase().prepare(`SELECT * FROM ${table} ORDER BY rowid`).all();
+    },
+
+    clearTable(table) {
+        return getDatabase().prepare(`DELETE FROM ${table}`).run().changes;
+    },
+
+    /**
+     * Insert rows as-is (column names = row keys, checked by the caller)
+     */
+    insertRows(table, rows) {
+        const db = getDatabase();
+        const statements = new Map();
+
+        for (const row of rows) {
+            const columns = Object.keys(row);
+            const signature = columns.join(',');
+            if (!statements.has(signature)) {
+                statements.set(signature, db.prepare(
+                    `INSERT INTO ${table} (${signature}) VALUES (${columns.map(() => '?').join(', ')})`
+                ));
+            }
+            statements.get(signature).run(...columns.map(c => row[c]));
+        }
+
+        return rows.length;
+    },
+
+    /**
+     * Copy a table from an attached database into main
+     */
+    copyTable(table, columns, fromSchema) {
+        const list = columns.join(', ');
+        return getDatabase().prepare(`INSERT INTO main.${table} (${list}) SELECT ${list} FROM ${fromSchema}.${table}`).run().changes;
+    }
+};
+
+// ============================================================================
+// Transactions
+// ============================================================================
+
+/**
+ * Run several repository calls atomically
+ * 
+ * @param {Function} fn - Callback doing the writes; its return value is returned
+ */
+function runInTransaction(fn) {
+    return getDatabase().transaction(fn)();
+}
+
 module.exports = {
     generatedKeysRepo,
     licenseRepo,
-    adminUsersRepo
+    batchesRepo,
+    customersRepo,
+    productsRepo,
+    adminUsersRepo,
+    sessionsRepo,
+    transfersRepo,
+    leasesRepo,
+    auditRepo,
+    webhooksRepo,
+    webhookDeliveriesRepo,
+    usageRepo,
+    maintenanceRepo,
+    runInTransaction,
+    setQueryObserver
 };
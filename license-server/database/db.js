@@ -1,11 +1,25 @@
 
-const { initializeDatabase } = require('./schema');
-const { generatedKeysRepo, licenseRepo, adminUsersRepo } = require('./db-sqlite');
+const { initializeDatabase, DB_FILE } = require('./schema');
+const { generatedKeysRepo, licenseRepo, batchesRepo, customersRepo, productsRepo, adminUsersRepo, sessionsRepo, transfersRepo, leasesRepo, auditRepo, webhooksRepo, webhookDeliveriesRepo, usageRepo, maintenanceRepo, runInTransaction, setQueryObserver } = require('./db-sqlite');
 
 initializeDatabase();
 
 module.exports = {
     generatedKeysRepo,
     licenseRepo,
-    adminUsersRepo
+    batchesRepo,
+    customersRepo,
+    productsRepo,
+    adminUsersRepo,
+    sessionsRepo,
+    transfersRepo,
+    leasesRepo,
+    auditRepo,
+    webhooksRepo,
+    webhookDeliveriesRepo,
+    usageRepo,
+    maintenanceRepo,
+    runInTransaction,
+    setQueryObserver,
+    DB_FILE
 };
@@ -0,0 +1,318 @@
+/**
+ * Baseline: the schema as it was before versioned migrations
+ *
+ * Idempotent (CREATE TABLE IF NOT EXISTS + ensureColumn), so it also brings
+ * databases created by any older version of the server up to date.
+ * Not reversible: rolling it back would drop every table.
+ */
+
+const { ensureColumn } = require('../migrator');
+
+module.exports = {
+    description: 'Baseline schema (keys, licenses, customers, products, audit, webhooks, ...)',
+
+    up(db) {
+        // Generated Keys Table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS generated_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                license_key TEXT NOT NULL UNIQUE,
+                product_code TEXT NOT NULL,
+                is_used INTEGER DEFAULT 0,
+                generated_at TEXT NOT NULL,
+                used_at TEXT,
+                activated_by_hardware_id TEXT,
+                created_at TEXT DEFAULT (datetime('now')),
+                UNIQUE(license_key)
+            );
+        `);
+
+        // Active Licenses Table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS active_licenses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                license_key TEXT NOT NULL,
+                hardware_id TEXT NOT NULL,
+                device_name TEXT,
+                product_code TEXT NOT NULL,
+                activated_at TEXT NOT NULL,
+                last_check_at TEXT NOT NULL,
+                is_revoked INTEGER DEFAULT 0,
+                revoked_at TEXT,
+                revoked_reason TEXT,
+                created_at TEXT DEFAULT (datetime('now')),
+                updated_at TEXT DEFAULT (datetime('now')),
+                UNIQUE(hardware_id, product_code)
+            );
+        `);
+
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                role TEXT DEFAULT 'admin',
+                is_active INTEGER DEFAULT 1,
+                created_at TEXT DEFAULT (datetime('now')),
+                last_login_at TEXT
+            );
+        `);
+
+        // License expiry / subscription term
+        // - generated_keys.expires_at : tanggal akhir tetap untuk key
+        // - generated_keys.term_days  : masa berlaku dihitung dari tanggal aktivasi
+        // - active_licenses.expires_at: tanggal akhir efektif untuk perangkat
+        ensureColumn(db, 'generated_keys', 'expires_at', 'TEXT');
+        ensureColumn(db, 'generated_keys', 'term_days', 'INTEGER');
+        ensureColumn(db, 'active_licenses', 'expires_at', 'TEXT');
+
+        // Self-service transfer: jumlah transfer per key & batas per key
+        // (transfer_limit NULL = pakai LICENSE_TRANSFER_LIMIT dari env)
+        ensureColumn(db, 'generated_keys', 'transfer_count', 'INTEGER DEFAULT 0');
+        ensureColumn(db, 'generated_keys', 'transfer_limit', 'INTEGER');
+
+        // Multi-seat: jumlah perangkat yang boleh memakai satu key
+        ensureColumn(db, 'generated_keys', 'seat_count', 'INTEGER DEFAULT 1');
+
+        // Tipe lisensi: 'node_locked' (seat terikat perangkat) atau 'floating'
+        // (seat_count = jumlah lease bersamaan, lihat license_leases)
+        ensureColumn(db, 'generated_keys', 'license_type', "TEXT DEFAULT 'node_locked'");
+        ensureColumn(db, 'active_licenses', 'license_type', "TEXT DEFAULT 'node_locked'");
+
+        // Cara aktivasi: 'online' (client → server) atau 'offline' (file request/response)
+        ensureColumn(db, 'active_licenses', 'activation_mode', "TEXT DEFAULT 'online'");
+
+        // Fingerprint per komponen (JSON hash per komponen) untuk pencocokan toleran;
+        // hardware_changed_* = komponen yang berubah saat binding terakhir diperbarui
+        ensureColumn(db, 'active_licenses', 'hardware_components', 'TEXT');
+        ensureColumn(db, 'active_licenses', 'hardware_changed_components', 'TEXT');
+        ensureColumn(db, 'active_licenses', 'hardware_changed_at', 'TEXT');
+
+        // Customer / organisasi pemilik key & perangkat
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS customers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                contact_name TEXT,
+                contact_email TEXT,
+                contact_phone TEXT,
+                notes TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `);
+
+        // Pemilik key / lisensi (NULL = belum di-assign ke customer);
+        // lisensi baru mewarisi customer dari key-nya saat aktivasi
+        ensureColumn(db, 'generated_keys', 'customer_id', 'INTEGER');
+        ensureColumn(db, 'active_licenses', 'customer_id', 'INTEGER');
+
+        // Perangkat tanpa check-in (/validate) selama STALE_LICENSE_DAYS ditandai stale
+        // (services/stale-devices.js); dikosongkan lagi saat perangkat check-in
+        ensureColumn(db, 'active_licenses', 'stale_since', 'TEXT');
+
+        // Batch key (satu kali generate): nama, tujuan / nomor PO, customer opsional
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS key_batches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                purpose TEXT,
+                product_code TEXT NOT NULL,
+                customer_id INTEGER,
+                created_by TEXT,
+                created_at TEXT NOT NULL
+            );
+        `);
+
+        // Key dari generate lama / seed script tidak punya batch (NULL)
+        ensureColumn(db, 'generated_keys', 'batch_id', 'INTEGER');
+
+        // Transfer History Table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS license_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                license_key TEXT NOT NULL,
+                product_code TEXT NOT NULL,
+                from_hardware_id TEXT NOT NULL,
+                from_device_name TEXT,
+                reason TEXT,
+                ip_address TEXT,
+                transferred_at TEXT NOT NULL
+            );
+        `);
+
+        // Floating License Leases Table (checkout + heartbeat)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS license_leases (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                lease_id TEXT NOT NULL UNIQUE,
+                license_key TEXT NOT NULL,
+                product_code TEXT NOT NULL,
+                hardware_id TEXT NOT NULL,
+                device_name TEXT,
+                ip_address TEXT,
+                checked_out_at TEXT NOT NULL,
+                last_heartbeat_at TEXT NOT NULL,
+                UNIQUE(license_key, hardware_id)
+            );
+        `);
+
+        // Audit Log Table (siapa melakukan apa, terhadap key / perangkat mana)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL,
+                actor TEXT NOT NULL,
+                license_key TEXT,
+                hardware_id TEXT,
+                product_code TEXT,
+                details TEXT,
+                ip_address TEXT,
+                user_agent TEXT,
+                created_at TEXT NOT NULL
+            );
+        `);
+
+        // Admin Sessions Table (hanya hash token yang disimpan)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_hash TEXT NOT NULL UNIQUE,
+                username TEXT NOT NULL,
+                role TEXT,
+                ip_address TEXT,
+                user_agent TEXT,
+                created_at TEXT NOT NULL,
+                last_used_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                revoked_at TEXT
+            );
+        `);
+
+        // Product registry (services/products.js)
+        // secret_encrypted: secret sebelum versioning; dipindah ke product_secrets
+        // generasi 1 saat load, lalu dikosongkan
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS products (
+                code TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                secret_encrypted TEXT NOT NULL,
+                is_active INTEGER DEFAULT 1,
+                secret_rotated_at TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `);
+
+        // Lepas otomatis seat perangkat stale setelah N hari (NULL = tidak pernah)
+        ensureColumn(db, 'products', 'stale_release_days', 'INTEGER');
+
+        // Generasi secret checksum per produk (terenkripsi); versi ter-encode di license key
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS product_secrets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_code TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                secret_encrypted TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                retired_at TEXT,
+                UNIQUE (product_code, version)
+            );
+        `);
+
+        // Outbound webhooks (services/webhooks.js); events = JSON array, secret terenkripsi
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                url TEXT NOT NULL,
+                description TEXT,
+                events TEXT NOT NULL,
+                secret_encrypted TEXT NOT NULL,
+                is_active INTEGER DEFAULT 1,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `);
+
+        // Antrian & log pengiriman webhook: status 'pending' (menunggu / retry),
+        // 'delivered' atau 'failed' (percobaan habis)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER NOT NULL,
+                event_id TEXT NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                next_attempt_at TEXT,
+                last_attempt_at TEXT,
+                last_status_code INTEGER,
+                last_error TEXT,
+                last_duration_ms INTEGER,
+                created_at TEXT NOT NULL,
+                delivered_at TEXT
+            );
+        `);
+
+        // Indexes for better query performance
+        db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_generated_keys_product 
+            ON generated_keys(product_code);
+        
+            CREATE INDEX IF NOT EXISTS idx_generated_keys_used 
+            ON generated_keys(is_used);
+        
+            CREATE INDEX IF NOT EXISTS idx_active_licenses_hardware 
+            ON active_licenses(hardware_id);
+        
+            CREATE INDEX IF NOT EXISTS idx_active_licenses_product 
+            ON active_licenses(product_code);
+        
+            CREATE INDEX IF NOT EXISTS idx_active_licenses_key 
+            ON active_licenses(license_key);
+        
+            CREATE INDEX IF NOT EXISTS idx_license_leases_key 
+            ON license_leases(license_key);
+        
+            CREATE INDEX IF NOT EXISTS idx_active_licenses_revoked 
+            ON active_licenses(is_revoked);
+
+            CREATE INDEX IF NOT EXISTS idx_admin_users_username
+            ON admin_users(username);
+
+            CREATE INDEX IF NOT EXISTS idx_license_transfers_key
+            ON license_transfers(license_key);
+
+            CREATE INDEX IF NOT EXISTS idx_audit_events_key
+            ON audit_events(license_key, created_at);
+
+            CREATE INDEX IF NOT EXISTS idx_audit_events_hardware
+            ON audit_events(hardware_id);
+
+            CREATE INDEX IF NOT EXISTS idx_audit_events_created
+            ON audit_events(created_at);
+
+            CREATE INDEX IF NOT EXISTS idx_admin_sessions_username
+            ON admin_sessions(username);
+
+            CREATE INDEX IF NOT EXISTS idx_generated_keys_customer
+            ON generated_keys(customer_id);
+
+            CREATE INDEX IF NOT EXISTS idx_active_licenses_customer
+            ON active_licenses(customer_id);
+
+            CREATE INDEX IF NOT EXISTS idx_generated_keys_batch
+            ON generated_keys(batch_id);
+
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+            ON webhook_deliveries(status, next_attempt_at);
+
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+            ON webhook_deliveries(webhook_id, created_at);
+
+            CREATE INDEX IF NOT EXISTS idx_active_licenses_last_check
+            ON active_licenses(last_check_at);
+        `);
+    }
+};
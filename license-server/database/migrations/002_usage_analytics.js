@@ -0,0 +1,40 @@
+/**
+ * Daily usage aggregates (services/analytics.js)
+ */
+
+module.exports = {
+    description: 'Usage analytics tables (usage_daily, usage_daily_devices)',
+
+    up(db) {
+        // Statistik pemakaian harian per produk (services/analytics.js), day = 'YYYY-MM-DD' (UTC)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS usage_daily (
+                day TEXT NOT NULL,
+                product_code TEXT NOT NULL,
+                activations INTEGER DEFAULT 0,
+                validations INTEGER DEFAULT 0,
+                revocations INTEGER DEFAULT 0,
+                active_devices INTEGER DEFAULT 0,
+                PRIMARY KEY (day, product_code)
+            );
+        `);
+
+        // Perangkat yang sudah terhitung di usage_daily.active_devices hari itu;
+        // hanya untuk deduplikasi, baris lama dipangkas
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS usage_daily_devices (
+                day TEXT NOT NULL,
+                product_code TEXT NOT NULL,
+                hardware_id TEXT NOT NULL,
+                PRIMARY KEY (day, product_code, hardware_id)
+            );
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE IF EXISTS usage_daily_devices;
+            DROP TABLE IF EXISTS usage_daily;
+        `);
+    }
+};
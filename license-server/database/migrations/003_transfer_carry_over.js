@@ -0,0 +1,26 @@
+/**
+ * Remaining term of a transferred license, carried to the next activation
+ * of its key (instead of rewriting the key-level expiry, which also
+ * applied to the other seats of a multi-seat key)
+ */
+
+const { ensureColumn } = require('../migrator');
+
+module.exports = {
+    description: 'Carry the remaining term of transferred licenses (license_transfers.expires_at, claimed_at)',
+
+    up(db) {
+        // expires_at = masa berlaku lisensi yang dipindah (NULL = tanpa batas),
+        // claimed_at = sudah dipakai oleh aktivasi berikutnya
+        ensureColumn(db, 'license_transfers', 'expires_at', 'TEXT');
+        ensureColumn(db, 'license_transfers', 'claimed_at', 'TEXT');
+
+        // Transfer lama sudah memindahkan masa berlakunya ke generated_keys
+        db.exec('UPDATE license_transfers SET claimed_at = transferred_at WHERE claimed_at IS NULL');
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE license_transfers DROP COLUMN claimed_at');
+        db.exec('ALTER TABLE license_transfers DROP COLUMN expires_at');
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * Secret generations added by a rotation start out pending: new keys keep
+ * using the current generation until the admin activates the new one
+ * (after shipping clients that know its secret)
+ */
+
+const { ensureColumn } = require('../migrator');
+
+module.exports = {
+    description: 'Pending product secret generations (product_secrets.is_pending)',
+
+    up(db) {
+        // 1 = sudah dibuat tapi belum dipakai untuk key baru; generasi lama tetap aktif
+        ensureColumn(db, 'product_secrets', 'is_pending', 'INTEGER NOT NULL DEFAULT 0');
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE product_secrets DROP COLUMN is_pending');
+    }
+};
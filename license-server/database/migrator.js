@@ -0,0 +1,216 @@
+/**
+ * Schema Migration Runner
+ *
+ * Migrations live in database/migrations as NNN_name.js and export
+ *   { description, up(db), down(db) }
+ * Applied versions are recorded in schema_migrations. Each migration runs
+ * in its own transaction together with its schema_migrations row, so a
+ * failing migration leaves the database at the previous version.
+ *
+ * down is optional; a migration without one cannot be rolled back
+ * (e.g. the baseline, which would drop every table).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// ============================================================================
+// Helpers for migrations
+// ============================================================================
+
+/**
+ * Add a column to an existing table if it is missing
+ * (CREATE TABLE IF NOT EXISTS does not touch tables from older versions)
+ */
+function ensureColumn(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`[DB] Added column ${table}.${column}`);
+    }
+}
+
+/**
+ * "003_add_column" style label for logs
+ */
+function migrationLabel(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// ============================================================================
+// Migration Files & State
+// ============================================================================
+
+/**
+ * All migration files, ordered by version
+ *
+ * @returns {Array} [{ version, name, description, up, down }]
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${file} has no up()`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up,
+                down: migration.down || null
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migrations[i - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+function ensureMigrationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        );
+    `);
+}
+
+/**
+ * Applied versions without creating schema_migrations (works on a
+ * read-only connection)
+ *
+ * @returns {Map} version -> { name, applied_at }
+ */
+function getAppliedMigrations(db) {
+    const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+    if (!table) return new Map();
+
+    const rows = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Every known migration plus applied versions whose file is missing
+ * (database is newer than the code)
+ *
+ * @returns {Array} [{ version, name, description, appliedAt, missingFile }]
+ */
+function getMigrationStatus(db) {
+    const applied = getAppliedMigrations(db);
+    const migrations = loadMigrations();
+    const known = new Set(migrations.map(m => m.version));
+
+    const status = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        description: m.description,
+        appliedAt: applied.get(m.version)?.applied_at || null,
+        missingFile: false
+    }));
+
+    for (const [version, row] of applied) {
+        if (!known.has(version)) {
+            status.push({ version, name: row.name, description: null, appliedAt: row.applied_at, missingFile: true });
+        }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * @returns {Array} Migrations that are not applied yet
+ */
+function getPendingMigrations(db) {
+    return getMigrationStatus(db).filter(m => !m.appliedAt);
+}
+
+// ============================================================================
+// Run
+// ============================================================================
+
+/**
+ * Apply pending migrations in order
+ *
+ * @param {Object} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {number} [options.to] - Stop after this version
+ * @returns {Array} Applied migrations
+ */
+function migrateUp(db, { to = Infinity } = {}) {
+    ensureMigrationsTable(db);
+    const applied = getAppliedMigrations(db);
+    const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                .run(migration.version, migration.name, new Date().toISOString());
+        })();
+        console.log(`[DB] Migration ${migrationLabel(migration)} applied: ${migration.description}`);
+    }
+
+    return pending;
+}
+
+/**
+ * Roll back applied migrations, newest first
+ *
+ * @param {Object} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {number} [options.to] - Keep this version and older (default: roll back only the latest)
+ * @returns {Array} Rolled back migrations
+ */
+function migrateDown(db, { to = null } = {}) {
+    ensureMigrationsTable(db);
+    const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+    const applied = [...getAppliedMigrations(db).keys()].sort((a, b) => b - a);
+    const targets = to === null ? applied.slice(0, 1) : applied.filter(version => version > to);
+
+    // Cek semua dulu, supaya tidak berhenti di tengah rollback
+    for (const version of targets) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`Migration ${version} is applied but its file is missing`);
+        }
+        if (!migration.down) {
+            throw new Error(`Migration ${migrationLabel(migration)} cannot be rolled back`);
+        }
+    }
+
+    const rolledBack = [];
+    for (const version of targets) {
+        const migration = migrations.get(version);
+        db.transaction(() => {
+            migration.down(db);
+            db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+        })();
+        console.log(`[DB] Migration ${migrationLabel(migration)} rolled back: ${migration.description}`);
+        rolledBack.push(migration);
+    }
+
+    return rolledBack;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    ensureColumn,
+    migrationLabel,
+    loadMigrations,
+    getMigrationStatus,
+    getPendingMigrations,
+    migrateUp,
+    migrateDown
+};
@@ -1,10 +1,14 @@
 /**
  * SQLite Database Schema for License Server
+ *
+ * Opens the database; the schema itself is defined by the numbered
+ * migrations in database/migrations (see migrator.js).
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { migrateUp } = require('./migrator');
 
 // Database file location
 const DB_DIR = path.join(__dirname, '../data');
@@ -22,77 +26,12 @@ const db = new Database(DB_FILE);
 db.pragma('journal_mode = WAL');
 
 /**
- * Create tables
+ * Bring the schema up to date: apply pending migrations (database/migrations)
  */
 function initializeDatabase() {
     console.log('[DB] Initializing SQLite database...');
 
-    // Generated Keys Table
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS generated_keys (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            license_key TEXT NOT NULL UNIQUE,
-            product_code TEXT NOT NULL,
-            is_used INTEGER DEFAULT 0,
-            generated_at TEXT NOT NULL,
-            used_at TEXT,
-            activated_by_hardware_id TEXT,
-            created_at TEXT DEFAULT (datetime('now')),
-            UNIQUE(license_key)
-        );
-    `);
-
-    // Active Licenses Table
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS active_licenses (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            license_key TEXT NOT NULL,
-            hardware_id TEXT NOT NULL,
-            device_name TEXT,
-            product_code TEXT NOT NULL,
-            activated_at TEXT NOT NULL,
-            last_check_at TEXT NOT NULL,
-            is_revoked INTEGER DEFAULT 0,
-            revoked_at TEXT,
-            revoked_reason TEXT,
-            created_at TEXT DEFAULT (datetime('now')),
-            updated_at TEXT DEFAULT (datetime('now')),
-            UNIQUE(hardware_id, product_code)
-        );
-    `);
-
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS admin_users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT NOT NULL UNIQUE,
-            password_hash TEXT NOT NULL,
-            role TEXT DEFAULT 'admin',
-            is_active INTEGER DEFAULT 1,
-            created_at TEXT DEFAULT (datetime('now')),
-            last_login_at TEXT
-        );
-    `);
-
-    // Indexes for better query performance
-    db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_generated_keys_product 
-        ON generated_keys(product_code);
-        
-        CREATE INDEX IF NOT EXISTS idx_generated_keys_used 
-        ON generated_keys(is_used);
-        
-        CREATE INDEX IF NOT EXISTS idx_active_licenses_hardware 
-        ON active_licenses(hardware_id);
-        
-        CREATE INDEX IF NOT EXISTS idx_active_licenses_product 
-        ON active_licenses(product_code);
-        
-        CREATE INDEX IF NOT EXISTS idx_active_licenses_revoked 
-        ON active_licenses(is_revoked);
-
-        CREATE INDEX IF NOT EXISTS idx_admin_users_username
-        ON admin_users(username);
-    `);
+    migrateUp(db);
 
     console.log('[DB] Database initialized successfully');
 }
@@ -1,18 +1,30 @@
 /**
  * Admin Authentication Middleware
  * 
- * Priority:
- * 1. Cek username+password di database admin_users
- * 2. Fallback ke ADMIN_PASSWORD env var (backward compatibility)
+ * Requests carry the session token from /api/admin/login:
+ *   Authorization: Bearer <token>
+ * Tokens expire (ADMIN_SESSION_TTL_HOURS) and can be revoked via logout.
+ * 
+ * Roles (each includes the ones before it):
+ * - viewer     : read-only
+ * - operator   : generate keys, revoke / reactivate / renew, offline activation
+ * - superadmin : delete keys & licenses, manage admin users and sessions
  */
 
-const crypto = require('crypto');
+const { verifySession } = require('../services/admin-session');
+
+const ROLES = ['viewer', 'operator', 'superadmin'];
 
-function hashPassword(password) {
-    return crypto
-        .createHmac('sha256', process.env.ADMIN_SECRET || 'eyesee-admin-secret-2024')
-        .update(password)
-        .digest('hex');
+/**
+ * Akun lama dibuat dengan role 'admin' (default kolom) = akses penuh
+ */
+function normalizeRole(role) {
+    if (role === 'admin') return 'superadmin';
+    return ROLES.includes(role) ? role : 'viewer';
+}
+
+function hasRole(user, minRole) {
+    return ROLES.indexOf(normalizeRole(user?.role)) >= ROLES.indexOf(minRole);
 }
 
 function adminAuth(req, res, next) {
@@ -33,41 +45,32 @@ function adminAuth(req, res, next) {
         });
     }
 
-    const token = parts[1];
-    const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-
-    // Coba validasi via database dulu
-    try {
-        const { adminUsersRepo } = require('../database/db');
+    const session = verifySession(parts[1]);
 
-        // Token format: "username:password"
-        if (token.includes(':')) {
-            const colonIdx = token.indexOf(':');
-            const username = token.substring(0, colonIdx);
-            const password = token.substring(colonIdx + 1);
-
-            const user = adminUsersRepo.findByUsername(username);
-            if (user && user.password_hash === hashPassword(password)) {
-                adminUsersRepo.updateLastLogin(username);
-                req.adminUser = { id: user.id, username: user.username, role: user.role };
-                return next();
-            }
-            return res.status(403).json({ success: false, error: 'Username atau password salah' });
-        }
-    } catch (err) {
-        // DB belum ready, fallback ke env var
-    }
-
-    // Fallback: token langsung = password (backward compatibility)
-    if (token !== adminPassword) {
-        return res.status(403).json({
+    if (!session) {
+        return res.status(401).json({
             success: false,
-            error: 'Invalid admin password'
+            error: 'Sesi tidak valid atau sudah berakhir. Silakan login kembali.'
         });
     }
 
-    req.adminUser = { username: 'admin', role: 'admin' };
+    req.adminUser = { username: session.username, role: normalizeRole(session.role), sessionId: session.id };
     next();
 }
 
-module.exports = { adminAuth, hashPassword };
+/**
+ * Route guard: require at least minRole (use after adminAuth)
+ */
+function requireRole(minRole) {
+    return (req, res, next) => {
+        if (!hasRole(req.adminUser, minRole)) {
+            return res.status(403).json({
+                success: false,
+                error: `Akses ditolak: memerlukan role ${minRole}`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { adminAuth, requireRole, hasRole, normalizeRole, ROLES };
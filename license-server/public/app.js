@@ -9,35 +9,101 @@
 
 const API_BASE = window.location.origin;
 
-// Ambil token dari localStorage (diset saat login)
+// Ambil token sesi dari localStorage (diset saat login)
 function getToken() {
     return localStorage.getItem('admin_token') || '';
 }
 
-// Jika belum login, redirect ke halaman login
+function clearSession() {
+    localStorage.removeItem('admin_token');
+    localStorage.removeItem('admin_token_expires');
+    localStorage.removeItem('admin_role');
+}
+
+// Role hierarchy (sama dengan server: viewer < operator < superadmin)
+const ROLE_LEVELS = ['viewer', 'operator', 'superadmin'];
+
+function getRole() {
+    return localStorage.getItem('admin_role') || 'viewer';
+}
+
+function can(minRole) {
+    return ROLE_LEVELS.indexOf(getRole()) >= ROLE_LEVELS.indexOf(minRole);
+}
+
+// Sembunyikan elemen dengan data-min-role yang tidak boleh dipakai role ini
+function applyRoleVisibility() {
+    document.querySelectorAll('[data-min-role]').forEach(el => {
+        el.classList.toggle('hidden', !can(el.dataset.minRole));
+    });
+}
+
+// Role bisa berubah di server (mis. sesi lama), ambil ulang lalu render ulang
+async function loadCurrentUser() {
+    try {
+        const response = await apiCall('GET', '/api/admin/me');
+        if (!response) return;
+
+        if (response.role !== getRole()) {
+            localStorage.setItem('admin_role', response.role);
+            applyRoleVisibility();
+            displayGeneratedKeys();
+            displayLicenses();
+        }
+    } catch (error) {
+        console.error('Error loading current user:', error);
+    }
+}
+
+// Jika belum login atau sesi sudah berakhir, redirect ke halaman login
 function checkAuth() {
-    if (!getToken()) {
+    const expiresAt = localStorage.getItem('admin_token_expires');
+    if (!getToken() || (expiresAt && new Date(expiresAt) <= new Date())) {
+        clearSession();
         window.location.href = '/login.html';
         return false;
     }
     return true;
 }
 
-// Logout
-function logout() {
-    localStorage.removeItem('admin_token');
+// Logout: cabut sesi di server, lalu hapus token lokal
+async function logout(all = false) {
+    try {
+        await fetch(`${API_BASE}/api/admin/logout`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getToken()}`
+            },
+            body: JSON.stringify({ all })
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    clearSession();
     window.location.href = '/login.html';
 }
 
 // Store data
 let allGeneratedKeys = [];
 let allLicenses = [];
+let allCustomers = [];
+let allProducts = [];
+let allBatches = [];
+let allWebhooks = [];
+let webhookEvents = [];
+let allBackups = [];
 let stats = null;
+let defaultTransferLimit = null;
+
+// Live leases auto-refresh (heartbeats change every few seconds)
+const LEASES_REFRESH_MS = 15000;
 
 // Pagination state
 const PAGE_SIZE = 10;
 let keysPage = 1;
 let licensesPage = 1;
+let batchesPage = 1;
 
 // ============================================================================
 // Initialize
@@ -45,10 +111,18 @@ let licensesPage = 1;
 
 document.addEventListener('DOMContentLoaded', () => {
     if (!checkAuth()) return;
+    applyRoleVisibility();
+    loadCurrentUser();
     // Load initial data
     refreshAll();
     // Setup form handlers
     document.getElementById('generateForm').addEventListener('submit', handleGenerateKeys);
+    document.getElementById('offlineActivationForm').addEventListener('submit', handleOfflineActivation);
+    document.getElementById('createUserForm').addEventListener('submit', handleCreateUser);
+    document.getElementById('customerForm').addEventListener('submit', handleSaveCustomer);
+    document.getElementById('productForm').addEventListener('submit', handleSaveProduct);
+    document.getElementById('webhookForm').addEventListener('submit', handleSaveWebhook);
+    setInterval(loadLeases, LEASES_REFRESH_MS);
 });
 
 // ============================================================================
@@ -72,9 +146,9 @@ async function apiCall(method, endpoint, body = null) {
         const response = await fetch(`${API_BASE}${endpoint}`, options);
         const data = await response.json();
         
-        // Jika 401/403 → token expired atau salah → redirect ke login
-        if (response.status === 401 || response.status === 403) {
-            localStorage.removeItem('admin_token');
+        // 401 → sesi berakhir / dicabut → redirect ke login
+        if (response.status === 401) {
+            clearSession();
             window.location.href = '/login.html';
             return;
         }
@@ -96,7 +170,8 @@ async function apiCall(method, endpoint, body = null) {
 
 async function loadStats() {
     try {
-        const response = await apiCall('GET', '/api/admin/stats');
+        const customerId = document.getElementById('filterStatsCustomer').value;
+        const response = await apiCall('GET', `/api/admin/stats${customerId ? `?customerId=${customerId}` : ''}`);
         stats = response.stats; // Unwrap stats from the response wrapper
         updateStatsUI();
     } catch (error) {
@@ -109,11 +184,12 @@ async function loadGeneratedKeys() {
     try {
         const response = await apiCall('GET', '/api/admin/generated-keys');
         allGeneratedKeys = response.keys || [];
+        defaultTransferLimit = response.defaultTransferLimit;
         displayGeneratedKeys();
     } catch (error) {
         console.error('Failed to load generated keys:', error);
         document.getElementById('generatedKeysTable').innerHTML = 
-            '<tr><td colspan="5" class="no-data">Gagal memuat data</td></tr>';
+            '<tr><td colspan="8" class="no-data">Gagal memuat data</td></tr>';
     }
 }
 
@@ -131,20 +207,93 @@ async function loadLicenses() {
             last_check_at: l.lastCheckAt,
             is_revoked: l.isRevoked,
             revoked_at: l.revokedAt,
-            revoked_reason: l.revokedReason
+            revoked_reason: l.revokedReason,
+            expires_at: l.expiresAt,
+            activation_mode: l.activationMode,
+            hardware_changed_components: l.hardwareChangedComponents,
+            hardware_changed_at: l.hardwareChangedAt,
+            stale_since: l.staleSince,
+            customer_id: l.customerId
         }));
         displayLicenses();
     } catch (error) {
         console.error('Failed to load licenses:', error);
         document.getElementById('licensesTable').innerHTML = 
-            '<tr><td colspan="8" class="no-data">Gagal memuat data</td></tr>';
+            '<tr><td colspan="9" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+async function loadLeases() {
+    try {
+        const response = await apiCall('GET', '/api/admin/leases');
+        displayLeases(response.leases || [], response.seatCounts || {});
+    } catch (error) {
+        console.error('Failed to load leases:', error);
+        document.getElementById('leasesTable').innerHTML = 
+            '<tr><td colspan="7" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+async function loadCustomers() {
+    try {
+        const response = await apiCall('GET', '/api/admin/customers');
+        allCustomers = response.customers || [];
+        updateCustomerSelects();
+        displayCustomers();
+        // Nama customer di tabel key & lisensi (jika datanya sudah dimuat)
+        if (allGeneratedKeys.length > 0) displayGeneratedKeys();
+        if (allLicenses.length > 0) displayLicenses();
+    } catch (error) {
+        console.error('Failed to load customers:', error);
+        document.getElementById('customersTable').innerHTML = 
+            '<tr><td colspan="5" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+async function loadProducts() {
+    try {
+        const response = await apiCall('GET', '/api/admin/products');
+        allProducts = response.products || [];
+        updateProductSelects();
+        displayProducts();
+    } catch (error) {
+        console.error('Failed to load products:', error);
+        document.getElementById('productsTable').innerHTML = 
+            '<tr><td colspan="7" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+async function loadBatches() {
+    try {
+        const response = await apiCall('GET', '/api/admin/batches');
+        allBatches = response.batches || [];
+        updateBatchFilter();
+        displayBatches();
+    } catch (error) {
+        console.error('Failed to load batches:', error);
+        document.getElementById('batchesTable').innerHTML = 
+            '<tr><td colspan="6" class="no-data">Gagal memuat data</td></tr>';
     }
 }
 
 function refreshAll() {
+    loadProducts();
+    loadCustomers();
+    loadBatches();
     loadStats();
+    loadAnalytics();
     loadGeneratedKeys();
     loadLicenses();
+    loadLeases();
+    loadStaleDevices();
+    if (can('operator')) {
+        loadBlockedSources();
+    }
+    if (can('superadmin')) {
+        loadWebhooks();
+        loadWebhookDeliveries();
+        loadBackups();
+    }
 }
 
 // ============================================================================
@@ -168,7 +317,7 @@ function displayGeneratedKeys() {
     const tbody = document.getElementById('generatedKeysTable');
     
     if (allGeneratedKeys.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" class="no-data">Tidak ada data</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="8" class="no-data">Tidak ada data</td></tr>';
         renderPagination('keysPagination', 0, keysPage, () => {});
         return;
     }
@@ -176,7 +325,7 @@ function displayGeneratedKeys() {
     const filtered = filterKeys();
     
     if (filtered.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" class="no-data">Tidak ada hasil</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="8" class="no-data">Tidak ada hasil</td></tr>';
         renderPagination('keysPagination', 0, keysPage, () => {});
         return;
     }
@@ -188,7 +337,10 @@ function displayGeneratedKeys() {
 
     tbody.innerHTML = paged.map(key => `
         <tr>
-            <td class="license-key-cell">${key.license_key}</td>
+            <td class="license-key-cell">
+                ${key.license_key}
+                ${formatCustomerBadge(key.customer_id)}
+            </td>
             <td>
                 <span class="badge badge-gray">${key.product_code}</span>
             </td>
@@ -200,10 +352,30 @@ function displayGeneratedKeys() {
             <td class="text-small text-muted">
                 ${formatDate(key.generated_at)}
             </td>
+            <td class="text-small text-muted">
+                ${formatKeyExpiry(key)}
+            </td>
+            <td class="text-small text-muted">
+                ${key.license_type === 'floating'
+                    ? `<span class="badge badge-gray">Floating</span> ${key.seat_count} concurrent`
+                    : `${key.seats_used}/${key.seat_count}`}
+            </td>
+            <td class="text-small text-muted">
+                ${key.transfer_count || 0}/${key.transfer_limit ?? defaultTransferLimit}
+            </td>
             <td>
-                <button class="btn-secondary btn-sm" onclick="copyToClipboard('${key.license_key}', this)">
-                    Copy
-                </button>
+                <div class="action-buttons">
+                    <button class="btn-secondary btn-sm" onclick="copyToClipboard('${key.license_key}', this)">
+                        Copy
+                    </button>
+                    ${key.seats_used > 0
+                        ? `<button class="btn-secondary btn-sm" onclick="showKeyDevices('${key.license_key}')" style="margin-left: 5px;">Devices</button>`
+                        : ''}
+                    <button class="btn-secondary btn-sm" onclick="showLicenseTimeline('${key.license_key}')" style="margin-left: 5px;">History</button>
+                    ${can('operator')
+                        ? `<button class="btn-secondary btn-sm" onclick="openAssignCustomer({ licenseKey: '${key.license_key}' })" style="margin-left: 5px;">Customer</button>`
+                        : ''}
+                </div>
             </td>
         </tr>
     `).join('');
@@ -218,7 +390,7 @@ function displayLicenses() {
     const tbody = document.getElementById('licensesTable');
     
     if (allLicenses.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="8" class="no-data">Tidak ada lisensi aktif</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="9" class="no-data">Tidak ada lisensi aktif</td></tr>';
         renderPagination('licensesPagination', 0, licensesPage, () => {});
         return;
     }
@@ -226,7 +398,7 @@ function displayLicenses() {
     const filtered = filterLicenseList();
     
     if (filtered.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="8" class="no-data">Tidak ada hasil</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="9" class="no-data">Tidak ada hasil</td></tr>';
         renderPagination('licensesPagination', 0, licensesPage, () => {});
         return;
     }
@@ -238,8 +410,14 @@ function displayLicenses() {
 
     tbody.innerHTML = paged.map(license => `
         <tr>
-            <td class="hardware-id-cell">${license.hardware_id.substring(0, 35)}</td>
-            <td>${license.device_name || '-'}</td>
+            <td class="hardware-id-cell">
+                ${license.hardware_id.substring(0, 35)}
+                ${formatHardwareChange(license.hardware_changed_components, license.hardware_changed_at)}
+            </td>
+            <td>
+                ${license.device_name || '-'}
+                ${formatCustomerBadge(license.customer_id)}
+            </td>
             <td>
                 <span class="badge badge-gray">${license.product_code}</span>
             </td>
@@ -250,18 +428,34 @@ function displayLicenses() {
             <td class="text-small text-muted">
                 ${formatDate(license.last_check_at)}
             </td>
+            <td class="text-small text-muted">
+                ${license.expires_at ? formatDate(license.expires_at) : 'Tanpa batas'}
+            </td>
             <td>
                 ${license.is_revoked 
                     ? '<span class="badge badge-danger">Revoked</span>' 
-                    : '<span class="badge badge-success">Active</span>'}
+                    : isLicenseExpired(license)
+                        ? '<span class="badge badge-warning">Expired</span>'
+                        : '<span class="badge badge-success">Active</span>'}
+                ${license.activation_mode === 'offline' ? '<span class="badge badge-gray">Offline</span>' : ''}
+                ${license.stale_since ? '<span class="badge badge-warning">Stale</span>' : ''}
             </td>
             <td>
                 <div class="action-buttons">
-                    ${license.is_revoked 
+                    ${!can('operator') ? '' : license.is_revoked 
                         ? `<button class="btn-success btn-sm" onclick="reactivateLicense('${license.hardware_id}')">Reactivate</button>`
                         : `<button class="btn-danger btn-sm" onclick="revokeLicense('${license.hardware_id}')">Revoke</button>`
                     }
-                    <button class="btn-secondary btn-sm" onclick="deleteLicense('${license.hardware_id}', '${license.product_code}')" style="margin-left: 5px;">🗑️ Delete</button>
+                    ${can('operator')
+                        ? `<button class="btn-primary btn-sm" onclick="renewLicense('${license.hardware_id}', '${license.product_code}')" style="margin-left: 5px;">Renew</button>`
+                        : ''}
+                    <button class="btn-secondary btn-sm" onclick="showLicenseTimeline('${license.license_key}')" style="margin-left: 5px;">History</button>
+                    ${can('operator')
+                        ? `<button class="btn-secondary btn-sm" onclick="openAssignCustomer({ hardwareId: '${license.hardware_id}', productCode: '${license.product_code}' })" style="margin-left: 5px;">Customer</button>`
+                        : ''}
+                    ${can('superadmin')
+                        ? `<button class="btn-secondary btn-sm" onclick="deleteLicense('${license.hardware_id}', '${license.product_code}')" style="margin-left: 5px;">🗑️ Delete</button>`
+                        : ''}
                 </div>
             </td>
         </tr>
@@ -273,6 +467,37 @@ function displayLicenses() {
     });
 }
 
+function displayLeases(leases, seatCounts) {
+    const tbody = document.getElementById('leasesTable');
+
+    if (leases.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="no-data">Tidak ada lease aktif</td></tr>';
+        return;
+    }
+
+    // Jumlah lease per key untuk kolom "n/seat"
+    const inUse = {};
+    leases.forEach(l => { inUse[l.licenseKey] = (inUse[l.licenseKey] || 0) + 1; });
+
+    tbody.innerHTML = leases.map(lease => `
+        <tr>
+            <td class="license-key-cell">
+                ${lease.licenseKey}
+                <span class="text-small text-muted">(${inUse[lease.licenseKey]}/${seatCounts[lease.licenseKey] || '-'})</span>
+            </td>
+            <td>${lease.deviceName || '-'}</td>
+            <td class="hardware-id-cell">${lease.hardwareId.substring(0, 20)}</td>
+            <td class="text-small text-muted">${lease.ipAddress || '-'}</td>
+            <td class="text-small text-muted">${formatDate(lease.checkedOutAt)}</td>
+            <td class="text-small text-muted">${formatDate(lease.lastHeartbeatAt)}</td>
+            <td>
+                ${can('operator')
+                    ? `<button class="btn-danger btn-sm" onclick="forceReleaseLease('${lease.leaseId}')">Release</button>`
+                    : '-'}
+            </td>
+        </tr>
+    `).join('');
+}
 
 // ============================================================================
 // Filter Functions
@@ -281,27 +506,40 @@ function displayLicenses() {
 function filterKeys() {
     const productFilter = document.getElementById('filterProduct').value;
     const searchTerm = document.getElementById('searchKey').value.toLowerCase();
+    const customerFilter = document.getElementById('filterKeyCustomer').value;
+    const batchFilter = document.getElementById('filterKeyBatch').value;
 
     return allGeneratedKeys.filter(key => {
         const matchProduct = !productFilter || key.product_code === productFilter;
         const matchSearch = !searchTerm || key.license_key.toLowerCase().includes(searchTerm);
-        return matchProduct && matchSearch;
+        const matchBatch = !batchFilter ||
+            (batchFilter === 'none' ? !key.batch_id : key.batch_id === parseInt(batchFilter));
+        return matchProduct && matchSearch && matchBatch && matchesCustomer(key.customer_id, customerFilter);
     });
 }
 
 function filterLicenseList() {
     const productFilter = document.getElementById('filterLicenseProduct').value;
     const statusFilter = document.getElementById('filterStatus').value;
+    const customerFilter = document.getElementById('filterLicenseCustomer').value;
 
     return allLicenses.filter(license => {
         const matchProduct = !productFilter || license.product_code === productFilter;
         const matchStatus = !statusFilter || 
-            (statusFilter === 'active' && !license.is_revoked) ||
-            (statusFilter === 'revoked' && license.is_revoked);
-        return matchProduct && matchStatus;
+            (statusFilter === 'active' && !license.is_revoked && !isLicenseExpired(license)) ||
+            (statusFilter === 'revoked' && license.is_revoked) ||
+            (statusFilter === 'expired' && !license.is_revoked && isLicenseExpired(license));
+        return matchProduct && matchStatus && matchesCustomer(license.customer_id, customerFilter);
     });
 }
 
+// Filter value: '' = semua, 'none' = tanpa customer, selain itu id customer
+function matchesCustomer(customerId, filter) {
+    if (!filter) return true;
+    if (filter === 'none') return !customerId;
+    return customerId === parseInt(filter);
+}
+
 function filterGeneratedKeys() {
     keysPage = 1; // reset ke halaman 1 saat filter berubah
     displayGeneratedKeys();
@@ -368,6 +606,14 @@ async function handleGenerateKeys(e) {
 
     const productCode = document.getElementById('productCode').value;
     const quantity = parseInt(document.getElementById('quantity').value);
+    const expiresAt = document.getElementById('expiresAt').value || null;
+    const termDays = document.getElementById('termDays').value || null;
+    const transferLimit = document.getElementById('transferLimit').value || null;
+    const seatCount = parseInt(document.getElementById('seatCount').value) || 1;
+    const licenseType = document.getElementById('licenseType').value;
+    const customerId = document.getElementById('generateCustomer').value || null;
+    const batchName = document.getElementById('batchName').value;
+    const purpose = document.getElementById('batchPurpose').value;
     const resultDiv = document.getElementById('generateResult');
 
     if (!productCode || quantity < 1) {
@@ -383,7 +629,15 @@ async function handleGenerateKeys(e) {
 
         const response = await apiCall('POST', '/api/admin/generate-keys', {
             productCode,
-            count: quantity  // server expects 'count', not 'quantity'
+            count: quantity,  // server expects 'count', not 'quantity'
+            expiresAt,
+            termDays,
+            transferLimit,
+            seatCount,
+            licenseType,
+            customerId,
+            batchName,
+            purpose
         });
 
         // Show result
@@ -394,12 +648,15 @@ async function handleGenerateKeys(e) {
             <h4 style="margin-bottom: 1rem; color: var(--success-700);">
                 ✅ Berhasil generate ${response.keys.length} license keys
             </h4>
+            <p class="text-small text-muted">Batch #${response.batch.id}: ${escapeHtml(response.batch.name)}</p>
             ${keyStrings.map(key => `
                 <div class="key-item">${key}</div>
             `).join('')}
             <button class="btn-secondary btn-sm mt-2" onclick="copyAllGeneratedKeys(${JSON.stringify(keyStrings).replace(/"/g, '&quot;')})">
                 Copy All
             </button>
+            <button class="btn-secondary btn-sm mt-2" onclick="downloadBatchExport(${response.batch.id}, 'csv')">CSV</button>
+            <button class="btn-secondary btn-sm mt-2" onclick="printDeliverySheet(${response.batch.id})">Delivery Sheet</button>
         `;
         resultDiv.classList.remove('hidden');
 
@@ -424,6 +681,52 @@ async function handleGenerateKeys(e) {
 // License Actions
 // ============================================================================
 
+async function handleOfflineActivation(e) {
+    e.preventDefault();
+
+    const fileInput = document.getElementById('activationRequestFile');
+    const resultDiv = document.getElementById('offlineActivationResult');
+    const file = fileInput.files[0];
+
+    if (!file) {
+        alert('Pilih file request aktivasi terlebih dahulu');
+        return;
+    }
+
+    let request;
+    try {
+        request = JSON.parse(await file.text());
+    } catch (error) {
+        alert('File request tidak dapat dibaca');
+        return;
+    }
+
+    try {
+        const response = await apiCall('POST', '/api/admin/offline-activate', request);
+        const activation = response.response;
+        const fileName = `${activation.productCode}-${activation.hardwareId.substring(0, 8)}.licres`;
+
+        downloadFile(fileName, JSON.stringify(activation, null, 2));
+
+        resultDiv.innerHTML = `
+            <h4 style="margin-bottom: 1rem; color: var(--success-700);">
+                ✅ ${response.alreadyActive ? 'Response diterbitkan ulang' : 'Lisensi diaktifkan'} – ${fileName}
+            </h4>
+            <div class="key-item">${activation.licenseKey}</div>
+            <p class="text-small text-muted">
+                Hardware ID: ${activation.hardwareId}<br>
+                Berlaku: ${activation.expiresAt ? formatDate(activation.expiresAt) : 'Tanpa batas'}
+            </p>
+        `;
+        resultDiv.classList.remove('hidden');
+
+        e.target.reset();
+        refreshAll();
+    } catch (error) {
+        alert('Gagal memproses request: ' + error.message);
+    }
+}
+
 async function revokeLicense(hardwareId) {
     const reason = prompt('Alasan revoke (opsional):') || 'Revoked by admin';
     
@@ -457,6 +760,23 @@ async function reactivateLicense(hardwareId) {
     }
 }
 
+async function renewLicense(hardwareId, productCode) {
+    const input = prompt('Perpanjang berapa hari? (atau isi tanggal akhir YYYY-MM-DD)', '365');
+    if (!input) return;
+
+    const body = /^\d{4}-\d{2}-\d{2}$/.test(input.trim())
+        ? { hardwareId, productCode, expiresAt: input.trim() }
+        : { hardwareId, productCode, termDays: parseInt(input) };
+
+    try {
+        const response = await apiCall('POST', '/api/admin/renew', body);
+        alert(`Lisensi diperpanjang sampai ${formatDate(response.license.expiresAt)}`);
+        refreshAll();
+    } catch (error) {
+        alert('Gagal perpanjang lisensi: ' + error.message);
+    }
+}
+
 async function deleteLicense(hardwareId, productCode) {
     // Find the specific license by hardwareId + productCode
     const license = allLicenses.find(l => l.hardware_id === hardwareId && l.product_code === productCode);
@@ -500,6 +820,32 @@ function formatDate(dateString) {
     });
 }
 
+function isLicenseExpired(license) {
+    return Boolean(license.expires_at) && new Date(license.expires_at) < new Date();
+}
+
+const HARDWARE_COMPONENT_LABELS = {
+    machineId: 'Machine ID',
+    cpu: 'CPU',
+    hostname: 'Hostname',
+    memory: 'RAM'
+};
+
+// Badge komponen hardware yang berubah sejak aktivasi (binding diperbarui otomatis)
+function formatHardwareChange(changedComponents, changedAt) {
+    if (!changedComponents || changedComponents.length === 0) return '';
+
+    const labels = changedComponents.map(name => HARDWARE_COMPONENT_LABELS[name] || name).join(', ');
+    return `<br><span class="badge badge-warning" title="Binding diperbarui ${formatDate(changedAt)}">HW berubah: ${labels}</span>`;
+}
+
+function formatKeyExpiry(key) {
+    if (key.term_days && key.expires_at) return `${key.term_days} hari (maks. ${formatDate(key.expires_at)})`;
+    if (key.term_days) return `${key.term_days} hari`;
+    if (key.expires_at) return formatDate(key.expires_at);
+    return 'Tanpa batas';
+}
+
 function copyToClipboard(text, btnEl) {
     navigator.clipboard.writeText(text).then(() => {
         // Visual feedback hanya jika ada button yang diklik
@@ -520,6 +866,15 @@ function copyToClipboard(text, btnEl) {
     });
 }
 
+function downloadFile(fileName, content) {
+    const blob = new Blob([content], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
 function copyAllGeneratedKeys(keys) {
     const text = keys.join('\n');
     copyToClipboard(text, null);
@@ -536,3 +891,1740 @@ function showError(message) {
 function closeModal() {
     document.getElementById('modal').classList.add('hidden');
 }
+
+async function showKeyDevices(licenseKey) {
+    try {
+        const response = await apiCall('GET', `/api/admin/generated-keys/${encodeURIComponent(licenseKey)}/devices`);
+
+        document.getElementById('devicesModalTitle').textContent =
+            `${licenseKey} — ${response.seatsUsed}/${response.seatCount} seats`;
+
+        document.getElementById('devicesModalBody').innerHTML = response.devices.length === 0
+            ? '<p class="no-data">Belum ada perangkat</p>'
+            : `
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Hardware ID</th>
+                            <th>Device Name</th>
+                            <th>Activated</th>
+                            <th>Last Check</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${response.devices.map(device => `
+                            <tr>
+                                <td class="hardware-id-cell">
+                                    ${device.hardwareId.substring(0, 20)}
+                                    ${formatHardwareChange(device.hardwareChangedComponents, device.hardwareChangedAt)}
+                                </td>
+                                <td>${device.deviceName || '-'}</td>
+                                <td class="text-small text-muted">${formatDate(device.activatedAt)}</td>
+                                <td class="text-small text-muted">${formatDate(device.lastCheckAt)}</td>
+                                <td>
+                                    ${can('superadmin')
+                                        ? `<button class="btn-danger btn-sm" onclick="releaseSeat('${licenseKey}', '${device.hardwareId}', '${device.productCode}')">Release</button>`
+                                        : '-'}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        document.getElementById('devicesModal').classList.remove('hidden');
+    } catch (error) {
+        showError('Gagal memuat perangkat: ' + error.message);
+    }
+}
+
+async function releaseSeat(licenseKey, hardwareId, productCode) {
+    if (!confirm(`Lepas seat untuk perangkat ${hardwareId.substring(0, 16)}...?\n\nPerangkat lain yang memakai key ini tidak terpengaruh.`)) {
+        return;
+    }
+
+    try {
+        await apiCall('DELETE', `/api/admin/licenses/${hardwareId}/${productCode}`);
+        await showKeyDevices(licenseKey);
+        refreshAll();
+    } catch (error) {
+        showError('Gagal melepas seat: ' + error.message);
+    }
+}
+
+async function forceReleaseLease(leaseId) {
+    if (!confirm('Lepas lease ini? Client yang memegangnya akan diminta checkout ulang.')) {
+        return;
+    }
+
+    try {
+        await apiCall('DELETE', `/api/admin/leases/${leaseId}`);
+        loadLeases();
+    } catch (error) {
+        showError('Gagal melepas lease: ' + error.message);
+    }
+}
+
+function closeDevicesModal() {
+    document.getElementById('devicesModal').classList.add('hidden');
+}
+
+// ============================================================================
+// Stale Devices
+// ============================================================================
+
+async function loadStaleDevices() {
+    const productCode = document.getElementById('filterStaleProduct').value;
+
+    try {
+        const response = await apiCall('GET', `/api/admin/stale-devices${productCode ? `?productCode=${productCode}` : ''}`);
+        document.getElementById('staleInfo').textContent = `Tanpa check-in ≥ ${response.staleAfterDays} hari`;
+        displayStaleDevices(response.devices || []);
+    } catch (error) {
+        console.error('Failed to load stale devices:', error);
+        document.getElementById('staleDevicesTable').innerHTML = 
+            '<tr><td colspan="8" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+function displayStaleDevices(devices) {
+    const tbody = document.getElementById('staleDevicesTable');
+
+    if (devices.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="no-data">Tidak ada perangkat stale</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = devices.map(device => `
+        <tr>
+            <td class="hardware-id-cell">${escapeHtml(device.hardwareId.substring(0, 35))}</td>
+            <td>
+                ${escapeHtml(device.deviceName || '-')}
+                ${formatCustomerBadge(device.customerId)}
+            </td>
+            <td><span class="badge badge-gray">${escapeHtml(device.productCode)}</span></td>
+            <td class="license-key-cell">${escapeHtml(device.licenseKey)}</td>
+            <td class="text-small text-muted">
+                ${formatDate(device.lastCheckAt)}
+                <br>${device.daysSinceCheck} hari lalu
+            </td>
+            <td class="text-small text-muted">${formatDate(device.staleSince)}</td>
+            <td class="text-small text-muted">${device.autoReleaseAt ? formatDate(device.autoReleaseAt) : 'Tidak'}</td>
+            <td>
+                ${can('superadmin')
+                    ? `<button class="btn-danger btn-sm" onclick="deleteLicense('${escapeHtml(device.hardwareId)}', '${escapeHtml(device.productCode)}')">Release</button>`
+                    : '-'}
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function runStaleCheck() {
+    try {
+        const response = await apiCall('POST', '/api/admin/stale-devices/check');
+        alert(`Pengecekan selesai: ${response.flagged} perangkat baru ditandai stale, ${response.released} seat dilepas otomatis.`);
+        refreshAll();
+    } catch (error) {
+        showError('Gagal menjalankan pengecekan: ' + error.message);
+    }
+}
+
+// ============================================================================
+// Usage Analytics
+// ============================================================================
+
+const ANALYTICS_CHARTS = [
+    { field: 'activations', label: 'Activations' },
+    { field: 'validations', label: 'Validations' },
+    { field: 'revocations', label: 'Revocations' },
+    { field: 'activeDevices', label: 'Active Devices' }
+];
+
+function analyticsQuery() {
+    const params = new URLSearchParams();
+    const from = document.getElementById('analyticsFrom').value;
+    const to = document.getElementById('analyticsTo').value;
+    const product = document.getElementById('analyticsProduct').value;
+
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (product) params.set('product', product);
+    return params;
+}
+
+async function loadAnalytics() {
+    try {
+        const response = await apiCall('GET', `/api/admin/analytics?${analyticsQuery()}`);
+        // Isi date picker dengan rentang default dari server
+        document.getElementById('analyticsFrom').value = response.from;
+        document.getElementById('analyticsTo').value = response.to;
+        displayAnalytics(response);
+    } catch (error) {
+        console.error('Failed to load analytics:', error);
+        document.getElementById('analyticsCharts').innerHTML = 
+            `<div class="no-data">Gagal memuat analytics: ${escapeHtml(error.message)}</div>`;
+        document.getElementById('analyticsTable').innerHTML = 
+            '<tr><td colspan="5" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+// Bar chart sederhana (SVG), satu bar per hari
+function renderUsageChart(points, chart) {
+    const width = 600;
+    const height = 140;
+    const peak = Math.max(0, ...points.map(p => p[chart.field]));
+    const max = Math.max(peak, 1);
+    const barWidth = width / points.length;
+    const total = points.reduce((sum, p) => sum + p[chart.field], 0);
+
+    const bars = points.map((p, i) => {
+        const barHeight = (p[chart.field] / max) * (height - 10);
+        return `<rect x="${(i * barWidth).toFixed(2)}" y="${(height - barHeight).toFixed(2)}"
+            width="${Math.max(barWidth - 1, 1).toFixed(2)}" height="${barHeight.toFixed(2)}">
+            <title>${p.day}: ${p[chart.field]}</title></rect>`;
+    }).join('');
+
+    return `
+        <div class="analytics-chart">
+            <div class="analytics-chart-header">
+                <span>${chart.label}</span>
+                <span class="text-small text-muted">${chart.field === 'activeDevices' ? `puncak ${peak}` : `total ${total}`}</span>
+            </div>
+            <svg class="analytics-bars-${chart.field}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bars}</svg>
+            <div class="analytics-chart-axis text-small text-muted">
+                <span>${points[0]?.day || ''}</span>
+                <span>${points[points.length - 1]?.day || ''}</span>
+            </div>
+        </div>
+    `;
+}
+
+function displayAnalytics(data) {
+    document.getElementById('analyticsCharts').innerHTML =
+        ANALYTICS_CHARTS.map(chart => renderUsageChart(data.total, chart)).join('');
+
+    const tbody = document.getElementById('analyticsTable');
+    const products = Object.entries(data.byProduct);
+
+    if (products.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="no-data">Belum ada aktivitas pada rentang ini</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = products.map(([code, points]) => `
+        <tr>
+            <td><span class="badge badge-gray">${escapeHtml(code)}</span></td>
+            <td>${points.reduce((sum, p) => sum + p.activations, 0)}</td>
+            <td>${points.reduce((sum, p) => sum + p.validations, 0)}</td>
+            <td>${points.reduce((sum, p) => sum + p.revocations, 0)}</td>
+            <td>${Math.max(0, ...points.map(p => p.activeDevices))}</td>
+        </tr>
+    `).join('');
+}
+
+async function downloadAnalyticsCsv() {
+    const params = analyticsQuery();
+    params.set('format', 'csv');
+
+    try {
+        await downloadWithAuth(`/api/admin/analytics?${params}`, 'analytics.csv');
+    } catch (error) {
+        showError('Gagal export analytics: ' + error.message);
+    }
+}
+
+// ============================================================================
+// Blocked Sources
+// ============================================================================
+
+const BLOCK_REASON_LABELS = {
+    key_enumeration: 'Enumerasi license key'
+};
+
+async function loadBlockedSources() {
+    try {
+        const response = await apiCall('GET', '/api/admin/blocked-sources');
+        displayBlockedSources(response.sources || []);
+    } catch (error) {
+        console.error('Failed to load blocked sources:', error);
+        document.getElementById('blockedSourcesTable').innerHTML = 
+            '<tr><td colspan="6" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+function displayBlockedSources(sources) {
+    const tbody = document.getElementById('blockedSourcesTable');
+
+    if (sources.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="no-data">Tidak ada sumber yang diblokir</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = sources.map(source => `
+        <tr>
+            <td>${escapeHtml(source.ip)}</td>
+            <td>${BLOCK_REASON_LABELS[source.reason] || escapeHtml(source.reason)}
+                <span class="text-small text-muted">${escapeHtml(source.path || '')}</span></td>
+            <td>${source.misses}</td>
+            <td class="text-small text-muted">${formatDate(source.blockedAt)}</td>
+            <td class="text-small text-muted">${formatDate(source.blockedUntil)}</td>
+            <td>
+                <button class="btn-secondary btn-sm" onclick="unblockSource('${escapeHtml(source.ip)}')">Unblock</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function unblockSource(ip) {
+    if (!confirm(`Buka blokir ${ip}?`)) {
+        return;
+    }
+
+    try {
+        await apiCall('DELETE', `/api/admin/blocked-sources/${encodeURIComponent(ip)}`);
+        loadBlockedSources();
+    } catch (error) {
+        showError('Gagal membuka blokir: ' + error.message);
+    }
+}
+
+// ============================================================================
+// Admin Sessions
+// ============================================================================
+
+async function showSessions() {
+    try {
+        const response = await apiCall('GET', '/api/admin/sessions');
+
+        document.getElementById('sessionsModalBody').innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>User</th>
+                        <th>IP / Browser</th>
+                        <th>Last Used</th>
+                        <th>Expires</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${response.sessions.map(session => `
+                        <tr>
+                            <td>${escapeHtml(session.username)}</td>
+                            <td class="text-small text-muted" title="${escapeHtml(session.userAgent)}">${escapeHtml(session.ipAddress || '-')}</td>
+                            <td class="text-small text-muted">${formatDate(session.lastUsedAt)}</td>
+                            <td class="text-small text-muted">${formatDate(session.expiresAt)}</td>
+                            <td>
+                                ${session.current
+                                    ? '<span class="badge badge-success">Sesi ini</span>'
+                                    : `<button class="btn-danger btn-sm" onclick="revokeSession(${session.id})">Revoke</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('sessionsModal').classList.remove('hidden');
+    } catch (error) {
+        showError('Gagal memuat sesi: ' + error.message);
+    }
+}
+
+async function revokeSession(sessionId) {
+    if (!confirm('Cabut sesi ini? Perangkat tersebut harus login ulang.')) {
+        return;
+    }
+
+    try {
+        await apiCall('DELETE', `/api/admin/sessions/${sessionId}`);
+        await showSessions();
+    } catch (error) {
+        showError('Gagal mencabut sesi: ' + error.message);
+    }
+}
+
+function closeSessionsModal() {
+    document.getElementById('sessionsModal').classList.add('hidden');
+}
+
+// ============================================================================
+// Key Batches
+// ============================================================================
+
+function updateBatchFilter() {
+    const select = document.getElementById('filterKeyBatch');
+    const current = select.value;
+
+    select.innerHTML = `
+        <option value="">Semua batch</option>
+        <option value="none">Tanpa batch</option>
+        ${allBatches.map(b => `<option value="${b.id}">#${b.id} ${escapeHtml(b.name)}</option>`).join('')}
+    `;
+    select.value = current;
+}
+
+function displayBatches() {
+    const tbody = document.getElementById('batchesTable');
+
+    if (allBatches.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="no-data">Belum ada batch</td></tr>';
+        renderPagination('batchesPagination', 0, batchesPage, () => {});
+        return;
+    }
+
+    const totalPages = Math.ceil(allBatches.length / PAGE_SIZE);
+    if (batchesPage > totalPages) batchesPage = totalPages;
+    const start = (batchesPage - 1) * PAGE_SIZE;
+    const paged = allBatches.slice(start, start + PAGE_SIZE);
+
+    tbody.innerHTML = paged.map(batch => `
+        <tr>
+            <td>
+                <strong>#${batch.id} ${escapeHtml(batch.name)}</strong>
+                ${batch.purpose ? `<div class="text-small text-muted">${escapeHtml(batch.purpose)}</div>` : ''}
+            </td>
+            <td><span class="badge badge-gray">${batch.productCode}</span></td>
+            <td>${escapeHtml(batch.customerName || '-')}</td>
+            <td>${batch.usedCount}/${batch.keyCount}</td>
+            <td class="text-small text-muted">
+                ${formatDate(batch.createdAt)}
+                ${batch.createdBy ? `<div>${escapeHtml(batch.createdBy)}</div>` : ''}
+            </td>
+            <td>
+                <div class="action-buttons">
+                    <button class="btn-secondary btn-sm" onclick="showBatchKeys(${batch.id})">Keys</button>
+                    <button class="btn-secondary btn-sm" onclick="downloadBatchExport(${batch.id}, 'csv')" style="margin-left: 5px;">CSV</button>
+                    <button class="btn-secondary btn-sm" onclick="downloadBatchExport(${batch.id}, 'json')" style="margin-left: 5px;">JSON</button>
+                    <button class="btn-primary btn-sm" onclick="printDeliverySheet(${batch.id})" style="margin-left: 5px;">🖨️ Sheet</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+
+    renderPagination('batchesPagination', allBatches.length, batchesPage, (p) => {
+        batchesPage = p;
+        displayBatches();
+    });
+}
+
+// Tampilkan key batch ini di tabel Generated Keys
+function showBatchKeys(batchId) {
+    document.getElementById('filterKeyBatch').value = String(batchId);
+    filterGeneratedKeys();
+    document.querySelector('.keys-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Download lewat fetch karena endpoint butuh header Authorization
+async function downloadWithAuth(endpoint, fallbackFileName) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        headers: { 'Authorization': `Bearer ${getToken()}` }
+    });
+
+    if (response.status === 401) {
+        clearSession();
+        window.location.href = '/login.html';
+        return;
+    }
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || fallbackFileName;
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+async function downloadBatchExport(batchId, format) {
+    try {
+        await downloadWithAuth(`/api/admin/batches/${batchId}/export?format=${format}`, `batch-${batchId}.${format}`);
+    } catch (error) {
+        showError('Gagal export batch: ' + error.message);
+    }
+}
+
+// Lembar serah terima key untuk customer (dicetak dari jendela baru)
+async function printDeliverySheet(batchId) {
+    const sheet = window.open('', '_blank');
+    if (!sheet) {
+        showError('Pop-up diblokir browser. Izinkan pop-up untuk mencetak delivery sheet.');
+        return;
+    }
+
+    try {
+        const { batch, keys } = await apiCall('GET', `/api/admin/batches/${batchId}/export?format=json`);
+        const formatExpiry = (key) => key.expiresAt
+            ? new Date(key.expiresAt).toLocaleDateString('id-ID')
+            : key.termDays ? `${key.termDays} hari sejak aktivasi` : 'Tanpa batas';
+
+        sheet.document.write(`<!DOCTYPE html>
+<html lang="id">
+<head>
+    <meta charset="UTF-8">
+    <title>Delivery Sheet - ${escapeHtml(batch.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 32px; color: #111; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        .meta { margin: 16px 0; border-collapse: collapse; }
+        .meta td { padding: 2px 16px 2px 0; font-size: 13px; }
+        .keys { width: 100%; border-collapse: collapse; font-size: 13px; }
+        .keys th, .keys td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+        .keys td.key { font-family: 'Courier New', monospace; font-weight: bold; font-size: 14px; letter-spacing: 1px; }
+        .signatures { display: flex; justify-content: space-between; margin-top: 56px; font-size: 13px; }
+        .signatures div { width: 40%; border-top: 1px solid #111; padding-top: 4px; text-align: center; }
+        .note { margin-top: 24px; font-size: 12px; color: #555; }
+        @media print { body { margin: 12mm; } }
+    </style>
+</head>
+<body>
+    <h1>Serah Terima License Key</h1>
+    <div>${escapeHtml(batch.productName)} (${escapeHtml(batch.productCode)})</div>
+    <table class="meta">
+        <tr><td>Customer</td><td><strong>${escapeHtml(batch.customerName || '-')}</strong></td></tr>
+        <tr><td>Batch</td><td>#${batch.id} ${escapeHtml(batch.name)}</td></tr>
+        <tr><td>Purpose / PO</td><td>${escapeHtml(batch.purpose || '-')}</td></tr>
+        <tr><td>Tanggal</td><td>${new Date().toLocaleDateString('id-ID')}</td></tr>
+        <tr><td>Jumlah key</td><td>${keys.length}</td></tr>
+    </table>
+    <table class="keys">
+        <thead>
+            <tr><th>No</th><th>License Key</th><th>Tipe</th><th>Seat</th><th>Masa Berlaku</th></tr>
+        </thead>
+        <tbody>
+            ${keys.map((key, i) => `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td class="key">${escapeHtml(key.licenseKey)}</td>
+                    <td>${key.licenseType === 'floating' ? 'Floating' : 'Node-locked'}</td>
+                    <td>${key.seatCount}</td>
+                    <td>${formatExpiry(key)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+    <p class="note">License key bersifat rahasia. Simpan dokumen ini di tempat aman.</p>
+    <div class="signatures">
+        <div>Diserahkan oleh</div>
+        <div>Diterima oleh</div>
+    </div>
+</body>
+</html>`);
+        sheet.document.close();
+        sheet.focus();
+        sheet.print();
+    } catch (error) {
+        sheet.close();
+        showError('Gagal membuat delivery sheet: ' + error.message);
+    }
+}
+
+// ============================================================================
+// Customers
+// ============================================================================
+
+// Target assign-customer yang sedang dibuka: { licenseKey } atau { hardwareId, productCode }
+let assignCustomerTarget = null;
+
+function getCustomerName(customerId) {
+    return allCustomers.find(c => c.id === customerId)?.name || null;
+}
+
+function formatCustomerBadge(customerId) {
+    const name = getCustomerName(customerId);
+    return name ? `<span class="customer-badge">🏢 ${escapeHtml(name)}</span>` : '';
+}
+
+// Isi ulang semua dropdown customer, pilihan yang sedang aktif dipertahankan
+function updateCustomerSelects() {
+    const options = allCustomers.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+
+    document.querySelectorAll('.customer-filter').forEach(select => {
+        const current = select.value;
+        select.innerHTML = `
+            <option value="">Semua customer</option>
+            <option value="none">Tanpa customer</option>
+            ${options}
+        `;
+        select.value = current;
+    });
+
+    document.querySelectorAll('.customer-select').forEach(select => {
+        const current = select.value;
+        select.innerHTML = `<option value="">-- Tanpa customer --</option>${options}`;
+        select.value = current;
+    });
+}
+
+function displayCustomers() {
+    const tbody = document.getElementById('customersTable');
+
+    if (allCustomers.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="no-data">Belum ada customer</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = allCustomers.map(customer => `
+        <tr>
+            <td>
+                <strong>${escapeHtml(customer.name)}</strong>
+                ${customer.notes ? `<div class="text-small text-muted">${escapeHtml(customer.notes)}</div>` : ''}
+            </td>
+            <td class="text-small text-muted">
+                ${escapeHtml([customer.contactName, customer.contactEmail, customer.contactPhone].filter(Boolean).join(' · ') || '-')}
+            </td>
+            <td>${customer.keyCount}</td>
+            <td>${customer.activeLicenses}</td>
+            <td>
+                <div class="action-buttons">
+                    <button class="btn-secondary btn-sm" onclick="showCustomerUsage(${customer.id})">Usage</button>
+                    ${can('operator')
+                        ? `<button class="btn-secondary btn-sm" onclick="showCustomerForm(${customer.id})" style="margin-left: 5px;">Edit</button>`
+                        : ''}
+                    ${can('superadmin')
+                        ? `<button class="btn-danger btn-sm" onclick="deleteCustomer(${customer.id})" style="margin-left: 5px;">Delete</button>`
+                        : ''}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Tanpa id = customer baru
+function showCustomerForm(customerId = null) {
+    const customer = allCustomers.find(c => c.id === customerId) || {};
+
+    document.getElementById('customerModalTitle').textContent = customerId ? 'Edit Customer' : 'Tambah Customer';
+    document.getElementById('customerId').value = customerId || '';
+    document.getElementById('customerName').value = customer.name || '';
+    document.getElementById('customerContactName').value = customer.contactName || '';
+    document.getElementById('customerContactEmail').value = customer.contactEmail || '';
+    document.getElementById('customerContactPhone').value = customer.contactPhone || '';
+    document.getElementById('customerNotes').value = customer.notes || '';
+
+    document.getElementById('customerModal').classList.remove('hidden');
+}
+
+async function handleSaveCustomer(e) {
+    e.preventDefault();
+
+    const customerId = document.getElementById('customerId').value;
+    const body = {
+        name: document.getElementById('customerName').value,
+        contactName: document.getElementById('customerContactName').value,
+        contactEmail: document.getElementById('customerContactEmail').value,
+        contactPhone: document.getElementById('customerContactPhone').value,
+        notes: document.getElementById('customerNotes').value
+    };
+
+    try {
+        if (customerId) {
+            await apiCall('PUT', `/api/admin/customers/${customerId}`, body);
+        } else {
+            await apiCall('POST', '/api/admin/customers', body);
+        }
+        closeCustomerModal();
+        await loadCustomers();
+    } catch (error) {
+        showError('Gagal menyimpan customer: ' + error.message);
+    }
+}
+
+async function deleteCustomer(customerId) {
+    const customer = allCustomers.find(c => c.id === customerId);
+    if (!customer) return;
+    if (!confirm(`Hapus customer ${customer.name}?\n\nKey dan lisensinya tidak dihapus, hanya dilepas dari customer ini.`)) return;
+
+    try {
+        await apiCall('DELETE', `/api/admin/customers/${customerId}`);
+        refreshAll();
+    } catch (error) {
+        showError('Gagal menghapus customer: ' + error.message);
+    }
+}
+
+async function showCustomerUsage(customerId) {
+    try {
+        const response = await apiCall('GET', `/api/admin/customers/${customerId}/usage`);
+        const keyStats = response.stats.generatedKeys;
+        const licenseStats = response.stats.activatedLicenses;
+
+        document.getElementById('customerUsageModalTitle').textContent = `Usage - ${response.customer.name}`;
+        document.getElementById('customerUsageModalBody').innerHTML = `
+            <p class="text-muted">
+                ${keyStats.total} key (${keyStats.used} terpakai) ·
+                ${licenseStats.active} perangkat aktif · ${licenseStats.revoked} revoked · ${licenseStats.expired} expired
+            </p>
+            ${response.products.length === 0 ? '<p class="no-data">Belum ada key atau perangkat</p>' : `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Product</th>
+                        <th>Keys</th>
+                        <th>Seats</th>
+                        <th>Active Devices</th>
+                        <th>Revoked / Expired</th>
+                        <th>Last Check</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${response.products.map(p => `
+                        <tr>
+                            <td><span class="badge badge-gray">${p.productCode}</span> ${escapeHtml(p.productName)}</td>
+                            <td>${p.usedKeys}/${p.keys}</td>
+                            <td>${p.seats}</td>
+                            <td>${p.activeDevices}</td>
+                            <td>${p.revokedDevices} / ${p.expiredDevices}</td>
+                            <td class="text-small text-muted">${p.lastCheckAt ? formatDate(p.lastCheckAt) : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            `}
+        `;
+
+        document.getElementById('customerUsageModal').classList.remove('hidden');
+    } catch (error) {
+        showError('Gagal memuat usage: ' + error.message);
+    }
+}
+
+function openAssignCustomer(target) {
+    assignCustomerTarget = target;
+
+    const current = target.licenseKey
+        ? allGeneratedKeys.find(k => k.license_key === target.licenseKey)?.customer_id
+        : allLicenses.find(l => l.hardware_id === target.hardwareId && l.product_code === target.productCode)?.customer_id;
+
+    document.getElementById('assignCustomerTarget').textContent = target.licenseKey
+        ? `Key ${target.licenseKey} (perangkat yang sudah aktif ikut dipindah)`
+        : `Perangkat ${target.hardwareId.substring(0, 20)}... (${target.productCode})`;
+    document.getElementById('assignCustomerSelect').value = current || '';
+    document.getElementById('assignCustomerModal').classList.remove('hidden');
+}
+
+async function submitAssignCustomer() {
+    if (!assignCustomerTarget) return;
+
+    const customerId = document.getElementById('assignCustomerSelect').value || null;
+    const body = assignCustomerTarget.licenseKey
+        ? { customerId, licenseKeys: [assignCustomerTarget.licenseKey] }
+        : { customerId, licenses: [{ hardwareId: assignCustomerTarget.hardwareId, productCode: assignCustomerTarget.productCode }] };
+
+    try {
+        await apiCall('POST', '/api/admin/assign-customer', body);
+        closeAssignCustomerModal();
+        refreshAll();
+    } catch (error) {
+        showError('Gagal assign customer: ' + error.message);
+    }
+}
+
+function closeCustomerModal() {
+    document.getElementById('customerModal').classList.add('hidden');
+}
+
+function closeCustomerUsageModal() {
+    document.getElementById('customerUsageModal').classList.add('hidden');
+}
+
+function closeAssignCustomerModal() {
+    document.getElementById('assignCustomerModal').classList.add('hidden');
+    assignCustomerTarget = null;
+}
+
+// ============================================================================
+// Products
+// ============================================================================
+
+// Isi ulang dropdown produk; opsi pertama (placeholder / semua produk) tetap
+function updateProductSelects() {
+    const toOption = p => `<option value="${escapeHtml(p.code)}">${escapeHtml(p.code)} - ${escapeHtml(p.name)}</option>`;
+
+    document.querySelectorAll('.product-filter, .product-select').forEach(select => {
+        const current = select.value;
+        const products = select.classList.contains('product-select')
+            ? allProducts.filter(p => p.isActive)
+            : allProducts;
+        select.innerHTML = select.options[0].outerHTML + products.map(toOption).join('');
+        select.value = current;
+    });
+}
+
+function displayProducts() {
+    const tbody = document.getElementById('productsTable');
+
+    if (allProducts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="no-data">Belum ada produk</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = allProducts.map(product => `
+        <tr>
+            <td><span class="badge badge-gray">${escapeHtml(product.code)}</span></td>
+            <td><strong>${escapeHtml(product.name)}</strong></td>
+            <td>${product.keyCount}</td>
+            <td>${product.licenseCount}</td>
+            <td>
+                ${product.isActive
+                    ? '<span class="badge badge-success">Active</span>'
+                    : '<span class="badge badge-gray">Inactive</span>'}
+                ${product.staleReleaseDays
+                    ? `<br><span class="text-small text-muted">Stale dilepas setelah ${product.staleReleaseDays} hari</span>`
+                    : ''}
+            </td>
+            <td class="text-small text-muted">
+                v${product.secretVersion}
+                ${product.secretRotatedAt ? `<br>${formatDate(product.secretRotatedAt)}` : ''}
+            </td>
+            <td>
+                ${can('superadmin') ? `
+                    <div class="action-buttons">
+                        <button class="btn-secondary btn-sm" onclick="showProductForm('${escapeHtml(product.code)}')">Edit</button>
+                        <button class="btn-secondary btn-sm" onclick="rotateProductSecret('${escapeHtml(product.code)}')" style="margin-left: 5px;">Rotate Secret</button>
+                        <button class="btn-secondary btn-sm" onclick="showProductSecrets('${escapeHtml(product.code)}')" style="margin-left: 5px;">Generations</button>
+                        ${product.keyCount === 0 && product.licenseCount === 0
+                            ? `<button class="btn-danger btn-sm" onclick="deleteProduct('${escapeHtml(product.code)}')" style="margin-left: 5px;">Delete</button>`
+                            : ''}
+                    </div>
+                ` : '-'}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Tanpa kode = produk baru
+function showProductForm(code = null) {
+    const product = allProducts.find(p => p.code === code) || {};
+
+    document.getElementById('productModalTitle').textContent = code ? `Edit Produk ${code}` : 'Tambah Produk';
+    document.getElementById('productEditing').value = code || '';
+    document.getElementById('productFormCode').value = product.code || '';
+    document.getElementById('productFormCode').disabled = Boolean(code);
+    document.getElementById('productFormName').value = product.name || '';
+    document.getElementById('productFormSecret').value = '';
+    document.getElementById('productFormActive').checked = code ? product.isActive : true;
+    document.getElementById('productFormStaleRelease').value = product.staleReleaseDays || '';
+
+    // Secret hanya diisi saat membuat produk; produk lama lewat Rotate Secret
+    document.getElementById('productFormSecretGroup').classList.toggle('hidden', Boolean(code));
+    document.getElementById('productFormActiveGroup').classList.toggle('hidden', !code);
+
+    document.getElementById('productModal').classList.remove('hidden');
+}
+
+async function handleSaveProduct(e) {
+    e.preventDefault();
+
+    const code = document.getElementById('productEditing').value;
+    const name = document.getElementById('productFormName').value;
+    const staleReleaseDays = parseInt(document.getElementById('productFormStaleRelease').value) || null;
+
+    try {
+        if (code) {
+            await apiCall('PUT', `/api/admin/products/${code}`, {
+                name,
+                isActive: document.getElementById('productFormActive').checked,
+                staleReleaseDays
+            });
+            closeProductModal();
+        } else {
+            const response = await apiCall('POST', '/api/admin/products', {
+                code: document.getElementById('productFormCode').value,
+                name,
+                secret: document.getElementById('productFormSecret').value || undefined,
+                staleReleaseDays
+            });
+            closeProductModal();
+            showProductSecret(`Produk ${response.product.code} dibuat.`, response.secret);
+        }
+        await loadProducts();
+    } catch (error) {
+        showError('Gagal menyimpan produk: ' + error.message);
+    }
+}
+
+async function rotateProductSecret(code) {
+    const product = allProducts.find(p => p.code === code);
+    if (!product) return;
+    if (!confirm(`Buat generasi secret baru untuk ${code}?\n\nGenerasi baru belum dipakai sampai diaktifkan di Generations. Tambahkan secret-nya ke aplikasi client dan rilis dulu; ${product.keyCount} key yang sudah ada tetap valid.`)) return;
+
+    try {
+        const response = await apiCall('POST', `/api/admin/products/${code}/rotate-secret`, {});
+        showProductSecret(response.message, response.secret);
+        await loadProducts();
+    } catch (error) {
+        showError('Gagal mengganti secret: ' + error.message);
+    }
+}
+
+async function showProductSecrets(code) {
+    try {
+        const response = await apiCall('GET', `/api/admin/products/${code}/secrets`);
+
+        document.getElementById('productSecretsModalTitle').textContent = `Secret Generations - ${code}`;
+        document.getElementById('productSecretsModalBody').innerHTML = `
+            <p class="text-muted">
+                Key baru memakai generasi Current. Aktifkan generasi Pending setelah client yang mengenal secret-nya dirilis;
+                retire generasi lama setelah key-nya tidak dipakai lagi
+                ${response.invalidKeyCount > 0 ? ` · ${response.invalidKeyCount} key dari generasi yang sudah di-retire` : ''}
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Version</th>
+                        <th>Created</th>
+                        <th>Valid Keys</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${response.secrets.map(s => `
+                        <tr>
+                            <td><strong>v${s.version}</strong></td>
+                            <td class="text-small text-muted">${formatDate(s.createdAt)}</td>
+                            <td>${s.keyCount ?? '-'}</td>
+                            <td>
+                                ${s.retiredAt
+                                    ? `<span class="badge badge-gray">Retired ${formatDate(s.retiredAt)}</span>`
+                                    : s.current
+                                        ? '<span class="badge badge-success">Current</span>'
+                                        : s.pending
+                                            ? '<span class="badge badge-gray">Pending</span>'
+                                            : '<span class="badge badge-warning">Active</span>'}
+                            </td>
+                            <td>
+                                ${!s.retiredAt && s.pending
+                                    ? `<button class="btn-primary btn-sm" onclick="activateProductSecret('${escapeHtml(code)}', ${s.version})">Activate</button>`
+                                    : ''}
+                                ${!s.retiredAt && !s.current
+                                    ? `<button class="btn-danger btn-sm" onclick="retireProductSecret('${escapeHtml(code)}', ${s.version}, ${s.keyCount})">Retire</button>`
+                                    : s.current ? '-' : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('productSecretsModal').classList.remove('hidden');
+    } catch (error) {
+        showError('Gagal memuat generasi secret: ' + error.message);
+    }
+}
+
+async function activateProductSecret(code, version) {
+    if (!confirm(`Aktifkan secret ${code} generasi ${version}?\n\nKey baru memakai generasi ini. Aplikasi client yang belum mengenal secret-nya menolak key tersebut.`)) return;
+
+    try {
+        await apiCall('POST', `/api/admin/products/${code}/secrets/${version}/activate`);
+        await showProductSecrets(code);
+        await loadProducts();
+    } catch (error) {
+        showError('Gagal mengaktifkan secret: ' + error.message);
+    }
+}
+
+async function retireProductSecret(code, version, keyCount) {
+    if (!confirm(`Retire secret ${code} generasi ${version}?\n\n${keyCount} key dari generasi ini TIDAK LAGI VALID.`)) return;
+
+    try {
+        await apiCall('POST', `/api/admin/products/${code}/secrets/${version}/retire`);
+        await showProductSecrets(code);
+    } catch (error) {
+        showError('Gagal retire secret: ' + error.message);
+    }
+}
+
+async function deleteProduct(code) {
+    if (!confirm(`Hapus produk ${code}?`)) return;
+
+    try {
+        await apiCall('DELETE', `/api/admin/products/${code}`);
+        await loadProducts();
+    } catch (error) {
+        showError('Gagal menghapus produk: ' + error.message);
+    }
+}
+
+function showProductSecret(info, secret) {
+    document.getElementById('productSecretInfo').textContent = info;
+    document.getElementById('productSecretValue').textContent = secret;
+    document.getElementById('productSecretModal').classList.remove('hidden');
+}
+
+function copyProductSecret(btnEl) {
+    copyToClipboard(document.getElementById('productSecretValue').textContent, btnEl);
+}
+
+function closeProductModal() {
+    document.getElementById('productModal').classList.add('hidden');
+}
+
+function closeProductSecretsModal() {
+    document.getElementById('productSecretsModal').classList.add('hidden');
+}
+
+function closeProductSecretModal() {
+    document.getElementById('productSecretModal').classList.add('hidden');
+    document.getElementById('productSecretValue').textContent = '';
+}
+
+// ============================================================================
+// Bulk License Actions (revoke / reactivate / delete by filter)
+// ============================================================================
+
+const BULK_STATUS_BADGES = {
+    would_revoke: 'badge-warning',
+    would_reactivate: 'badge-warning',
+    would_delete: 'badge-warning',
+    revoked: 'badge-danger',
+    reactivated: 'badge-success',
+    deleted: 'badge-danger',
+    skipped: 'badge-gray',
+    not_found: 'badge-gray'
+};
+
+// Filter yang terakhir di-preview; Apply hanya boleh memakai filter yang sama
+let bulkPreview = null;
+
+function openBulkModal() {
+    document.getElementById('bulkForm').reset();
+    document.querySelector('#bulkAction option[value="delete"]').disabled = !can('superadmin');
+    document.getElementById('bulkBatch').innerHTML = `
+        <option value="">Semua batch</option>
+        <option value="none">Tanpa batch</option>
+        ${allBatches.map(b => `<option value="${b.id}">#${b.id} ${escapeHtml(b.name)}</option>`).join('')}
+    `;
+
+    // Mulai dari filter tabel license yang sedang dipakai
+    document.getElementById('bulkProduct').value = document.getElementById('filterLicenseProduct').value;
+    document.getElementById('bulkCustomer').value = document.getElementById('filterLicenseCustomer').value;
+
+    resetBulkPreview();
+    document.getElementById('bulkModal').classList.remove('hidden');
+}
+
+function resetBulkPreview() {
+    bulkPreview = null;
+    document.getElementById('bulkResult').innerHTML = '';
+    document.getElementById('bulkApplyBtn').disabled = true;
+}
+
+function readBulkRequest() {
+    const filter = {};
+    const productCode = document.getElementById('bulkProduct').value;
+    const customerId = document.getElementById('bulkCustomer').value;
+    const batchId = document.getElementById('bulkBatch').value;
+    const lastCheckDays = document.getElementById('bulkLastCheckDays').value;
+
+    if (productCode) filter.productCode = productCode;
+    if (customerId) filter.customerId = customerId;
+    if (batchId) filter.batchId = batchId;
+    if (lastCheckDays) filter.lastCheckOlderThanDays = parseInt(lastCheckDays);
+
+    return {
+        action: document.getElementById('bulkAction').value,
+        filter,
+        reason: document.getElementById('bulkReason').value.trim() || undefined
+    };
+}
+
+async function runBulkAction(dryRun) {
+    const request = readBulkRequest();
+
+    if (Object.keys(request.filter).length === 0) {
+        showError('Pilih minimal satu filter');
+        return;
+    }
+
+    if (!dryRun) {
+        if (!bulkPreview || JSON.stringify(bulkPreview) !== JSON.stringify(request)) {
+            showError('Filter berubah sejak preview, jalankan Preview lagi');
+            resetBulkPreview();
+            return;
+        }
+        if (!confirm(`Terapkan ${request.action} ke semua license pada preview?`)) return;
+    }
+
+    try {
+        const response = await apiCall('POST', '/api/admin/licenses/bulk', { ...request, dryRun });
+        displayBulkResult(response);
+
+        if (dryRun) {
+            bulkPreview = request;
+            document.getElementById('bulkApplyBtn').disabled = response.summary.changed === 0;
+        } else {
+            bulkPreview = null;
+            document.getElementById('bulkApplyBtn').disabled = true;
+            refreshAll();
+        }
+    } catch (error) {
+        showError('Bulk action gagal: ' + error.message);
+    }
+}
+
+function displayBulkResult(response) {
+    const { summary, results } = response;
+    const changedLabel = response.dryRun ? 'akan diubah' : 'diubah';
+
+    document.getElementById('bulkResult').innerHTML = `
+        <p><strong>${summary.matched}</strong> license cocok, <strong>${summary.changed}</strong> ${changedLabel}, ${summary.skipped} dilewati</p>
+        ${results.length === 0 ? '' : `
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Hardware ID</th>
+                            <th>Product</th>
+                            <th>Customer</th>
+                            <th>Last Check</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.map(r => `
+                            <tr>
+                                <td><code>${escapeHtml(r.hardwareId.substring(0, 16))}...</code></td>
+                                <td>${escapeHtml(r.productCode || '-')}</td>
+                                <td>${r.customerId ? escapeHtml(getCustomerName(r.customerId)) : '-'}</td>
+                                <td class="text-small text-muted">${formatDate(r.lastCheckAt)}</td>
+                                <td>
+                                    <span class="badge ${BULK_STATUS_BADGES[r.status] || 'badge-gray'}">${r.status}</span>
+                                    ${r.reason ? `<span class="text-small text-muted">${escapeHtml(r.reason)}</span>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `}
+    `;
+}
+
+function closeBulkModal() {
+    document.getElementById('bulkModal').classList.add('hidden');
+    resetBulkPreview();
+}
+
+// ============================================================================
+// Webhooks (superadmin)
+// ============================================================================
+
+const DELIVERY_STATUS_BADGES = {
+    pending: 'badge-warning',
+    delivered: 'badge-success',
+    failed: 'badge-danger'
+};
+
+async function loadWebhooks() {
+    try {
+        const response = await apiCall('GET', '/api/admin/webhooks');
+        allWebhooks = response.webhooks || [];
+        webhookEvents = response.events || [];
+        displayWebhooks();
+    } catch (error) {
+        console.error('Failed to load webhooks:', error);
+        document.getElementById('webhooksTable').innerHTML =
+            '<tr><td colspan="6" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+function displayWebhooks() {
+    const tbody = document.getElementById('webhooksTable');
+
+    if (allWebhooks.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="no-data">Belum ada webhook</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = allWebhooks.map(webhook => `
+        <tr>
+            <td class="webhook-url">
+                <strong>${escapeHtml(webhook.url)}</strong>
+                ${webhook.description ? `<span class="customer-badge">${escapeHtml(webhook.description)}</span>` : ''}
+            </td>
+            <td class="text-small">${webhook.events.map(e => escapeHtml(e)).join('<br>')}</td>
+            <td>
+                ${webhook.isActive
+                    ? '<span class="badge badge-success">Active</span>'
+                    : '<span class="badge badge-gray">Inactive</span>'}
+            </td>
+            <td>${webhook.pendingCount} / ${webhook.failedCount}</td>
+            <td class="text-small text-muted">${webhook.lastDeliveryAt ? formatDate(webhook.lastDeliveryAt) : '-'}</td>
+            <td>
+                <div class="action-buttons">
+                    <button class="btn-secondary btn-sm" onclick="showWebhookForm(${webhook.id})">Edit</button>
+                    <button class="btn-secondary btn-sm" onclick="testWebhook(${webhook.id})" style="margin-left: 5px;">Test</button>
+                    <button class="btn-secondary btn-sm" onclick="rotateWebhookSecret(${webhook.id})" style="margin-left: 5px;">New Secret</button>
+                    <button class="btn-danger btn-sm" onclick="deleteWebhook(${webhook.id})" style="margin-left: 5px;">Delete</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function loadWebhookDeliveries() {
+    const status = document.getElementById('deliveryStatusFilter').value;
+    const tbody = document.getElementById('webhookDeliveriesTable');
+
+    try {
+        const response = await apiCall('GET', `/api/admin/webhook-deliveries?limit=20${status ? `&status=${status}` : ''}`);
+        const deliveries = response.deliveries || [];
+
+        if (deliveries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="no-data">Belum ada pengiriman</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = deliveries.map(d => `
+            <tr>
+                <td class="text-small text-muted">${formatDate(d.createdAt)}</td>
+                <td class="text-small webhook-url">${escapeHtml(d.webhookUrl || `#${d.webhookId}`)}</td>
+                <td class="text-small">${escapeHtml(d.event)}</td>
+                <td><span class="badge ${DELIVERY_STATUS_BADGES[d.status] || 'badge-gray'}">${d.status}</span></td>
+                <td>${d.attempts}</td>
+                <td class="text-small">
+                    ${d.lastStatusCode ? `HTTP ${d.lastStatusCode}` : ''}
+                    ${d.lastError ? `<span class="text-muted">${escapeHtml(d.lastError)}</span>` : ''}
+                    ${d.lastDurationMs !== null ? `<span class="text-muted">(${d.lastDurationMs} ms)</span>` : ''}
+                    ${d.status === 'pending' && d.nextAttemptAt ? `<br><span class="text-muted">Next: ${formatDate(d.nextAttemptAt)}</span>` : ''}
+                </td>
+                <td>
+                    ${d.status === 'failed'
+                        ? `<button class="btn-secondary btn-sm" onclick="retryWebhookDelivery(${d.id})">Retry</button>`
+                        : '-'}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load webhook deliveries:', error);
+        tbody.innerHTML = '<tr><td colspan="7" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+// Tanpa id = webhook baru
+function showWebhookForm(id = null) {
+    const webhook = allWebhooks.find(w => w.id === id) || {};
+    const selected = webhook.events || webhookEvents;
+
+    document.getElementById('webhookModalTitle').textContent = id ? 'Edit Webhook' : 'Tambah Webhook';
+    document.getElementById('webhookEditing').value = id || '';
+    document.getElementById('webhookFormUrl').value = webhook.url || '';
+    document.getElementById('webhookFormDescription').value = webhook.description || '';
+    document.getElementById('webhookFormActive').checked = id ? webhook.isActive : true;
+    document.getElementById('webhookFormActiveGroup').classList.toggle('hidden', !id);
+
+    document.getElementById('webhookFormEvents').innerHTML = ['*', ...webhookEvents].map(event => `
+        <label>
+            <input type="checkbox" name="webhookEvent" value="${escapeHtml(event)}"
+                ${selected.includes(event) ? 'checked' : ''}>
+            ${event === '*' ? 'Semua event (*)' : escapeHtml(event)}
+        </label>
+    `).join('');
+
+    document.getElementById('webhookModal').classList.remove('hidden');
+}
+
+async function handleSaveWebhook(e) {
+    e.preventDefault();
+
+    const id = document.getElementById('webhookEditing').value;
+    const events = [...document.querySelectorAll('input[name="webhookEvent"]:checked')].map(el => el.value);
+    const body = {
+        url: document.getElementById('webhookFormUrl').value,
+        description: document.getElementById('webhookFormDescription').value,
+        events: events.includes('*') ? ['*'] : events
+    };
+
+    try {
+        if (id) {
+            await apiCall('PUT', `/api/admin/webhooks/${id}`, {
+                ...body,
+                isActive: document.getElementById('webhookFormActive').checked
+            });
+            closeWebhookModal();
+        } else {
+            const response = await apiCall('POST', '/api/admin/webhooks', body);
+            closeWebhookModal();
+            showWebhookSecret(response.secret);
+        }
+        await loadWebhooks();
+    } catch (error) {
+        showError('Gagal menyimpan webhook: ' + error.message);
+    }
+}
+
+async function testWebhook(id) {
+    try {
+        await apiCall('POST', `/api/admin/webhooks/${id}/test`);
+        // Pengiriman berjalan di background; beri waktu sebelum memuat log
+        setTimeout(() => {
+            loadWebhooks();
+            loadWebhookDeliveries();
+        }, 1500);
+    } catch (error) {
+        showError('Gagal mengirim test: ' + error.message);
+    }
+}
+
+async function rotateWebhookSecret(id) {
+    if (!confirm('Buat secret baru? Endpoint penerima harus memakai secret baru untuk verifikasi signature.')) return;
+
+    try {
+        const response = await apiCall('POST', `/api/admin/webhooks/${id}/rotate-secret`);
+        showWebhookSecret(response.secret);
+    } catch (error) {
+        showError('Gagal mengganti secret: ' + error.message);
+    }
+}
+
+async function deleteWebhook(id) {
+    const webhook = allWebhooks.find(w => w.id === id);
+    if (!confirm(`Hapus webhook ${webhook ? webhook.url : id}?\n\nLog pengiriman webhook ini ikut dihapus.`)) return;
+
+    try {
+        await apiCall('DELETE', `/api/admin/webhooks/${id}`);
+        await loadWebhooks();
+        await loadWebhookDeliveries();
+    } catch (error) {
+        showError('Gagal menghapus webhook: ' + error.message);
+    }
+}
+
+async function retryWebhookDelivery(id) {
+    try {
+        await apiCall('POST', `/api/admin/webhook-deliveries/${id}/retry`);
+        setTimeout(() => {
+            loadWebhooks();
+            loadWebhookDeliveries();
+        }, 1500);
+    } catch (error) {
+        showError('Gagal mengirim ulang: ' + error.message);
+    }
+}
+
+function showWebhookSecret(secret) {
+    document.getElementById('webhookSecretValue').textContent = secret;
+    document.getElementById('webhookSecretModal').classList.remove('hidden');
+}
+
+function copyWebhookSecret(btnEl) {
+    copyToClipboard(document.getElementById('webhookSecretValue').textContent, btnEl);
+}
+
+function closeWebhookModal() {
+    document.getElementById('webhookModal').classList.add('hidden');
+}
+
+function closeWebhookSecretModal() {
+    document.getElementById('webhookSecretModal').classList.add('hidden');
+    document.getElementById('webhookSecretValue').textContent = '';
+}
+
+// ============================================================================
+// Backup, Restore & Export / Import (superadmin)
+// ============================================================================
+
+const BACKUP_REASON_LABELS = {
+    'manual': 'Manual',
+    'scheduled': 'Terjadwal',
+    'pre-restore': 'Sebelum restore',
+    'pre-import': 'Sebelum import'
+};
+
+async function loadBackups() {
+    try {
+        const response = await apiCall('GET', '/api/admin/backups');
+        allBackups = response.backups || [];
+        document.getElementById('backupScheduleInfo').textContent = response.intervalHours > 0
+            ? `Otomatis tiap ${response.intervalHours} jam, ${response.retention} backup terakhir per jenis disimpan`
+            : `Backup otomatis nonaktif, ${response.retention} backup terakhir per jenis disimpan`;
+        displayBackups();
+    } catch (error) {
+        console.error('Failed to load backups:', error);
+        document.getElementById('backupsTable').innerHTML =
+            '<tr><td colspan="5" class="no-data">Gagal memuat data</td></tr>';
+    }
+}
+
+function displayBackups() {
+    const tbody = document.getElementById('backupsTable');
+
+    if (allBackups.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="no-data">Belum ada backup</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = allBackups.map(backup => `
+        <tr>
+            <td class="text-small"><code>${escapeHtml(backup.fileName)}</code></td>
+            <td>${escapeHtml(BACKUP_REASON_LABELS[backup.reason] || backup.reason)}</td>
+            <td>${formatFileSize(backup.size)}</td>
+            <td class="text-small text-muted">${formatDate(backup.createdAt)}</td>
+            <td>
+                <div class="action-buttons">
+                    <button class="btn-secondary btn-sm" onclick="downloadBackup('${escapeHtml(backup.fileName)}')">Download</button>
+                    <button class="btn-secondary btn-sm" onclick="restoreFromBackup('${escapeHtml(backup.fileName)}')" style="margin-left: 5px;">Restore</button>
+                    <button class="btn-danger btn-sm" onclick="deleteBackupFile('${escapeHtml(backup.fileName)}')" style="margin-left: 5px;">Delete</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function formatFileSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Ringkasan dry run: jumlah baris sekarang → sesudah, per tabel
+function formatReplaceSummary(result) {
+    return result.tables
+        .map(t => `${t.table}: ${t.current} → ${t.incoming}`)
+        .join('\n');
+}
+
+async function createBackupNow() {
+    try {
+        const response = await apiCall('POST', '/api/admin/backups');
+        alert(`Backup dibuat: ${response.backup.fileName}`);
+        await loadBackups();
+    } catch (error) {
+        showError('Gagal membuat backup: ' + error.message);
+    }
+}
+
+async function downloadBackup(fileName) {
+    try {
+        await downloadWithAuth(`/api/admin/backups/${encodeURIComponent(fileName)}/download`, fileName);
+    } catch (error) {
+        showError('Gagal download backup: ' + error.message);
+    }
+}
+
+async function restoreFromBackup(fileName) {
+    const endpoint = `/api/admin/backups/${encodeURIComponent(fileName)}/restore`;
+
+    try {
+        // Validasi dulu (dry run), baru minta konfirmasi
+        const check = await apiCall('POST', endpoint, { dryRun: true });
+        if (!confirm(`Restore ${fileName}?\n\nSemua data diganti (sekarang → sesudah restore):\n${formatReplaceSummary(check)}\n\nBackup pengaman dibuat dulu.`)) return;
+
+        const result = await apiCall('POST', endpoint, { dryRun: false });
+        alert(`Restore selesai.\nBackup pengaman: ${result.safetyBackup}`);
+        refreshAll();
+    } catch (error) {
+        showError('Gagal restore backup: ' + error.message);
+    }
+}
+
+async function deleteBackupFile(fileName) {
+    if (!confirm(`Hapus backup ${fileName}?`)) return;
+
+    try {
+        await apiCall('DELETE', `/api/admin/backups/${encodeURIComponent(fileName)}`);
+        await loadBackups();
+    } catch (error) {
+        showError('Gagal menghapus backup: ' + error.message);
+    }
+}
+
+async function downloadDataExport() {
+    if (!confirm('File export berisi secret produk & webhook dan hash password admin tanpa enkripsi. Simpan di tempat aman.\n\nLanjut export?')) return;
+
+    try {
+        await downloadWithAuth('/api/admin/export', 'license-export.json');
+    } catch (error) {
+        showError('Gagal export data: ' + error.message);
+    }
+}
+
+async function importDataFile(inputEl) {
+    const file = inputEl.files[0];
+    inputEl.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showError('File bukan JSON yang valid');
+        return;
+    }
+
+    try {
+        const check = await apiCall('POST', '/api/admin/import', { data, dryRun: true });
+        if (!confirm(`Import ${file.name} (export ${formatDate(data.exportedAt)})?\n\nSemua data diganti (sekarang → sesudah import):\n${formatReplaceSummary(check)}\n\nBackup pengaman dibuat dulu.`)) return;
+
+        const result = await apiCall('POST', '/api/admin/import', { data, dryRun: false });
+        alert(`Import selesai.\nBackup pengaman: ${result.safetyBackup}`);
+        refreshAll();
+    } catch (error) {
+        showError('Gagal import data: ' + error.message);
+    }
+}
+
+// ============================================================================
+// Admin Users (superadmin)
+// ============================================================================
+
+const ROLE_LABELS = {
+    viewer: 'Viewer',
+    operator: 'Operator',
+    superadmin: 'Superadmin'
+};
+
+async function showUsers() {
+    try {
+        const response = await apiCall('GET', '/api/admin/users');
+        const currentUser = localStorage.getItem('admin_username');
+
+        document.getElementById('usersModalBody').innerHTML = response.users.length === 0
+            ? '<p class="text-muted">Belum ada akun di database (login memakai ADMIN_PASSWORD).</p>'
+            : `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>User</th>
+                        <th>Role</th>
+                        <th>Status</th>
+                        <th>Last Login</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${response.users.map(user => `
+                        <tr>
+                            <td>${escapeHtml(user.username)}</td>
+                            <td><span class="badge badge-gray">${ROLE_LABELS[user.role] || user.role}</span></td>
+                            <td>
+                                ${user.isActive
+                                    ? '<span class="badge badge-success">Active</span>'
+                                    : '<span class="badge badge-danger">Inactive</span>'}
+                            </td>
+                            <td class="text-small text-muted">${formatDate(user.lastLoginAt)}</td>
+                            <td>
+                                ${user.isActive ? `
+                                    <div class="action-buttons">
+                                        <button class="btn-secondary btn-sm" onclick="resetUserPassword('${escapeHtml(user.username)}')">Reset Password</button>
+                                        ${user.username !== currentUser
+                                            ? `<button class="btn-danger btn-sm" onclick="deactivateUser('${escapeHtml(user.username)}')" style="margin-left: 5px;">Deactivate</button>`
+                                            : ''}
+                                    </div>
+                                ` : '-'}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('usersModal').classList.remove('hidden');
+    } catch (error) {
+        showError('Gagal memuat user: ' + error.message);
+    }
+}
+
+async function handleCreateUser(e) {
+    e.preventDefault();
+
+    try {
+        await apiCall('POST', '/api/admin/users', {
+            username: document.getElementById('newUsername').value.trim(),
+            password: document.getElementById('newUserPassword').value,
+            role: document.getElementById('newUserRole').value
+        });
+
+        document.getElementById('createUserForm').reset();
+        await showUsers();
+    } catch (error) {
+        showError('Gagal membuat user: ' + error.message);
+    }
+}
+
+async function resetUserPassword(username) {
+    const password = prompt(`Password baru untuk ${username} (minimal 8 karakter):`);
+    if (!password) return;
+
+    try {
+        await apiCall('POST', `/api/admin/users/${encodeURIComponent(username)}/reset-password`, { password });
+        alert(`Password ${username} berhasil direset. Sesi lain user ini sudah dicabut.`);
+    } catch (error) {
+        showError('Gagal reset password: ' + error.message);
+    }
+}
+
+async function deactivateUser(username) {
+    if (!confirm(`Nonaktifkan user ${username}? Semua sesinya langsung dicabut.`)) return;
+
+    try {
+        await apiCall('POST', `/api/admin/users/${encodeURIComponent(username)}/deactivate`);
+        await showUsers();
+    } catch (error) {
+        showError('Gagal menonaktifkan user: ' + error.message);
+    }
+}
+
+function closeUsersModal() {
+    document.getElementById('usersModal').classList.add('hidden');
+}
+
+// ============================================================================
+// License Timeline (Audit Log)
+// ============================================================================
+
+const AUDIT_ACTION_LABELS = {
+    'admin.login': 'Admin login',
+    'admin.login_failed': 'Admin login failed',
+    'admin.locked': 'Admin account locked',
+    'admin.logout': 'Admin logout',
+    'admin.session_revoked': 'Admin session revoked',
+    'admin.user_created': 'Admin user created',
+    'admin.user_deactivated': 'Admin user deactivated',
+    'admin.password_reset': 'Admin password reset',
+    'customer.created': 'Customer created',
+    'customer.updated': 'Customer updated',
+    'customer.deleted': 'Customer deleted',
+    'customer.assigned': 'Assigned to customer',
+    'product.created': 'Product created',
+    'product.updated': 'Product updated',
+    'product.secret_rotated': 'Product secret rotated',
+    'product.secret_activated': 'Product secret activated',
+    'product.secret_retired': 'Product secret retired',
+    'product.deleted': 'Product deleted',
+    'webhook.created': 'Webhook created',
+    'webhook.updated': 'Webhook updated',
+    'webhook.deleted': 'Webhook deleted',
+    'security.source_blocked': 'Source blocked',
+    'security.source_unblocked': 'Source unblocked',
+    'backup.created': 'Backup created',
+    'backup.deleted': 'Backup deleted',
+    'backup.restored': 'Backup restored',
+    'data.exported': 'Data exported',
+    'data.imported': 'Data imported',
+    'keys.generated': 'Key generated',
+    'keys.exported': 'Keys exported',
+    'key.deleted': 'Key deleted',
+    'key.reset': 'Key reset (test)',
+    'key.marked_used': 'Key marked used (test)',
+    'license.activated': 'Activated',
+    'license.revoked': 'Revoked',
+    'license.reactivated': 'Reactivated',
+    'license.renewed': 'Renewed',
+    'license.deleted': 'Deleted',
+    'license.transferred': 'Transferred',
+    'license.stale': 'Stale (no check-in)',
+    'license.stale_released': 'Stale seat released',
+    'license.hardware_changed': 'Hardware changed',
+    'lease.released': 'Lease force-released'
+};
+
+const TIMELINE_PAGE_SIZE = 20;
+let timeline = { licenseKey: null, action: '', page: 0, totalPages: 0, events: [] };
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatAuditDetails(event) {
+    const d = event.details || {};
+    const parts = [];
+
+    if (event.hardwareId) parts.push(`HW ${event.hardwareId.substring(0, 16)}`);
+    if (d.deviceName) parts.push(d.deviceName);
+    if (d.activationMode === 'offline') parts.push(d.reissued ? 'offline (re-issued)' : 'offline');
+    if (d.reason) parts.push(`Alasan: ${d.reason}`);
+    if (d.changedComponents) {
+        parts.push(`Komponen: ${d.changedComponents.map(name => HARDWARE_COMPONENT_LABELS[name] || name).join(', ')}`);
+    }
+    if (event.action === 'license.renewed') {
+        parts.push(`${d.previousExpiresAt ? formatDate(d.previousExpiresAt) : 'Tanpa batas'} → ${d.expiresAt ? formatDate(d.expiresAt) : 'Tanpa batas'}`);
+    }
+    if (d.transferCount !== undefined) parts.push(`Transfer ${d.transferCount}/${d.transferLimit}`);
+    if (event.action === 'keys.generated') {
+        parts.push(d.licenseType === 'floating' ? `Floating, ${d.seatCount} concurrent` : `${d.seatCount} seat`);
+    }
+
+    return parts.map(escapeHtml).join(' · ');
+}
+
+async function showLicenseTimeline(licenseKey) {
+    timeline = { licenseKey, action: '', page: 0, totalPages: 0, events: [] };
+
+    document.getElementById('timelineModalTitle').textContent = `History — ${licenseKey}`;
+    document.getElementById('timelineActionFilter').value = '';
+    document.getElementById('timelineModal').classList.remove('hidden');
+
+    await loadTimelinePage();
+}
+
+async function filterTimeline() {
+    timeline = { ...timeline, action: document.getElementById('timelineActionFilter').value, page: 0, events: [] };
+    await loadTimelinePage();
+}
+
+async function loadTimelinePage() {
+    const params = new URLSearchParams({
+        licenseKey: timeline.licenseKey,
+        page: timeline.page + 1,
+        limit: TIMELINE_PAGE_SIZE
+    });
+    if (timeline.action) params.set('action', timeline.action);
+
+    try {
+        const response = await apiCall('GET', `/api/admin/audit?${params.toString()}`);
+        timeline.page = response.page;
+        timeline.totalPages = response.totalPages;
+        timeline.events = timeline.events.concat(response.events);
+        displayTimeline();
+    } catch (error) {
+        document.getElementById('timelineModalBody').innerHTML =
+            `<p class="no-data">Gagal memuat history: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function displayTimeline() {
+    const body = document.getElementById('timelineModalBody');
+
+    if (timeline.events.length === 0) {
+        body.innerHTML = '<p class="no-data">Belum ada aktivitas</p>';
+        return;
+    }
+
+    body.innerHTML = `
+        <ul class="timeline">
+            ${timeline.events.map(event => `
+                <li class="timeline-item timeline-${event.action.split('.')[1]}">
+                    <div class="timeline-header">
+                        <strong>${AUDIT_ACTION_LABELS[event.action] || escapeHtml(event.action)}</strong>
+                        <span class="text-small text-muted">${formatDate(event.createdAt)}</span>
+                    </div>
+                    <div class="text-small">${formatAuditDetails(event)}</div>
+                    <div class="text-small text-muted" title="${escapeHtml(event.userAgent)}">
+                        oleh ${escapeHtml(event.actor)}${event.ipAddress ? ` · ${escapeHtml(event.ipAddress)}` : ''}
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+        ${timeline.page < timeline.totalPages
+            ? '<button class="btn-secondary btn-sm timeline-more" onclick="loadTimelinePage()">Muat lagi</button>'
+            : ''}
+    `;
+}
+
+function closeTimelineModal() {
+    document.getElementById('timelineModal').classList.add('hidden');
+}
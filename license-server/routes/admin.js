@@ -2,155 +2,529 @@
  * Admin API Routes
  * 
  * Endpoints for license management and key generation.
- * All routes require authentication.
+ * All routes require authentication; write routes also require a role
+ * (viewer < operator < superadmin, see middleware/auth.js).
  */
 
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
-const { adminAuth, hashPassword } = require('../middleware/auth');
-const { licenseRepo, generatedKeysRepo, adminUsersRepo } = require('../database/db');
+const { adminAuth, requireRole, hasRole, normalizeRole, ROLES } = require('../middleware/auth');
+const { hashPassword, verifyPassword } = require('../services/password');
+const { licenseRepo, generatedKeysRepo, batchesRepo, customersRepo, adminUsersRepo, sessionsRepo, transfersRepo, leasesRepo, auditRepo, webhooksRepo, webhookDeliveriesRepo, runInTransaction } = require('../database/db');
+const { activateLicense } = require('../services/activation');
+const { issueOfflineActivationToken } = require('../services/license-token');
+const { reclaimStaleLeases, releaseLease, LEASE_TIMEOUT_SECONDS } = require('../services/lease');
+const { DEFAULT_TRANSFER_LIMIT } = require('../services/transfer');
+const { AuditAction, recordAudit } = require('../services/audit');
+const { BULK_ACTIONS, runBulkOperation } = require('../services/bulk-licenses');
+const { WebhookEvent, WEBHOOK_EVENTS, generateWebhookSecret, licenseEventData, emitWebhookEvent, sendTestEvent, retryDelivery } = require('../services/webhooks');
+const { PRODUCT_CODE_PATTERN, MIN_SECRET_LENGTH, encryptSecret, getProduct, getProductCodes, listProducts, listSecretVersions, createProduct, updateProduct, rotateProductSecret, activateSecretVersion, retireSecretVersion, deleteProduct } = require('../services/products');
+const { generateLicenseKey, validateKeyFormat } = require('../services/license-key');
+const { createSession } = require('../services/admin-session');
+const { STALE_LICENSE_DAYS, runStaleDeviceCheck, getStaleReport } = require('../services/stale-devices');
+const { UsageEvent, recordUsage, parseRange, getUsageSeries } = require('../services/analytics');
+const { LOCKOUT_MINUTES, checkRateLimit, checkLockout, registerFailure, clearFailures } = require('../services/login-guard');
+const { listBlockedSources, unblockSource } = require('../services/abuse-guard');
+const { BACKUP_RETENTION, BACKUP_INTERVAL_HOURS, IMPORT_MAX_BYTES, createBackup, listBackups, resolveBackupFile, deleteBackup, restoreBackup, exportData, importData } = require('../services/backup');
+
+/**
+ * Check admin credentials
+ * DB users first; ADMIN_PASSWORD env var only while admin_users is empty
+ * (a deactivated user also counts, so deactivating everyone does not bring
+ * the env password back)
+ *
+ * @returns {Object|null} { username, role } or null
+ */
+function authenticateAdmin(username, password) {
+    try {
+        if (adminUsersRepo.hasAnyUser()) {
+            const user = adminUsersRepo.findByUsername(username);
+            const check = user ? verifyPassword(password, user.password_hash) : { valid: false };
+            if (!check.valid) {
+                return null;
+            }
+            
+            // Hash lama (HMAC / parameter lama) diganti saat password terbukti benar
+            if (check.needsRehash) {
+                adminUsersRepo.updatePassword(user.username, hashPassword(password));
+                console.log(`[LOGIN] Password hash upgraded: ${user.username}`);
+            }
+            adminUsersRepo.updateLastLogin(user.username);
+            return { username: user.username, role: normalizeRole(user.role) };
+        }
+    } catch (dbErr) {
+        // Tabel admin_users belum ada, fallback ke env var
+        console.warn('[LOGIN] DB check failed, falling back to env password:', dbErr.message);
+    }
+
+    if (password !== process.env.ADMIN_PASSWORD) {
+        return null;
+    }
+    return { username, role: 'superadmin' };
+}
 
 // Login - public, no auth required
 router.post('/login', (req, res) => {
-    const { username, password } = req.body;
-    const adminPassword = process.env.ADMIN_PASSWORD;
+    const { password } = req.body;
+    const username = (typeof req.body.username === 'string' && req.body.username.trim()) || 'admin';
 
     if (!password) return res.status(400).json({ success: false, error: 'Password required' });
 
-    // Coba login via DB user (username harus valid string)
-    if (username && typeof username === 'string' && username.trim().length > 0) {
-        try {
-            if (adminUsersRepo.hasAnyUser()) {
-                const user = adminUsersRepo.findByUsername(username.trim());
-                if (!user) return res.status(401).json({ success: false, error: 'Username tidak ditemukan' });
-                if (user.password_hash !== hashPassword(password)) {
-                    return res.status(401).json({ success: false, error: 'Password salah' });
-                }
-                adminUsersRepo.updateLastLogin(username.trim());
-                return res.json({
-                    success: true,
-                    token: `${username.trim()}:${password}`,
-                    username: user.username,
-                    role: user.role,
-                    message: 'Login berhasil'
-                });
-            }
-        } catch (dbErr) {
-            // Tabel admin_users belum ada, fallback ke env var
-            console.warn('[LOGIN] DB check failed, falling back to env password:', dbErr.message);
-        }
+    const rate = checkRateLimit(req.ip);
+    if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfterSeconds));
+        return res.status(429).json({
+            success: false,
+            error: 'Terlalu banyak percobaan login. Coba lagi nanti.',
+            retryAfterSeconds: rate.retryAfterSeconds
+        });
+    }
+
+    const lockout = checkLockout(username);
+    if (lockout.locked) {
+        res.set('Retry-After', String(lockout.retryAfterSeconds));
+        return res.status(423).json({
+            success: false,
+            error: `Akun dikunci sementara. Coba lagi dalam ${Math.ceil(lockout.retryAfterSeconds / 60)} menit.`,
+            retryAfterSeconds: lockout.retryAfterSeconds
+        });
     }
 
-    // Fallback: password only (env var)
-    if (password !== adminPassword) {
-        return res.status(401).json({ success: false, error: 'Password salah' });
+    const user = authenticateAdmin(username, password);
+    if (!user) {
+        const failure = registerFailure(username);
+        recordAudit(req, AuditAction.ADMIN_LOGIN_FAILED, { actor: username });
+
+        if (failure.locked) {
+            console.warn(`[LOGIN] Account locked after repeated failures: ${username}`);
+            recordAudit(req, AuditAction.ADMIN_LOCKED, { actor: username, details: { lockoutMinutes: LOCKOUT_MINUTES } });
+            return res.status(423).json({
+                success: false,
+                error: `Terlalu banyak login gagal. Akun dikunci ${LOCKOUT_MINUTES} menit.`
+            });
+        }
+
+        return res.status(401).json({
+            success: false,
+            error: 'Username atau password salah',
+            attemptsLeft: failure.attemptsLeft
+        });
     }
-    res.json({ success: true, token: adminPassword, username: username || 'admin', message: 'Login berhasil' });
+
+    clearFailures(username);
+    const { token, session } = createSession(user, req);
+    recordAudit(req, AuditAction.ADMIN_LOGIN, { actor: user.username });
+
+    res.json({
+        success: true,
+        token,
+        expiresAt: session.expires_at,
+        username: user.username,
+        role: user.role,
+        message: 'Login berhasil'
+    });
 });
 
 // All routes below require auth
 router.use(adminAuth);
 
-
 // ============================================================================
-// Key Generation Configuration - ALL 4 PRODUCTS
+// Sessions
 // ============================================================================
 
-const KEY_CONFIG = {
-    SEGMENT_LENGTH: 4,
-    CHARSET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
-    PRODUCTS: {
-        BM01: { name: 'BMS', secretKey: 'bms-license-secret-key-2024-v2' },
-        BL01: { name: 'BLM', secretKey: 'blm-license-secret-key-2024-v2' },
-        VC01: { name: 'VComm', secretKey: 'vcomm-license-secret-key-2024-v2' },
-        ES01: { name: 'EyeSee', secretKey: 'eyesee-license-secret-key-2024-v2' }
+// Logout: cabut sesi ini, atau semua sesi user ini dengan { all: true }
+router.post('/logout', (req, res) => {
+    try {
+        const { username, sessionId } = req.adminUser;
+        const revoked = req.body?.all
+            ? sessionsRepo.revokeAllForUser(username)
+            : Number(sessionsRepo.revoke(sessionId));
+        
+        recordAudit(req, AuditAction.ADMIN_LOGOUT, { details: { sessions: revoked } });
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('[ADMIN] Logout error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Current user + role (panel uses it to hide actions the role cannot use)
+router.get('/me', (req, res) => {
+    res.json({ success: true, username: req.adminUser.username, role: req.adminUser.role, roles: ROLES });
+});
+
+// Superadmin melihat semua sesi, role lain hanya sesinya sendiri
+router.get('/sessions', (req, res) => {
+    try {
+        const isSuperadmin = hasRole(req.adminUser, 'superadmin');
+        
+        res.json({
+            success: true,
+            sessions: sessionsRepo.getActive()
+                .filter(s => isSuperadmin || s.username === req.adminUser.username)
+                .map(s => ({
+                    id: s.id,
+                    username: s.username,
+                    ipAddress: s.ip_address,
+                    userAgent: s.user_agent,
+                    createdAt: s.created_at,
+                    lastUsedAt: s.last_used_at,
+                    expiresAt: s.expires_at,
+                    current: s.id === req.adminUser.sessionId
+                }))
+        });
+    } catch (error) {
+        console.error('[ADMIN] List sessions error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Revoke a session (e.g. lost laptop); token stops working immediately
+router.delete('/sessions/:id', (req, res) => {
+    try {
+        const session = sessionsRepo.findById(parseInt(req.params.id));
+        
+        if (session && session.username !== req.adminUser.username && !hasRole(req.adminUser, 'superadmin')) {
+            return res.status(403).json({ success: false, error: 'Akses ditolak: memerlukan role superadmin' });
+        }
+        if (!session || !sessionsRepo.revoke(session.id)) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+        
+        recordAudit(req, AuditAction.SESSION_REVOKED, { details: { sessionId: session.id, username: session.username } });
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        console.error('[ADMIN] Revoke session error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
-};
+});
+
 
 // ============================================================================
-// Key Generation Helpers
+// Blocked Sources (operator)
+// IPs blocked by the public endpoint guard for key enumeration
 // ============================================================================
 
-function generateRandomSegment(length) {
-    const bytes = crypto.randomBytes(length * 2);
-    let result = '';
-    for (let i = 0; i < length; i++) {
-        result += KEY_CONFIG.CHARSET[bytes[i] % KEY_CONFIG.CHARSET.length];
+router.get('/blocked-sources', requireRole('operator'), (req, res) => {
+    try {
+        res.json({ success: true, sources: listBlockedSources() });
+    } catch (error) {
+        console.error('[ADMIN] List blocked sources error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.delete('/blocked-sources/:ip', requireRole('operator'), (req, res) => {
+    try {
+        const { ip } = req.params;
+        if (!unblockSource(ip)) {
+            return res.status(404).json({ success: false, error: 'Sumber tidak sedang diblokir' });
+        }
+        
+        recordAudit(req, AuditAction.SOURCE_UNBLOCKED, { details: { ip } });
+        res.json({ success: true, message: 'Blokir dibuka' });
+    } catch (error) {
+        console.error('[ADMIN] Unblock source error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
-    return result;
+});
+
+// ============================================================================
+// Admin Users (superadmin)
+// ============================================================================
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function formatAdminUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: normalizeRole(user.role),
+        isActive: user.is_active === 1,
+        createdAt: user.created_at,
+        lastLoginAt: user.last_login_at
+    };
+}
+
+function findAnyAdminUser(username) {
+    return adminUsersRepo.getAll().find(u => u.username === username);
 }
 
-function encodeBase36(num, length) {
-    const chars = KEY_CONFIG.CHARSET;
-    let result = '';
-    while (num > 0) {
-        result = chars[num % chars.length] + result;
-        num = Math.floor(num / chars.length);
+router.get('/users', requireRole('superadmin'), (req, res) => {
+    try {
+        res.json({ success: true, roles: ROLES, users: adminUsersRepo.getAll().map(formatAdminUser) });
+    } catch (error) {
+        console.error('[ADMIN] List users error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// POST /api/admin/users { username, password, role }
+router.post('/users', requireRole('superadmin'), (req, res) => {
+    try {
+        const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+        const { password, role = 'viewer' } = req.body;
+        
+        if (!/^[A-Za-z0-9._-]{3,32}$/.test(username)) {
+            return res.status(400).json({ success: false, error: 'Username 3-32 karakter (huruf, angka, . _ -)' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, error: `Password minimal ${MIN_PASSWORD_LENGTH} karakter` });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role harus salah satu dari: ${ROLES.join(', ')}` });
+        }
+        if (findAnyAdminUser(username)) {
+            return res.status(409).json({ success: false, error: 'Username sudah dipakai' });
+        }
+        
+        const user = adminUsersRepo.create(username, hashPassword(password), role);
+        
+        console.log(`[ADMIN] User created: ${username} (${role}) by ${req.adminUser.username}`);
+        recordAudit(req, AuditAction.USER_CREATED, { details: { username, role } });
+        
+        res.json({ success: true, user: formatAdminUser(user) });
+    } catch (error) {
+        console.error('[ADMIN] Create user error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Nonaktifkan user; semua sesinya langsung dicabut
+router.post('/users/:username/deactivate', requireRole('superadmin'), (req, res) => {
+    try {
+        const { username } = req.params;
+        const user = findAnyAdminUser(username);
+        
+        if (!user || user.is_active !== 1) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (username === req.adminUser.username) {
+            return res.status(400).json({ success: false, error: 'Tidak bisa menonaktifkan akun sendiri' });
+        }
+        if (normalizeRole(user.role) === 'superadmin' && adminUsersRepo.countActiveSuperadmins() <= 1) {
+            return res.status(400).json({ success: false, error: 'Tidak bisa menonaktifkan superadmin aktif terakhir' });
+        }
+        
+        adminUsersRepo.deactivate(username);
+        const revokedSessions = sessionsRepo.revokeAllForUser(username);
+        
+        console.log(`[ADMIN] User deactivated: ${username} by ${req.adminUser.username}`);
+        recordAudit(req, AuditAction.USER_DEACTIVATED, { details: { username, revokedSessions } });
+        
+        res.json({ success: true, message: `User ${username} dinonaktifkan`, revokedSessions });
+    } catch (error) {
+        console.error('[ADMIN] Deactivate user error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
-    while (result.length < length) {
-        result = chars[0] + result;
+});
+
+// POST /api/admin/users/:username/reset-password { password }
+router.post('/users/:username/reset-password', requireRole('superadmin'), (req, res) => {
+    try {
+        const { username } = req.params;
+        const { password } = req.body;
+        const user = findAnyAdminUser(username);
+        
+        if (!user || user.is_active !== 1) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, error: `Password minimal ${MIN_PASSWORD_LENGTH} karakter` });
+        }
+        
+        adminUsersRepo.updatePassword(username, hashPassword(password));
+        clearFailures(username);
+        
+        // Sesi lain user ini dicabut; sesi admin yang mereset tetap aktif
+        const revokedSessions = sessionsRepo.getActive()
+            .filter(s => s.username === username && s.id !== req.adminUser.sessionId)
+            .filter(s => sessionsRepo.revoke(s.id))
+            .length;
+        
+        console.log(`[ADMIN] Password reset: ${username} by ${req.adminUser.username}`);
+        recordAudit(req, AuditAction.USER_PASSWORD_RESET, { details: { username, revokedSessions } });
+        
+        res.json({ success: true, message: `Password ${username} direset`, revokedSessions });
+    } catch (error) {
+        console.error('[ADMIN] Reset password error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
-    return result.substring(0, length);
+});
+
+// ============================================================================
+// Input Helpers
+// ============================================================================
+
+/**
+ * Parse expiry input from admin ("2026-12-31" or full ISO timestamp).
+ * A date without time means end of that day (UTC).
+ * Returns ISO string, null when empty, or undefined when invalid.
+ */
+function parseExpiryDate(value) {
+    if (!value) return null;
+    
+    const input = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+    const date = new Date(input);
+    
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Parse a from/to filter ("2026-01-31" or ISO). A date-only "to" includes the whole day.
+ * Returns ISO string, or undefined when invalid.
+ */
+function parseDateFilter(value, endOfDay) {
+    const input = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+        : value;
+    const date = new Date(input);
+    
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
 }
 
-function generateChecksum(data, secretKey) {
-    const hash = crypto.createHmac('sha256', secretKey).update(data).digest('hex');
-    const num = parseInt(hash.substring(0, 8), 16);
-    return encodeBase36(num, KEY_CONFIG.SEGMENT_LENGTH);
+function parseTermDays(value) {
+    if (value === undefined || value === null || value === '') return null;
+    
+    const days = parseInt(value);
+    return days > 0 ? days : undefined;
 }
 
-function generateLicenseKey(productCode) {
-    const product = KEY_CONFIG.PRODUCTS[productCode];
-    if (!product) throw new Error(`Unknown product: ${productCode}`);
+/**
+ * Parse a ?customerId= filter: id, 'none' (unassigned) or empty (all).
+ * Returns the filter, null for no filter, or undefined when invalid.
+ */
+function parseCustomerFilter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value === 'none') return 'none';
     
-    const seg1 = generateRandomSegment(2) + productCode.substring(0, 2);
-    const seg2 = productCode.substring(2, 4) + generateRandomSegment(2);
-    const seg3 = generateRandomSegment(4);
-    const dataToCheck = seg1 + seg2 + seg3;
-    const seg4 = generateChecksum(dataToCheck, product.secretKey);
+    const id = parseInt(value);
+    return id > 0 && customersRepo.findById(id) ? id : undefined;
+}
+
+/**
+ * Resolve a customerId from a request body.
+ * Returns the id, null when empty (unassigned), or undefined when unknown.
+ */
+function resolveCustomerId(value) {
+    if (value === undefined || value === null || value === '') return null;
     
-    return `${seg1}-${seg2}-${seg3}-${seg4}`;
+    const id = parseInt(value);
+    return id > 0 && customersRepo.findById(id) ? id : undefined;
 }
 
 // ============================================================================
 // Key Generation Endpoints
 // ============================================================================
 
-router.post('/generate-keys', (req, res) => {
+router.post('/generate-keys', requireRole('operator'), (req, res) => {
     try {
         const { productCode, count = 1 } = req.body;
         
-        if (!productCode || !KEY_CONFIG.PRODUCTS[productCode]) {
+        const product = productCode ? getProduct(productCode) : null;
+        if (!product) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid product code. Valid codes: ' + Object.keys(KEY_CONFIG.PRODUCTS).join(', ')
+                error: 'Invalid product code. Valid codes: ' + getProductCodes().join(', ')
             });
         }
+        if (!product.isActive) {
+            return res.status(400).json({ success: false, error: `Produk ${productCode} tidak aktif` });
+        }
+        
+        const expiresAt = parseExpiryDate(req.body.expiresAt);
+        if (expiresAt === undefined) {
+            return res.status(400).json({ success: false, error: 'Invalid expiresAt date' });
+        }
+        
+        const termDays = parseTermDays(req.body.termDays);
+        if (termDays === undefined) {
+            return res.status(400).json({ success: false, error: 'termDays must be a positive number' });
+        }
+        
+        // Kosong = pakai default LICENSE_TRANSFER_LIMIT, 0 = tidak boleh transfer
+        const hasTransferLimit = req.body.transferLimit !== undefined && req.body.transferLimit !== null && req.body.transferLimit !== '';
+        const transferLimit = hasTransferLimit ? parseInt(req.body.transferLimit) : null;
+        if (hasTransferLimit && !(transferLimit >= 0)) {
+            return res.status(400).json({ success: false, error: 'transferLimit must be 0 or more' });
+        }
+        
+        // Jumlah perangkat per key (site pack), atau lease bersamaan untuk floating
+        const seatCount = req.body.seatCount ? parseInt(req.body.seatCount) : 1;
+        if (!(seatCount >= 1 && seatCount <= 1000)) {
+            return res.status(400).json({ success: false, error: 'seatCount must be between 1 and 1000' });
+        }
+        
+        const licenseType = req.body.licenseType || 'node_locked';
+        if (!['node_locked', 'floating'].includes(licenseType)) {
+            return res.status(400).json({ success: false, error: 'licenseType must be node_locked or floating' });
+        }
+        
+        const customerId = resolveCustomerId(req.body.customerId);
+        if (customerId === undefined) {
+            return res.status(400).json({ success: false, error: 'Customer not found' });
+        }
+        
+        const batchName = typeof req.body.batchName === 'string' ? req.body.batchName.trim().substring(0, 100) : '';
+        const purpose = typeof req.body.purpose === 'string' ? req.body.purpose.trim().substring(0, 200) : '';
         
         const numKeys = Math.min(Math.max(1, parseInt(count)), 100);
         const generatedKeys = [];
         
-        for (let i = 0; i < numKeys; i++) {
-            const licenseKey = generateLicenseKey(productCode);
-            
-            generatedKeysRepo.add({
-                license_key: licenseKey,
-                product_code: productCode
+        // Batch + key dalam satu transaksi: tidak ada batch setengah jadi
+        const batch = runInTransaction(() => {
+            const created = batchesRepo.create({
+                name: batchName || `${productCode} ${new Date().toISOString().substring(0, 10)}`,
+                purpose,
+                product_code: productCode,
+                customer_id: customerId,
+                created_by: req.adminUser.username
             });
             
-            generatedKeys.push({
-                key: licenseKey,
+            for (let i = 0; i < numKeys; i++) {
+                const licenseKey = generateLicenseKey(productCode);
+                
+                generatedKeysRepo.add({
+                    license_key: licenseKey,
+                    product_code: productCode,
+                    expires_at: expiresAt,
+                    term_days: termDays,
+                    transfer_limit: transferLimit,
+                    seat_count: seatCount,
+                    license_type: licenseType,
+                    customer_id: customerId,
+                    batch_id: created.id
+                });
+                
+                generatedKeys.push({
+                    key: licenseKey,
+                    productCode,
+                    productName: product.name,
+                    expiresAt,
+                    termDays,
+                    transferLimit,
+                    seatCount,
+                    licenseType,
+                    customerId
+                });
+            }
+            
+            return created;
+        });
+        
+        console.log(`[ADMIN] Generated ${numKeys} keys for ${productCode} (batch #${batch.id} "${batch.name}")`);
+        for (const key of generatedKeys) {
+            recordAudit(req, AuditAction.KEYS_GENERATED, {
+                licenseKey: key.key,
                 productCode,
-                productName: KEY_CONFIG.PRODUCTS[productCode].name
+                details: { expiresAt, termDays, seatCount, licenseType, customerId, batchId: batch.id }
             });
         }
         
-        console.log(`[ADMIN] Generated ${numKeys} keys for ${productCode}`);
-        
         res.json({
             success: true,
             count: generatedKeys.length,
+            batch: formatBatch(batchesRepo.findById(batch.id)),
             keys: generatedKeys
         });
         
@@ -163,6 +537,11 @@ router.post('/generate-keys', (req, res) => {
 router.get('/generated-keys', (req, res) => {
     try {
         const { status = 'all' } = req.query;
+        const customerId = parseCustomerFilter(req.query.customerId);
+        if (customerId === undefined) {
+            return res.status(400).json({ success: false, error: 'Customer not found' });
+        }
+        
         let keys = generatedKeysRepo.getAll();
         
         if (status === 'unused') {
@@ -171,10 +550,28 @@ router.get('/generated-keys', (req, res) => {
             keys = keys.filter(k => k.is_used);
         }
         
+        if (customerId === 'none') {
+            keys = keys.filter(k => !k.customer_id);
+        } else if (customerId) {
+            keys = keys.filter(k => k.customer_id === customerId);
+        }
+        
+        // ?batch=<id> atau ?batch=none (key tanpa batch)
+        if (req.query.batch === 'none') {
+            keys = keys.filter(k => !k.batch_id);
+        } else if (req.query.batch) {
+            const batchId = parseInt(req.query.batch);
+            if (!batchesRepo.findById(batchId)) {
+                return res.status(404).json({ success: false, error: 'Batch not found' });
+            }
+            keys = keys.filter(k => k.batch_id === batchId);
+        }
+        
         res.json({
             success: true,
             count: keys.length,
-            stats: generatedKeysRepo.getStats(),
+            stats: generatedKeysRepo.getStats(customerId),
+            defaultTransferLimit: DEFAULT_TRANSFER_LIMIT,
             keys
         });
         
@@ -184,7 +581,161 @@ router.get('/generated-keys', (req, res) => {
     }
 });
 
-router.delete('/generated-keys/:key', (req, res) => {
+// ============================================================================
+// Key Batches
+// ============================================================================
+
+// Kolom export batch (CSV & JSON), urutan = urutan kolom CSV
+const BATCH_EXPORT_COLUMNS = [
+    'licenseKey', 'productCode', 'productName', 'licenseType', 'seatCount', 'seatsUsed',
+    'status', 'expiresAt', 'termDays', 'customer', 'batch', 'purpose', 'generatedAt'
+];
+
+function formatBatch(batch) {
+    return {
+        id: batch.id,
+        name: batch.name,
+        purpose: batch.purpose,
+        productCode: batch.product_code,
+        productName: getProduct(batch.product_code)?.name || batch.product_code,
+        customerId: batch.customer_id,
+        customerName: batch.customer_id ? customersRepo.findById(batch.customer_id)?.name || null : null,
+        keyCount: batch.key_count,
+        usedCount: batch.used_count,
+        createdBy: batch.created_by,
+        createdAt: batch.created_at
+    };
+}
+
+/**
+ * Rows for exporting a batch (one row per key)
+ */
+function buildBatchExportRows(batch) {
+    const customerName = batch.customer_id ? customersRepo.findById(batch.customer_id)?.name || '' : '';
+    
+    return generatedKeysRepo.getAll()
+        .filter(k => k.batch_id === batch.id)
+        .sort((a, b) => a.id - b.id)
+        .map(k => ({
+            licenseKey: k.license_key,
+            productCode: k.product_code,
+            productName: getProduct(k.product_code)?.name || k.product_code,
+            licenseType: k.license_type,
+            seatCount: k.seat_count,
+            seatsUsed: k.seats_used,
+            status: k.is_used ? 'used' : 'unused',
+            expiresAt: k.expires_at,
+            termDays: k.term_days,
+            customer: k.customer_id ? customersRepo.findById(k.customer_id)?.name || '' : customerName,
+            batch: batch.name,
+            purpose: batch.purpose,
+            generatedAt: k.generated_at
+        }));
+}
+
+/**
+ * CSV (RFC 4180) with a header row. Cells starting with = + - @ get a
+ * leading quote so spreadsheets do not run them as formulas.
+ */
+function toCsv(rows, columns) {
+    const escapeCell = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [
+        columns.join(','),
+        ...rows.map(row => columns.map(c => escapeCell(row[c])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+// GET /api/admin/batches?customerId=
+router.get('/batches', (req, res) => {
+    try {
+        const customerId = parseCustomerFilter(req.query.customerId);
+        if (customerId === undefined) {
+            return res.status(400).json({ success: false, error: 'Customer not found' });
+        }
+        
+        res.json({ success: true, batches: batchesRepo.getAll(customerId).map(formatBatch) });
+    } catch (error) {
+        console.error('[ADMIN] List batches error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// GET /api/admin/batches/:id/export?format=csv|json (download)
+router.get('/batches/:id/export', (req, res) => {
+    try {
+        const batch = batchesRepo.findById(parseInt(req.params.id));
+        if (!batch) {
+            return res.status(404).json({ success: false, error: 'Batch not found' });
+        }
+        
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be csv or json' });
+        }
+        
+        const rows = buildBatchExportRows(batch);
+        const fileName = `batch-${batch.id}-${batch.name.replace(/[^A-Za-z0-9_-]+/g, '_')}.${format}`;
+        
+        console.log(`[ADMIN] Batch #${batch.id} exported (${format}, ${rows.length} keys) by ${req.adminUser.username}`);
+        recordAudit(req, AuditAction.KEYS_EXPORTED, {
+            productCode: batch.product_code,
+            details: { batchId: batch.id, format, count: rows.length }
+        });
+        
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (format === 'json') {
+            return res.json({ batch: formatBatch(batch), keys: rows });
+        }
+        res.type('text/csv').send(toCsv(rows, BATCH_EXPORT_COLUMNS));
+    } catch (error) {
+        console.error('[ADMIN] Export batch error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Devices bound to a key (one row per used seat)
+router.get('/generated-keys/:key/devices', (req, res) => {
+    try {
+        const licenseKey = req.params.key.trim().toUpperCase();
+        const keyData = generatedKeysRepo.findByKey(licenseKey);
+        
+        if (!keyData) {
+            return res.status(404).json({ success: false, error: 'Key not found' });
+        }
+        
+        const devices = licenseRepo.findByKey(licenseKey);
+        
+        res.json({
+            success: true,
+            licenseKey,
+            seatCount: keyData.seat_count,
+            seatsUsed: devices.length,
+            devices: devices.map(l => ({
+                hardwareId: l.hardware_id,
+                deviceName: l.device_name,
+                productCode: l.product_code,
+                activatedAt: l.activated_at,
+                lastCheckAt: l.last_check_at,
+                isRevoked: l.is_revoked,
+                expiresAt: l.expires_at,
+                activationMode: l.activation_mode,
+                hardwareChangedComponents: l.hardware_changed_components,
+                hardwareChangedAt: l.hardware_changed_at
+            }))
+        });
+        
+    } catch (error) {
+        console.error('[ADMIN] List key devices error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.delete('/generated-keys/:key', requireRole('superadmin'), (req, res) => {
     try {
         const { key } = req.params;
         const keyData = generatedKeysRepo.findByKey(key);
@@ -200,7 +751,9 @@ router.delete('/generated-keys/:key', (req, res) => {
             });
         }
         
-        generatedKeysRepo.delete(key);
+        generatedKeysRepo.deleteByKey(key);
+        recordAudit(req, AuditAction.KEY_DELETED, { licenseKey: key, productCode: keyData.product_code });
+        
         res.json({ success: true, message: 'Key deleted' });
         
     } catch (error) {
@@ -209,41 +762,165 @@ router.delete('/generated-keys/:key', (req, res) => {
     }
 });
 
+// Transfer history (self-service device moves), optional ?licenseKey=
+router.get('/transfers', (req, res) => {
+    try {
+        const { licenseKey } = req.query;
+        const transfers = licenseKey
+            ? transfersRepo.findByKey(licenseKey.trim().toUpperCase())
+            : transfersRepo.getAll();
+        
+        res.json({ success: true, count: transfers.length, transfers });
+    } catch (error) {
+        console.error('[ADMIN] List transfers error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 // ============================================================================
-// License Management Endpoints
+// Floating License Leases
 // ============================================================================
 
-router.get('/licenses', (req, res) => {
+// Live lease holders (stale leases are reclaimed first)
+router.get('/leases', (req, res) => {
     try {
-        const licenses = licenseRepo.getAll();
+        reclaimStaleLeases();
+        
+        const leases = leasesRepo.getAll();
+        const seatCounts = {};
+        
+        for (const lease of leases) {
+            if (!(lease.license_key in seatCounts)) {
+                seatCounts[lease.license_key] = generatedKeysRepo.findByKey(lease.license_key)?.seat_count || 1;
+            }
+        }
         
         res.json({
             success: true,
-            count: licenses.length,
-            stats: licenseRepo.getStats(),
-            licenses: licenses.map(l => ({
-                id: l.id,
+            count: leases.length,
+            leaseTimeoutSeconds: LEASE_TIMEOUT_SECONDS,
+            seatCounts,
+            leases: leases.map(l => ({
+                leaseId: l.lease_id,
                 licenseKey: l.license_key,
+                productCode: l.product_code,
                 hardwareId: l.hardware_id,
                 deviceName: l.device_name,
-                productCode: l.product_code,
-                activatedAt: l.activated_at,
-                lastCheckAt: l.last_check_at,
-                isRevoked: l.is_revoked,
-                revokedAt: l.revoked_at,
-                revokedReason: l.revoked_reason
+                ipAddress: l.ip_address,
+                checkedOutAt: l.checked_out_at,
+                lastHeartbeatAt: l.last_heartbeat_at
             }))
         });
     } catch (error) {
-        console.error('[ADMIN] List licenses error:', error);
+        console.error('[ADMIN] List leases error:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
 
-router.get('/licenses/:hardwareId', (req, res) => {
+// Force-release a lease (the client gets LEASE_EXPIRED on its next heartbeat)
+router.delete('/leases/:leaseId', requireRole('operator'), (req, res) => {
     try {
-        const { hardwareId } = req.params;
-        const license = licenseRepo.findByHardwareId(hardwareId);
+        const lease = leasesRepo.findById(req.params.leaseId);
+        if (!lease || !releaseLease(lease.lease_id)) {
+            return res.status(404).json({ success: false, error: 'Lease not found' });
+        }
+        
+        recordAudit(req, AuditAction.LEASE_RELEASED, {
+            licenseKey: lease.license_key,
+            hardwareId: lease.hardware_id,
+            productCode: lease.product_code,
+            details: { leaseId: lease.lease_id }
+        });
+        
+        res.json({ success: true, message: 'Lease released' });
+    } catch (error) {
+        console.error('[ADMIN] Release lease error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// Stale Devices (no check-in for STALE_LICENSE_DAYS)
+// ============================================================================
+
+// GET /api/admin/stale-devices?productCode=
+router.get('/stale-devices', (req, res) => {
+    try {
+        const productCode = req.query.productCode || null;
+        const devices = getStaleReport(productCode);
+        const customerNames = new Map(customersRepo.getAll().map(c => [c.id, c.name]));
+        
+        res.json({
+            success: true,
+            staleAfterDays: STALE_LICENSE_DAYS,
+            count: devices.length,
+            devices: devices.map(d => ({ ...d, customerName: customerNames.get(d.customerId) || null }))
+        });
+    } catch (error) {
+        console.error('[ADMIN] Stale devices error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Run the hourly check now (flag + auto-release per product)
+router.post('/stale-devices/check', requireRole('operator'), (req, res) => {
+    try {
+        const result = runStaleDeviceCheck();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('[ADMIN] Stale device check error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// License Management Endpoints
+// ============================================================================
+
+router.get('/licenses', (req, res) => {
+    try {
+        const customerId = parseCustomerFilter(req.query.customerId);
+        if (customerId === undefined) {
+            return res.status(400).json({ success: false, error: 'Customer not found' });
+        }
+        
+        const licenses = licenseRepo.getAll(customerId);
+        const customerNames = new Map(customersRepo.getAll().map(c => [c.id, c.name]));
+        
+        res.json({
+            success: true,
+            count: licenses.length,
+            stats: licenseRepo.getStats(customerId),
+            licenses: licenses.map(l => ({
+                id: l.id,
+                licenseKey: l.license_key,
+                hardwareId: l.hardware_id,
+                deviceName: l.device_name,
+                productCode: l.product_code,
+                activatedAt: l.activated_at,
+                lastCheckAt: l.last_check_at,
+                isRevoked: l.is_revoked,
+                revokedAt: l.revoked_at,
+                revokedReason: l.revoked_reason,
+                expiresAt: l.expires_at,
+                activationMode: l.activation_mode,
+                hardwareChangedComponents: l.hardware_changed_components,
+                hardwareChangedAt: l.hardware_changed_at,
+                staleSince: l.stale_since,
+                customerId: l.customer_id,
+                customerName: customerNames.get(l.customer_id) || null
+            }))
+        });
+    } catch (error) {
+        console.error('[ADMIN] List licenses error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.get('/licenses/:hardwareId', (req, res) => {
+    try {
+        const { hardwareId } = req.params;
+        const license = licenseRepo.findByHardwareId(hardwareId);
         
         if (!license) {
             return res.status(404).json({ success: false, error: 'License not found' });
@@ -256,7 +933,7 @@ router.get('/licenses/:hardwareId', (req, res) => {
     }
 });
 
-router.post('/revoke', (req, res) => {
+router.post('/revoke', requireRole('operator'), (req, res) => {
     try {
         const { hardwareId, reason } = req.body;
         
@@ -276,7 +953,20 @@ router.post('/revoke', (req, res) => {
 
         const updated = licenseRepo.revoke(hardwareId, reason || 'Revoked by admin');
         
+        // revoke() berlaku untuk semua produk di perangkat ini
+        for (const revoked of licenseRepo.getAll().filter(l => l.hardware_id === hardwareId)) {
+            leasesRepo.releaseByHardware(revoked.license_key, hardwareId);
+        }
+        
         console.log(`[ADMIN] REVOKED: ${hardwareId.substring(0, 8)}...`);
+        recordAudit(req, AuditAction.LICENSE_REVOKED, {
+            licenseKey: updated.license_key,
+            hardwareId: updated.hardware_id,
+            productCode: updated.product_code,
+            details: { reason: updated.revoked_reason }
+        });
+        emitWebhookEvent(WebhookEvent.LICENSE_REVOKED, licenseEventData(updated, { reason: updated.revoked_reason }), req);
+        recordUsage(UsageEvent.REVOCATION, updated.product_code);
 
         res.json({
             success: true,
@@ -294,7 +984,7 @@ router.post('/revoke', (req, res) => {
     }
 });
 
-router.post('/reactivate', (req, res) => {
+router.post('/reactivate', requireRole('operator'), (req, res) => {
     try {
         const { hardwareId } = req.body;
         
@@ -315,6 +1005,12 @@ router.post('/reactivate', (req, res) => {
         const updated = licenseRepo.reactivate(hardwareId);
         
         console.log(`[ADMIN] REACTIVATED: ${hardwareId.substring(0, 8)}...`);
+        recordAudit(req, AuditAction.LICENSE_REACTIVATED, {
+            licenseKey: updated.license_key,
+            hardwareId: updated.hardware_id,
+            productCode: updated.product_code
+        });
+        emitWebhookEvent(WebhookEvent.LICENSE_REACTIVATED, licenseEventData(updated), req);
 
         res.json({
             success: true,
@@ -328,8 +1024,128 @@ router.post('/reactivate', (req, res) => {
     }
 });
 
+// Renew: set tanggal akhir baru (expiresAt) atau perpanjang N hari (termDays)
+router.post('/renew', requireRole('operator'), (req, res) => {
+    try {
+        const { hardwareId, productCode } = req.body;
+        
+        if (!hardwareId || !productCode) {
+            return res.status(400).json({ success: false, error: 'Hardware ID and product code are required' });
+        }
+        
+        const license = licenseRepo.findByHardwareAndProduct(hardwareId, productCode);
+        if (!license) {
+            return res.status(404).json({ success: false, error: 'License not found' });
+        }
+        
+        let expiresAt = parseExpiryDate(req.body.expiresAt);
+        const termDays = parseTermDays(req.body.termDays);
+        
+        if (expiresAt === undefined || termDays === undefined) {
+            return res.status(400).json({ success: false, error: 'Invalid expiresAt or termDays' });
+        }
+        
+        if (termDays) {
+            // Perpanjang dari tanggal akhir saat ini (atau dari sekarang jika sudah lewat)
+            const base = Math.max(Date.now(), license.expires_at ? new Date(license.expires_at).getTime() : 0);
+            expiresAt = new Date(base + termDays * 24 * 60 * 60 * 1000).toISOString();
+        }
+        
+        // expiresAt null & tanpa termDays = lisensi tanpa batas waktu
+        const updated = licenseRepo.updateExpiry(hardwareId, productCode, expiresAt);
+        
+        console.log(`[ADMIN] RENEWED: ${hardwareId.substring(0, 8)}... product=${productCode} until ${expiresAt || 'no expiry'}`);
+        recordAudit(req, AuditAction.LICENSE_RENEWED, {
+            licenseKey: updated.license_key,
+            hardwareId: updated.hardware_id,
+            productCode: updated.product_code,
+            details: { previousExpiresAt: license.expires_at, expiresAt: updated.expires_at }
+        });
+        
+        res.json({
+            success: true,
+            message: 'License renewed',
+            license: {
+                hardwareId: updated.hardware_id,
+                productCode: updated.product_code,
+                expiresAt: updated.expires_at
+            }
+        });
+        
+    } catch (error) {
+        console.error('[ADMIN] Renew error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// Offline (Air-gapped) Activation
+// ============================================================================
+
+// Body = isi file request dari client (type: license-activation-request).
+// Returns the response file content the client imports to finish activation.
+// Request yang sama bisa diproses ulang untuk menerbitkan response baru
+// (mis. setelah renew).
+router.post('/offline-activate', requireRole('operator'), (req, res) => {
+    try {
+        const request = req.body;
+        
+        if (!request || request.type !== 'license-activation-request') {
+            return res.status(400).json({ success: false, error: 'File request aktivasi tidak valid' });
+        }
+        
+        const result = activateLicense({
+            licenseKey: request.licenseKey,
+            hardwareId: request.hardwareId,
+            deviceName: request.deviceName,
+            components: request.components,
+            activationMode: 'offline',
+            req
+        });
+        
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, error: result.error });
+        }
+        
+        const { license } = result;
+        
+        console.log(`[ADMIN] Offline activation response issued: ${license.hardware_id.substring(0, 8)}... (${license.product_code})`);
+        recordAudit(req, AuditAction.LICENSE_ACTIVATED, {
+            licenseKey: license.license_key,
+            hardwareId: license.hardware_id,
+            productCode: license.product_code,
+            details: { deviceName: license.device_name, activationMode: 'offline', reissued: result.alreadyActive }
+        });
+        if (!result.alreadyActive) {
+            emitWebhookEvent(WebhookEvent.LICENSE_ACTIVATED, licenseEventData(license, { activationMode: 'offline' }), req);
+            recordUsage(UsageEvent.ACTIVATION, license.product_code);
+        }
+        
+        res.json({
+            success: true,
+            alreadyActive: result.alreadyActive,
+            response: {
+                type: 'license-activation-response',
+                version: 1,
+                licenseKey: license.license_key,
+                hardwareId: license.hardware_id,
+                productCode: license.product_code,
+                productName: result.productName,
+                activatedAt: license.activated_at,
+                expiresAt: license.expires_at,
+                issuedAt: new Date().toISOString(),
+                token: issueOfflineActivationToken(license)
+            }
+        });
+        
+    } catch (error) {
+        console.error('[ADMIN] Offline activation error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 // DELETE by hardwareId + productCode (hapus 1 produk saja)
-router.delete('/licenses/:hardwareId/:productCode', (req, res) => {
+router.delete('/licenses/:hardwareId/:productCode', requireRole('superadmin'), (req, res) => {
     try {
         const { hardwareId, productCode } = req.params;
 
@@ -341,21 +1157,26 @@ router.delete('/licenses/:hardwareId/:productCode', (req, res) => {
             });
         }
 
-        // Reset generated key ke unused (agar bisa dipakai ulang)
-        if (license.license_key) {
-            const generatedKey = generatedKeysRepo.findByKey(license.license_key);
-            if (generatedKey) {
-                generatedKeysRepo.resetKeyToUnused(license.license_key);
-                console.log(`[ADMIN] KEY RESET: ${license.license_key} → UNUSED`);
-            }
-        }
-
         licenseRepo.deleteByHardwareIdAndProduct(hardwareId, productCode);
+        leasesRepo.releaseByHardware(license.license_key, hardwareId);
+
+        // Lepas seat perangkat ini saja (key multi-seat tetap terpakai oleh perangkat lain)
+        if (license.license_key && generatedKeysRepo.findByKey(license.license_key)) {
+            generatedKeysRepo.releaseSeat(license.license_key);
+            console.log(`[ADMIN] SEAT RELEASED: ${license.license_key}`);
+        }
 
-        console.log(`[ADMIN] DELETED: ${hardwareId.substring(0, 8)}... product=${productCode} (key reset to unused)`);
+        console.log(`[ADMIN] DELETED: ${hardwareId.substring(0, 8)}... product=${productCode} (seat released)`);
+        recordAudit(req, AuditAction.LICENSE_DELETED, {
+            licenseKey: license.license_key,
+            hardwareId,
+            productCode,
+            details: { deviceName: license.device_name }
+        });
+        emitWebhookEvent(WebhookEvent.LICENSE_DELETED, licenseEventData(license), req);
         res.json({
             success: true,
-            message: `License ${productCode} dihapus, key dapat digunakan kembali`
+            message: `License ${productCode} dihapus, seat key dapat digunakan kembali`
         });
 
     } catch (error) {
@@ -365,7 +1186,7 @@ router.delete('/licenses/:hardwareId/:productCode', (req, res) => {
 });
 
 // DELETE semua license untuk 1 hardware ID (reset SEMUA generated keys terkait)
-router.delete('/licenses/:hardwareId', (req, res) => {
+router.delete('/licenses/:hardwareId', requireRole('superadmin'), (req, res) => {
     try {
         const { hardwareId } = req.params;
 
@@ -378,24 +1199,31 @@ router.delete('/licenses/:hardwareId', (req, res) => {
             return res.status(404).json({ success: false, error: 'License not found' });
         }
 
-        // Reset SEMUA generated keys ke unused
+        // Hapus semua license untuk hardware ID ini
+        licenseRepo.deleteByHardwareId(hardwareId);
+
+        // Lepas seat (dan lease floating) perangkat ini di SEMUA generated keys terkait
         for (const license of allLicensesForDevice) {
-            if (license.license_key) {
-                const generatedKey = generatedKeysRepo.findByKey(license.license_key);
-                if (generatedKey) {
-                    generatedKeysRepo.resetKeyToUnused(license.license_key);
-                    console.log(`[ADMIN] KEY RESET: ${license.license_key} (${license.product_code}) → UNUSED`);
-                }
+            leasesRepo.releaseByHardware(license.license_key, hardwareId);
+            if (license.license_key && generatedKeysRepo.findByKey(license.license_key)) {
+                generatedKeysRepo.releaseSeat(license.license_key);
+                console.log(`[ADMIN] SEAT RELEASED: ${license.license_key} (${license.product_code})`);
             }
         }
 
-        // Hapus semua license untuk hardware ID ini
-        licenseRepo.deleteByHardwareId(hardwareId);
-
-        console.log(`[ADMIN] DELETED ALL: ${hardwareId.substring(0, 8)}... (${allLicensesForDevice.length} licenses, all keys reset to unused)`);
+        console.log(`[ADMIN] DELETED ALL: ${hardwareId.substring(0, 8)}... (${allLicensesForDevice.length} licenses, seats released)`);
+        for (const license of allLicensesForDevice) {
+            recordAudit(req, AuditAction.LICENSE_DELETED, {
+                licenseKey: license.license_key,
+                hardwareId,
+                productCode: license.product_code,
+                details: { deviceName: license.device_name }
+            });
+            emitWebhookEvent(WebhookEvent.LICENSE_DELETED, licenseEventData(license), req);
+        }
         res.json({
             success: true,
-            message: `${allLicensesForDevice.length} license(s) deleted permanently, all keys can be reused`
+            message: `${allLicensesForDevice.length} license(s) deleted permanently, all seats can be reused`
         });
 
     } catch (error) {
@@ -404,32 +1232,1068 @@ router.delete('/licenses/:hardwareId', (req, res) => {
     }
 });
 
-router.get('/stats', (req, res) => {
+// ============================================================================
+// Customers / Organizations
+// ============================================================================
+
+function formatCustomer(customer) {
+    return {
+        id: customer.id,
+        name: customer.name,
+        contactName: customer.contact_name,
+        contactEmail: customer.contact_email,
+        contactPhone: customer.contact_phone,
+        notes: customer.notes,
+        keyCount: customer.key_count,
+        activeLicenses: customer.active_license_count,
+        createdAt: customer.created_at,
+        updatedAt: customer.updated_at
+    };
+}
+
+/**
+ * Validate customer fields from a request body
+ *
+ * @returns {Object} { customer } or { error }
+ */
+function parseCustomerBody(body) {
+    const text = (value, max) => typeof value === 'string' && value.trim() ? value.trim().substring(0, max) : null;
+    
+    const customer = {
+        name: text(body.name, 100),
+        contact_name: text(body.contactName, 100),
+        contact_email: text(body.contactEmail, 200),
+        contact_phone: text(body.contactPhone, 50),
+        notes: text(body.notes, 1000)
+    };
+    
+    if (!customer.name) {
+        return { error: 'Nama customer wajib diisi' };
+    }
+    if (customer.contact_email && !/^[^\s@]+@[^\s@]+$/.test(customer.contact_email)) {
+        return { error: 'Format email tidak valid' };
+    }
+    
+    return { customer };
+}
+
+router.get('/customers', (req, res) => {
+    try {
+        res.json({ success: true, customers: customersRepo.getAll().map(formatCustomer) });
+    } catch (error) {
+        console.error('[ADMIN] List customers error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// POST /api/admin/customers { name, contactName, contactEmail, contactPhone, notes }
+router.post('/customers', requireRole('operator'), (req, res) => {
+    try {
+        const { customer, error } = parseCustomerBody(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (customersRepo.findByName(customer.name)) {
+            return res.status(409).json({ success: false, error: 'Nama customer sudah ada' });
+        }
+        
+        const created = customersRepo.create(customer);
+        
+        console.log(`[ADMIN] Customer created: ${created.name}`);
+        recordAudit(req, AuditAction.CUSTOMER_CREATED, { details: { customerId: created.id, name: created.name } });
+        
+        res.json({ success: true, customer: formatCustomer(created) });
+    } catch (error) {
+        console.error('[ADMIN] Create customer error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.put('/customers/:id', requireRole('operator'), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!customersRepo.findById(id)) {
+            return res.status(404).json({ success: false, error: 'Customer not found' });
+        }
+        
+        const { customer, error } = parseCustomerBody(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const sameName = customersRepo.findByName(customer.name);
+        if (sameName && sameName.id !== id) {
+            return res.status(409).json({ success: false, error: 'Nama customer sudah ada' });
+        }
+        
+        const updated = customersRepo.update(id, customer);
+        recordAudit(req, AuditAction.CUSTOMER_UPDATED, { details: { customerId: id, name: updated.name } });
+        
+        res.json({ success: true, customer: formatCustomer(updated) });
+    } catch (error) {
+        console.error('[ADMIN] Update customer error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Hapus customer; key & lisensinya menjadi tanpa customer (tidak ikut dihapus)
+router.delete('/customers/:id', requireRole('superadmin'), (req, res) => {
+    try {
+        const customer = customersRepo.findById(parseInt(req.params.id));
+        if (!customer || !customersRepo.delete(customer.id)) {
+            return res.status(404).json({ success: false, error: 'Customer not found' });
+        }
+        
+        console.log(`[ADMIN] Customer deleted: ${customer.name}`);
+        recordAudit(req, AuditAction.CUSTOMER_DELETED, {
+            details: { customerId: customer.id, name: customer.name, keys: customer.key_count }
+        });
+        
+        res.json({ success: true, message: `Customer ${customer.name} dihapus` });
+    } catch (error) {
+        console.error('[ADMIN] Delete customer error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Ringkasan pemakaian: key, seat & perangkat per produk
+router.get('/customers/:id/usage', (req, res) => {
     try {
-        const keyStats = generatedKeysRepo.getStats();
-        const licenseStats = licenseRepo.getStats();
+        const customer = customersRepo.findById(parseInt(req.params.id));
+        if (!customer) {
+            return res.status(404).json({ success: false, error: 'Customer not found' });
+        }
+        
+        const products = customersRepo.getUsageByProduct(customer.id).map(p => ({
+            productCode: p.product_code,
+            productName: getProduct(p.product_code)?.name || p.product_code,
+            keys: p.keys,
+            usedKeys: p.used_keys,
+            seats: p.seats,
+            activeDevices: p.active,
+            revokedDevices: p.revoked,
+            expiredDevices: p.expired,
+            lastCheckAt: p.last_check_at
+        }));
         
         res.json({
             success: true,
+            customer: formatCustomer(customer),
             stats: {
-                generatedKeys: keyStats,
-                activatedLicenses: licenseStats
-            }
+                generatedKeys: generatedKeysRepo.getStats(customer.id),
+                activatedLicenses: licenseRepo.getStats(customer.id)
+            },
+            products
         });
+    } catch (error) {
+        console.error('[ADMIN] Customer usage error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
 
+/**
+ * POST /api/admin/assign-customer
+ * { customerId (null = lepas), licenseKeys: [...], licenses: [{ hardwareId, productCode }] }
+ * A key carries its activated devices along; a device can also be assigned on its own.
+ */
+router.post('/assign-customer', requireRole('operator'), (req, res) => {
+    try {
+        const customerId = resolveCustomerId(req.body.customerId);
+        if (customerId === undefined) {
+            return res.status(404).json({ success: false, error: 'Customer not found' });
+        }
+        
+        const licenseKeys = Array.isArray(req.body.licenseKeys) ? req.body.licenseKeys : [];
+        const licenses = Array.isArray(req.body.licenses) ? req.body.licenses : [];
+        if (licenseKeys.length === 0 && licenses.length === 0) {
+            return res.status(400).json({ success: false, error: 'licenseKeys or licenses required' });
+        }
+        
+        const notFound = [];
+        let assignedKeys = 0;
+        let assignedLicenses = 0;
+        
+        runInTransaction(() => {
+            for (const rawKey of licenseKeys) {
+                const licenseKey = String(rawKey).trim().toUpperCase();
+                if (generatedKeysRepo.assignCustomer(licenseKey, customerId)) {
+                    assignedKeys++;
+                    recordAudit(req, AuditAction.CUSTOMER_ASSIGNED, { licenseKey, details: { customerId } });
+                } else {
+                    notFound.push(licenseKey);
+                }
+            }
+            
+            for (const item of licenses) {
+                const hardwareId = String(item?.hardwareId || '').toUpperCase();
+                const license = licenseRepo.findByHardwareAndProduct(hardwareId, item?.productCode);
+                if (license && licenseRepo.assignCustomer(hardwareId, license.product_code, customerId)) {
+                    assignedLicenses++;
+                    recordAudit(req, AuditAction.CUSTOMER_ASSIGNED, {
+                        licenseKey: license.license_key,
+                        hardwareId,
+                        productCode: license.product_code,
+                        details: { customerId }
+                    });
+                } else {
+                    notFound.push(`${hardwareId}/${item?.productCode}`);
+                }
+            }
+        });
+        
+        console.log(`[ADMIN] Assigned ${assignedKeys} key(s), ${assignedLicenses} license(s) to customer ${customerId ?? '-'}`);
+        
+        res.json({ success: true, customerId, assignedKeys, assignedLicenses, notFound });
     } catch (error) {
-        console.error('[ADMIN] Stats error:', error);
+        console.error('[ADMIN] Assign customer error:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
 
-router.get('/products', (req, res) => {
-    const products = Object.entries(KEY_CONFIG.PRODUCTS).map(([code, info]) => ({
-        code,
-        name: info.name
-    }));
-    
-    res.json({ success: true, products });
+// ============================================================================
+// Bulk License Operations
+// ============================================================================
+
+/**
+ * Validate a bulk filter from the request body
+ *
+ * @returns {Object} { filter } or { error, status }
+ */
+function parseBulkFilter(raw) {
+    const filter = {};
+
+    if (raw.productCode) {
+        if (!getProduct(raw.productCode)) {
+            return { status: 400, error: 'Invalid product code' };
+        }
+        filter.productCode = raw.productCode;
+    }
+
+    if (raw.customerId !== undefined && raw.customerId !== null && raw.customerId !== '') {
+        const customerId = parseCustomerFilter(String(raw.customerId));
+        if (customerId === undefined) {
+            return { status: 404, error: 'Customer not found' };
+        }
+        filter.customerId = customerId;
+    }
+
+    if (raw.batchId !== undefined && raw.batchId !== null && raw.batchId !== '') {
+        if (raw.batchId === 'none') {
+            filter.batchId = 'none';
+        } else {
+            const batchId = parseInt(raw.batchId);
+            if (!batchesRepo.findById(batchId)) {
+                return { status: 404, error: 'Batch not found' };
+            }
+            filter.batchId = batchId;
+        }
+    }
+
+    if (raw.lastCheckOlderThanDays !== undefined && raw.lastCheckOlderThanDays !== null && raw.lastCheckOlderThanDays !== '') {
+        const days = parseInt(raw.lastCheckOlderThanDays);
+        if (!(days > 0)) {
+            return { status: 400, error: 'lastCheckOlderThanDays must be a positive number' };
+        }
+        filter.lastCheckOlderThanDays = days;
+    }
+
+    // Filter kosong = semua license; tolak supaya tidak terjadi revoke/hapus massal tanpa sengaja
+    if (Object.keys(filter).length === 0) {
+        return { status: 400, error: 'Filter minimal satu kriteria (productCode, customerId, batchId, lastCheckOlderThanDays)' };
+    }
+
+    return { filter };
+}
+
+/**
+ * POST /api/admin/licenses/bulk
+ * {
+ *   action: 'revoke' | 'reactivate' | 'delete',
+ *   filter: { productCode, customerId, batchId, lastCheckOlderThanDays }  -- atau --
+ *   items: [{ hardwareId, productCode? }],
+ *   reason, dryRun
+ * }
+ * revoke/reactivate: operator, delete: superadmin. dryRun hanya menampilkan
+ * hasil per item tanpa mengubah data; eksekusi nyata berjalan dalam satu transaksi.
+ */
+router.post('/licenses/bulk', requireRole('operator'), (req, res) => {
+    try {
+        const { action, reason } = req.body;
+        const dryRun = req.body.dryRun === true;
+
+        if (!BULK_ACTIONS.includes(action)) {
+            return res.status(400).json({ success: false, error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+        }
+        if (action === 'delete' && !hasRole(req.adminUser, 'superadmin')) {
+            return res.status(403).json({ success: false, error: 'Akses ditolak: memerlukan role superadmin' });
+        }
+
+        const hasItems = Array.isArray(req.body.items);
+        const hasFilter = req.body.filter && typeof req.body.filter === 'object';
+        if (hasItems === Boolean(hasFilter)) {
+            return res.status(400).json({ success: false, error: 'Provide either filter or items' });
+        }
+        if (hasItems && req.body.items.length === 0) {
+            return res.status(400).json({ success: false, error: 'items must not be empty' });
+        }
+
+        let filter = null;
+        if (hasFilter) {
+            const parsed = parseBulkFilter(req.body.filter);
+            if (parsed.error) {
+                return res.status(parsed.status).json({ success: false, error: parsed.error });
+            }
+            filter = parsed.filter;
+        }
+
+        const result = runBulkOperation({
+            action,
+            filter,
+            items: hasItems ? req.body.items : null,
+            dryRun,
+            reason: reason || undefined,
+            req
+        });
+
+        console.log(`[ADMIN] BULK ${action.toUpperCase()}${dryRun ? ' (dry-run)' : ''}: ${result.summary.changed} changed, ${result.summary.skipped} skipped, ${result.summary.notFound} not found`);
+
+        res.json({ success: true, action, ...result });
+    } catch (error) {
+        console.error('[ADMIN] Bulk operation error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+// GET /api/admin/audit?licenseKey=&hardwareId=&productCode=&action=&actor=&from=&to=&page=&limit=
+router.get('/audit', (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 200);
+        
+        const from = req.query.from ? parseDateFilter(req.query.from, false) : null;
+        const to = req.query.to ? parseDateFilter(req.query.to, true) : null;
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ success: false, error: 'Invalid from/to date' });
+        }
+        
+        const { events, total } = auditRepo.query({
+            licenseKey: req.query.licenseKey ? req.query.licenseKey.trim().toUpperCase() : null,
+            hardwareId: req.query.hardwareId || null,
+            productCode: req.query.productCode || null,
+            action: req.query.action || null,
+            actor: req.query.actor || null,
+            from,
+            to
+        }, page, limit);
+        
+        res.json({
+            success: true,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            actions: Object.values(AuditAction),
+            events: events.map(e => ({
+                id: e.id,
+                action: e.action,
+                actor: e.actor,
+                licenseKey: e.license_key,
+                hardwareId: e.hardware_id,
+                productCode: e.product_code,
+                details: e.details,
+                ipAddress: e.ip_address,
+                userAgent: e.user_agent,
+                createdAt: e.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('[ADMIN] Audit log error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.get('/stats', (req, res) => {
+    try {
+        const customerId = parseCustomerFilter(req.query.customerId);
+        if (customerId === undefined) {
+            return res.status(400).json({ success: false, error: 'Customer not found' });
+        }
+        
+        const keyStats = generatedKeysRepo.getStats(customerId);
+        const licenseStats = licenseRepo.getStats(customerId);
+        
+        res.json({
+            success: true,
+            customerId,
+            stats: {
+                generatedKeys: keyStats,
+                activatedLicenses: licenseStats
+            }
+        });
+
+    } catch (error) {
+        console.error('[ADMIN] Stats error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+const ANALYTICS_EXPORT_COLUMNS = ['day', 'productCode', 'activations', 'validations', 'revocations', 'activeDevices'];
+
+/**
+ * GET /api/admin/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&product=&format=json|csv
+ * Deret harian (default 30 hari terakhir); CSV = satu baris per hari per produk
+ */
+router.get('/analytics', (req, res) => {
+    try {
+        const range = parseRange(req.query.from, req.query.to);
+        if (range.error) {
+            return res.status(400).json({ success: false, error: range.error });
+        }
+        
+        const product = req.query.product ? String(req.query.product).toUpperCase() : null;
+        if (product && !getProduct(product)) {
+            return res.status(400).json({ success: false, error: 'Product not found' });
+        }
+        
+        const format = req.query.format || 'json';
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be csv or json' });
+        }
+        
+        const series = getUsageSeries(range.from, range.to, product);
+        
+        if (format === 'csv') {
+            const rows = Object.entries(series.byProduct)
+                .flatMap(([productCode, points]) => points.map(point => ({ ...point, productCode })))
+                .sort((a, b) => a.day.localeCompare(b.day) || a.productCode.localeCompare(b.productCode));
+            
+            res.set('Content-Disposition', `attachment; filename="analytics-${range.from}-${range.to}${product ? `-${product}` : ''}.csv"`);
+            return res.type('text/csv').send(toCsv(rows, ANALYTICS_EXPORT_COLUMNS));
+        }
+        
+        res.json({ success: true, from: range.from, to: range.to, product, ...series });
+    } catch (error) {
+        console.error('[ADMIN] Analytics error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// Products
+// ============================================================================
+
+function formatProduct(product) {
+    return {
+        code: product.code,
+        name: product.name,
+        isActive: product.is_active,
+        staleReleaseDays: product.stale_release_days,
+        keyCount: product.key_count,
+        licenseCount: product.license_count,
+        secretVersion: getProduct(product.code)?.currentVersion ?? null,
+        secretRotatedAt: product.secret_rotated_at,
+        createdAt: product.created_at,
+        updatedAt: product.updated_at
+    };
+}
+
+/**
+ * Validate an optional product secret from a request body
+ *
+ * @returns {Object} { secret } (null = generate) or { error }
+ */
+function parseProductSecret(value) {
+    if (value === undefined || value === null || value === '') return { secret: null };
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) {
+        return { error: `Secret minimal ${MIN_SECRET_LENGTH} karakter` };
+    }
+    return { secret: value };
+}
+
+// Daftar produk (tanpa secret)
+router.get('/products', (req, res) => {
+    try {
+        res.json({ success: true, products: listProducts().map(formatProduct) });
+    } catch (error) {
+        console.error('[ADMIN] List products error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/products { code, name, secret?, staleReleaseDays? }
+ * Tanpa secret = dibuat acak. Secret hanya ditampilkan di response ini
+ * (untuk license-crypto.js aplikasi client).
+ */
+router.post('/products', requireRole('superadmin'), (req, res) => {
+    try {
+        const code = typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+        const name = typeof req.body.name === 'string' ? req.body.name.trim().substring(0, 100) : '';
+
+        if (!PRODUCT_CODE_PATTERN.test(code)) {
+            return res.status(400).json({ success: false, error: 'Kode produk harus 4 karakter A-Z / 0-9 (mis. BM01)' });
+        }
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Nama produk wajib diisi' });
+        }
+        if (getProduct(code)) {
+            return res.status(409).json({ success: false, error: `Produk ${code} sudah ada` });
+        }
+
+        const { secret, error } = parseProductSecret(req.body.secret);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const staleReleaseDays = parseTermDays(req.body.staleReleaseDays);
+        if (staleReleaseDays === undefined) {
+            return res.status(400).json({ success: false, error: 'staleReleaseDays harus angka hari > 0 (kosong = tidak dilepas otomatis)' });
+        }
+
+        const created = createProduct({ code, name, secret, staleReleaseDays });
+
+        console.log(`[ADMIN] Product created: ${code} (${name})`);
+        recordAudit(req, AuditAction.PRODUCT_CREATED, { productCode: code, details: { name } });
+
+        res.json({ success: true, product: formatProduct(created.product), secret: created.secret });
+    } catch (error) {
+        console.error('[ADMIN] Create product error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// PUT /api/admin/products/:code { name, isActive, staleReleaseDays } - produk nonaktif tidak bisa generate key baru
+router.put('/products/:code', requireRole('superadmin'), (req, res) => {
+    try {
+        const current = getProduct(req.params.code);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Product not found' });
+        }
+
+        const name = typeof req.body.name === 'string' && req.body.name.trim()
+            ? req.body.name.trim().substring(0, 100)
+            : current.name;
+        const isActive = typeof req.body.isActive === 'boolean' ? req.body.isActive : current.isActive;
+        const staleReleaseDays = req.body.staleReleaseDays === undefined
+            ? current.staleReleaseDays
+            : parseTermDays(req.body.staleReleaseDays);
+        if (staleReleaseDays === undefined) {
+            return res.status(400).json({ success: false, error: 'staleReleaseDays harus angka hari > 0 (kosong = tidak dilepas otomatis)' });
+        }
+
+        const updated = updateProduct(current.code, { name, isActive, staleReleaseDays });
+        recordAudit(req, AuditAction.PRODUCT_UPDATED, { productCode: current.code, details: { name, isActive, staleReleaseDays } });
+
+        res.json({ success: true, product: formatProduct(updated) });
+    } catch (error) {
+        console.error('[ADMIN] Update product error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/products/:code/rotate-secret { secret? }
+ * Membuat generasi secret baru yang belum dipakai (pending). Tambahkan ke
+ * license-crypto.js aplikasi client (KEY_SECRETS), rilis client, lalu
+ * aktifkan lewat /secrets/:version/activate agar key baru memakainya.
+ */
+router.post('/products/:code/rotate-secret', requireRole('superadmin'), (req, res) => {
+    try {
+        const product = getProduct(req.params.code);
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Product not found' });
+        }
+
+        const { secret, error } = parseProductSecret(req.body.secret);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const rotated = rotateProductSecret(product.code, secret);
+        if (rotated.error) {
+            return res.status(409).json({ success: false, error: rotated.error });
+        }
+
+        console.warn(`[ADMIN] Product secret rotated: ${product.code} v${rotated.version}`);
+        recordAudit(req, AuditAction.PRODUCT_SECRET_ROTATED, { productCode: product.code, details: { version: rotated.version } });
+
+        res.json({
+            success: true,
+            version: rotated.version,
+            secret: rotated.secret,
+            message: `Secret ${product.code} generasi ${rotated.version} dibuat (belum aktif). Key baru tetap memakai generasi ${product.currentVersion} sampai generasi ${rotated.version} diaktifkan.`
+        });
+    } catch (error) {
+        console.error('[ADMIN] Rotate product secret error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Generasi secret produk + jumlah key yang masih valid per generasi (tanpa secret)
+router.get('/products/:code/secrets', requireRole('superadmin'), (req, res) => {
+    try {
+        const product = getProduct(req.params.code);
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Product not found' });
+        }
+
+        const keyCounts = {};
+        for (const key of generatedKeysRepo.getAll()) {
+            if (key.product_code !== product.code) continue;
+            const version = validateKeyFormat(key.license_key).keyVersion || 'invalid';
+            keyCounts[version] = (keyCounts[version] || 0) + 1;
+        }
+
+        const secrets = listSecretVersions(product.code).map(s => ({
+            version: s.version,
+            current: s.current,
+            pending: s.pending,
+            createdAt: s.created_at,
+            retiredAt: s.retired_at,
+            keyCount: s.retired_at ? null : (keyCounts[s.version] || 0)
+        }));
+
+        res.json({ success: true, productCode: product.code, secrets, invalidKeyCount: keyCounts.invalid || 0 });
+    } catch (error) {
+        console.error('[ADMIN] List product secrets error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/products/:code/secrets/:version/activate
+ * Key baru memakai generasi ini. Pastikan aplikasi client yang beredar
+ * sudah mengenal secret-nya (KEY_SECRETS).
+ */
+router.post('/products/:code/secrets/:version/activate', requireRole('superadmin'), (req, res) => {
+    try {
+        const product = getProduct(req.params.code);
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Product not found' });
+        }
+
+        const version = parseInt(req.params.version);
+        const result = activateSecretVersion(product.code, version);
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        console.warn(`[ADMIN] Product secret activated: ${product.code} v${version}`);
+        recordAudit(req, AuditAction.PRODUCT_SECRET_ACTIVATED, { productCode: product.code, details: { version } });
+
+        res.json({ success: true, message: `Key baru ${product.code} memakai secret generasi ${version}.` });
+    } catch (error) {
+        console.error('[ADMIN] Activate product secret error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/products/:code/secrets/:version/retire
+ * Key dari generasi ini tidak lagi valid (aktivasi / check gagal).
+ */
+router.post('/products/:code/secrets/:version/retire', requireRole('superadmin'), (req, res) => {
+    try {
+        const product = getProduct(req.params.code);
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Product not found' });
+        }
+
+        const version = parseInt(req.params.version);
+        const result = retireSecretVersion(product.code, version);
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        console.warn(`[ADMIN] Product secret retired: ${product.code} v${version}`);
+        recordAudit(req, AuditAction.PRODUCT_SECRET_RETIRED, { productCode: product.code, details: { version } });
+
+        res.json({ success: true, message: `Secret ${product.code} generasi ${version} di-retire. Key dari generasi ini tidak lagi valid.` });
+    } catch (error) {
+        console.error('[ADMIN] Retire product secret error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Hanya produk tanpa key / lisensi yang bisa dihapus; selain itu nonaktifkan
+router.delete('/products/:code', requireRole('superadmin'), (req, res) => {
+    try {
+        const product = listProducts().find(p => p.code === req.params.code);
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Product not found' });
+        }
+        if (product.key_count > 0 || product.license_count > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Produk ${product.code} masih punya ${product.key_count} key / ${product.license_count} lisensi, nonaktifkan saja`
+            });
+        }
+
+        deleteProduct(product.code);
+
+        console.log(`[ADMIN] Product deleted: ${product.code}`);
+        recordAudit(req, AuditAction.PRODUCT_DELETED, { productCode: product.code, details: { name: product.name } });
+
+        res.json({ success: true, message: `Produk ${product.code} dihapus` });
+    } catch (error) {
+        console.error('[ADMIN] Delete product error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// Webhooks (superadmin)
+// ============================================================================
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+function formatWebhook(webhook) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        description: webhook.description,
+        events: webhook.events,
+        isActive: webhook.is_active,
+        pendingCount: webhook.pending_count,
+        failedCount: webhook.failed_count,
+        lastDeliveryAt: webhook.last_delivery_at,
+        createdAt: webhook.created_at,
+        updatedAt: webhook.updated_at
+    };
+}
+
+function formatDelivery(delivery) {
+    return {
+        id: delivery.id,
+        webhookId: delivery.webhook_id,
+        webhookUrl: delivery.webhook_url,
+        eventId: delivery.event_id,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.next_attempt_at,
+        lastAttemptAt: delivery.last_attempt_at,
+        lastStatusCode: delivery.last_status_code,
+        lastError: delivery.last_error,
+        lastDurationMs: delivery.last_duration_ms,
+        createdAt: delivery.created_at,
+        deliveredAt: delivery.delivered_at
+    };
+}
+
+/**
+ * Validate webhook fields from a request body; missing fields keep the
+ * current value (update)
+ *
+ * @returns {Object} { webhook } or { error }
+ */
+function parseWebhookInput(body, current = {}) {
+    const url = typeof body.url === 'string' ? body.url.trim() : current.url;
+    let parsedUrl = null;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        // ditangani di bawah
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return { error: 'URL webhook harus http:// atau https://' };
+    }
+
+    const events = body.events !== undefined ? body.events : current.events;
+    if (!Array.isArray(events) || events.length === 0) {
+        return { error: `Pilih minimal satu event: ${WEBHOOK_EVENTS.join(', ')} atau *` };
+    }
+    const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+        return { error: `Event tidak dikenal: ${unknown.join(', ')}` };
+    }
+
+    const description = typeof body.description === 'string'
+        ? body.description.trim().substring(0, 200)
+        : current.description;
+    const isActive = typeof body.isActive === 'boolean' ? body.isActive : current.is_active !== false;
+
+    return { webhook: { url: parsedUrl.toString(), events: [...new Set(events)], description, is_active: isActive } };
+}
+
+router.get('/webhooks', requireRole('superadmin'), (req, res) => {
+    try {
+        res.json({ success: true, webhooks: webhooksRepo.getAll().map(formatWebhook), events: WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error('[ADMIN] List webhooks error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/webhooks { url, events: [...] | ['*'], description?, secret? }
+ * Tanpa secret = dibuat acak. Secret (untuk verifikasi X-Webhook-Signature)
+ * hanya ditampilkan di response ini.
+ */
+router.post('/webhooks', requireRole('superadmin'), (req, res) => {
+    try {
+        const { webhook, error } = parseWebhookInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const secretInput = parseProductSecret(req.body.secret);
+        if (secretInput.error) {
+            return res.status(400).json({ success: false, error: secretInput.error });
+        }
+        const secret = secretInput.secret || generateWebhookSecret();
+
+        const created = webhooksRepo.create({ ...webhook, secret_encrypted: encryptSecret(secret) });
+
+        console.log(`[ADMIN] Webhook created: #${created.id} ${created.url}`);
+        recordAudit(req, AuditAction.WEBHOOK_CREATED, { details: { id: created.id, url: created.url, events: created.events } });
+
+        res.json({ success: true, webhook: formatWebhook(created), secret });
+    } catch (error) {
+        console.error('[ADMIN] Create webhook error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// PUT /api/admin/webhooks/:id { url?, events?, description?, isActive? }
+router.put('/webhooks/:id', requireRole('superadmin'), (req, res) => {
+    try {
+        const current = webhooksRepo.findById(parseInt(req.params.id));
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+
+        const { webhook, error } = parseWebhookInput(req.body, current);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const updated = webhooksRepo.update(current.id, webhook);
+        recordAudit(req, AuditAction.WEBHOOK_UPDATED, {
+            details: { id: updated.id, url: updated.url, events: updated.events, isActive: updated.is_active }
+        });
+
+        res.json({ success: true, webhook: formatWebhook(updated) });
+    } catch (error) {
+        console.error('[ADMIN] Update webhook error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Secret baru; endpoint penerima harus diupdate, pengiriman berikutnya memakai secret ini
+router.post('/webhooks/:id/rotate-secret', requireRole('superadmin'), (req, res) => {
+    try {
+        const webhook = webhooksRepo.findById(parseInt(req.params.id));
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+
+        const secret = generateWebhookSecret();
+        webhooksRepo.updateSecret(webhook.id, encryptSecret(secret));
+        recordAudit(req, AuditAction.WEBHOOK_UPDATED, { details: { id: webhook.id, url: webhook.url, secretRotated: true } });
+
+        res.json({ success: true, secret });
+    } catch (error) {
+        console.error('[ADMIN] Rotate webhook secret error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.delete('/webhooks/:id', requireRole('superadmin'), (req, res) => {
+    try {
+        const webhook = webhooksRepo.findById(parseInt(req.params.id));
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+
+        webhooksRepo.delete(webhook.id);
+
+        console.log(`[ADMIN] Webhook deleted: #${webhook.id} ${webhook.url}`);
+        recordAudit(req, AuditAction.WEBHOOK_DELETED, { details: { id: webhook.id, url: webhook.url } });
+
+        res.json({ success: true, message: 'Webhook dihapus' });
+    } catch (error) {
+        console.error('[ADMIN] Delete webhook error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Kirim event webhook.test (hasilnya terlihat di delivery log)
+router.post('/webhooks/:id/test', requireRole('superadmin'), (req, res) => {
+    try {
+        const webhook = webhooksRepo.findById(parseInt(req.params.id));
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+
+        const eventId = sendTestEvent(webhook);
+        res.json({ success: true, eventId, message: 'Test event dikirim, lihat delivery log' });
+    } catch (error) {
+        console.error('[ADMIN] Test webhook error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Delivery log: ?webhookId=&status=pending|delivered|failed&event=&page=&limit=
+router.get('/webhook-deliveries', requireRole('superadmin'), (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const filters = {};
+
+        if (req.query.webhookId) filters.webhookId = parseInt(req.query.webhookId);
+        if (req.query.event) filters.event = req.query.event;
+        if (req.query.status) {
+            if (!DELIVERY_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ success: false, error: `status harus salah satu dari: ${DELIVERY_STATUSES.join(', ')}` });
+            }
+            filters.status = req.query.status;
+        }
+
+        const { deliveries, total } = webhookDeliveriesRepo.query(filters, page, limit);
+
+        res.json({
+            success: true,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            deliveries: deliveries.map(formatDelivery)
+        });
+    } catch (error) {
+        console.error('[ADMIN] Webhook deliveries error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Kirim ulang delivery yang gagal (percobaan dihitung dari awal)
+router.post('/webhook-deliveries/:id/retry', requireRole('superadmin'), (req, res) => {
+    try {
+        const delivery = webhookDeliveriesRepo.findById(parseInt(req.params.id));
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        if (!webhooksRepo.findById(delivery.webhook_id)) {
+            return res.status(400).json({ success: false, error: 'Webhook sudah dihapus' });
+        }
+        if (!retryDelivery(delivery.id)) {
+            return res.status(400).json({ success: false, error: 'Hanya delivery yang gagal yang bisa dikirim ulang' });
+        }
+
+        res.json({ success: true, message: 'Delivery dijadwalkan ulang' });
+    } catch (error) {
+        console.error('[ADMIN] Retry webhook delivery error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// Backup, Restore & Export / Import (superadmin)
+// ============================================================================
+
+router.get('/backups', requireRole('superadmin'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            backups: listBackups(),
+            retention: BACKUP_RETENTION,
+            intervalHours: BACKUP_INTERVAL_HOURS
+        });
+    } catch (error) {
+        console.error('[ADMIN] List backups error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Backup sekarang (online, server tetap melayani request)
+router.post('/backups', requireRole('superadmin'), async (req, res) => {
+    try {
+        const backup = await createBackup('manual', req);
+        res.json({ success: true, backup });
+    } catch (error) {
+        console.error('[ADMIN] Create backup error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.get('/backups/:fileName/download', requireRole('superadmin'), (req, res) => {
+    const file = resolveBackupFile(req.params.fileName);
+    if (!file) {
+        return res.status(404).json({ success: false, error: 'Backup not found' });
+    }
+    res.download(file, req.params.fileName);
+});
+
+router.delete('/backups/:fileName', requireRole('superadmin'), (req, res) => {
+    try {
+        if (!deleteBackup(req.params.fileName, req)) {
+            return res.status(404).json({ success: false, error: 'Backup not found' });
+        }
+        res.json({ success: true, message: 'Backup dihapus' });
+    } catch (error) {
+        console.error('[ADMIN] Delete backup error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/backups/:fileName/restore { dryRun }
+ * dryRun hanya memvalidasi (jumlah baris per tabel); restore sungguhan
+ * membuat backup pengaman dulu
+ */
+router.post('/backups/:fileName/restore', requireRole('superadmin'), async (req, res) => {
+    try {
+        const file = resolveBackupFile(req.params.fileName);
+        if (!file) {
+            return res.status(404).json({ success: false, error: 'Backup not found' });
+        }
+
+        const result = await restoreBackup(file, { dryRun: req.body.dryRun === true, req });
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('[ADMIN] Restore backup error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Export JSON lengkap (download); berisi secret produk & webhook tanpa enkripsi
+router.get('/export', requireRole('superadmin'), (req, res) => {
+    try {
+        const data = exportData(req);
+        const stamp = data.exportedAt.substring(0, 10);
+
+        res.set('Content-Disposition', `attachment; filename="license-export-${stamp}.json"`);
+        res.json(data);
+    } catch (error) {
+        console.error('[ADMIN] Export error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/import { data: <isi file export>, dryRun }
+ * Mengganti semua data yang diekspor; body boleh sampai IMPORT_MAX_MB
+ */
+router.post('/import', requireRole('superadmin'), express.json({ limit: IMPORT_MAX_BYTES }), async (req, res) => {
+    try {
+        const result = await importData(req.body.data, { dryRun: req.body.dryRun === true, req });
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('[ADMIN] Import error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
 });
 
 module.exports = router;
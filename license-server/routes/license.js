@@ -7,8 +7,17 @@
 
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const { licenseRepo, generatedKeysRepo } = require('../database/db');
+const { issueLicenseToken, verifyLicenseToken } = require('../services/license-token');
+const { validateKeyFormat, isExpired, activateLicense } = require('../services/activation');
+const { checkoutLease, heartbeatLease, releaseLease } = require('../services/lease');
+const { getTransferLimit, releaseForTransfer } = require('../services/transfer');
+const { normalizeComponents, findDeviceLicense } = require('../services/hardware-match');
+const { getProductCodes } = require('../services/products');
+const { AuditAction, recordAudit } = require('../services/audit');
+const { WebhookEvent, licenseEventData, emitWebhookEvent } = require('../services/webhooks');
+const { publicLicenseGuard, registerKeyMiss, maskHardwareId } = require('../services/abuse-guard');
+const { UsageEvent, recordUsage, recordActiveDevice } = require('../services/analytics');
 
 // ============================================================================
 // Configuration
@@ -16,80 +25,6 @@ const { licenseRepo, generatedKeysRepo } = require('../database/db');
 
 const OFFLINE_TOLERANCE_HOURS = parseInt(process.env.OFFLINE_TOLERANCE_HOURS) || 24;
 
-// Product configs for key validation - ALL PRODUCTS INCLUDING EYESEE
-const PRODUCTS = {
-    BM01: { name: 'BMS', secretKey: 'bms-license-secret-key-2024-v2' },
-    BL01: { name: 'BLM', secretKey: 'blm-license-secret-key-2024-v2' },
-    VC01: { name: 'VComm', secretKey: 'vcomm-license-secret-key-2024-v2' },
-    ES01: { name: 'EyeSee', secretKey: 'eyesee-license-secret-key-2024-v2' }
-};
-
-// ============================================================================
-// Key Validation Helpers
-// ============================================================================
-
-function encodeBase36(num, length) {
-    const CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    while (num > 0) {
-        result = CHARSET[num % CHARSET.length] + result;
-        num = Math.floor(num / CHARSET.length);
-    }
-    while (result.length < length) {
-        result = CHARSET[0] + result;
-    }
-    return result.substring(0, length);
-}
-
-function generateChecksum(data, secretKey) {
-    const hash = crypto.createHmac('sha256', secretKey).update(data).digest('hex');
-    const num = parseInt(hash.substring(0, 8), 16);
-    return encodeBase36(num, 4);
-}
-
-function validateKeyFormat(licenseKey) {
-    const CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    const cleanKey = licenseKey.trim().toUpperCase();
-    const segments = cleanKey.split('-');
-    
-    if (segments.length !== 4) {
-        return { valid: false, error: 'Format key tidak valid' };
-    }
-    
-    for (const seg of segments) {
-        if (seg.length !== 4) {
-            return { valid: false, error: 'Format key tidak valid' };
-        }
-        for (const char of seg) {
-            if (!CHARSET.includes(char)) {
-                return { valid: false, error: 'Karakter tidak valid dalam key' };
-            }
-        }
-    }
-    
-    const [seg1, seg2, seg3, seg4] = segments;
-    
-    const productCode = seg1.substring(2, 4) + seg2.substring(0, 2);
-    const product = PRODUCTS[productCode];
-    
-    if (!product) {
-        return { valid: false, error: 'Product code tidak valid' };
-    }
-    
-    const dataToCheck = seg1 + seg2 + seg3;
-    const expectedChecksum = generateChecksum(dataToCheck, product.secretKey);
-    
-    if (seg4 !== expectedChecksum) {
-        return { valid: false, error: 'License key tidak valid' };
-    }
-    
-    return {
-        valid: true,
-        productCode,
-        productName: product.name
-    };
-}
-
 // ============================================================================
 // Endpoints
 // ============================================================================
@@ -99,7 +34,7 @@ router.get('/status', (req, res) => {
         online: true,
         serverTime: new Date().toISOString(),
         offlineToleranceHours: OFFLINE_TOLERANCE_HOURS,
-        products: Object.keys(PRODUCTS)
+        products: getProductCodes()
     });
 });
 
@@ -107,7 +42,7 @@ router.get('/status', (req, res) => {
 // Check License Key (Before Activation)
 // ============================================================================
 
-router.post('/check', (req, res) => {
+router.post('/check', publicLicenseGuard, (req, res) => {
     try {
         const { licenseKey } = req.body;
         
@@ -123,6 +58,7 @@ router.post('/check', (req, res) => {
         // Validate format
         const keyValidation = validateKeyFormat(normalizedKey);
         if (!keyValidation.valid) {
+            registerKeyMiss(req);
             return res.json({
                 valid: false,
                 status: 'INVALID_FORMAT',
@@ -134,6 +70,7 @@ router.post('/check', (req, res) => {
         // Check if key exists in generated keys
         const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
         if (!generatedKey) {
+            registerKeyMiss(req);
             return res.json({
                 valid: false,
                 status: 'NOT_FOUND',
@@ -142,15 +79,28 @@ router.post('/check', (req, res) => {
             });
         }
         
-        // Check if key is already used
-        if (generatedKey.is_used) {
+        // Check if all seats of the key are already used
+        if (generatedKey.seats_used >= generatedKey.seat_count) {
             return res.json({
                 valid: true,
                 status: 'ALREADY_ACTIVATED',
                 productCode: keyValidation.productCode,
                 message: 'License key sudah diaktifkan',
-                activatedBy: generatedKey.activated_by_hardware_id?.substring(0, 20) + '...',
-                usedAt: generatedKey.used_at
+                activatedBy: maskHardwareId(generatedKey.activated_by_hardware_id),
+                usedAt: generatedKey.used_at,
+                seatCount: generatedKey.seat_count,
+                seatsUsed: generatedKey.seats_used
+            });
+        }
+        
+        if (isExpired(generatedKey.expires_at)) {
+            return res.json({
+                valid: false,
+                status: 'EXPIRED',
+                productCode: keyValidation.productCode,
+                error: 'License key sudah kedaluwarsa',
+                message: 'Masa berlaku license key telah berakhir',
+                expiresAt: generatedKey.expires_at
             });
         }
         
@@ -159,7 +109,11 @@ router.post('/check', (req, res) => {
             valid: true,
             status: 'AVAILABLE',
             productCode: keyValidation.productCode,
-            productName: PRODUCTS[keyValidation.productCode]?.name || keyValidation.productCode,
+            productName: keyValidation.productName,
+            expiresAt: generatedKey.expires_at,
+            termDays: generatedKey.term_days,
+            seatCount: generatedKey.seat_count,
+            seatsUsed: generatedKey.seats_used,
             message: 'License key valid dan dapat diaktifkan'
         });
         
@@ -174,99 +128,41 @@ router.post('/check', (req, res) => {
 // ============================================================================
 
 
-router.post('/activate', (req, res) => {
+router.post('/activate', publicLicenseGuard, (req, res) => {
     try {
-        const { licenseKey, hardwareId, deviceName } = req.body;
+        const { licenseKey, hardwareId, deviceName, components } = req.body;
         
-        if (!licenseKey) {
-            return res.status(400).json({ success: false, error: 'License key diperlukan' });
-        }
-        
-        if (!hardwareId || hardwareId.length < 8) {
-            return res.status(400).json({ success: false, error: 'Hardware ID tidak valid' });
-        }
-        
-        const normalizedKey = licenseKey.trim().toUpperCase();
-        const normalizedHwId = hardwareId.toUpperCase();
-        
-        const keyValidation = validateKeyFormat(normalizedKey);
-        if (!keyValidation.valid) {
-            return res.status(400).json({ success: false, error: keyValidation.error });
-        }
-        
-        // Check if this hardware ID already has a license FOR THIS SPECIFIC PRODUCT
-        // We need to find by both hardware ID AND product code
-        const allLicensesForDevice = licenseRepo.getAll().filter(
-            l => l.hardware_id === normalizedHwId && l.product_code === keyValidation.productCode
-        );
-        
-        if (allLicensesForDevice.length > 0) {
-            const existingLicense = allLicensesForDevice[0];
-            // Same product - check if it's the same key
-            if (existingLicense.license_key === normalizedKey) {
-                // Same key, just update last check
-                licenseRepo.updateLastCheck(normalizedHwId);
-                return res.json({
-                    success: true,
-                    message: 'Lisensi sudah aktif',
-                    license: {
-                        hardwareId: existingLicense.hardware_id,
-                        productCode: existingLicense.product_code,
-                        activatedAt: existingLicense.activated_at
-                    }
-                });
-            } else {
-                // Different key for same product - not allowed
-                return res.status(400).json({
-                    success: false,
-                    error: 'Perangkat ini sudah memiliki lisensi aktif untuk produk ini'
-                });
-            }
-        }
-        // Different product or no existing license - allow activation
-        
-        const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
-        if (!generatedKey) {
-            return res.status(400).json({
-                success: false,
-                error: 'License key tidak ditemukan'
-            });
+        const result = activateLicense({ licenseKey, hardwareId, deviceName, components, req });
+        if (!result.success) {
+            if (result.keyRejected) registerKeyMiss(req);
+            return res.status(result.statusCode).json({ success: false, error: result.error });
         }
         
-        if (generatedKey.is_used) {
-            return res.status(400).json({
-                success: false,
-                error: 'License key sudah digunakan oleh perangkat lain'
-            });
-        }
+        const { license } = result;
         
-        if (generatedKey.product_code !== keyValidation.productCode) {
-            return res.status(400).json({
-                success: false,
-                error: 'License key tidak cocok dengan produk'
+        if (!result.alreadyActive) {
+            recordAudit(req, AuditAction.LICENSE_ACTIVATED, {
+                licenseKey: license.license_key,
+                hardwareId: license.hardware_id,
+                productCode: license.product_code,
+                details: { deviceName: license.device_name, activationMode: license.activation_mode }
             });
+            emitWebhookEvent(WebhookEvent.LICENSE_ACTIVATED, licenseEventData(license, { activationMode: license.activation_mode }), req);
+            recordUsage(UsageEvent.ACTIVATION, license.product_code);
         }
         
-        generatedKeysRepo.markUsed(normalizedKey, normalizedHwId);
-        
-        const newLicense = licenseRepo.create({
-            license_key: normalizedKey,
-            hardware_id: normalizedHwId,
-            device_name: deviceName || null,
-            product_code: keyValidation.productCode
-        });
-        
-        console.log(`[LICENSE] ACTIVATED: ${normalizedHwId.substring(0, 8)}... (${keyValidation.productName})`);
-        
         res.json({
             success: true,
-            message: 'Lisensi berhasil diaktifkan!',
+            message: result.alreadyActive ? 'Lisensi sudah aktif' : 'Lisensi berhasil diaktifkan!',
             license: {
-                hardwareId: newLicense.hardware_id,
-                productCode: newLicense.product_code,
-                productName: keyValidation.productName,
-                activatedAt: newLicense.activated_at
-            }
+                hardwareId: license.hardware_id,
+                productCode: license.product_code,
+                productName: result.productName,
+                activatedAt: license.activated_at,
+                expiresAt: license.expires_at,
+                licenseType: license.license_type
+            },
+            token: issueLicenseToken(license, OFFLINE_TOLERANCE_HOURS)
         });
         
     } catch (error) {
@@ -275,7 +171,7 @@ router.post('/activate', (req, res) => {
     }
 });
 
-router.get('/validate/:hardwareId', (req, res) => {
+router.get('/validate/:hardwareId', publicLicenseGuard, (req, res) => {
     try {
         const { hardwareId } = req.params;
         
@@ -287,7 +183,16 @@ router.get('/validate/:hardwareId', (req, res) => {
         }
         
         const normalizedHwId = hardwareId.toUpperCase();
-        const license = licenseRepo.findByHardwareId(normalizedHwId);
+        const { productCode, components } = req.query;
+        
+        // Client mengirim productCode agar yang dicek lisensi produk itu sendiri,
+        // bukan lisensi produk lain di perangkat yang sama
+        const license = findDeviceLicense({
+            hardwareId: normalizedHwId,
+            components: normalizeComponents(components),
+            productCode: productCode ? productCode.toUpperCase() : null,
+            req
+        });
         
         if (!license) {
             return res.json({
@@ -297,7 +202,8 @@ router.get('/validate/:hardwareId', (req, res) => {
             });
         }
         
-        licenseRepo.updateLastCheck(normalizedHwId);
+        licenseRepo.updateLastCheck(license.hardware_id, license.product_code);
+        recordUsage(UsageEvent.VALIDATION, license.product_code);
         
         if (license.is_revoked) {
             console.log(`[LICENSE] BLOCKED (revoked): ${normalizedHwId.substring(0, 8)}...`);
@@ -310,6 +216,19 @@ router.get('/validate/:hardwareId', (req, res) => {
             });
         }
         
+        if (isExpired(license.expires_at)) {
+            return res.json({
+                valid: false,
+                activated: true,
+                revoked: false,
+                expired: true,
+                reason: 'Masa berlaku lisensi telah berakhir',
+                expiresAt: license.expires_at
+            });
+        }
+        
+        recordActiveDevice(license.product_code, license.hardware_id);
+        
         res.json({
             valid: true,
             activated: true,
@@ -317,8 +236,11 @@ router.get('/validate/:hardwareId', (req, res) => {
             license: {
                 hardwareId: license.hardware_id,
                 productCode: license.product_code,
-                activatedAt: license.activated_at
+                activatedAt: license.activated_at,
+                expiresAt: license.expires_at,
+                licenseType: license.license_type
             },
+            token: issueLicenseToken(license, OFFLINE_TOLERANCE_HOURS),
             serverTime: new Date().toISOString(),
             offlineToleranceHours: OFFLINE_TOLERANCE_HOURS
         });
@@ -329,7 +251,60 @@ router.get('/validate/:hardwareId', (req, res) => {
     }
 });
 
-router.post('/check-key', (req, res) => {
+// ============================================================================
+// Rebind (hardware ID berubah, sebagian komponen masih sama)
+// Needs the license key: /validate only looks up the exact hardware ID.
+// ============================================================================
+
+router.post('/rebind', publicLicenseGuard, (req, res) => {
+    try {
+        const { licenseKey, hardwareId, components } = req.body;
+        
+        if (!licenseKey) {
+            return res.status(400).json({ success: false, error: 'License key diperlukan' });
+        }
+        
+        if (!hardwareId || hardwareId.length < 8) {
+            return res.status(400).json({ success: false, error: 'Hardware ID tidak valid' });
+        }
+        
+        const normalizedKey = licenseKey.trim().toUpperCase();
+        const keyValidation = validateKeyFormat(normalizedKey);
+        if (!keyValidation.valid) {
+            registerKeyMiss(req);
+            return res.status(400).json({ success: false, error: keyValidation.error });
+        }
+        
+        const license = findDeviceLicense({
+            hardwareId: hardwareId.toUpperCase(),
+            components: normalizeComponents(components),
+            productCode: keyValidation.productCode,
+            licenseKey: normalizedKey,
+            req
+        });
+        
+        if (!license || license.license_key !== normalizedKey) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tidak ada lisensi key ini yang cocok dengan hardware perangkat'
+            });
+        }
+        
+        res.json({
+            success: true,
+            license: {
+                hardwareId: license.hardware_id,
+                productCode: license.product_code
+            }
+        });
+        
+    } catch (error) {
+        console.error('[LICENSE] Rebind error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.post('/check-key', publicLicenseGuard, (req, res) => {
     try {
         const { licenseKey } = req.body;
         
@@ -341,12 +316,14 @@ router.post('/check-key', (req, res) => {
         
         const keyValidation = validateKeyFormat(normalizedKey);
         if (!keyValidation.valid) {
+            registerKeyMiss(req);
             return res.json({ valid: false, error: keyValidation.error });
         }
         
         const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
         
         if (!generatedKey) {
+            registerKeyMiss(req);
             return res.json({ valid: false, error: 'Key tidak ditemukan' });
         }
         
@@ -355,7 +332,9 @@ router.post('/check-key', (req, res) => {
             productCode: keyValidation.productCode,
             productName: keyValidation.productName,
             isUsed: generatedKey.is_used,
-            usedByHardwareId: generatedKey.used_by_hardware_id
+            usedByHardwareId: maskHardwareId(generatedKey.activated_by_hardware_id),
+            seatCount: generatedKey.seat_count,
+            seatsUsed: generatedKey.seats_used
         });
         
     } catch (error) {
@@ -365,119 +344,169 @@ router.post('/check-key', (req, res) => {
 });
 
 // ============================================================================
-// TESTING ENDPOINTS (Development Only)
-// For developers to test without installing .exe
+// Self-service Transfer (pindah ke perangkat baru)
+// Authenticated with the device's own signed license token plus its license
+// key: /validate hands the token to anyone who knows the hardware ID.
 // ============================================================================
 
-/**
- * Reset key to unused state (for testing)
- * POST /api/license/test/reset-key
- */
-router.post('/test/reset-key', (req, res) => {
+router.post('/transfer', publicLicenseGuard, (req, res) => {
     try {
-        const { licenseKey } = req.body;
+        const { token, licenseKey, reason } = req.body;
         
-        if (!licenseKey) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'License key required' 
+        if (!licenseKey || typeof licenseKey !== 'string') {
+            return res.status(400).json({ success: false, error: 'License key diperlukan' });
+        }
+        
+        const payload = verifyLicenseToken(token);
+        if (!payload) {
+            return res.status(401).json({ success: false, error: 'Token lisensi tidak valid' });
+        }
+        
+        if (new Date(payload.expiresAt).getTime() < Date.now()) {
+            return res.status(401).json({
+                success: false,
+                error: 'Token lisensi sudah kedaluwarsa. Hubungkan ke server lalu coba lagi.'
             });
         }
         
-        const normalizedKey = licenseKey.trim().toUpperCase();
-        const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
+        const license = licenseRepo.findByHardwareAndProduct(payload.hardwareId, payload.productCode);
+        if (!license) {
+            return res.status(404).json({ success: false, error: 'Lisensi tidak ditemukan untuk perangkat ini' });
+        }
         
-        if (!generatedKey) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'License key not found' 
+        if (license.license_key !== licenseKey.trim().toUpperCase()) {
+            registerKeyMiss(req);
+            return res.status(403).json({ success: false, error: 'License key tidak cocok dengan lisensi perangkat ini' });
+        }
+        
+        if (license.is_revoked) {
+            return res.status(403).json({
+                success: false,
+                error: 'Lisensi yang dinonaktifkan tidak dapat ditransfer'
             });
         }
         
-        // Reset key to unused
-        generatedKeysRepo.resetKeyToUnused(normalizedKey);
+        const generatedKey = generatedKeysRepo.findByKey(license.license_key);
+        const transferLimit = getTransferLimit(generatedKey);
+        const transferCount = generatedKey?.transfer_count || 0;
         
-        // Also delete from active licenses if exists
-        const activeLicense = licenseRepo.getAll().find(l => l.license_key === normalizedKey);
-        if (activeLicense) {
-            licenseRepo.deleteByHardwareId(activeLicense.hardware_id);
+        if (transferCount >= transferLimit) {
+            return res.status(403).json({
+                success: false,
+                error: `Batas transfer untuk license key ini sudah tercapai (${transferLimit}x). Hubungi administrator.`,
+                transferCount,
+                transferLimit
+            });
         }
         
-        console.log(`[TEST] RESET KEY: ${normalizedKey}`);
+        releaseForTransfer(license, { reason: reason || null, ipAddress: req.ip });
+        
+        console.log(`[LICENSE] TRANSFERRED: ${license.hardware_id.substring(0, 8)}... (${license.product_code}) ${transferCount + 1}/${transferLimit}`);
+        recordAudit(req, AuditAction.LICENSE_TRANSFERRED, {
+            licenseKey: license.license_key,
+            hardwareId: license.hardware_id,
+            productCode: license.product_code,
+            details: { reason: reason || null, transferCount: transferCount + 1, transferLimit }
+        });
+        emitWebhookEvent(WebhookEvent.LICENSE_TRANSFERRED, licenseEventData(license, {
+            reason: reason || null,
+            transferCount: transferCount + 1,
+            transferLimit
+        }), req);
         
         res.json({
             success: true,
-            message: 'License key reset to unused state',
-            licenseKey: normalizedKey,
-            previousStatus: generatedKey.is_used ? 'USED' : 'UNUSED',
-            currentStatus: 'UNUSED'
+            message: 'Lisensi berhasil dilepas dari perangkat ini. License key dapat diaktifkan di perangkat baru.',
+            transferCount: transferCount + 1,
+            transferLimit,
+            transfersRemaining: transferLimit - transferCount - 1
         });
         
     } catch (error) {
-        console.error('[TEST] Reset error:', error);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        console.error('[LICENSE] Transfer error:', error);
+        res.status(500).json({ success: false, error: 'Gagal mentransfer lisensi' });
     }
 });
 
-/**
- * Simulate activation (mark as used) without real hardware
- * POST /api/license/test/mark-used
- */
-router.post('/test/mark-used', (req, res) => {
+// ============================================================================
+// Floating License Leases
+// Checkout is authenticated with the device's signed license token,
+// heartbeat/release with the (random) lease ID from the checkout.
+// ============================================================================
+
+router.post('/lease/checkout', (req, res) => {
     try {
-        const { licenseKey } = req.body;
+        const payload = verifyLicenseToken(req.body.token);
+        if (!payload || new Date(payload.expiresAt).getTime() < Date.now()) {
+            return res.status(401).json({ success: false, error: 'Token lisensi tidak valid' });
+        }
         
-        if (!licenseKey) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'License key required' 
-            });
+        const license = licenseRepo.findByHardwareAndProduct(payload.hardwareId, payload.productCode);
+        if (!license) {
+            return res.status(404).json({ success: false, error: 'Lisensi tidak ditemukan untuk perangkat ini' });
         }
         
-        const normalizedKey = licenseKey.trim().toUpperCase();
-        const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
+        if (license.is_revoked) {
+            return res.status(403).json({ success: false, error: license.revoked_reason || 'Lisensi telah dinonaktifkan' });
+        }
         
-        if (!generatedKey) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'License key not found' 
-            });
+        if (isExpired(license.expires_at)) {
+            return res.status(403).json({ success: false, error: 'Masa berlaku lisensi telah berakhir' });
         }
         
-        if (generatedKey.is_used) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'License key already used',
-                usedBy: generatedKey.activated_by_hardware_id
+        if (license.license_type !== 'floating') {
+            return res.status(400).json({ success: false, error: 'Lisensi ini bukan tipe floating' });
+        }
+        
+        const generatedKey = generatedKeysRepo.findByKey(license.license_key);
+        const result = checkoutLease(license, generatedKey?.seat_count || 1, req.ip);
+        
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                code: 'NO_SEATS_AVAILABLE',
+                error: `Semua ${result.seatCount} seat sedang dipakai. Coba lagi nanti.`,
+                seatCount: result.seatCount,
+                leasesInUse: result.leasesInUse,
+                retryAfterSeconds: result.retryAfterSeconds
             });
         }
         
-        // Mark as used with test hardware ID
-        const testHardwareId = 'TEST-' + crypto.randomBytes(16).toString('hex').toUpperCase();
-        generatedKeysRepo.markUsed(normalizedKey, testHardwareId);
+        res.json({ success: true, ...result.lease });
         
-        // Create fake license entry
-        const keyValidation = validateKeyFormat(normalizedKey);
-        licenseRepo.create({
-            license_key: normalizedKey,
-            hardware_id: testHardwareId,
-            device_name: 'TEST-DEVICE',
-            product_code: keyValidation.productCode
-        });
+    } catch (error) {
+        console.error('[LICENSE] Lease checkout error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.post('/lease/heartbeat', (req, res) => {
+    try {
+        const lease = heartbeatLease(req.body.leaseId);
         
-        console.log(`[TEST] MARKED AS USED: ${normalizedKey} -> ${testHardwareId}`);
+        if (!lease) {
+            return res.status(410).json({
+                success: false,
+                code: 'LEASE_EXPIRED',
+                error: 'Lease sudah berakhir, lakukan checkout ulang'
+            });
+        }
         
-        res.json({
-            success: true,
-            message: 'License key marked as used (test mode)',
-            licenseKey: normalizedKey,
-            testHardwareId: testHardwareId,
-            productCode: keyValidation.productCode,
-            status: 'USED'
-        });
+        res.json({ success: true, ...lease });
+        
+    } catch (error) {
+        console.error('[LICENSE] Lease heartbeat error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+router.post('/lease/release', (req, res) => {
+    try {
+        const released = releaseLease(req.body.leaseId);
+        res.json({ success: true, released });
         
     } catch (error) {
-        console.error('[TEST] Mark used error:', error);
+        console.error('[LICENSE] Lease release error:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
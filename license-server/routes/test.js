@@ -0,0 +1,146 @@
+/**
+ * Testing API Routes (Development Only)
+ *
+ * For developers to test without installing .exe. Mounted at
+ * /api/license/test only when testEndpointsEnabled() (NODE_ENV=development
+ * or ENABLE_TEST_ENDPOINTS=true, never in production) and require a
+ * superadmin session.
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { licenseRepo, generatedKeysRepo, leasesRepo } = require('../database/db');
+const { validateKeyFormat } = require('../services/activation');
+const { AuditAction, recordAudit } = require('../services/audit');
+const { adminAuth, requireRole } = require('../middleware/auth');
+
+router.use(adminAuth, requireRole('superadmin'));
+
+/**
+ * Reset key to unused state (for testing)
+ * POST /api/license/test/reset-key
+ */
+router.post('/reset-key', (req, res) => {
+    try {
+        const { licenseKey } = req.body;
+        
+        if (!licenseKey) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'License key required' 
+            });
+        }
+        
+        const normalizedKey = licenseKey.trim().toUpperCase();
+        const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
+        
+        if (!generatedKey) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'License key not found' 
+            });
+        }
+        
+        // Reset key to unused
+        generatedKeysRepo.resetKeyToUnused(normalizedKey);
+        
+        // Also delete every seat from active licenses
+        for (const activeLicense of licenseRepo.findByKey(normalizedKey)) {
+            licenseRepo.deleteByHardwareIdAndProduct(activeLicense.hardware_id, activeLicense.product_code);
+            leasesRepo.releaseByHardware(normalizedKey, activeLicense.hardware_id);
+        }
+        
+        console.log(`[TEST] RESET KEY: ${normalizedKey} (by ${req.adminUser.username})`);
+        recordAudit(req, AuditAction.KEY_RESET, {
+            licenseKey: normalizedKey,
+            productCode: generatedKey.product_code,
+            details: { previousStatus: generatedKey.is_used ? 'USED' : 'UNUSED', testEndpoint: true }
+        });
+        
+        res.json({
+            success: true,
+            message: 'License key reset to unused state',
+            licenseKey: normalizedKey,
+            previousStatus: generatedKey.is_used ? 'USED' : 'UNUSED',
+            currentStatus: 'UNUSED'
+        });
+        
+    } catch (error) {
+        console.error('[TEST] Reset error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+/**
+ * Simulate activation (mark as used) without real hardware
+ * POST /api/license/test/mark-used
+ */
+router.post('/mark-used', (req, res) => {
+    try {
+        const { licenseKey } = req.body;
+        
+        if (!licenseKey) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'License key required' 
+            });
+        }
+        
+        const normalizedKey = licenseKey.trim().toUpperCase();
+        const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
+        
+        if (!generatedKey) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'License key not found' 
+            });
+        }
+        
+        if (generatedKey.seats_used >= generatedKey.seat_count) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'License key already used',
+                usedBy: generatedKey.activated_by_hardware_id
+            });
+        }
+        
+        // Mark as used with test hardware ID
+        const testHardwareId = 'TEST-' + crypto.randomBytes(16).toString('hex').toUpperCase();
+        if (generatedKey.seats_used === 0) {
+            generatedKeysRepo.markUsed(normalizedKey, testHardwareId);
+        }
+        
+        // Create fake license entry
+        const keyValidation = validateKeyFormat(normalizedKey);
+        licenseRepo.create({
+            license_key: normalizedKey,
+            hardware_id: testHardwareId,
+            device_name: 'TEST-DEVICE',
+            product_code: keyValidation.productCode
+        });
+        
+        console.log(`[TEST] MARKED AS USED: ${normalizedKey} -> ${testHardwareId} (by ${req.adminUser.username})`);
+        recordAudit(req, AuditAction.KEY_MARKED_USED, {
+            licenseKey: normalizedKey,
+            hardwareId: testHardwareId,
+            productCode: keyValidation.productCode,
+            details: { testEndpoint: true }
+        });
+        
+        res.json({
+            success: true,
+            message: 'License key marked as used (test mode)',
+            licenseKey: normalizedKey,
+            testHardwareId: testHardwareId,
+            productCode: keyValidation.productCode,
+            status: 'USED'
+        });
+        
+    } catch (error) {
+        console.error('[TEST] Mark used error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
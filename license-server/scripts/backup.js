@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Backup / Restore / Export / Import CLI
+ *
+ * Usage:
+ *   node scripts/backup.js create                          → backup online sekarang (server boleh jalan)
+ *   node scripts/backup.js list                            → daftar backup di BACKUP_DIR
+ *   node scripts/backup.js restore --file <nama|path> --dry-run   → validasi saja
+ *   node scripts/backup.js restore --file <nama|path>     → ganti data dengan isi backup
+ *   node scripts/backup.js export [--out export.json]      → export JSON lengkap
+ *   node scripts/backup.js import --file export.json --dry-run    → validasi saja
+ *   node scripts/backup.js import --file export.json       → ganti data dengan isi export
+ *
+ * Restore & import selalu membuat backup pengaman dulu. Hentikan server
+ * selama restore / import (atau restart sesudahnya): cache produk di
+ * proses server tidak ikut diperbarui.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+const fs = require('fs');
+const path = require('path');
+const { closeDatabase } = require('../database/schema');
+const { BACKUP_DIR, createBackup, listBackups, resolveBackupFile, restoreBackup, exportData, importData } = require('../services/backup');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function formatDate(dateStr) {
+    if (!dateStr) return '-';
+    return new Date(dateStr).toLocaleString('id-ID');
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function requireFlag(name) {
+    if (typeof flags[name] !== 'string') {
+        console.error(`❌ --${name} diperlukan`);
+        process.exit(1);
+    }
+    return flags[name];
+}
+
+function printResult(result) {
+    if (result.error) {
+        console.error(`\n❌ ${result.error}\n`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`\n${result.dryRun ? '🔍 Dry run (tidak ada yang diubah)' : '✅ Data diganti'} — schema versi ${result.schemaVersion}`);
+    console.log('─'.repeat(60));
+    result.tables.forEach(t => {
+        console.log(`  ${t.table.padEnd(24)} ${String(t.current).padStart(8)} → ${String(t.incoming).padStart(8)}`);
+    });
+    console.log('─'.repeat(60));
+    if (!result.dryRun) {
+        console.log(`  Backup pengaman : ${result.safetyBackup}`);
+        console.log(`  Sesi dicabut    : ${result.revokedSessions}`);
+        console.log('\n⚠️  Restart server jika sedang berjalan.');
+    }
+    console.log('');
+}
+
+// ============================================================================
+// Parse CLI args
+// ============================================================================
+
+const [command, ...args] = process.argv.slice(2);
+const flags = {};
+for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+        const key = args[i].slice(2);
+        flags[key] = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : true;
+        if (flags[key] !== true) i++;
+    }
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+async function run() {
+    switch (command) {
+        case 'create': {
+            const backup = await createBackup('manual');
+            console.log(`\n✅ Backup dibuat: ${path.join(BACKUP_DIR, backup.fileName)} (${formatSize(backup.size)})\n`);
+            break;
+        }
+
+        case 'list': {
+            const backups = listBackups();
+            console.log(`\n💾 Backups (${BACKUP_DIR}):`);
+            console.log('─'.repeat(80));
+            if (backups.length === 0) console.log('  (belum ada backup)');
+            backups.forEach(b => {
+                console.log(`  ${b.fileName.padEnd(56)} ${formatSize(b.size).padStart(9)}  ${formatDate(b.createdAt)}`);
+            });
+            console.log('');
+            break;
+        }
+
+        case 'restore': {
+            const name = requireFlag('file');
+            const file = resolveBackupFile(name) || path.resolve(name);
+            printResult(await restoreBackup(file, { dryRun: flags['dry-run'] === true }));
+            break;
+        }
+
+        case 'export': {
+            const data = exportData();
+            const out = typeof flags.out === 'string' ? flags.out : `license-export-${data.exportedAt.substring(0, 10)}.json`;
+            fs.writeFileSync(out, JSON.stringify(data, null, 2));
+            console.log(`\n✅ Export ditulis ke ${out}`);
+            console.log('⚠️  File berisi secret produk & webhook dan hash password: simpan seperti backup.\n');
+            break;
+        }
+
+        case 'import': {
+            const file = requireFlag('file');
+            let data;
+            try {
+                data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                console.error(`❌ File export tidak bisa dibaca: ${error.message}`);
+                process.exit(1);
+            }
+            printResult(await importData(data, { dryRun: flags['dry-run'] === true }));
+            break;
+        }
+
+        default:
+            console.error('❌ Perintah: create | list | restore | export | import (lihat header script)');
+            process.exit(1);
+    }
+}
+
+run()
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(closeDatabase);
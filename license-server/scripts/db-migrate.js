@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Schema Migration CLI
+ *
+ * Server menjalankan migration yang tertunda saat start; script ini untuk
+ * melihat status dan menjalankan / membatalkan migration secara manual.
+ *
+ * Usage:
+ *   node scripts/db-migrate.js status             → daftar migration (applied / pending)
+ *   node scripts/db-migrate.js up                 → jalankan semua migration tertunda
+ *   node scripts/db-migrate.js up --to 3          → jalankan sampai versi 3
+ *   node scripts/db-migrate.js down               → batalkan migration terakhir
+ *   node scripts/db-migrate.js down --to 1        → batalkan semua migration setelah versi 1
+ *
+ * Di production (NODE_ENV=production) down butuh --force. Backup
+ * data/licenses.db dulu sebelum down: tabel / kolom yang dibuang ikut hilang.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+const { getDatabase, closeDatabase } = require('../database/schema');
+const { migrationLabel, getMigrationStatus, migrateUp, migrateDown } = require('../database/migrator');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function formatDate(dateStr) {
+    if (!dateStr) return '-';
+    return new Date(dateStr).toLocaleString('id-ID');
+}
+
+function parseVersion(value) {
+    const version = parseInt(value, 10);
+    if (value === true || isNaN(version) || version < 0) {
+        console.error('❌ --to harus nomor versi');
+        process.exit(1);
+    }
+    return version;
+}
+
+// ============================================================================
+// Parse CLI args
+// ============================================================================
+
+const [command = 'status', ...args] = process.argv.slice(2);
+const flags = {};
+for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+        const key = args[i].slice(2);
+        flags[key] = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : true;
+        if (flags[key] !== true) i++;
+    }
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+function showStatus(db) {
+    const status = getMigrationStatus(db);
+    const pending = status.filter(m => !m.appliedAt);
+
+    console.log('\n🗄️  Schema Migrations:');
+    console.log('─'.repeat(70));
+    status.forEach(m => {
+        const state = m.missingFile ? '⚠️  file hilang' : m.appliedAt ? `✅ ${formatDate(m.appliedAt)}` : '⏳ pending';
+        console.log(`  ${migrationLabel(m).padEnd(32)} ${state}`);
+    });
+    console.log('─'.repeat(70));
+    console.log(`  ${status.length - pending.length} applied, ${pending.length} pending\n`);
+}
+
+function run() {
+    const db = getDatabase();
+
+    switch (command) {
+        case 'status':
+            showStatus(db);
+            break;
+
+        case 'up': {
+            const applied = migrateUp(db, { to: flags.to !== undefined ? parseVersion(flags.to) : Infinity });
+            console.log(applied.length > 0 ? `\n✅ ${applied.length} migration dijalankan` : '\n✅ Tidak ada migration tertunda');
+            showStatus(db);
+            break;
+        }
+
+        case 'down': {
+            if (process.env.NODE_ENV === 'production' && !flags.force) {
+                console.error('❌ NODE_ENV=production: backup database lalu ulangi dengan --force');
+                process.exit(1);
+            }
+            const rolledBack = migrateDown(db, { to: flags.to !== undefined ? parseVersion(flags.to) : null });
+            console.log(rolledBack.length > 0 ? `\n✅ ${rolledBack.length} migration dibatalkan` : '\n✅ Tidak ada migration yang dibatalkan');
+            showStatus(db);
+            break;
+        }
+
+        default:
+            console.error(`❌ Perintah tidak dikenal: ${command} (status | up | down)`);
+            process.exit(1);
+    }
+}
+
+try {
+    run();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    closeDatabase();
+}
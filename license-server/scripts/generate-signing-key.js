@@ -0,0 +1,40 @@
+/**
+ * License Signing Key Generator
+ * 
+ * Buat pasangan key Ed25519 untuk menandatangani offline license token.
+ * Private key disimpan di data/license-signing-key.pem (atau set ke env
+ * LICENSE_SIGNING_KEY), public key di-embed di client license-crypto.js.
+ * 
+ * Usage:
+ *   node scripts/generate-signing-key.js           → buat key baru (gagal jika sudah ada)
+ *   node scripts/generate-signing-key.js --force   → timpa key lama
+ *   node scripts/generate-signing-key.js --public  → tampilkan public key dari key yang ada
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+const fs = require('fs');
+const path = require('path');
+const { generateKeyPair, getPublicKeyPem, KEY_FILE } = require('../services/license-token');
+
+const args = process.argv.slice(2);
+
+if (args.includes('--public')) {
+    console.log(getPublicKeyPem());
+    process.exit(0);
+}
+
+if (fs.existsSync(KEY_FILE) && !args.includes('--force')) {
+    console.error(`❌ Signing key sudah ada: ${KEY_FILE}`);
+    console.error('   Gunakan --force untuk membuat key baru (client harus di-build ulang!)');
+    process.exit(1);
+}
+
+const pair = generateKeyPair();
+fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+fs.writeFileSync(KEY_FILE, pair.privateKeyPem, { mode: 0o600 });
+
+console.log(`\n✅ Private key disimpan di: ${KEY_FILE}`);
+console.log('   JANGAN commit file ini. Untuk deploy, set isi file ke env LICENSE_SIGNING_KEY.\n');
+console.log('📋 Public key (paste ke CONFIG.LICENSE_PUBLIC_KEY di src/license/license-crypto.js):\n');
+console.log(pair.publicKeyPem);
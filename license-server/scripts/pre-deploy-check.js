@@ -4,9 +4,14 @@
  * Verifies that the application is ready for deployment
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+// Same environment as server.js (.env in the working directory)
+require('dotenv').config();
+const { testEndpointsEnabled } = require('./validate-env');
+
 console.log('🔍 Running Pre-Deployment Checks...\n');
 
 let hasErrors = false;
@@ -17,7 +22,7 @@ if (!fs.existsSync('./package.json')) {
     console.error('❌ package.json not found!');
     hasErrors = true;
 } else {
-    const pkg = require('./package.json');
+    const pkg = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
     if (!pkg.engines || !pkg.engines.node) {
         console.warn('⚠️  Warning: Node.js engine version not specified');
     }
@@ -49,7 +54,18 @@ if (!fs.existsSync('./.env.example')) {
     });
 }
 
-// Check 4: .gitignore exists
+// Check 4: Test endpoints must be off in production
+console.log('\n✓ Checking test endpoints...');
+if (!testEndpointsEnabled()) {
+    console.log('  - /api/license/test/*: disabled');
+} else if (process.env.NODE_ENV === 'production') {
+    console.error('❌ ENABLE_TEST_ENDPOINTS is set with NODE_ENV=production! Unset it before deploying.');
+    hasErrors = true;
+} else {
+    console.warn(`⚠️  Warning: /api/license/test/* enabled (NODE_ENV=${process.env.NODE_ENV || 'not set'}), make sure production sets NODE_ENV=production without ENABLE_TEST_ENDPOINTS`);
+}
+
+// Check 5: .gitignore exists
 console.log('\n✓ Checking .gitignore...');
 if (!fs.existsSync('./.gitignore')) {
     console.error('❌ .gitignore not found! Create it to prevent sensitive files from being committed.');
@@ -65,14 +81,39 @@ if (!fs.existsSync('./.gitignore')) {
     }
 }
 
-// Check 5: Database initialization
+// Check 6: Database initialization
 console.log('\n✓ Checking database setup...');
 if (!fs.existsSync('./database/schema.js')) {
     console.error('❌ Database schema not found!');
     hasErrors = true;
 }
 
-// Check 6: Routes
+// Check 7: Pending schema migrations (server would migrate on start; in
+// production they must be applied deliberately, after a backup)
+console.log('\n✓ Checking schema migrations...');
+const dbFile = path.join(__dirname, '../data/licenses.db');
+if (!fs.existsSync(dbFile)) {
+    console.log('  - data/licenses.db not found: schema is created on first start');
+} else {
+    const Database = require('better-sqlite3');
+    const { getPendingMigrations, migrationLabel } = require('../database/migrator');
+
+    const db = new Database(dbFile, { readonly: true, fileMustExist: true });
+    const pending = getPendingMigrations(db);
+    db.close();
+
+    if (pending.length === 0) {
+        console.log('  - Schema up to date');
+    } else if (process.env.NODE_ENV === 'production') {
+        console.error(`❌ ${pending.length} pending migration(s): ${pending.map(migrationLabel).join(', ')}`);
+        console.error('   Backup data/licenses.db, then run: npm run migrate:up');
+        hasErrors = true;
+    } else {
+        console.warn(`⚠️  Warning: ${pending.length} pending migration(s), applied on next start: ${pending.map(migrationLabel).join(', ')}`);
+    }
+}
+
+// Check 8: Routes
 console.log('\n✓ Checking API routes...');
 const requiredRoutes = ['./routes/license.js', './routes/admin.js'];
 requiredRoutes.forEach(route => {
@@ -84,6 +125,66 @@ requiredRoutes.forEach(route => {
     }
 });
 
+// Check 9: Offline token signing key, paired with the public key in the clients
+// (without a key the server would generate one no client build can verify)
+console.log('\n✓ Checking license signing key...');
+const { readConfiguredKey } = require('../services/license-token');
+
+let signingKey = null;
+try {
+    signingKey = readConfiguredKey();
+} catch (error) {
+    console.error(`❌ LICENSE_SIGNING_KEY / data/license-signing-key.pem is not a valid private key: ${error.message}`);
+    hasErrors = true;
+}
+
+if (!signingKey) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('❌ No signing key: set LICENSE_SIGNING_KEY or run npm run keys:generate (server refuses to start)');
+        hasErrors = true;
+    } else {
+        console.warn('⚠️  Warning: no signing key, the server generates one on start (set LICENSE_SIGNING_KEY for production)');
+    }
+} else {
+    const publicKeyBody = pem => pem.replace(/-----[A-Z ]+-----|\s/g, '');
+    const serverPublicKey = publicKeyBody(crypto.createPublicKey(signingKey).export({ type: 'spki', format: 'pem' }));
+    console.log(`  - Source: ${process.env.LICENSE_SIGNING_KEY ? 'LICENSE_SIGNING_KEY' : 'data/license-signing-key.pem'}`);
+
+    // Client apps in this repository that embed the public key
+    const repoRoot = path.join(__dirname, '../..');
+    const clientFiles = ['.', ...fs.readdirSync(repoRoot)]
+        .map(dir => path.join(repoRoot, dir, 'src/license/license-crypto.js'))
+        .filter(file => fs.existsSync(file));
+
+    clientFiles.forEach(file => {
+        const match = fs.readFileSync(file, 'utf8').match(/LICENSE_PUBLIC_KEY:\s*\[([\s\S]*?)\]/);
+        if (!match) return;
+
+        const label = path.relative(repoRoot, file);
+        const clientPublicKey = publicKeyBody(match[1].replace(/['",]/g, ''));
+        if (clientPublicKey === serverPublicKey) {
+            console.log(`  - ${label}: public key matches`);
+        } else if (process.env.NODE_ENV === 'production') {
+            console.error(`❌ ${label}: LICENSE_PUBLIC_KEY does not match the signing key (node scripts/generate-signing-key.js --public)`);
+            hasErrors = true;
+        } else {
+            console.warn(`⚠️  Warning: ${label}: LICENSE_PUBLIC_KEY does not match the signing key`);
+        }
+    });
+}
+
+// Check 10: Master key for product / webhook secrets (data/product-secret.key
+// next to the database is only acceptable outside production)
+console.log('\n✓ Checking product secret master key...');
+if (process.env.PRODUCT_SECRET_KEY) {
+    console.log('  - Source: PRODUCT_SECRET_KEY');
+} else if (process.env.NODE_ENV === 'production') {
+    console.error('❌ PRODUCT_SECRET_KEY is not set (server refuses to start). Existing install: use the content of data/product-secret.key, then remove the file');
+    hasErrors = true;
+} else {
+    console.warn('⚠️  Warning: PRODUCT_SECRET_KEY not set, using data/product-secret.key (set PRODUCT_SECRET_KEY for production)');
+}
+
 // Summary
 console.log('\n' + '='.repeat(60));
 if (hasErrors) {
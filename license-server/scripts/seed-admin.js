@@ -5,16 +5,19 @@
  * 
  * Usage:
  *   node scripts/seed-admin.js                          → buat akun default (admin/admin123)
- *   node scripts/seed-admin.js --username ops --password secret123
+ *   node scripts/seed-admin.js --username ops --password secret123 --role operator
  *   node scripts/seed-admin.js --list                   → tampilkan semua akun
  *   node scripts/seed-admin.js --reset admin            → reset password akun admin ke default
+ *   node scripts/seed-admin.js --rotate admin           → ganti password dengan password acak baru
+ *                                                         (atau --password <baru>), cabut semua sesinya
  */
 
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 
 const crypto = require('crypto');
 const { initializeDatabase } = require('../database/schema');
-const { adminUsersRepo } = require('../database/db');
+const { adminUsersRepo, sessionsRepo } = require('../database/db');
+const { hashPassword, describeHash } = require('../services/password');
 
 // Init DB
 initializeDatabase();
@@ -23,13 +26,6 @@ initializeDatabase();
 // Helpers
 // ============================================================================
 
-function hashPassword(password) {
-    return crypto
-        .createHmac('sha256', process.env.ADMIN_SECRET || 'eyesee-admin-secret-2024')
-        .update(password)
-        .digest('hex');
-}
-
 function formatDate(dateStr) {
     if (!dateStr) return '-';
     return new Date(dateStr).toLocaleString('id-ID');
@@ -63,7 +59,8 @@ if (flags.list) {
     } else {
         users.forEach(u => {
             const status = u.is_active ? '✅ Active' : '❌ Inactive';
-            console.log(`  [${u.id}] ${u.username} | ${u.role} | ${status}`);
+            const hashFormat = u.is_active ? describeHash(adminUsersRepo.findByUsername(u.username)?.password_hash) : '-';
+            console.log(`  [${u.id}] ${u.username} | ${u.role} | ${status} | hash: ${hashFormat}`);
             console.log(`       Created: ${formatDate(u.created_at)}`);
             console.log(`       Last Login: ${formatDate(u.last_login_at)}`);
         });
@@ -88,6 +85,33 @@ if (flags.reset) {
     process.exit(0);
 }
 
+// --rotate <username> → password baru (acak kecuali --password), sesi lama dicabut
+if (flags.rotate) {
+    const username = typeof flags.rotate === 'string' ? flags.rotate : 'admin';
+    const user = adminUsersRepo.findByUsername(username);
+    if (!user) {
+        console.error(`❌ User '${username}' tidak ditemukan`);
+        process.exit(1);
+    }
+
+    const newPassword = typeof flags.password === 'string'
+        ? flags.password
+        : crypto.randomBytes(15).toString('base64url');
+    if (newPassword.length < 8) {
+        console.error('❌ Password minimal 8 karakter');
+        process.exit(1);
+    }
+
+    adminUsersRepo.updatePassword(username, hashPassword(newPassword));
+    const revoked = sessionsRepo.revokeAllForUser(username);
+
+    console.log(`\n🔄 Password '${username}' dirotasi`);
+    console.log(`   Password baru : ${newPassword}`);
+    console.log(`   Sesi dicabut  : ${revoked}`);
+    console.log('\n⚠️  Simpan password ini sekarang, tidak akan ditampilkan lagi.\n');
+    process.exit(0);
+}
+
 // --deactivate <username> → nonaktifkan akun
 if (flags.deactivate) {
     const username = typeof flags.deactivate === 'string' ? flags.deactivate : null;
@@ -96,6 +120,12 @@ if (flags.deactivate) {
         process.exit(1);
     }
 
+    const user = adminUsersRepo.findByUsername(username);
+    if (user && ['superadmin', 'admin'].includes(user.role) && adminUsersRepo.countActiveSuperadmins() <= 1) {
+        console.error(`❌ '${username}' adalah superadmin aktif terakhir, buat superadmin lain dulu`);
+        process.exit(1);
+    }
+
     adminUsersRepo.deactivate(username);
     console.log(`\n✅ Akun '${username}' dinonaktifkan\n`);
     process.exit(0);
@@ -104,7 +134,14 @@ if (flags.deactivate) {
 // Default: buat akun baru
 const username = flags.username || 'admin';
 const password = flags.password || (process.env.ADMIN_PASSWORD || 'admin123');
-const role = flags.role || 'admin';
+const role = flags.role || 'superadmin';
+
+// Role: viewer (read-only), operator (generate/revoke), superadmin (delete, kelola user)
+const ROLES = ['viewer', 'operator', 'superadmin'];
+if (!ROLES.includes(role)) {
+    console.error(`❌ Role tidak valid: ${role} (pilih: ${ROLES.join(', ')})`);
+    process.exit(1);
+}
 
 console.log('\n🌱 Admin Account Seeder');
 console.log('─'.repeat(40));
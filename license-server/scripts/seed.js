@@ -13,62 +13,15 @@
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 
 const { generatedKeysRepo } = require('../database/db');
-const crypto = require('crypto');
+const { loadProducts } = require('../services/products');
+const { generateLicenseKey } = require('../services/license-key');
 
 // ============================================================================
 // Config
 // ============================================================================
 
-const PRODUCTS = {
-    BM01: { name: 'BMS',    secretKey: 'bms-license-secret-key-2024-v2' },
-    BL01: { name: 'BLM',    secretKey: 'blm-license-secret-key-2024-v2' },
-    VC01: { name: 'VComm',  secretKey: 'vcomm-license-secret-key-2024-v2' },
-    ES01: { name: 'EyeSee', secretKey: 'eyesee-license-secret-key-2024-v2' },
-};
-
-const CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-
-// ============================================================================
-// Key Generation
-// ============================================================================
-
-function encodeBase36(num, length) {
-    let result = '';
-    while (num > 0) {
-        result = CHARSET[num % CHARSET.length] + result;
-        num = Math.floor(num / CHARSET.length);
-    }
-    while (result.length < length) result = CHARSET[0] + result;
-    return result.substring(0, length);
-}
-
-function generateChecksum(data, secretKey) {
-    const hash = crypto.createHmac('sha256', secretKey).update(data).digest('hex');
-    return encodeBase36(parseInt(hash.substring(0, 8), 16), 4);
-}
-
-function generateRandomSegment(length) {
-    const bytes = crypto.randomBytes(length * 2);
-    let result = '';
-    for (let i = 0; i < length; i++) {
-        result += CHARSET[bytes[i] % CHARSET.length];
-    }
-    return result;
-}
-
-function generateKey(productCode, secretKey) {
-    const productChars = productCode; // e.g. "BM01"
-    const rand1 = generateRandomSegment(2);
-    const rand2 = generateRandomSegment(2);
-    const rand3 = generateRandomSegment(4);
-
-    const seg1 = rand1 + productChars.substring(0, 2); // XX + BM
-    const seg2 = productChars.substring(2, 4) + rand2;  // 01 + XX
-    const seg3 = rand3;                                  // XXXX
-    const seg4 = generateChecksum(seg1 + seg2 + seg3, secretKey);
-
-    return `${seg1}-${seg2}-${seg3}-${seg4}`;
-}
+// Produk & secret dari tabel products (services/products.js)
+const PRODUCTS = Object.fromEntries(loadProducts());
 
 // ============================================================================
 // Parse CLI args
@@ -118,7 +71,7 @@ function seed() {
 
             // Generate unique key (max 10 attempts)
             do {
-                key = generateKey(code, product.secretKey);
+                key = generateLicenseKey(code);
                 attempts++;
                 const existing = generatedKeysRepo.findByKey(key);
                 if (!existing) break;
@@ -20,9 +20,51 @@ const requiredEnvVars = [
 ];
 
 const optionalEnvVars = [
-    'NODE_ENV'
+    'NODE_ENV',
+    'ENABLE_TEST_ENDPOINTS',
+    'LICENSE_SIGNING_KEY',
+    'PRODUCT_SECRET_KEY',
+    'PRODUCT_SECRET_KEY_PREVIOUS',
+    'LICENSE_TRANSFER_LIMIT',
+    'OFFLINE_ACTIVATION_DAYS',
+    'LEASE_TIMEOUT_SECONDS',
+    'STALE_LICENSE_DAYS',
+    'BACKUP_DIR',
+    'BACKUP_INTERVAL_HOURS',
+    'BACKUP_RETENTION',
+    'IMPORT_MAX_MB',
+    'HARDWARE_MATCH_THRESHOLD',
+    'WEBHOOK_MAX_ATTEMPTS',
+    'WEBHOOK_TIMEOUT_MS',
+    'ADMIN_SESSION_TTL_HOURS',
+    'ADMIN_LOGIN_RATE_LIMIT',
+    'ADMIN_LOGIN_MAX_ATTEMPTS',
+    'ADMIN_LOCKOUT_MINUTES',
+    'PUBLIC_RATE_LIMIT_PER_IP',
+    'PUBLIC_RATE_LIMIT_PER_KEY',
+    'KEY_ENUMERATION_THRESHOLD',
+    'KEY_ENUMERATION_BLOCK_MINUTES',
+    'METRICS_TOKEN',
+    'TRUST_PROXY'
 ];
 
+// Values that must never be printed to the log
+const secretEnvVars = [
+    'ADMIN_PASSWORD',
+    'LICENSE_SIGNING_KEY',
+    'PRODUCT_SECRET_KEY',
+    'PRODUCT_SECRET_KEY_PREVIOUS',
+    'METRICS_TOKEN'
+];
+
+/**
+ * /api/license/test/* (reset key, mark used) is only mounted in development
+ * or with ENABLE_TEST_ENDPOINTS=true
+ */
+function testEndpointsEnabled() {
+    return process.env.NODE_ENV === 'development' || process.env.ENABLE_TEST_ENDPOINTS === 'true';
+}
+
 function validateEnvironment() {
     console.log('[ENV] Validating environment variables...');
     
@@ -40,20 +82,25 @@ function validateEnvironment() {
                 process.exit(1);
             }
         } else {
-            console.log(`[ENV] ✓ ${varName}: ${varName === 'ADMIN_PASSWORD' ? '***' : process.env[varName]}`);
+            console.log(`[ENV] ✓ ${varName}: ${secretEnvVars.includes(varName) ? '***' : process.env[varName]}`);
         }
     });
     
     // Check optional variables
     optionalEnvVars.forEach(varName => {
         if (process.env[varName]) {
-            console.log(`[ENV] ✓ ${varName}: ${process.env[varName]}`);
+            console.log(`[ENV] ✓ ${varName}: ${secretEnvVars.includes(varName) ? '***' : process.env[varName]}`);
         } else {
             console.log(`[ENV] ℹ ${varName}: not set (using default)`);
         }
     });
     
-    // Security warnings
+    // Security checks
+    if (process.env.NODE_ENV === 'production' && testEndpointsEnabled()) {
+        console.error('[ENV] ❌ ENABLE_TEST_ENDPOINTS must not be set in production (reset key / mark used endpoints)');
+        process.exit(1);
+    }
+    
     if (process.env.ADMIN_PASSWORD === 'admin123') {
         console.warn('[ENV] ⚠️  WARNING: Using default admin password "admin123"!');
         console.warn('[ENV] ⚠️  SECURITY RISK: Please set ADMIN_PASSWORD environment variable immediately!');
@@ -68,4 +115,4 @@ function validateEnvironment() {
     }
 }
 
-module.exports = { validateEnvironment };
+module.exports = { validateEnvironment, testEndpointsEnabled };
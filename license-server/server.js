@@ -5,7 +5,7 @@
  * Features:
  * - License activation and validation
  * - Admin endpoints for revocation/management
- * - Simple password authentication for admin
+ * - Session-based admin authentication (expiring tokens)
  * 
  * @author EyeSee Team
  */
@@ -13,13 +13,21 @@
 require('dotenv').config();
 
 // Validate environment variables before starting
-const { validateEnvironment } = require('./scripts/validate-env');
+const { validateEnvironment, testEndpointsEnabled } = require('./scripts/validate-env');
 validateEnvironment();
 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 
+const { getPublicKeyPem } = require('./services/license-token');
+const { startLeaseReaper } = require('./services/lease');
+const { startWebhookWorker } = require('./services/webhooks');
+const { startStaleDeviceJob } = require('./services/stale-devices');
+const { loadProducts } = require('./services/products');
+const { prepareUsageStats } = require('./services/analytics');
+const { startBackupSchedule } = require('./services/backup');
+const { httpMetrics, enableQueryMetrics, metricsHandler } = require('./services/metrics');
 const licenseRoutes = require('./routes/license');
 const adminRoutes = require('./routes/admin');
 
@@ -29,9 +37,18 @@ const app = express();
 const HOST = process.env.HOST || '0.0.0.0';
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For
+// (login rate limiting & audit log). TRUST_PROXY = hop count, "true" or subnet list.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// /api/admin/import parses its own (larger) body after authentication
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/api/admin/import' ? next() : jsonParser(req, res, next)));
 
 // Serve static files from public directory (Admin Panel UI)
 app.use(express.static(path.join(__dirname, 'public')));
@@ -43,10 +60,20 @@ app.use((req, res, next) => {
     next();
 });
 
+// Request counts & latency per route, query latency for /metrics
+app.use(httpMetrics);
+enableQueryMetrics();
+
 // Routes
 app.use('/api/license', licenseRoutes);
 app.use('/api/admin', adminRoutes);
 
+// Developer endpoints (reset key, mark used): never mounted in production
+if (testEndpointsEnabled()) {
+    app.use('/api/license/test', require('./routes/test'));
+    console.warn('[SERVER] ⚠️  Test endpoints enabled: /api/license/test/* (superadmin only)');
+}
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({
@@ -56,6 +83,9 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Prometheus scrape endpoint (Bearer METRICS_TOKEN when set)
+app.get('/metrics', metricsHandler);
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -63,6 +93,7 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             health: 'GET /health',
+            metrics: 'GET /metrics',
             license: {
                 activate: 'POST /api/license/activate',
                 validate: 'GET /api/license/validate/:hardwareId',
@@ -87,10 +118,36 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+    // Body parser errors (invalid JSON, body too large) are client errors
+    if (err.type && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
     console.error('[ERROR]', err);
     res.status(500).json({ error: 'Internal server error' });
 });
 
+// Load (or create) the offline token signing key before accepting requests
+getPublicKeyPem();
+
+// Decrypt product secrets now: a wrong PRODUCT_SECRET_KEY stops startup
+// instead of rejecting every license key
+loadProducts();
+
+// Usage analytics: first start takes activation / revocation history from the audit log
+prepareUsageStats();
+
+// Reclaim floating license leases whose client stopped sending heartbeats
+startLeaseReaper();
+
+// Send queued webhook deliveries and their retries
+startWebhookWorker();
+
+// Flag devices that stopped checking in, auto-release per product
+startStaleDeviceJob();
+
+// Online SQLite backups every BACKUP_INTERVAL_HOURS (0 = off)
+startBackupSchedule();
+
 // Start server
 app.listen(PORT, HOST, () => {
     console.log('');
@@ -0,0 +1,208 @@
+/**
+ * Public License Endpoint Guard
+ *
+ * Abuse protection for /api/license/check, /check-key and /activate:
+ * - per IP: at most PUBLIC_RATE_LIMIT_PER_IP requests per minute
+ * - per license key: at most PUBLIC_RATE_LIMIT_PER_KEY requests per minute
+ *   (from any IP)
+ * - key enumeration: an IP with KEY_ENUMERATION_THRESHOLD rejected keys
+ *   (bad checksum / unknown key) within ENUMERATION_WINDOW_MS is blocked
+ *   for KEY_ENUMERATION_BLOCK_MINUTES
+ *
+ * State is kept in memory (single server process), like the admin login
+ * guard; a restart clears it.
+ */
+
+const { AuditAction, recordAudit } = require('./audit');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const RATE_LIMIT_PER_IP = parseInt(process.env.PUBLIC_RATE_LIMIT_PER_IP) || 60;
+const RATE_LIMIT_PER_KEY = parseInt(process.env.PUBLIC_RATE_LIMIT_PER_KEY) || 10;
+const RATE_WINDOW_MS = 60 * 1000;
+
+const ENUMERATION_THRESHOLD = parseInt(process.env.KEY_ENUMERATION_THRESHOLD) || 20;
+const ENUMERATION_WINDOW_MS = 10 * 60 * 1000;
+const BLOCK_MINUTES = parseInt(process.env.KEY_ENUMERATION_BLOCK_MINUTES) || 30;
+
+// ip / key -> { count, windowStart }
+const requestsByIp = new Map();
+const requestsByKey = new Map();
+// ip -> { misses, windowStart }
+const missesByIp = new Map();
+// ip -> { reason, misses, blockedAt, blockedUntil }
+const blockedSources = new Map();
+
+let lastPruneAt = 0;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function pruneExpired(now) {
+    // Cukup sekali per window; endpoint publik jauh lebih ramai dari login
+    if (now - lastPruneAt < RATE_WINDOW_MS) return;
+    lastPruneAt = now;
+
+    for (const map of [requestsByIp, requestsByKey]) {
+        for (const [id, entry] of map) {
+            if (now - entry.windowStart >= RATE_WINDOW_MS) map.delete(id);
+        }
+    }
+    for (const [ip, entry] of missesByIp) {
+        if (now - entry.windowStart >= ENUMERATION_WINDOW_MS) missesByIp.delete(ip);
+    }
+    for (const [ip, entry] of blockedSources) {
+        if (entry.blockedUntil <= now) blockedSources.delete(ip);
+    }
+}
+
+/**
+ * Count one request in a fixed window
+ *
+ * @returns {number} Seconds until the window resets when over the limit, else 0
+ */
+function countRequest(map, id, limit, now) {
+    let entry = map.get(id);
+    if (!entry || now - entry.windowStart >= RATE_WINDOW_MS) {
+        entry = { count: 0, windowStart: now };
+        map.set(id, entry);
+    }
+    entry.count++;
+
+    return entry.count > limit ? Math.ceil((entry.windowStart + RATE_WINDOW_MS - now) / 1000) : 0;
+}
+
+function rejectRequest(res, retryAfterSeconds, error) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+        success: false,
+        valid: false,
+        status: 'RATE_LIMITED',
+        error,
+        retryAfterSeconds
+    });
+}
+
+/**
+ * Hardware ID for public responses: enough to recognise your own device,
+ * not enough to clone a binding ("ABCD...WXYZ")
+ */
+function maskHardwareId(hardwareId) {
+    if (!hardwareId) return null;
+    if (hardwareId.length <= 8) return '****';
+    return `${hardwareId.substring(0, 4)}...${hardwareId.slice(-4)}`;
+}
+
+// ============================================================================
+// Middleware & Checks
+// ============================================================================
+
+/**
+ * Express middleware for the public license endpoints: blocked IPs,
+ * per-IP and per-key rate limits (429 + Retry-After)
+ */
+function publicLicenseGuard(req, res, next) {
+    const now = Date.now();
+    pruneExpired(now);
+
+    const block = blockedSources.get(req.ip);
+    if (block && block.blockedUntil > now) {
+        return rejectRequest(res, Math.ceil((block.blockedUntil - now) / 1000),
+            'Terlalu banyak license key tidak valid dari alamat ini. Akses diblokir sementara.');
+    }
+
+    const ipRetry = countRequest(requestsByIp, req.ip, RATE_LIMIT_PER_IP, now);
+    if (ipRetry > 0) {
+        return rejectRequest(res, ipRetry, 'Terlalu banyak permintaan. Coba lagi nanti.');
+    }
+
+    const licenseKey = typeof req.body?.licenseKey === 'string' ? req.body.licenseKey.trim().toUpperCase() : '';
+    if (licenseKey) {
+        const keyRetry = countRequest(requestsByKey, licenseKey, RATE_LIMIT_PER_KEY, now);
+        if (keyRetry > 0) {
+            return rejectRequest(res, keyRetry, 'Terlalu banyak permintaan untuk license key ini. Coba lagi nanti.');
+        }
+    }
+
+    next();
+}
+
+/**
+ * Record a rejected key (bad checksum / not issued); blocks the IP once
+ * the enumeration threshold is reached
+ *
+ * @returns {boolean} Whether this miss blocked the IP
+ */
+function registerKeyMiss(req) {
+    const now = Date.now();
+    let entry = missesByIp.get(req.ip);
+    if (!entry || now - entry.windowStart >= ENUMERATION_WINDOW_MS) {
+        entry = { misses: 0, windowStart: now };
+        missesByIp.set(req.ip, entry);
+    }
+    entry.misses++;
+
+    if (entry.misses < ENUMERATION_THRESHOLD) return false;
+
+    missesByIp.delete(req.ip);
+    blockedSources.set(req.ip, {
+        reason: 'key_enumeration',
+        misses: entry.misses,
+        path: req.path,
+        blockedAt: new Date(now).toISOString(),
+        blockedUntil: now + BLOCK_MINUTES * 60 * 1000
+    });
+
+    console.warn(`[GUARD] Blocked ${req.ip} for ${BLOCK_MINUTES} min: ${entry.misses} invalid keys in ${ENUMERATION_WINDOW_MS / 60000} min`);
+    recordAudit(req, AuditAction.SOURCE_BLOCKED, {
+        details: { reason: 'key_enumeration', misses: entry.misses, blockMinutes: BLOCK_MINUTES, path: req.path }
+    });
+    return true;
+}
+
+// ============================================================================
+// Admin
+// ============================================================================
+
+/**
+ * Currently blocked sources, most recent first
+ */
+function listBlockedSources() {
+    const now = Date.now();
+    pruneExpired(now);
+
+    return [...blockedSources.entries()]
+        .filter(([, entry]) => entry.blockedUntil > now)
+        .map(([ip, entry]) => ({
+            ip,
+            reason: entry.reason,
+            misses: entry.misses,
+            path: entry.path,
+            blockedAt: entry.blockedAt,
+            blockedUntil: new Date(entry.blockedUntil).toISOString()
+        }))
+        .sort((a, b) => b.blockedAt.localeCompare(a.blockedAt));
+}
+
+/**
+ * @returns {boolean} Whether the IP was blocked
+ */
+function unblockSource(ip) {
+    missesByIp.delete(ip);
+    return blockedSources.delete(ip);
+}
+
+module.exports = {
+    RATE_LIMIT_PER_IP,
+    RATE_LIMIT_PER_KEY,
+    ENUMERATION_THRESHOLD,
+    BLOCK_MINUTES,
+    maskHardwareId,
+    publicLicenseGuard,
+    registerKeyMiss,
+    listBlockedSources,
+    unblockSource
+};
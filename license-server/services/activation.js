@@ -0,0 +1,209 @@
+/**
+ * License Activation Service
+ *
+ * Key validation and device binding shared by the public activation
+ * endpoint and the admin offline (file-based) activation.
+ */
+
+const { licenseRepo, generatedKeysRepo, transfersRepo } = require('../database/db');
+const { normalizeComponents, findDeviceLicense } = require('./hardware-match');
+const { validateKeyFormat } = require('./license-key');
+const { getProduct } = require('./products');
+const { recordActivation } = require('./metrics');
+
+// ============================================================================
+// Expiry Helpers
+// ============================================================================
+
+function isExpired(expiresAt) {
+    return Boolean(expiresAt) && new Date(expiresAt).getTime() < Date.now();
+}
+
+/**
+ * Effective expiry for a new activation.
+ * term_days dihitung dari sekarang; jika key juga punya expires_at,
+ * yang lebih cepat yang dipakai.
+ */
+function resolveLicenseExpiry(generatedKey) {
+    let expiresAt = generatedKey.expires_at || null;
+    
+    if (generatedKey.term_days) {
+        const termEnd = new Date(Date.now() + generatedKey.term_days * 24 * 60 * 60 * 1000).toISOString();
+        if (!expiresAt || termEnd < expiresAt) {
+            expiresAt = termEnd;
+        }
+    }
+    
+    return expiresAt;
+}
+
+// ============================================================================
+// Activation
+// ============================================================================
+
+/**
+ * Bind a license key to a device (one seat of the key)
+ *
+ * @param {Object} params
+ * @param {string} params.licenseKey
+ * @param {string} params.hardwareId
+ * @param {string} [params.deviceName]
+ * @param {Object} [params.components] - Hash per hardware component
+ * @param {string} [params.activationMode] - 'online' | 'offline'
+ * @param {Object} [params.req] - Request, for the audit log
+ * @returns {Object} { success, statusCode, error, reason } or
+ *          { success, alreadyActive, license, productName }
+ */
+function activateLicense(params) {
+    const mode = params.activationMode || 'online';
+
+    let result;
+    try {
+        result = bindLicense(params);
+    } catch (error) {
+        recordActivation(mode, 'error');
+        throw error;
+    }
+
+    if (!result.success) {
+        recordActivation(mode, 'rejected', result.reason);
+    } else {
+        recordActivation(mode, result.alreadyActive ? 'already_active' : 'activated');
+    }
+
+    return result;
+}
+
+// reason = kode stabil untuk metrics (error berisi pesan untuk user)
+function bindLicense({ licenseKey, hardwareId, deviceName, components, activationMode = 'online', req = null }) {
+    if (!licenseKey) {
+        return { success: false, statusCode: 400, error: 'License key diperlukan', reason: 'missing_key' };
+    }
+    
+    if (!hardwareId || hardwareId.length < 8) {
+        return { success: false, statusCode: 400, error: 'Hardware ID tidak valid', reason: 'invalid_hardware_id' };
+    }
+    
+    const normalizedKey = licenseKey.trim().toUpperCase();
+    const normalizedHwId = hardwareId.toUpperCase();
+    const normalizedComponents = normalizeComponents(components);
+    
+    const keyValidation = validateKeyFormat(normalizedKey);
+    if (!keyValidation.valid) {
+        return { success: false, statusCode: 400, error: keyValidation.error, reason: 'invalid_key', keyRejected: true };
+    }
+    
+    // Check if this device already has a license FOR THIS SPECIFIC PRODUCT
+    // (also when some hardware components changed since activation)
+    const existingLicense = findDeviceLicense({
+        hardwareId: normalizedHwId,
+        components: normalizedComponents,
+        productCode: keyValidation.productCode,
+        licenseKey: normalizedKey,
+        req
+    });
+    
+    if (existingLicense) {
+        // Different key for same product - not allowed
+        if (existingLicense.license_key !== normalizedKey) {
+            return {
+                success: false,
+                statusCode: 400,
+                error: 'Perangkat ini sudah memiliki lisensi aktif untuk produk ini',
+                reason: 'device_has_other_key'
+            };
+        }
+        
+        if (existingLicense.is_revoked) {
+            return {
+                success: false,
+                statusCode: 403,
+                error: existingLicense.revoked_reason || 'Lisensi telah dinonaktifkan',
+                reason: 'revoked'
+            };
+        }
+        
+        if (isExpired(existingLicense.expires_at)) {
+            return { success: false, statusCode: 403, error: 'Masa berlaku lisensi telah berakhir', reason: 'license_expired' };
+        }
+        
+        // Same key, just update last check
+        licenseRepo.updateLastCheck(normalizedHwId, keyValidation.productCode);
+        
+        const license = existingLicense.activation_mode === activationMode
+            ? existingLicense
+            : licenseRepo.updateActivationMode(normalizedHwId, keyValidation.productCode, activationMode);
+        
+        return { success: true, alreadyActive: true, license, productName: keyValidation.productName };
+    }
+    // Different product or no existing license - allow activation
+    
+    // Produk nonaktif: tidak ada aktivasi baru, lisensi yang sudah aktif tetap berlaku
+    if (!getProduct(keyValidation.productCode).isActive) {
+        return { success: false, statusCode: 403, error: `Produk ${keyValidation.productName} tidak aktif`, reason: 'product_inactive' };
+    }
+    
+    const generatedKey = generatedKeysRepo.findByKey(normalizedKey);
+    if (!generatedKey) {
+        return { success: false, statusCode: 400, error: 'License key tidak ditemukan', reason: 'key_not_found', keyRejected: true };
+    }
+    
+    // Floating: jumlah perangkat tidak dibatasi, seat_count membatasi lease bersamaan
+    const isFloating = generatedKey.license_type === 'floating';
+    
+    if (!isFloating && generatedKey.seats_used >= generatedKey.seat_count) {
+        return {
+            success: false,
+            statusCode: 400,
+            error: generatedKey.seat_count > 1
+                ? `Semua ${generatedKey.seat_count} seat untuk license key ini sudah terpakai`
+                : 'License key sudah digunakan oleh perangkat lain',
+            reason: 'seats_exhausted'
+        };
+    }
+    
+    if (isExpired(generatedKey.expires_at)) {
+        return { success: false, statusCode: 400, error: 'License key sudah kedaluwarsa', reason: 'key_expired' };
+    }
+    
+    if (generatedKey.product_code !== keyValidation.productCode) {
+        return { success: false, statusCode: 400, error: 'License key tidak cocok dengan produk', reason: 'product_mismatch' };
+    }
+    
+    // Seat yang dilepas lewat transfer: sisa masa berlaku lisensi lama ikut pindah
+    const carryOver = transfersRepo.findCarryOver(normalizedKey);
+    if (carryOver && isExpired(carryOver.expires_at)) {
+        return { success: false, statusCode: 400, error: 'License key sudah kedaluwarsa', reason: 'key_expired' };
+    }
+    if (carryOver) {
+        transfersRepo.claimCarryOver(carryOver.id);
+    }
+    
+    // activated_by_hardware_id = perangkat pertama (seat berikutnya tidak menimpa)
+    if (generatedKey.seats_used === 0) {
+        generatedKeysRepo.markUsed(normalizedKey, normalizedHwId);
+    }
+    
+    const license = licenseRepo.create({
+        license_key: normalizedKey,
+        hardware_id: normalizedHwId,
+        device_name: deviceName || null,
+        product_code: keyValidation.productCode,
+        expires_at: carryOver ? carryOver.expires_at : resolveLicenseExpiry(generatedKey),
+        activation_mode: activationMode,
+        license_type: generatedKey.license_type,
+        hardware_components: normalizedComponents,
+        customer_id: generatedKey.customer_id
+    });
+    
+    console.log(`[LICENSE] ACTIVATED (${activationMode}): ${normalizedHwId.substring(0, 8)}... (${keyValidation.productName})`);
+    
+    return { success: true, alreadyActive: false, license, productName: keyValidation.productName };
+}
+
+module.exports = {
+    validateKeyFormat,
+    isExpired,
+    resolveLicenseExpiry,
+    activateLicense
+};
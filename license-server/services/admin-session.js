@@ -0,0 +1,81 @@
+/**
+ * Admin Session Service
+ *
+ * /login issues a random bearer token that expires after
+ * ADMIN_SESSION_TTL_HOURS. Only the SHA-256 hash of the token is stored,
+ * so a leaked database does not leak usable sessions.
+ */
+
+const crypto = require('crypto');
+const { sessionsRepo } = require('../database/db');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS) || 8;
+
+// Sesi kedaluwarsa / dicabut dihapus dari DB setelah 7 hari
+const SESSION_RETENTION_DAYS = 7;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function purgeOldSessions() {
+    const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    sessionsRepo.deleteExpired(cutoff);
+}
+
+// ============================================================================
+// Session Operations
+// ============================================================================
+
+/**
+ * Start a session after a successful login
+ *
+ * @param {Object} user - { username, role }
+ * @param {Object} req - Express request (IP, user agent)
+ * @returns {Object} { token, session }
+ */
+function createSession(user, req) {
+    purgeOldSessions();
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = sessionsRepo.create({
+        token_hash: hashToken(token),
+        username: user.username,
+        role: user.role,
+        ip_address: req.ip,
+        user_agent: req.get('user-agent'),
+        expires_at: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    });
+
+    return { token, session };
+}
+
+/**
+ * Resolve a bearer token to its session
+ *
+ * @param {string} token
+ * @returns {Object|null} Session row, or null if unknown, expired or revoked
+ */
+function verifySession(token) {
+    if (!token) return null;
+
+    const session = sessionsRepo.findActiveByTokenHash(hashToken(token));
+    if (!session) return null;
+
+    sessionsRepo.touch(session.id);
+    return session;
+}
+
+module.exports = {
+    SESSION_TTL_HOURS,
+    createSession,
+    verifySession
+};
@@ -0,0 +1,182 @@
+/**
+ * Usage Analytics
+ *
+ * Daily aggregates per product in usage_daily (UTC days):
+ * - activations:    new device activations (online & offline)
+ * - validations:    check-ins via /api/license/validate
+ * - revocations:    licenses revoked (single & bulk)
+ * - active_devices: distinct devices with a valid check-in that day
+ *
+ * Counters are updated as events happen, so reading a date range never
+ * scans the licenses or the audit log. Like the audit log, a failing write
+ * never fails the request that caused it.
+ */
+
+const { usageRepo } = require('../database/db');
+const { AuditAction } = require('./audit');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const UsageEvent = {
+    ACTIVATION: 'activations',
+    VALIDATION: 'validations',
+    REVOCATION: 'revocations'
+};
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+// Baris deduplikasi perangkat aktif disimpan sebentar saja
+const DEVICE_DEDUP_KEEP_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let lastPrunedDay = null;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function toDay(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+function addDays(day, days) {
+    return toDay(new Date(new Date(`${day}T00:00:00.000Z`).getTime() + days * DAY_MS));
+}
+
+function isValidDay(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00.000Z`);
+    // Tolak tanggal yang "digulung" (mis. 2026-02-30)
+    return !isNaN(date.getTime()) && toDay(date) === value;
+}
+
+function emptyPoint(day) {
+    return { day, activations: 0, validations: 0, revocations: 0, activeDevices: 0 };
+}
+
+function pruneDedupRows(today) {
+    if (lastPrunedDay === today) return;
+    lastPrunedDay = today;
+    usageRepo.pruneDevices(addDays(today, -DEVICE_DEDUP_KEEP_DAYS));
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Count an event for today
+ *
+ * @param {string} event - One of UsageEvent
+ * @param {string} productCode
+ */
+function recordUsage(event, productCode) {
+    try {
+        usageRepo.increment(toDay(new Date()), productCode, event);
+    } catch (error) {
+        console.error('[ANALYTICS] Failed to record usage:', event, error.message);
+    }
+}
+
+/**
+ * Count a device with a valid check-in as active today (once per day)
+ */
+function recordActiveDevice(productCode, hardwareId) {
+    try {
+        const today = toDay(new Date());
+        pruneDedupRows(today);
+        usageRepo.addActiveDevice(today, productCode, hardwareId);
+    } catch (error) {
+        console.error('[ANALYTICS] Failed to record active device:', error.message);
+    }
+}
+
+/**
+ * First start with analytics: take activations / revocations from the audit log
+ */
+function prepareUsageStats() {
+    if (!usageRepo.isEmpty()) return;
+
+    const rows = usageRepo.backfillFromAudit(AuditAction.LICENSE_ACTIVATED, AuditAction.LICENSE_REVOKED);
+    if (rows > 0) {
+        console.log(`[ANALYTICS] Backfilled ${rows} day(s) of activations / revocations from the audit log`);
+    }
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Resolve a from / to query ('YYYY-MM-DD', default: the last 30 days)
+ *
+ * @returns {Object} { from, to } or { error }
+ */
+function parseRange(from, to) {
+    const end = to || toDay(new Date());
+    const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+
+    if (!isValidDay(start) || !isValidDay(end)) {
+        return { error: 'from / to harus tanggal YYYY-MM-DD' };
+    }
+    if (start > end) {
+        return { error: 'from harus sebelum to' };
+    }
+    if (start < addDays(end, -(MAX_RANGE_DAYS - 1))) {
+        return { error: `Rentang maksimal ${MAX_RANGE_DAYS} hari` };
+    }
+    return { from: start, to: end };
+}
+
+/**
+ * Daily series for a range; days without data are zero. In total,
+ * activeDevices is the sum over products (a device using two products
+ * counts twice).
+ *
+ * @returns {Object} { days, total: [point], byProduct: { code: [point] } }
+ */
+function getUsageSeries(from, to, productCode = null) {
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+        days.push(day);
+    }
+
+    const total = new Map(days.map(day => [day, emptyPoint(day)]));
+    const byProduct = {};
+    if (productCode) {
+        byProduct[productCode] = new Map(days.map(day => [day, emptyPoint(day)]));
+    }
+
+    for (const row of usageRepo.query(from, to, productCode)) {
+        if (!byProduct[row.product_code]) {
+            byProduct[row.product_code] = new Map(days.map(day => [day, emptyPoint(day)]));
+        }
+
+        for (const point of [total.get(row.day), byProduct[row.product_code].get(row.day)]) {
+            point.activations += row.activations;
+            point.validations += row.validations;
+            point.revocations += row.revocations;
+            point.activeDevices += row.active_devices;
+        }
+    }
+
+    return {
+        days,
+        total: [...total.values()],
+        byProduct: Object.fromEntries(Object.entries(byProduct).map(([code, points]) => [code, [...points.values()]]))
+    };
+}
+
+module.exports = {
+    UsageEvent,
+    MAX_RANGE_DAYS,
+    recordUsage,
+    recordActiveDevice,
+    prepareUsageStats,
+    parseRange,
+    getUsageSeries
+};
@@ -0,0 +1,98 @@
+/**
+ * Audit Log Service
+ *
+ * Records license actions (activation, revoke, reset, deletion, ...) in
+ * audit_events. Actor: admin username, 'client' for public endpoints,
+ * 'system' for automatic changes. A failing audit write never fails the
+ * action itself.
+ */
+
+const { auditRepo } = require('../database/db');
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+const AuditAction = {
+    ADMIN_LOGIN: 'admin.login',
+    ADMIN_LOGIN_FAILED: 'admin.login_failed',
+    ADMIN_LOCKED: 'admin.locked',
+    ADMIN_LOGOUT: 'admin.logout',
+    SESSION_REVOKED: 'admin.session_revoked',
+    USER_CREATED: 'admin.user_created',
+    USER_DEACTIVATED: 'admin.user_deactivated',
+    USER_PASSWORD_RESET: 'admin.password_reset',
+    KEYS_GENERATED: 'keys.generated',
+    KEYS_EXPORTED: 'keys.exported',
+    KEY_DELETED: 'key.deleted',
+    KEY_RESET: 'key.reset',
+    KEY_MARKED_USED: 'key.marked_used',
+    LICENSE_ACTIVATED: 'license.activated',
+    LICENSE_REVOKED: 'license.revoked',
+    LICENSE_REACTIVATED: 'license.reactivated',
+    LICENSE_RENEWED: 'license.renewed',
+    LICENSE_DELETED: 'license.deleted',
+    LICENSE_TRANSFERRED: 'license.transferred',
+    LICENSE_STALE: 'license.stale',
+    LICENSE_STALE_RELEASED: 'license.stale_released',
+    HARDWARE_CHANGED: 'license.hardware_changed',
+    LEASE_RELEASED: 'lease.released',
+    CUSTOMER_CREATED: 'customer.created',
+    CUSTOMER_UPDATED: 'customer.updated',
+    CUSTOMER_DELETED: 'customer.deleted',
+    CUSTOMER_ASSIGNED: 'customer.assigned',
+    PRODUCT_CREATED: 'product.created',
+    PRODUCT_UPDATED: 'product.updated',
+    PRODUCT_SECRET_ROTATED: 'product.secret_rotated',
+    PRODUCT_SECRET_ACTIVATED: 'product.secret_activated',
+    PRODUCT_SECRET_RETIRED: 'product.secret_retired',
+    PRODUCT_DELETED: 'product.deleted',
+    WEBHOOK_CREATED: 'webhook.created',
+    WEBHOOK_UPDATED: 'webhook.updated',
+    WEBHOOK_DELETED: 'webhook.deleted',
+    SOURCE_BLOCKED: 'security.source_blocked',
+    SOURCE_UNBLOCKED: 'security.source_unblocked',
+    BACKUP_CREATED: 'backup.created',
+    BACKUP_DELETED: 'backup.deleted',
+    BACKUP_RESTORED: 'backup.restored',
+    DATA_EXPORTED: 'data.exported',
+    DATA_IMPORTED: 'data.imported'
+};
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Record an audit event
+ *
+ * @param {Object|null} req - Express request (actor, IP, user agent); null for system events
+ * @param {string} action - One of AuditAction
+ * @param {Object} [target]
+ * @param {string} [target.licenseKey]
+ * @param {string} [target.hardwareId]
+ * @param {string} [target.productCode]
+ * @param {Object} [target.details] - Extra data, stored as JSON
+ * @param {string} [target.actor] - Override the actor derived from req
+ */
+function recordAudit(req, action, { licenseKey, hardwareId, productCode, details, actor } = {}) {
+    try {
+        auditRepo.add({
+            action,
+            actor: actor || req?.adminUser?.username || (req ? 'client' : 'system'),
+            license_key: licenseKey,
+            hardware_id: hardwareId,
+            product_code: productCode,
+            details,
+            ip_address: req?.ip,
+            user_agent: req?.get('user-agent')
+        });
+    } catch (error) {
+        console.error('[AUDIT] Failed to record event:', action, error.message);
+    }
+}
+
+module.exports = {
+    AuditAction,
+    recordAudit
+};
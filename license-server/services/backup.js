@@ -0,0 +1,492 @@
+/**
+ * Backup, Restore & Export / Import
+ *
+ * - Backup: online copy of licenses.db via the SQLite backup API (consistent
+ *   while the server keeps writing, WAL included) into BACKUP_DIR. Taken
+ *   every BACKUP_INTERVAL_HOURS and on demand; the newest BACKUP_RETENTION
+ *   files of each kind (manual, scheduled, ...) are kept, so scheduled
+ *   backups never push out manual or safety backups.
+ * - Restore: replaces the data tables with those of a backup file in one
+ *   transaction (admin sessions are kept).
+ * - Export / import: portable JSON with keys, licenses, customers, products,
+ *   admin users, audit log, webhooks and usage stats. Product and webhook
+ *   secrets are exported decrypted and re-encrypted with the master key of
+ *   the importing server, so the file must be stored like a backup.
+ *
+ * Restore and import always support a dry run: the whole replacement runs
+ * and is rolled back, so constraint errors and undecryptable secrets show up
+ * before anything changes. A real run first takes a safety backup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { maintenanceRepo, sessionsRepo, runInTransaction } = require('../database/db');
+const { loadMigrations } = require('../database/migrator');
+const { encryptSecret, decryptSecret, reloadProducts } = require('./products');
+const { AuditAction, recordAudit } = require('./audit');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '../data/backups');
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION) || 14;
+
+// 0 = tanpa backup terjadwal
+const BACKUP_INTERVAL_HOURS = Number.isNaN(parseInt(process.env.BACKUP_INTERVAL_HOURS))
+    ? 24
+    : parseInt(process.env.BACKUP_INTERVAL_HOURS);
+
+// Ukuran maksimal body POST /api/admin/import
+const IMPORT_MAX_BYTES = (parseInt(process.env.IMPORT_MAX_MB) || 50) * 1024 * 1024;
+
+const BACKUP_REASONS = ['manual', 'scheduled', 'pre-restore', 'pre-import'];
+const BACKUP_FILE_PATTERN = /^licenses-\d{4}-\d{2}-\d{2}T[\d-]+Z-(manual|scheduled|pre-restore|pre-import)\.db$/;
+
+const EXPORT_FORMAT = 'license-server-export';
+const EXPORT_VERSION = 1;
+
+// Urutan = urutan insert saat import
+const EXPORT_TABLES = [
+    'customers',
+    'products',
+    'product_secrets',
+    'key_batches',
+    'generated_keys',
+    'active_licenses',
+    'license_transfers',
+    'admin_users',
+    'audit_events',
+    'webhooks',
+    'usage_daily'
+];
+
+// Data turunan yang tidak diekspor dan tidak cocok lagi setelah import
+const IMPORT_CLEARED_TABLES = ['license_leases', 'webhook_deliveries', 'usage_daily_devices'];
+
+// Tabel dengan kolom secret_encrypted (diekspor sebagai "secret")
+const SECRET_TABLES = ['products', 'product_secrets', 'webhooks'];
+
+// Sesi admin yang sedang login tidak ikut di-restore
+const RESTORE_EXCLUDED_TABLES = ['admin_sessions'];
+
+const RESTORE_SCHEMA = 'restore_src';
+const HOUR_MS = 60 * 60 * 1000;
+
+class DryRunRollback extends Error {}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function latestSchemaVersion() {
+    const migrations = loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+function describeBackup(fileName) {
+    const stat = fs.statSync(path.join(BACKUP_DIR, fileName));
+    return {
+        fileName,
+        reason: BACKUP_FILE_PATTERN.exec(fileName)[1],
+        size: stat.size,
+        createdAt: stat.mtime.toISOString()
+    };
+}
+
+/**
+ * Replace tables inside one transaction; a dry run rolls everything back
+ *
+ * @param {Function} replace - Does the writes, returns the result object
+ * @returns {Object} Result of replace, or { error }
+ */
+function runReplacement(replace, dryRun) {
+    let result = null;
+    try {
+        runInTransaction(() => {
+            result = replace();
+            if (dryRun) throw new DryRunRollback();
+        });
+    } catch (error) {
+        if (!(error instanceof DryRunRollback)) {
+            return { error: `Data tidak bisa dipulihkan: ${error.message}` };
+        }
+    }
+    return result;
+}
+
+/**
+ * Secrets in the (replaced) tables must decrypt with this server's master key
+ *
+ * @returns {string|null} Error message
+ */
+function checkSecrets() {
+    for (const table of SECRET_TABLES) {
+        for (const row of maintenanceRepo.dumpTable(table)) {
+            if (!row.secret_encrypted) continue;
+            try {
+                decryptSecret(row.secret_encrypted);
+            } catch (error) {
+                return `Secret di ${table} tidak bisa didekripsi dengan PRODUCT_SECRET_KEY server ini`;
+            }
+        }
+    }
+    return null;
+}
+
+// Setelah data diganti: cache produk & sesi user yang tidak ada lagi
+function afterReplace() {
+    const revokedSessions = sessionsRepo.revokeOrphaned();
+    reloadProducts();
+    return revokedSessions;
+}
+
+// ============================================================================
+// Backups
+// ============================================================================
+
+/**
+ * Take an online backup of the live database
+ *
+ * @param {string} [reason] - One of BACKUP_REASONS
+ * @param {Object} [req] - Request, for the audit log (manual backups)
+ * @param {Object} [options]
+ * @param {boolean} [options.prune] - Prune backups of the same kind afterwards
+ *        (off for safety backups: the file about to be restored must stay)
+ * @returns {Promise<Object>} { fileName, reason, size, createdAt }
+ */
+async function createBackup(reason = 'manual', req = null, { prune = true } = {}) {
+    if (!BACKUP_REASONS.includes(reason)) {
+        throw new Error(`Unknown backup reason: ${reason}`);
+    }
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+    const fileName = `licenses-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}.db`;
+    await maintenanceRepo.backup(path.join(BACKUP_DIR, fileName));
+
+    const backup = describeBackup(fileName);
+    console.log(`[BACKUP] Created ${fileName} (${backup.size} bytes)`);
+    if (req) {
+        recordAudit(req, AuditAction.BACKUP_CREATED, { details: { fileName, reason, size: backup.size } });
+    }
+
+    if (prune) pruneBackups(reason);
+    return backup;
+}
+
+/**
+ * Backups in BACKUP_DIR, newest first
+ */
+function listBackups() {
+    if (!fs.existsSync(BACKUP_DIR)) return [];
+
+    return fs.readdirSync(BACKUP_DIR)
+        .filter(fileName => BACKUP_FILE_PATTERN.test(fileName))
+        .map(describeBackup)
+        .sort((a, b) => b.fileName.localeCompare(a.fileName));
+}
+
+/**
+ * Path of a backup by file name; null for unknown names (no path traversal)
+ */
+function resolveBackupFile(fileName) {
+    if (!BACKUP_FILE_PATTERN.test(fileName || '')) return null;
+    const file = path.join(BACKUP_DIR, fileName);
+    return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * @returns {boolean} Whether the backup existed
+ */
+function deleteBackup(fileName, req = null) {
+    const file = resolveBackupFile(fileName);
+    if (!file) return false;
+
+    fs.unlinkSync(file);
+    recordAudit(req, AuditAction.BACKUP_DELETED, { details: { fileName } });
+    return true;
+}
+
+/**
+ * Keep only the newest BACKUP_RETENTION backups of one kind
+ *
+ * @param {string} reason - One of BACKUP_REASONS
+ * @param {string} [keepFileName] - Never delete this file (just restored)
+ * @returns {number} Number of deleted files
+ */
+function pruneBackups(reason, keepFileName = null) {
+    const expired = listBackups()
+        .filter(backup => backup.reason === reason)
+        .slice(BACKUP_RETENTION)
+        .filter(backup => backup.fileName !== keepFileName);
+    for (const backup of expired) {
+        fs.unlinkSync(path.join(BACKUP_DIR, backup.fileName));
+        console.log(`[BACKUP] Removed old backup ${backup.fileName}`);
+    }
+    return expired.length;
+}
+
+// Satu kali restore (attach → ganti tabel → detach); dryRun = rollback
+function replaceFromBackup(file, dryRun) {
+    // ATTACH membuat file kosong jika belum ada
+    if (!fs.existsSync(file)) {
+        return { error: `File backup tidak ditemukan: ${file}` };
+    }
+
+    try {
+        maintenanceRepo.attach(file, RESTORE_SCHEMA);
+    } catch (error) {
+        return { error: `File backup tidak bisa dibuka: ${error.message}` };
+    }
+
+    try {
+        const integrity = maintenanceRepo.integrityCheck(RESTORE_SCHEMA);
+        if (integrity !== 'ok') {
+            return { error: `File backup rusak: ${integrity}` };
+        }
+
+        const schemaVersion = maintenanceRepo.getSchemaVersion(RESTORE_SCHEMA);
+        if (schemaVersion > latestSchemaVersion()) {
+            return { error: `Backup dari schema versi ${schemaVersion}, server ini baru sampai versi ${latestSchemaVersion()}` };
+        }
+
+        const sourceTables = maintenanceRepo.listTables(RESTORE_SCHEMA);
+        if (!sourceTables.includes('generated_keys') || !sourceTables.includes('active_licenses')) {
+            return { error: 'Bukan backup database license server' };
+        }
+        const tables = maintenanceRepo.listTables()
+            .filter(table => sourceTables.includes(table) && !RESTORE_EXCLUDED_TABLES.includes(table));
+
+        return runReplacement(() => {
+            const summary = tables.map(table => {
+                const sourceColumns = maintenanceRepo.getColumns(table, RESTORE_SCHEMA);
+                const columns = maintenanceRepo.getColumns(table).filter(c => sourceColumns.includes(c));
+                const current = maintenanceRepo.clearTable(table);
+                const incoming = maintenanceRepo.copyTable(table, columns, RESTORE_SCHEMA);
+                return { table, current, incoming };
+            });
+
+            const secretError = checkSecrets();
+            if (secretError) throw new Error(secretError);
+
+            return { dryRun, schemaVersion, tables: summary };
+        }, dryRun);
+    } finally {
+        maintenanceRepo.detach(RESTORE_SCHEMA);
+    }
+}
+
+/**
+ * Replace the data tables with those of a backup file
+ *
+ * @param {string} file - Path of the backup (.db)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Validate only
+ * @param {Object} [options.req] - Request, for the audit log
+ * @returns {Promise<Object>} { dryRun, schemaVersion, tables: [{ table, current, incoming }],
+ *          safetyBackup, revokedSessions } or { error }
+ */
+async function restoreBackup(file, { dryRun = false, req = null } = {}) {
+    // Selalu validasi dulu, baru backup pengaman & restore sungguhan
+    const check = replaceFromBackup(file, true);
+    if (check.error || dryRun) return check;
+
+    const safetyBackup = (await createBackup('pre-restore', null, { prune: false })).fileName;
+    const result = replaceFromBackup(file, false);
+    if (result.error) return result;
+
+    result.safetyBackup = safetyBackup;
+    result.revokedSessions = afterReplace();
+    pruneBackups('pre-restore', path.basename(file));
+
+    console.log(`[BACKUP] Restored ${path.basename(file)} (safety backup: ${safetyBackup})`);
+    recordAudit(req, AuditAction.BACKUP_RESTORED, { details: { fileName: path.basename(file), safetyBackup } });
+    return result;
+}
+
+// ============================================================================
+// Export / Import
+// ============================================================================
+
+/**
+ * Portable JSON export of all license data
+ *
+ * @param {Object} [req] - Request, for the audit log
+ */
+function exportData(req = null) {
+    const tables = {};
+    for (const table of EXPORT_TABLES) {
+        tables[table] = maintenanceRepo.dumpTable(table);
+    }
+
+    for (const table of SECRET_TABLES) {
+        tables[table] = tables[table].map(({ secret_encrypted: encrypted, ...row }) => ({
+            ...row,
+            secret: encrypted ? decryptSecret(encrypted).secret : ''
+        }));
+    }
+
+    const counts = Object.fromEntries(EXPORT_TABLES.map(table => [table, tables[table].length]));
+    recordAudit(req, AuditAction.DATA_EXPORTED, { details: counts });
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        schemaVersion: maintenanceRepo.getSchemaVersion(),
+        tables
+    };
+}
+
+/**
+ * Check an export document against this server's schema
+ *
+ * @returns {string|null} Error message
+ */
+function validateExport(data) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+        return 'Bukan file export license server';
+    }
+    if (data.version !== EXPORT_VERSION) {
+        return `Versi export tidak didukung: ${data.version}`;
+    }
+    if (!Number.isInteger(data.schemaVersion) || data.schemaVersion > latestSchemaVersion()) {
+        return `Export dari schema versi ${data.schemaVersion}, server ini baru sampai versi ${latestSchemaVersion()}`;
+    }
+    if (!data.tables || typeof data.tables !== 'object') {
+        return 'tables tidak ada';
+    }
+
+    const unknown = Object.keys(data.tables).filter(table => !EXPORT_TABLES.includes(table));
+    if (unknown.length > 0) {
+        return `Tabel tidak dikenal: ${unknown.join(', ')}`;
+    }
+
+    for (const table of EXPORT_TABLES) {
+        const rows = data.tables[table];
+        if (!Array.isArray(rows)) {
+            return `Tabel ${table} tidak ada di file`;
+        }
+
+        const columns = new Set(maintenanceRepo.getColumns(table));
+        if (SECRET_TABLES.includes(table)) columns.add('secret');
+
+        for (const row of rows) {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                return `Baris tidak valid di ${table}`;
+            }
+            const extra = Object.keys(row).filter(column => !columns.has(column));
+            if (extra.length > 0) {
+                return `Kolom tidak dikenal di ${table}: ${extra.join(', ')}`;
+            }
+        }
+    }
+
+    // Jangan sampai import mengunci semua admin keluar (tanpa user DB, login
+    // memakai ADMIN_PASSWORD)
+    const users = data.tables.admin_users;
+    const hasSuperadmin = users.some(user =>
+        ['superadmin', 'admin'].includes(user.role ?? 'admin') && user.is_active !== 0
+    );
+    if (users.length > 0 && !hasSuperadmin) {
+        return 'admin_users harus berisi minimal satu superadmin aktif';
+    }
+
+    return null;
+}
+
+/**
+ * Replace all exported tables with the content of an export
+ *
+ * @param {Object} data - Export document (exportData)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Validate only
+ * @param {Object} [options.req] - Request, for the audit log
+ * @returns {Promise<Object>} { dryRun, schemaVersion, tables: [{ table, current, incoming }],
+ *          safetyBackup, revokedSessions } or { error }
+ */
+async function importData(data, { dryRun = false, req = null } = {}) {
+    const validationError = validateExport(data);
+    if (validationError) {
+        return { error: validationError };
+    }
+
+    const replace = isDryRun => runReplacement(() => {
+        IMPORT_CLEARED_TABLES.forEach(table => maintenanceRepo.clearTable(table));
+
+        const current = {};
+        for (const table of [...EXPORT_TABLES].reverse()) {
+            current[table] = maintenanceRepo.clearTable(table);
+        }
+
+        const summary = EXPORT_TABLES.map(table => {
+            const rows = SECRET_TABLES.includes(table)
+                ? data.tables[table].map(({ secret, ...row }) => ({ ...row, secret_encrypted: secret ? encryptSecret(secret) : '' }))
+                : data.tables[table];
+            return { table, current: current[table], incoming: maintenanceRepo.insertRows(table, rows) };
+        });
+
+        return { dryRun: isDryRun, schemaVersion: data.schemaVersion, tables: summary };
+    }, isDryRun);
+
+    const check = replace(true);
+    if (check.error || dryRun) return check;
+
+    const safetyBackup = (await createBackup('pre-import', null, { prune: false })).fileName;
+    const result = replace(false);
+    if (result.error) return result;
+
+    result.safetyBackup = safetyBackup;
+    result.revokedSessions = afterReplace();
+    pruneBackups('pre-import');
+
+    console.log(`[BACKUP] Imported export from ${data.exportedAt} (safety backup: ${safetyBackup})`);
+    recordAudit(req, AuditAction.DATA_IMPORTED, {
+        details: { exportedAt: data.exportedAt, safetyBackup, tables: Object.fromEntries(result.tables.map(t => [t.table, t.incoming])) }
+    });
+    return result;
+}
+
+// ============================================================================
+// Schedule
+// ============================================================================
+
+/**
+ * Back up every BACKUP_INTERVAL_HOURS; at startup only when the newest
+ * backup is already older than that
+ */
+function startBackupSchedule() {
+    if (BACKUP_INTERVAL_HOURS <= 0) return null;
+
+    const run = () => {
+        createBackup('scheduled').catch(error => {
+            console.error('[BACKUP] Scheduled backup failed:', error.message);
+        });
+    };
+
+    const newest = listBackups()[0];
+    if (!newest || Date.now() - new Date(newest.createdAt).getTime() >= BACKUP_INTERVAL_HOURS * HOUR_MS) {
+        setImmediate(run);
+    }
+
+    const timer = setInterval(run, BACKUP_INTERVAL_HOURS * HOUR_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    BACKUP_DIR,
+    BACKUP_RETENTION,
+    BACKUP_INTERVAL_HOURS,
+    BACKUP_REASONS,
+    IMPORT_MAX_BYTES,
+    createBackup,
+    listBackups,
+    resolveBackupFile,
+    deleteBackup,
+    pruneBackups,
+    restoreBackup,
+    exportData,
+    importData,
+    startBackupSchedule
+};
@@ -0,0 +1,199 @@
+/**
+ * Bulk License Operations
+ *
+ * Revoke, reactivate or delete many activated licenses at once, selected
+ * by a filter (product, customer, batch, last check) or an explicit list.
+ * A dry run only reports what would change; a real run applies every
+ * change in one transaction, so either all items change or none do.
+ */
+
+const { licenseRepo, generatedKeysRepo, leasesRepo, runInTransaction } = require('../database/db');
+const { AuditAction, recordAudit } = require('./audit');
+const { WebhookEvent, licenseEventData, emitWebhookEvent } = require('./webhooks');
+const { UsageEvent, recordUsage } = require('./analytics');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const BULK_ACTIONS = ['revoke', 'reactivate', 'delete'];
+
+// Status per item: hasil nyata / hasil dry-run
+const RESULT_STATUS = {
+    revoke: { applied: 'revoked', preview: 'would_revoke' },
+    reactivate: { applied: 'reactivated', preview: 'would_reactivate' },
+    delete: { applied: 'deleted', preview: 'would_delete' }
+};
+
+// ============================================================================
+// Selection
+// ============================================================================
+
+/**
+ * Licenses matching a filter. Every given criterion must match.
+ *
+ * @param {Object} filter
+ * @param {string} [filter.productCode]
+ * @param {number|string} [filter.customerId] - id or 'none'
+ * @param {number|string} [filter.batchId] - id or 'none'
+ * @param {number} [filter.lastCheckOlderThanDays]
+ * @returns {Array} License rows
+ */
+function selectByFilter(filter) {
+    const customerId = filter.customerId ?? null;
+    let licenses = licenseRepo.getAll(customerId);
+
+    if (filter.productCode) {
+        licenses = licenses.filter(l => l.product_code === filter.productCode);
+    }
+
+    if (filter.batchId !== undefined && filter.batchId !== null) {
+        const batchByKey = new Map(generatedKeysRepo.getAll().map(k => [k.license_key, k.batch_id]));
+        licenses = licenses.filter(l => filter.batchId === 'none'
+            ? !batchByKey.get(l.license_key)
+            : batchByKey.get(l.license_key) === filter.batchId);
+    }
+
+    if (filter.lastCheckOlderThanDays) {
+        const cutoff = new Date(Date.now() - filter.lastCheckOlderThanDays * 24 * 60 * 60 * 1000).toISOString();
+        licenses = licenses.filter(l => l.last_check_at < cutoff);
+    }
+
+    return licenses;
+}
+
+/**
+ * Licenses for an explicit list; items without productCode select every
+ * product on that device
+ *
+ * @param {Array} items - [{ hardwareId, productCode? }]
+ * @returns {Object} { licenses, notFound }
+ */
+function selectByItems(items) {
+    const licenses = [];
+    const notFound = [];
+    const seen = new Set();
+
+    for (const item of items) {
+        const hardwareId = String(item?.hardwareId || '').trim().toUpperCase();
+        const productCode = item?.productCode || null;
+
+        const matches = productCode
+            ? [licenseRepo.findByHardwareAndProduct(hardwareId, productCode)].filter(Boolean)
+            : licenseRepo.getAll().filter(l => l.hardware_id === hardwareId);
+
+        if (matches.length === 0) {
+            notFound.push({ hardwareId, productCode, status: 'not_found' });
+            continue;
+        }
+
+        for (const license of matches) {
+            const id = `${license.hardware_id}|${license.product_code}`;
+            if (!seen.has(id)) {
+                seen.add(id);
+                licenses.push(license);
+            }
+        }
+    }
+
+    return { licenses, notFound };
+}
+
+// ============================================================================
+// Execution
+// ============================================================================
+
+function skipReason(action, license) {
+    if (action === 'revoke' && license.is_revoked) return 'Already revoked';
+    if (action === 'reactivate' && !license.is_revoked) return 'License is not revoked';
+    return null;
+}
+
+function applyOne(action, license, reason, req) {
+    const target = {
+        licenseKey: license.license_key,
+        hardwareId: license.hardware_id,
+        productCode: license.product_code,
+        details: { bulk: true }
+    };
+
+    if (action === 'revoke') {
+        licenseRepo.revokeByHardwareAndProduct(license.hardware_id, license.product_code, reason);
+        leasesRepo.releaseByHardware(license.license_key, license.hardware_id);
+        recordAudit(req, AuditAction.LICENSE_REVOKED, { ...target, details: { bulk: true, reason } });
+        emitWebhookEvent(WebhookEvent.LICENSE_REVOKED, licenseEventData(license, { reason, bulk: true }), req);
+        recordUsage(UsageEvent.REVOCATION, license.product_code);
+    } else if (action === 'reactivate') {
+        licenseRepo.reactivateByHardwareAndProduct(license.hardware_id, license.product_code);
+        recordAudit(req, AuditAction.LICENSE_REACTIVATED, target);
+        emitWebhookEvent(WebhookEvent.LICENSE_REACTIVATED, licenseEventData(license, { bulk: true }), req);
+    } else {
+        licenseRepo.deleteByHardwareIdAndProduct(license.hardware_id, license.product_code);
+        leasesRepo.releaseByHardware(license.license_key, license.hardware_id);
+        if (license.license_key && generatedKeysRepo.findByKey(license.license_key)) {
+            generatedKeysRepo.releaseSeat(license.license_key);
+        }
+        recordAudit(req, AuditAction.LICENSE_DELETED, { ...target, details: { bulk: true, deviceName: license.device_name } });
+        emitWebhookEvent(WebhookEvent.LICENSE_DELETED, licenseEventData(license, { bulk: true }), req);
+    }
+}
+
+/**
+ * Run (or preview) a bulk operation
+ *
+ * @param {Object} params
+ * @param {string} params.action - revoke | reactivate | delete
+ * @param {Object} [params.filter] - See selectByFilter
+ * @param {Array} [params.items] - See selectByItems
+ * @param {boolean} [params.dryRun]
+ * @param {string} [params.reason] - Revoke reason
+ * @param {Object} [params.req] - Request, for the audit log
+ * @returns {Object} { dryRun, summary, results }
+ */
+function runBulkOperation({ action, filter = null, items = null, dryRun = false, reason = 'Revoked by admin (bulk)', req = null }) {
+    const selection = items ? selectByItems(items) : { licenses: selectByFilter(filter), notFound: [] };
+    const status = RESULT_STATUS[action];
+
+    const results = selection.licenses.map(license => {
+        const skipped = skipReason(action, license);
+        return {
+            hardwareId: license.hardware_id,
+            productCode: license.product_code,
+            licenseKey: license.license_key,
+            deviceName: license.device_name,
+            customerId: license.customer_id,
+            lastCheckAt: license.last_check_at,
+            status: skipped ? 'skipped' : (dryRun ? status.preview : status.applied),
+            reason: skipped || undefined,
+            license
+        };
+    });
+
+    if (!dryRun) {
+        runInTransaction(() => {
+            for (const result of results) {
+                if (result.status !== 'skipped') {
+                    applyOne(action, result.license, reason, req);
+                }
+            }
+        });
+    }
+
+    const changed = results.filter(r => r.status !== 'skipped').length;
+
+    return {
+        dryRun,
+        summary: {
+            matched: results.length,
+            changed,
+            skipped: results.length - changed,
+            notFound: selection.notFound.length
+        },
+        results: [...results.map(({ license, ...rest }) => rest), ...selection.notFound]
+    };
+}
+
+module.exports = {
+    BULK_ACTIONS,
+    runBulkOperation
+};
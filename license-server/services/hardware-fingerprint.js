@@ -0,0 +1,105 @@
+/**
+ * Hardware Fingerprint Rule
+ *
+ * The one definition of which hardware components are compared and how
+ * many must match. Used by the device lookup (hardware-match.js) and
+ * embedded in license tokens, so the client applies the same rule offline.
+ * Has no database dependency: the key scripts load it via license-token.js.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const HARDWARE_COMPONENTS = ['machineId', 'cpu', 'hostname', 'memory'];
+
+// Komponen yang wajib sama: tanpa machine ID yang cocok, PC lain dengan
+// CPU / RAM / hostname yang sama bisa dianggap perangkat yang sama
+const REQUIRED_COMPONENTS = ['machineId'];
+
+// Minimal jumlah komponen yang harus sama (default: boleh 1 komponen berubah)
+const HARDWARE_MATCH_THRESHOLD = Math.min(
+    HARDWARE_COMPONENTS.length,
+    Math.max(REQUIRED_COMPONENTS.length, parseInt(process.env.HARDWARE_MATCH_THRESHOLD) || 3)
+);
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Normalize components from a request body (object) or query string
+ * ("machineId:AB12...,cpu:CD34...")
+ *
+ * @param {Object|string} input
+ * @returns {Object|null} { machineId, cpu, hostname, memory } (only known, non-empty hashes)
+ */
+function normalizeComponents(input) {
+    if (!input) return null;
+
+    let raw = input;
+    if (typeof input === 'string') {
+        raw = {};
+        for (const pair of input.split(',')) {
+            const [name, hash] = pair.split(':');
+            raw[name] = hash;
+        }
+    }
+
+    if (typeof raw !== 'object') return null;
+
+    const components = {};
+    for (const name of HARDWARE_COMPONENTS) {
+        if (typeof raw[name] === 'string' && /^[0-9A-Fa-f]{8,64}$/.test(raw[name])) {
+            components[name] = raw[name].toUpperCase();
+        }
+    }
+
+    return Object.keys(components).length > 0 ? components : null;
+}
+
+/**
+ * Compare a stored fingerprint with the one the client sent
+ *
+ * @returns {Object} { matched, changed, sameDevice } - changed = names of components that differ,
+ *          sameDevice = all required components and at least the threshold match
+ */
+function compareComponents(stored, current) {
+    let matched = 0;
+    const changed = [];
+
+    for (const name of HARDWARE_COMPONENTS) {
+        if (stored[name] && stored[name] === current[name]) {
+            matched++;
+        } else if (stored[name] || current[name]) {
+            changed.push(name);
+        }
+    }
+
+    const sameDevice = matched >= HARDWARE_MATCH_THRESHOLD
+        && REQUIRED_COMPONENTS.every(name => stored[name] && stored[name] === current[name]);
+
+    return { matched, changed, sameDevice };
+}
+
+/**
+ * Matching rule for the license token payload
+ *
+ * @returns {Object} { components, required, threshold }
+ */
+function getMatchRule() {
+    return {
+        components: HARDWARE_COMPONENTS,
+        required: REQUIRED_COMPONENTS,
+        threshold: HARDWARE_MATCH_THRESHOLD
+    };
+}
+
+module.exports = {
+    HARDWARE_COMPONENTS,
+    REQUIRED_COMPONENTS,
+    HARDWARE_MATCH_THRESHOLD,
+    normalizeComponents,
+    compareComponents,
+    getMatchRule
+};
@@ -0,0 +1,77 @@
+/**
+ * Hardware Fingerprint Matching
+ *
+ * Clients send the combined hardware ID plus a hash per hardware component
+ * (machine ID, CPU, hostname, RAM). A device whose hardware ID changed is
+ * still recognised when its machine ID and at least HARDWARE_MATCH_THRESHOLD
+ * components match the stored fingerprint (rule: hardware-fingerprint.js);
+ * the binding then moves to the new hardware ID. Rebinding needs the
+ * license key, so only activation and POST /api/license/rebind do it.
+ */
+
+const { licenseRepo, runInTransaction } = require('../database/db');
+const { AuditAction, recordAudit } = require('./audit');
+const { normalizeComponents, compareComponents } = require('./hardware-fingerprint');
+
+// ============================================================================
+// Device Lookup
+// ============================================================================
+
+/**
+ * Find the license bound to a device, tolerating changed components.
+ * An exact hardware ID match wins; otherwise, when the license key is
+ * given, the best fingerprint match among that key's licenses is rebound
+ * to the new hardware ID.
+ *
+ * @param {Object} params
+ * @param {string} params.hardwareId - Normalized (uppercase) hardware ID
+ * @param {Object|null} params.components - Normalized components
+ * @param {string} [params.productCode]
+ * @param {string} [params.licenseKey] - Normalized key; without it there is no rebind
+ * @param {Object} [params.req] - Request, for the audit log
+ * @returns {Object|null} License row
+ */
+function findDeviceLicense({ hardwareId, components, productCode = null, licenseKey = null, req = null }) {
+    const license = productCode
+        ? licenseRepo.findByHardwareAndProduct(hardwareId, productCode)
+        : licenseRepo.findByHardwareId(hardwareId);
+
+    if (license) {
+        // Aktivasi dari client lama belum punya fingerprint per komponen
+        if (components && !license.hardware_components) {
+            return licenseRepo.updateHardwareComponents(license.hardware_id, license.product_code, components);
+        }
+        return license;
+    }
+
+    if (!components || !licenseKey) return null;
+
+    let best = null;
+    for (const candidate of licenseRepo.findWithComponents(licenseKey)) {
+        const result = compareComponents(candidate.hardware_components, components);
+        if (result.sameDevice && (!best || result.matched > best.matched)) {
+            best = { license: candidate, ...result };
+        }
+    }
+
+    if (!best) return null;
+
+    const rebound = runInTransaction(() =>
+        licenseRepo.rebindHardware(best.license, hardwareId, components, best.changed)
+    );
+
+    console.log(`[LICENSE] HARDWARE CHANGED: ${best.license.hardware_id.substring(0, 8)}... -> ${hardwareId.substring(0, 8)}... (${best.changed.join(', ')})`);
+    recordAudit(req, AuditAction.HARDWARE_CHANGED, {
+        licenseKey: rebound.license_key,
+        hardwareId,
+        productCode: rebound.product_code,
+        details: { previousHardwareId: best.license.hardware_id, changedComponents: best.changed }
+    });
+
+    return rebound;
+}
+
+module.exports = {
+    normalizeComponents,
+    findDeviceLicense
+};
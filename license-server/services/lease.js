@@ -0,0 +1,157 @@
+/**
+ * Floating License Lease Service
+ *
+ * Floating keys allow up to seat_count clients to run at the same time.
+ * A running client checks out a lease and renews it with heartbeats;
+ * leases without a heartbeat for LEASE_TIMEOUT_SECONDS are reclaimed
+ * so a crashed client does not hold its seat forever.
+ */
+
+const crypto = require('crypto');
+const { leasesRepo, licenseRepo } = require('../database/db');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const LEASE_TIMEOUT_SECONDS = parseInt(process.env.LEASE_TIMEOUT_SECONDS) || 180;
+
+// Client kirim heartbeat 3x dalam satu timeout agar 1-2 kegagalan jaringan tidak melepas lease
+const HEARTBEAT_INTERVAL_SECONDS = Math.max(1, Math.floor(LEASE_TIMEOUT_SECONDS / 3));
+
+const REAPER_INTERVAL_MS = 60 * 1000;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function formatLease(lease) {
+    return {
+        leaseId: lease.lease_id,
+        checkedOutAt: lease.checked_out_at,
+        lastHeartbeatAt: lease.last_heartbeat_at,
+        expiresAt: new Date(new Date(lease.last_heartbeat_at).getTime() + LEASE_TIMEOUT_SECONDS * 1000).toISOString(),
+        heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS
+    };
+}
+
+/**
+ * Delete leases whose heartbeat stopped
+ *
+ * @returns {number} Number of reclaimed leases
+ */
+function reclaimStaleLeases() {
+    const cutoff = new Date(Date.now() - LEASE_TIMEOUT_SECONDS * 1000).toISOString();
+    const reclaimed = leasesRepo.deleteStale(cutoff);
+
+    if (reclaimed > 0) {
+        console.log(`[LEASE] Reclaimed ${reclaimed} stale lease(s)`);
+    }
+
+    return reclaimed;
+}
+
+// ============================================================================
+// Lease Operations
+// ============================================================================
+
+/**
+ * Check out a lease for an activated floating license.
+ * A device that already holds a lease (e.g. restarted app) gets it back.
+ *
+ * @param {Object} license - Row from licenseRepo
+ * @param {number} seatCount - Max concurrent leases for the key
+ * @param {string} [ipAddress]
+ * @returns {Object} { success, lease } or { success: false, seatCount, leasesInUse }
+ */
+function checkoutLease(license, seatCount, ipAddress = null) {
+    reclaimStaleLeases();
+
+    const existing = leasesRepo.findByKeyAndHardware(license.license_key, license.hardware_id);
+    if (existing) {
+        return { success: true, lease: formatLease(leasesRepo.touch(existing.lease_id)) };
+    }
+
+    const leasesInUse = leasesRepo.countByKey(license.license_key);
+    if (leasesInUse >= seatCount) {
+        return {
+            success: false,
+            seatCount,
+            leasesInUse,
+            retryAfterSeconds: HEARTBEAT_INTERVAL_SECONDS
+        };
+    }
+
+    const lease = leasesRepo.create({
+        lease_id: crypto.randomUUID(),
+        license_key: license.license_key,
+        product_code: license.product_code,
+        hardware_id: license.hardware_id,
+        device_name: license.device_name,
+        ip_address: ipAddress
+    });
+
+    console.log(`[LEASE] CHECKOUT: ${license.hardware_id.substring(0, 8)}... (${license.license_key}) ${leasesInUse + 1}/${seatCount}`);
+
+    return { success: true, lease: formatLease(lease) };
+}
+
+/**
+ * Renew a lease. The lease ends when its license was revoked or deleted
+ * meanwhile; the client's next checkout then gets the reason.
+ *
+ * @param {string} leaseId
+ * @returns {Object|null} Lease info, or null if it was reclaimed / released
+ */
+function heartbeatLease(leaseId) {
+    reclaimStaleLeases();
+
+    const lease = leaseId ? leasesRepo.findById(leaseId) : null;
+    if (!lease) {
+        return null;
+    }
+
+    const license = licenseRepo.findByHardwareAndProduct(lease.hardware_id, lease.product_code);
+    if (!license || license.is_revoked || license.license_key !== lease.license_key) {
+        leasesRepo.release(leaseId);
+        console.log(`[LEASE] ENDED: ${leaseId} (license ${license ? 'revoked' : 'deleted'})`);
+        return null;
+    }
+
+    return formatLease(leasesRepo.touch(leaseId));
+}
+
+/**
+ * Release a lease so another client can take the seat
+ *
+ * @param {string} leaseId
+ * @returns {boolean} Whether a lease was removed
+ */
+function releaseLease(leaseId) {
+    const released = Boolean(leaseId) && leasesRepo.release(leaseId);
+
+    if (released) {
+        console.log(`[LEASE] RELEASED: ${leaseId}`);
+    }
+
+    return released;
+}
+
+/**
+ * Periodically reclaim stale leases even when no client checks out
+ */
+function startLeaseReaper() {
+    const timer = setInterval(reclaimStaleLeases, REAPER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    LEASE_TIMEOUT_SECONDS,
+    HEARTBEAT_INTERVAL_SECONDS,
+    reclaimStaleLeases,
+    checkoutLease,
+    heartbeatLease,
+    releaseLease,
+    startLeaseReaper
+};
@@ -0,0 +1,152 @@
+/**
+ * License Key Format
+ *
+ * XXXX-XXXX-XXXX-XXXX
+ *
+ * | Segment | Content                                              |
+ * |---------|------------------------------------------------------|
+ * | 1       | Random (2) + Product (2)                             |
+ * | 2       | Product (2) + Random (2)                             |
+ * | 3       | Secret version (1) + Random (3)                      |
+ * | 4       | Checksum: HMAC-SHA256(seg1+seg2+seg3) with that secret |
+ *
+ * The version char selects the product's secret generation (see
+ * services/products.js), so a leaked secret can be rotated without
+ * invalidating keys already issued. Keys from before versioning have a
+ * random char there; they are checked against generation 1 (the product's
+ * original secret) until that generation is retired.
+ */
+
+const crypto = require('crypto');
+const { getProduct } = require('./products');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const SEGMENT_LENGTH = 4;
+
+// Versi 1 = '1', ..., 9 = '9', 10 = 'A', ..., 35 = 'Z' (MAX_SECRET_VERSION di products.js)
+const VERSION_CHARS = '123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Generasi yang juga menerima key tanpa versi (dibuat sebelum versioning)
+const LEGACY_SECRET_VERSION = 1;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function generateRandomSegment(length) {
+    const bytes = crypto.randomBytes(length * 2);
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += CHARSET[bytes[i] % CHARSET.length];
+    }
+    return result;
+}
+
+function encodeBase36(num, length) {
+    let result = '';
+    while (num > 0) {
+        result = CHARSET[num % CHARSET.length] + result;
+        num = Math.floor(num / CHARSET.length);
+    }
+    while (result.length < length) {
+        result = CHARSET[0] + result;
+    }
+    return result.substring(0, length);
+}
+
+function generateChecksum(data, secretKey) {
+    const hash = crypto.createHmac('sha256', secretKey).update(data).digest('hex');
+    const num = parseInt(hash.substring(0, 8), 16);
+    return encodeBase36(num, SEGMENT_LENGTH);
+}
+
+function versionChar(version) {
+    return VERSION_CHARS[version - 1];
+}
+
+// ============================================================================
+// Generate & Validate
+// ============================================================================
+
+/**
+ * Generate a key checksummed with the product's current secret generation
+ *
+ * @param {string} productCode
+ * @returns {string}
+ */
+function generateLicenseKey(productCode) {
+    const product = getProduct(productCode);
+    if (!product) throw new Error(`Unknown product: ${productCode}`);
+
+    const seg1 = generateRandomSegment(2) + productCode.substring(0, 2);
+    const seg2 = productCode.substring(2, 4) + generateRandomSegment(2);
+    const seg3 = versionChar(product.currentVersion) + generateRandomSegment(3);
+    const seg4 = generateChecksum(seg1 + seg2 + seg3, product.secrets.get(product.currentVersion));
+
+    return `${seg1}-${seg2}-${seg3}-${seg4}`;
+}
+
+/**
+ * Check format, product and checksum of a key (not whether it was issued)
+ *
+ * @param {string} licenseKey
+ * @returns {Object} { valid, productCode, productName, keyVersion } or { valid: false, error }
+ */
+function validateKeyFormat(licenseKey) {
+    const cleanKey = licenseKey.trim().toUpperCase();
+    const segments = cleanKey.split('-');
+
+    if (segments.length !== 4) {
+        return { valid: false, error: 'Format key tidak valid' };
+    }
+
+    for (const seg of segments) {
+        if (seg.length !== SEGMENT_LENGTH) {
+            return { valid: false, error: 'Format key tidak valid' };
+        }
+        for (const char of seg) {
+            if (!CHARSET.includes(char)) {
+                return { valid: false, error: 'Karakter tidak valid dalam key' };
+            }
+        }
+    }
+
+    const [seg1, seg2, seg3, seg4] = segments;
+
+    const productCode = seg1.substring(2, 4) + seg2.substring(0, 2);
+    const product = getProduct(productCode);
+
+    if (!product) {
+        return { valid: false, error: 'Product code tidak valid' };
+    }
+
+    const dataToCheck = seg1 + seg2 + seg3;
+
+    // Generasi dari karakter versi dulu, lalu generasi 1 untuk key tanpa versi
+    const candidates = [VERSION_CHARS.indexOf(seg3[0]) + 1, LEGACY_SECRET_VERSION];
+    const keyVersion = candidates.find(version => {
+        const secretKey = product.secrets.get(version);
+        return secretKey && generateChecksum(dataToCheck, secretKey) === seg4;
+    });
+
+    if (!keyVersion) {
+        return { valid: false, error: 'License key tidak valid' };
+    }
+
+    return {
+        valid: true,
+        productCode,
+        productName: product.name,
+        keyVersion
+    };
+}
+
+module.exports = {
+    LEGACY_SECRET_VERSION,
+    generateLicenseKey,
+    validateKeyFormat
+};
@@ -0,0 +1,184 @@
+/**
+ * License Token Service
+ *
+ * Signs offline license tokens with an Ed25519 private key.
+ * The client verifies them with the embedded public key before allowing
+ * the app to start without contacting the server (OFFLINE_VALID).
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(signature)
+ *
+ * Private key source (priority):
+ * 1. LICENSE_SIGNING_KEY env var (PEM, "\n" boleh di-escape)
+ * 2. data/license-signing-key.pem
+ * 3. Generate baru & simpan ke data/license-signing-key.pem (bukan di
+ *    NODE_ENV=production: server gagal start, key client tidak akan cocok)
+ *
+ * The public key of this pair must be CONFIG.LICENSE_PUBLIC_KEY in the
+ * client license-crypto.js (npm run precheck compares them).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getMatchRule } = require('./hardware-fingerprint');
+
+const KEY_FILE = path.join(__dirname, '../data/license-signing-key.pem');
+const TOKEN_VERSION = 1;
+
+// Token dari aktivasi offline (air-gapped, /api/admin/offline-activate) tidak bisa
+// revalidasi ke server, jadi berlaku sampai lisensi berakhir atau N hari ini.
+// Token lain (termasuk /validate dari lisensi offline) pakai OFFLINE_TOLERANCE_HOURS.
+const OFFLINE_ACTIVATION_DAYS = parseInt(process.env.OFFLINE_ACTIVATION_DAYS) || 365;
+
+let privateKey = null;
+
+// ============================================================================
+// Key Management
+// ============================================================================
+
+function generateKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+        privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+}
+
+/**
+ * Configured signing key (env var or key file), without generating one
+ *
+ * @returns {KeyObject|null}
+ */
+function readConfiguredKey() {
+    if (process.env.LICENSE_SIGNING_KEY) {
+        const pem = process.env.LICENSE_SIGNING_KEY.replace(/\\n/g, '\n');
+        return crypto.createPrivateKey(pem);
+    }
+
+    if (fs.existsSync(KEY_FILE)) {
+        return crypto.createPrivateKey(fs.readFileSync(KEY_FILE, 'utf8'));
+    }
+
+    return null;
+}
+
+function loadPrivateKey() {
+    if (privateKey) return privateKey;
+
+    privateKey = readConfiguredKey();
+    if (privateKey) return privateKey;
+
+    // Key baru tidak cocok dengan public key di client yang sudah di-build
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('No license signing key: set LICENSE_SIGNING_KEY or create data/license-signing-key.pem (npm run keys:generate), see README "Offline License Token"');
+    }
+
+    const pair = generateKeyPair();
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+    fs.writeFileSync(KEY_FILE, pair.privateKeyPem, { mode: 0o600 });
+
+    console.warn('[TOKEN] ⚠️  No signing key configured, generated a new one:', KEY_FILE);
+    console.warn('[TOKEN] ⚠️  Embed this public key in the client license-crypto.js:');
+    console.warn(pair.publicKeyPem);
+
+    privateKey = crypto.createPrivateKey(pair.privateKeyPem);
+    return privateKey;
+}
+
+function getPublicKeyPem() {
+    return crypto.createPublicKey(loadPrivateKey()).export({ type: 'spki', format: 'pem' });
+}
+
+// ============================================================================
+// Token Signing
+// ============================================================================
+
+/**
+ * Issue a signed offline token for an activated license
+ *
+ * The token never outlives the license itself: expiresAt is capped at
+ * the license expiry date when one is set. The license key is left out
+ * unless asked for: /validate hands tokens to anyone knowing a hardware ID.
+ *
+ * @param {Object} license - Row from licenseRepo
+ * @param {number} offlineToleranceHours - How long the token allows offline use
+ * @param {Object} [options]
+ * @param {boolean} [options.includeLicenseKey] - Only for the offline activation response
+ * @returns {string} Signed token
+ */
+function issueLicenseToken(license, offlineToleranceHours, { includeLicenseKey = false } = {}) {
+    const issuedAt = new Date();
+    let expiresAt = new Date(issuedAt.getTime() + offlineToleranceHours * 60 * 60 * 1000);
+
+    if (license.expires_at && new Date(license.expires_at) < expiresAt) {
+        expiresAt = new Date(license.expires_at);
+    }
+
+    const payload = {
+        v: TOKEN_VERSION,
+        // Client offline activation menyimpan key dari file response
+        ...(includeLicenseKey ? { licenseKey: license.license_key } : {}),
+        hardwareId: license.hardware_id,
+        // Client offline juga mencocokkan per komponen (hardware ID bisa berubah)
+        hardwareComponents: license.hardware_components || null,
+        hardwareMatch: getMatchRule(),
+        productCode: license.product_code,
+        activationMode: license.activation_mode || 'online',
+        licenseType: license.license_type || 'node_locked',
+        issuedAt: issuedAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        licenseExpiresAt: license.expires_at || null,
+        offlineToleranceHours
+    };
+
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(data), loadPrivateKey()).toString('base64url');
+
+    return `${data}.${signature}`;
+}
+
+/**
+ * Token for the response file of an offline (air-gapped) activation,
+ * valid OFFLINE_ACTIVATION_DAYS (capped at the license expiry). The only
+ * token that carries the license key.
+ *
+ * @param {Object} license - Row from licenseRepo
+ * @returns {string} Signed token
+ */
+function issueOfflineActivationToken(license) {
+    return issueLicenseToken(license, OFFLINE_ACTIVATION_DAYS * 24, { includeLicenseKey: true });
+}
+
+/**
+ * Verify a token previously issued by this server
+ *
+ * @param {string} token - Token from the client
+ * @returns {Object|null} Decoded payload, or null if the signature is invalid
+ */
+function verifyLicenseToken(token) {
+    if (!token || typeof token !== 'string' || token.split('.').length !== 2) {
+        return null;
+    }
+
+    const [data, signature] = token.split('.');
+
+    try {
+        const publicKey = crypto.createPublicKey(loadPrivateKey());
+        const verified = crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(signature, 'base64url'));
+        if (!verified) return null;
+
+        return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    issueLicenseToken,
+    issueOfflineActivationToken,
+    verifyLicenseToken,
+    readConfiguredKey,
+    getPublicKeyPem,
+    generateKeyPair,
+    KEY_FILE
+};
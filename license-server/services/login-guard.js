@@ -0,0 +1,113 @@
+/**
+ * Admin Login Guard
+ *
+ * Brute-force protection for /api/admin/login:
+ * - per IP: at most ADMIN_LOGIN_RATE_LIMIT attempts per window
+ * - per account: ADMIN_LOGIN_MAX_ATTEMPTS failures in a row lock the
+ *   username for ADMIN_LOCKOUT_MINUTES
+ *
+ * State is kept in memory (single server process); a restart clears it.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const RATE_LIMIT = parseInt(process.env.ADMIN_LOGIN_RATE_LIMIT) || 20;
+const RATE_WINDOW_MS = 15 * 60 * 1000;
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.ADMIN_LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.ADMIN_LOCKOUT_MINUTES) || 15;
+
+// ip -> { count, windowStart }
+const attemptsByIp = new Map();
+// username -> { failures, lockedUntil }
+const failuresByUser = new Map();
+
+function accountKey(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+function pruneExpired(now) {
+    for (const [ip, entry] of attemptsByIp) {
+        if (now - entry.windowStart >= RATE_WINDOW_MS) attemptsByIp.delete(ip);
+    }
+    for (const [user, entry] of failuresByUser) {
+        if (entry.lockedUntil && entry.lockedUntil <= now) failuresByUser.delete(user);
+    }
+}
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+/**
+ * Count a login attempt from an IP
+ *
+ * @returns {Object} { allowed, retryAfterSeconds }
+ */
+function checkRateLimit(ip) {
+    const now = Date.now();
+    pruneExpired(now);
+
+    const entry = attemptsByIp.get(ip) || { count: 0, windowStart: now };
+    entry.count++;
+    attemptsByIp.set(ip, entry);
+
+    if (entry.count > RATE_LIMIT) {
+        return {
+            allowed: false,
+            retryAfterSeconds: Math.ceil((entry.windowStart + RATE_WINDOW_MS - now) / 1000)
+        };
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * @returns {Object} { locked, retryAfterSeconds }
+ */
+function checkLockout(username) {
+    const entry = failuresByUser.get(accountKey(username));
+    const now = Date.now();
+
+    if (entry?.lockedUntil && entry.lockedUntil > now) {
+        return { locked: true, retryAfterSeconds: Math.ceil((entry.lockedUntil - now) / 1000) };
+    }
+
+    return { locked: false };
+}
+
+/**
+ * Record a wrong password / unknown username
+ *
+ * @returns {Object} { locked, attemptsLeft } - locked is true when this failure locked the account
+ */
+function registerFailure(username) {
+    const key = accountKey(username);
+    const entry = failuresByUser.get(key) || { failures: 0, lockedUntil: null };
+
+    entry.failures++;
+
+    if (entry.failures >= MAX_FAILED_ATTEMPTS) {
+        entry.failures = 0;
+        entry.lockedUntil = Date.now() + LOCKOUT_MINUTES * 60 * 1000;
+        failuresByUser.set(key, entry);
+        return { locked: true, attemptsLeft: 0 };
+    }
+
+    failuresByUser.set(key, entry);
+    return { locked: false, attemptsLeft: MAX_FAILED_ATTEMPTS - entry.failures };
+}
+
+function clearFailures(username) {
+    failuresByUser.delete(accountKey(username));
+}
+
+module.exports = {
+    LOCKOUT_MINUTES,
+    checkRateLimit,
+    checkLockout,
+    registerFailure,
+    clearFailures
+};
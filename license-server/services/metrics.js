@@ -0,0 +1,228 @@
+/**
+ * Prometheus Metrics
+ *
+ * GET /metrics in the Prometheus text format (version 0.0.4):
+ * - license_server_http_requests_total / _http_request_duration_seconds
+ *   per method, route (Express route pattern) and status
+ * - license_server_activations_total per mode, result and reason
+ * - license_server_db_query_duration_seconds per statement type
+ * - license_server_sqlite_wal_bytes, license_server_licenses per product
+ *   and state (active, revoked, stale), read at scrape time
+ *
+ * Counters live in memory and restart from zero with the process, as
+ * Prometheus expects. With METRICS_TOKEN set, scrapers must send
+ * Authorization: Bearer <METRICS_TOKEN>.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { licenseRepo, setQueryObserver, DB_FILE } = require('../database/db');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+const PREFIX = 'license_server_';
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const DB_BUCKETS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5];
+
+const metrics = new Map();
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function defineMetric(name, type, help, buckets = null) {
+    metrics.set(name, { name: PREFIX + name, type, help, buckets, series: new Map() });
+}
+
+function seriesFor(name, labels) {
+    const metric = metrics.get(name);
+    const key = formatLabels(labels);
+    let series = metric.series.get(key);
+    if (!series) {
+        series = metric.type === 'histogram'
+            ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 };
+        metric.series.set(key, series);
+    }
+    return series;
+}
+
+function incrementCounter(name, labels) {
+    seriesFor(name, labels).value++;
+}
+
+function observeHistogram(name, labels, value) {
+    const metric = metrics.get(name);
+    const series = seriesFor(name, labels);
+    metric.buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+}
+
+function renderMetric(metric, samples) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    for (const series of samples) {
+        if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+            continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines.join('\n');
+}
+
+defineMetric('http_requests_total', 'counter', 'HTTP requests by method, route and status');
+defineMetric('http_request_duration_seconds', 'histogram', 'HTTP request latency by method and route', HTTP_BUCKETS);
+defineMetric('activations_total', 'counter', 'License activation attempts by mode, result and reason');
+defineMetric('db_query_duration_seconds', 'histogram', 'SQLite statement execution time by statement type', DB_BUCKETS);
+
+// ============================================================================
+// Collectors
+// ============================================================================
+
+/**
+ * Route label: the Express route pattern, so /validate/:hardwareId does not
+ * create one series per device. Requests rejected by router-level
+ * middleware (auth, 429) are grouped under "<mount>/*".
+ */
+function routeLabel(req) {
+    if (req.route) return req.baseUrl + req.route.path;
+    if (req.baseUrl) return `${req.baseUrl}/*`;
+    return 'unmatched';
+}
+
+/**
+ * Express middleware: count and time every request
+ */
+function httpMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const route = routeLabel(req);
+        const duration = Number(process.hrtime.bigint() - start) / 1e9;
+
+        incrementCounter('http_requests_total', { method: req.method, route, status: res.statusCode });
+        observeHistogram('http_request_duration_seconds', { method: req.method, route }, duration);
+    });
+
+    next();
+}
+
+/**
+ * @param {string} mode - 'online' | 'offline'
+ * @param {string} result - 'activated' | 'already_active' | 'rejected' | 'error'
+ * @param {string} [reason] - Rejection reason code
+ */
+function recordActivation(mode, result, reason = 'none') {
+    incrementCounter('activations_total', { mode, result, reason });
+}
+
+function statementType(sql) {
+    const keyword = /^\s*(\w+)/.exec(sql)?.[1]?.toLowerCase();
+    return ['select', 'insert', 'update', 'delete'].includes(keyword) ? keyword : 'other';
+}
+
+/**
+ * Start timing repository queries (server only; CLI scripts that load
+ * services stay untimed)
+ */
+function enableQueryMetrics() {
+    setQueryObserver((sql, duration) => {
+        observeHistogram('db_query_duration_seconds', { operation: statementType(sql) }, duration);
+    });
+}
+
+// ============================================================================
+// Endpoint
+// ============================================================================
+
+function walSizeBytes() {
+    try {
+        return fs.statSync(`${DB_FILE}-wal`).size;
+    } catch {
+        return 0;
+    }
+}
+
+// Metric yang dibaca langsung saat scrape (bukan counter di memori)
+function renderGauges() {
+    const licenses = { name: `${PREFIX}licenses`, type: 'gauge', help: 'Activated licenses by product and state (stale licenses are also active)' };
+    const licenseSamples = licenseRepo.countByProductAndState().flatMap(row =>
+        ['active', 'revoked', 'stale'].map(state => ({
+            labels: { product: row.product_code, state },
+            value: row[state] || 0
+        }))
+    );
+
+    return [
+        renderMetric(licenses, licenseSamples),
+        renderMetric({ name: `${PREFIX}sqlite_wal_bytes`, type: 'gauge', help: 'Size of the SQLite write-ahead log file' },
+            [{ labels: {}, value: walSizeBytes() }]),
+        renderMetric({ name: `${PREFIX}uptime_seconds`, type: 'gauge', help: 'Seconds since the server process started' },
+            [{ labels: {}, value: Math.floor(process.uptime()) }])
+    ];
+}
+
+function isAuthorized(req) {
+    if (!METRICS_TOKEN) return true;
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return false;
+
+    // Bandingkan hash supaya panjang buffer selalu sama
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(token), hash(METRICS_TOKEN));
+}
+
+/**
+ * GET /metrics
+ */
+function metricsHandler(req, res) {
+    if (!isAuthorized(req)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+
+    try {
+        const body = [
+            ...[...metrics.values()].map(metric => renderMetric(metric, metric.series.values())),
+            ...renderGauges()
+        ].join('\n\n');
+
+        res.type('text/plain; version=0.0.4').send(body + '\n');
+    } catch (error) {
+        console.error('[METRICS] Render error:', error);
+        res.status(500).type('text/plain').send('Internal server error\n');
+    }
+}
+
+module.exports = {
+    httpMetrics,
+    recordActivation,
+    enableQueryMetrics,
+    metricsHandler
+};
@@ -0,0 +1,148 @@
+/**
+ * Admin Password Hashing
+ *
+ * Passwords are stored as salted scrypt hashes with a version marker:
+ *   $scrypt$v=1$N=16384,r=8,p=1$<salt base64>$<hash base64>
+ *
+ * Older accounts still hold the legacy format (HMAC-SHA256 with
+ * ADMIN_SECRET, 64 hex chars). Those keep working and are upgraded to the
+ * current format on the next successful login (see needsRehash).
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const HASH_VERSION = 1;
+
+// N=2^14 ≈ 16 MB memory per hash, ~50 ms di server kecil
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+const LEGACY_SECRET = process.env.ADMIN_SECRET || 'eyesee-admin-secret-2024';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function deriveKey(password, salt, { N, r, p }, keyLength) {
+    return crypto.scryptSync(String(password), salt, keyLength, {
+        N, r, p,
+        maxmem: 256 * N * r
+    });
+}
+
+function legacyHash(password) {
+    return crypto
+        .createHmac('sha256', LEGACY_SECRET)
+        .update(String(password))
+        .digest('hex');
+}
+
+/**
+ * Parse a stored hash
+ *
+ * @returns {Object|null} { scheme: 'legacy' } or { scheme: 'scrypt', version, params, salt, hash }
+ */
+function parseHash(stored) {
+    if (typeof stored !== 'string') return null;
+
+    if (/^[0-9a-f]{64}$/.test(stored)) {
+        return { scheme: 'legacy' };
+    }
+
+    const match = /^\$scrypt\$v=(\d+)\$N=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/.exec(stored);
+    if (!match) return null;
+
+    return {
+        scheme: 'scrypt',
+        version: parseInt(match[1]),
+        params: { N: parseInt(match[2]), r: parseInt(match[3]), p: parseInt(match[4]) },
+        salt: Buffer.from(match[5], 'base64'),
+        hash: Buffer.from(match[6], 'base64')
+    };
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Hash a password in the current format (new random salt every call)
+ *
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = deriveKey(password, salt, SCRYPT_PARAMS, KEY_LENGTH);
+    const { N, r, p } = SCRYPT_PARAMS;
+
+    return `$scrypt$v=${HASH_VERSION}$N=${N},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash (current or legacy format)
+ *
+ * @param {string} password
+ * @param {string} stored - password_hash from admin_users
+ * @returns {Object} { valid, needsRehash } - needsRehash: stored hash is not in the current format
+ */
+function verifyPassword(password, stored) {
+    const parsed = parseHash(stored);
+    if (!parsed || typeof password !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (parsed.scheme === 'legacy') {
+        const valid = crypto.timingSafeEqual(Buffer.from(legacyHash(password)), Buffer.from(stored));
+        return { valid, needsRehash: valid };
+    }
+
+    let candidate;
+    try {
+        candidate = deriveKey(password, parsed.salt, parsed.params, parsed.hash.length);
+    } catch (error) {
+        // Parameter rusak (mis. N bukan pangkat 2) = hash tidak valid
+        return { valid: false, needsRehash: false };
+    }
+    const valid = crypto.timingSafeEqual(candidate, parsed.hash);
+
+    return { valid, needsRehash: valid && needsRehash(stored) };
+}
+
+/**
+ * Whether a stored hash should be replaced by hashPassword() output
+ */
+function needsRehash(stored) {
+    const parsed = parseHash(stored);
+    if (!parsed || parsed.scheme !== 'scrypt') return true;
+
+    return parsed.version !== HASH_VERSION ||
+        parsed.params.N !== SCRYPT_PARAMS.N ||
+        parsed.params.r !== SCRYPT_PARAMS.r ||
+        parsed.params.p !== SCRYPT_PARAMS.p ||
+        parsed.hash.length !== KEY_LENGTH;
+}
+
+/**
+ * Short label for the hash format (CLI / diagnostics)
+ *
+ * @returns {string} 'scrypt-v1', 'legacy-hmac' or 'unknown'
+ */
+function describeHash(stored) {
+    const parsed = parseHash(stored);
+    if (!parsed) return 'unknown';
+    return parsed.scheme === 'legacy' ? 'legacy-hmac' : `scrypt-v${parsed.version}`;
+}
+
+module.exports = {
+    HASH_VERSION,
+    hashPassword,
+    verifyPassword,
+    needsRehash,
+    describeHash
+};
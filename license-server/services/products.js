@@ -0,0 +1,366 @@
+/**
+ * Product Registry
+ *
+ * Products (code, name) live in the products table, so a new product only
+ * needs an admin API call. Each product has numbered secret generations
+ * (product_secrets); new keys use the newest active one and carry its
+ * version (services/license-key.js), older generations keep validating
+ * until they are retired. A rotation adds a pending generation, which is
+ * only used once activated (clients check keys against the generations
+ * built into them). Secrets are stored encrypted (AES-256-GCM):
+ *   v1:<master key id>:<iv base64>:<auth tag base64>:<ciphertext base64>
+ *
+ * Master key source (priority):
+ * 1. PRODUCT_SECRET_KEY env var (wajib di NODE_ENV=production: key di
+ *    samping database ikut terbawa siapa pun yang menyalin data/)
+ * 2. data/product-secret.key
+ * 3. Generate baru & simpan ke data/product-secret.key
+ *
+ * To rotate the master key, set the old one as PRODUCT_SECRET_KEY_PREVIOUS;
+ * secrets still encrypted with it are re-encrypted on the next load.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { productsRepo, runInTransaction } = require('../database/db');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const KEY_FILE = path.join(__dirname, '../data/product-secret.key');
+const ENCRYPTION_VERSION = 'v1';
+
+const PRODUCT_CODE_PATTERN = /^[A-Z0-9]{4}$/;
+const MIN_SECRET_LENGTH = 16;
+
+// Versi ditulis sebagai 1 karakter di license key (1-9, A-Z)
+const MAX_SECRET_VERSION = 35;
+
+// Produk bawaan saat tabel masih kosong; secret harus sama dengan
+// license-crypto.js di aplikasi client agar key yang sudah beredar tetap valid
+const DEFAULT_PRODUCTS = [
+    { code: 'BM01', name: 'BMS', secret: 'bms-license-secret-key-2024-v2' },
+    { code: 'BL01', name: 'BLM', secret: 'blm-license-secret-key-2024-v2' },
+    { code: 'VC01', name: 'VComm', secret: 'vcomm-license-secret-key-2024-v2' },
+    { code: 'ES01', name: 'EyeSee', secret: 'eyesee-license-secret-key-2024-v2' }
+];
+
+let masterKeys = null;
+// code -> { code, name, isActive, staleReleaseDays, currentVersion, secrets: Map(version -> secret) }
+let productCache = null;
+
+// ============================================================================
+// Master Key & Encryption
+// ============================================================================
+
+function toMasterKey(material) {
+    const key = crypto.createHash('sha256').update(String(material)).digest();
+    return { id: crypto.createHash('sha256').update(key).digest('hex').substring(0, 8), key };
+}
+
+function loadMasterKeys() {
+    if (masterKeys) return masterKeys;
+
+    let material = process.env.PRODUCT_SECRET_KEY;
+    if (!material) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error(`PRODUCT_SECRET_KEY is not set: product secrets must not be encrypted with a key stored next to the database (existing install: set it to the content of ${KEY_FILE}, then remove that file)`);
+        }
+
+        if (!fs.existsSync(KEY_FILE)) {
+            fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+            fs.writeFileSync(KEY_FILE, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+
+            console.warn('[PRODUCTS] ⚠️  No PRODUCT_SECRET_KEY configured, generated a new one:', KEY_FILE);
+            console.warn('[PRODUCTS] ⚠️  Back it up together with the database, product secrets cannot be read without it');
+        }
+        material = fs.readFileSync(KEY_FILE, 'utf8').trim();
+    }
+
+    masterKeys = {
+        current: toMasterKey(material),
+        previous: process.env.PRODUCT_SECRET_KEY_PREVIOUS ? toMasterKey(process.env.PRODUCT_SECRET_KEY_PREVIOUS) : null
+    };
+    return masterKeys;
+}
+
+function encryptSecret(secret) {
+    const { current } = loadMasterKeys();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(secret), 'utf8'), cipher.final()]);
+
+    return [ENCRYPTION_VERSION, current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Also used for other secrets stored with the master key (webhooks)
+ *
+ * @returns {Object} { secret, keyId, outdated } - outdated: encrypted with
+ *          PRODUCT_SECRET_KEY_PREVIOUS, re-encrypt with encryptSecret()
+ */
+function decryptSecret(value) {
+    const [version, keyId, iv, tag, ciphertext] = String(value).split(':');
+    if (version !== ENCRYPTION_VERSION || !ciphertext) {
+        throw new Error('Unknown secret format');
+    }
+
+    const { current, previous } = loadMasterKeys();
+    const master = [current, previous].find(k => k && k.id === keyId);
+    if (!master) {
+        throw new Error(`Encrypted with unknown master key ${keyId} (PRODUCT_SECRET_KEY changed?)`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', master.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const secret = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+
+    return { secret, keyId, outdated: master !== current };
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Decrypt a stored secret, re-encrypting it when it still uses
+ * PRODUCT_SECRET_KEY_PREVIOUS
+ */
+function readSecret(row) {
+    let decrypted;
+    try {
+        decrypted = decryptSecret(row.secret_encrypted);
+    } catch (error) {
+        throw new Error(`[PRODUCTS] Cannot decrypt secret for ${row.product_code} v${row.version}: ${error.message}`);
+    }
+
+    if (decrypted.outdated) {
+        productsRepo.updateSecretEncrypted(row.id, encryptSecret(decrypted.secret));
+        console.log(`[PRODUCTS] Secret re-encrypted with current master key: ${row.product_code} v${row.version}`);
+    }
+
+    return decrypted.secret;
+}
+
+/**
+ * Seed DEFAULT_PRODUCTS into an empty table and move secrets from before
+ * versioning (products.secret_encrypted) to generation 1
+ */
+function prepareProducts() {
+    if (productsRepo.getAll().length === 0) {
+        runInTransaction(() => {
+            for (const product of DEFAULT_PRODUCTS) {
+                productsRepo.create({ code: product.code, name: product.name });
+                productsRepo.addSecret(product.code, 1, encryptSecret(product.secret));
+            }
+        });
+        console.log(`[PRODUCTS] Seeded default products: ${DEFAULT_PRODUCTS.map(p => p.code).join(', ')}`);
+    }
+
+    const versioned = new Set(productsRepo.getSecrets().map(s => s.product_code));
+    for (const product of productsRepo.getAll()) {
+        if (product.legacy_secret_encrypted && !versioned.has(product.code)) {
+            runInTransaction(() => {
+                productsRepo.addSecret(product.code, 1, product.legacy_secret_encrypted);
+                productsRepo.clearLegacySecret(product.code);
+            });
+            console.log(`[PRODUCTS] Secret moved to generation 1: ${product.code}`);
+        }
+    }
+}
+
+/**
+ * Load (and cache) all products with their active secret generations.
+ * Throws when a secret cannot be decrypted (wrong master key), so the
+ * server fails at startup instead of rejecting every key.
+ *
+ * @returns {Map} code -> { code, name, isActive, staleReleaseDays, currentVersion, secrets }
+ */
+function loadProducts() {
+    if (productCache) return productCache;
+
+    prepareProducts();
+
+    const cache = new Map();
+    for (const row of productsRepo.getAll()) {
+        cache.set(row.code, {
+            code: row.code,
+            name: row.name,
+            isActive: row.is_active,
+            staleReleaseDays: row.stale_release_days,
+            currentVersion: null,
+            secrets: new Map()
+        });
+    }
+
+    // Oldest first: the last active generation becomes currentVersion
+    for (const row of productsRepo.getSecrets()) {
+        const product = cache.get(row.product_code);
+        const secret = readSecret(row);
+        if (!product || row.retired_at || row.is_pending) continue;
+
+        product.secrets.set(row.version, secret);
+        product.currentVersion = row.version;
+    }
+
+    productCache = cache;
+    return productCache;
+}
+
+function invalidateCache() {
+    productCache = null;
+}
+
+/**
+ * Rebuild the cache after the products tables were replaced (restore / import)
+ */
+function reloadProducts() {
+    invalidateCache();
+    return loadProducts();
+}
+
+/**
+ * @returns {Object|null} { code, name, isActive, staleReleaseDays, currentVersion, secrets }
+ */
+function getProduct(code) {
+    return loadProducts().get(code) || null;
+}
+
+function getProductCodes() {
+    return [...loadProducts().keys()];
+}
+
+/**
+ * Products for the admin API (counts, no secrets)
+ */
+function listProducts() {
+    loadProducts();
+    return productsRepo.getAll();
+}
+
+/**
+ * Secret generations of a product (no secrets)
+ *
+ * @returns {Array} [{ version, created_at, retired_at, pending, current }]
+ */
+function listSecretVersions(code) {
+    const product = getProduct(code);
+    return productsRepo.getSecrets(code).map(row => ({
+        version: row.version,
+        pending: row.is_pending,
+        created_at: row.created_at,
+        retired_at: row.retired_at,
+        current: row.version === product?.currentVersion
+    }));
+}
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * @returns {Object} { product, secret } - secret is only returned here and on rotation
+ */
+function createProduct({ code, name, secret, isActive = true, staleReleaseDays = null }) {
+    const productSecret = secret || generateSecret();
+    const product = runInTransaction(() => {
+        const created = productsRepo.create({ code, name, is_active: isActive, stale_release_days: staleReleaseDays });
+        productsRepo.addSecret(code, 1, encryptSecret(productSecret));
+        return created;
+    });
+    invalidateCache();
+    return { product, secret: productSecret };
+}
+
+function updateProduct(code, { name, isActive, staleReleaseDays }) {
+    const product = productsRepo.update(code, { name, is_active: isActive, stale_release_days: staleReleaseDays });
+    invalidateCache();
+    return product;
+}
+
+/**
+ * Add a new, pending secret generation. New keys keep using the current
+ * generation until activateSecretVersion(), so the secret can first be
+ * added to the clients' KEY_SECRETS and shipped.
+ *
+ * @returns {Object} { version, secret } or { error }
+ */
+function rotateProductSecret(code, secret) {
+    const secrets = productsRepo.getSecrets(code);
+    const pending = secrets.find(s => s.is_pending && !s.retired_at);
+    if (pending) {
+        return { error: `Generasi ${pending.version} belum diaktifkan, aktifkan atau retire dulu` };
+    }
+
+    const version = Math.max(0, ...secrets.map(s => s.version)) + 1;
+    if (version > MAX_SECRET_VERSION) {
+        return { error: `Maksimal ${MAX_SECRET_VERSION} generasi secret per produk` };
+    }
+
+    const productSecret = secret || generateSecret();
+    productsRepo.addSecret(code, version, encryptSecret(productSecret), true);
+    invalidateCache();
+    return { version, secret: productSecret };
+}
+
+/**
+ * Make a pending generation current: new keys use it from now on.
+ * Keys from older generations stay valid until retireSecretVersion().
+ *
+ * @returns {Object} { activated: true } or { error }
+ */
+function activateSecretVersion(code, version) {
+    if (!productsRepo.activateSecret(code, version)) {
+        return { error: `Generasi ${version} tidak ada atau tidak sedang menunggu aktivasi` };
+    }
+
+    invalidateCache();
+    return { activated: true };
+}
+
+/**
+ * Retire a secret generation: keys checksummed with it no longer validate.
+ * The current generation cannot be retired (rotate and activate first).
+ *
+ * @returns {Object} { retired: true } or { error }
+ */
+function retireSecretVersion(code, version) {
+    const product = getProduct(code);
+    if (version === product.currentVersion) {
+        return { error: 'Generasi aktif terbaru tidak bisa di-retire, rotate & aktifkan secret baru dulu' };
+    }
+    if (!productsRepo.retireSecret(code, version)) {
+        return { error: `Generasi ${version} tidak ada atau sudah di-retire` };
+    }
+
+    invalidateCache();
+    return { retired: true };
+}
+
+function deleteProduct(code) {
+    const deleted = productsRepo.delete(code);
+    invalidateCache();
+    return deleted;
+}
+
+module.exports = {
+    PRODUCT_CODE_PATTERN,
+    MIN_SECRET_LENGTH,
+    MAX_SECRET_VERSION,
+    encryptSecret,
+    decryptSecret,
+    loadProducts,
+    reloadProducts,
+    getProduct,
+    getProductCodes,
+    listProducts,
+    listSecretVersions,
+    createProduct,
+    updateProduct,
+    rotateProductSecret,
+    activateSecretVersion,
+    retireSecretVersion,
+    deleteProduct
+};
@@ -0,0 +1,171 @@
+/**
+ * Stale Device Detection
+ *
+ * Clients check in through /api/license/validate (last_check_at). A license
+ * without check-in for STALE_LICENSE_DAYS is flagged stale (stale_since,
+ * audit + 'license.stale' webhook); the next check-in clears the flag.
+ * Products with stale_release_days set release the seat of a device that
+ * stays stale that many days longer, so the key can be activated again
+ * (e.g. a PC that was reinstalled or scrapped without a transfer).
+ *
+ * Offline (air-gapped) activations and revoked licenses are never flagged.
+ */
+
+const { licenseRepo, generatedKeysRepo, leasesRepo, runInTransaction } = require('../database/db');
+const { getProduct } = require('./products');
+const { AuditAction, recordAudit } = require('./audit');
+const { WebhookEvent, licenseEventData, emitWebhookEvent } = require('./webhooks');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const STALE_LICENSE_DAYS = parseInt(process.env.STALE_LICENSE_DAYS) || 30;
+
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * When the seat of a stale license is released, null = never (product
+ * without stale_release_days)
+ */
+function autoReleaseAt(license) {
+    const releaseDays = getProduct(license.product_code)?.staleReleaseDays;
+    if (!releaseDays || !license.stale_since) return null;
+    return new Date(new Date(license.stale_since).getTime() + releaseDays * DAY_MS).toISOString();
+}
+
+function releaseStaleLicense(license) {
+    runInTransaction(() => {
+        licenseRepo.deleteByHardwareIdAndProduct(license.hardware_id, license.product_code);
+        leasesRepo.releaseByHardware(license.license_key, license.hardware_id);
+        if (license.license_key && generatedKeysRepo.findByKey(license.license_key)) {
+            generatedKeysRepo.releaseSeat(license.license_key);
+        }
+    });
+
+    console.log(`[STALE] Seat released: ${license.hardware_id.substring(0, 8)}... product=${license.product_code} (last check ${license.last_check_at})`);
+    recordAudit(null, AuditAction.LICENSE_STALE_RELEASED, {
+        licenseKey: license.license_key,
+        hardwareId: license.hardware_id,
+        productCode: license.product_code,
+        details: { deviceName: license.device_name, lastCheckAt: license.last_check_at, staleSince: license.stale_since }
+    });
+    emitWebhookEvent(WebhookEvent.LICENSE_DELETED, licenseEventData(license, { reason: 'stale', lastCheckAt: license.last_check_at }));
+}
+
+// ============================================================================
+// Job
+// ============================================================================
+
+/**
+ * Flag licenses without check-in for STALE_LICENSE_DAYS
+ *
+ * @returns {number} Number of newly flagged licenses
+ */
+function flagStaleLicenses() {
+    licenseRepo.clearStaleIneligible();
+
+    const cutoff = new Date(Date.now() - STALE_LICENSE_DAYS * DAY_MS).toISOString();
+    const flagged = licenseRepo.markStale(cutoff);
+
+    for (const license of flagged) {
+        recordAudit(null, AuditAction.LICENSE_STALE, {
+            licenseKey: license.license_key,
+            hardwareId: license.hardware_id,
+            productCode: license.product_code,
+            details: { deviceName: license.device_name, lastCheckAt: license.last_check_at }
+        });
+        emitWebhookEvent(WebhookEvent.LICENSE_STALE, licenseEventData(license, { lastCheckAt: license.last_check_at, staleAfterDays: STALE_LICENSE_DAYS }));
+    }
+
+    if (flagged.length > 0) {
+        console.log(`[STALE] Flagged ${flagged.length} license(s) without check-in for ${STALE_LICENSE_DAYS} days`);
+    }
+
+    return flagged.length;
+}
+
+/**
+ * Release seats of stale licenses past their product's grace period
+ *
+ * @returns {number} Number of released licenses
+ */
+function releaseExpiredStaleLicenses() {
+    const now = new Date().toISOString();
+    let released = 0;
+
+    for (const license of licenseRepo.findStale()) {
+        const releaseAt = autoReleaseAt(license);
+        if (!releaseAt || releaseAt > now) continue;
+
+        releaseStaleLicense(license);
+        released++;
+    }
+
+    return released;
+}
+
+/**
+ * One pass of the job: flag, then auto-release
+ *
+ * @returns {Object} { flagged, released }
+ */
+function runStaleDeviceCheck() {
+    const flagged = flagStaleLicenses();
+    const released = releaseExpiredStaleLicenses();
+    return { flagged, released };
+}
+
+/**
+ * Stale devices for the admin report
+ *
+ * @param {string|null} [productCode]
+ * @returns {Array}
+ */
+function getStaleReport(productCode = null) {
+    licenseRepo.clearStaleIneligible();
+
+    const now = Date.now();
+    return licenseRepo.findStale(productCode).map(license => ({
+        licenseKey: license.license_key,
+        hardwareId: license.hardware_id,
+        deviceName: license.device_name,
+        productCode: license.product_code,
+        customerId: license.customer_id,
+        activatedAt: license.activated_at,
+        lastCheckAt: license.last_check_at,
+        daysSinceCheck: Math.floor((now - new Date(license.last_check_at).getTime()) / DAY_MS),
+        staleSince: license.stale_since,
+        autoReleaseAt: autoReleaseAt(license)
+    }));
+}
+
+/**
+ * Run the check at startup and then every hour
+ */
+function startStaleDeviceJob() {
+    const run = () => {
+        try {
+            runStaleDeviceCheck();
+        } catch (error) {
+            console.error('[STALE] Check failed:', error.message);
+        }
+    };
+
+    setImmediate(run);
+    const timer = setInterval(run, JOB_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    STALE_LICENSE_DAYS,
+    runStaleDeviceCheck,
+    getStaleReport,
+    startStaleDeviceJob
+};
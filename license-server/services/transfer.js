@@ -0,0 +1,68 @@
+/**
+ * Self-service License Transfer Service
+ *
+ * A device releases its own license so the key can be activated on a new
+ * device. Transfers per key are limited (generated_keys.transfer_limit,
+ * default LICENSE_TRANSFER_LIMIT). The moved license's remaining term is
+ * stored with the transfer and picked up by the next activation of the
+ * key, so only that seat is affected on multi-seat keys.
+ */
+
+const { licenseRepo, generatedKeysRepo, transfersRepo, leasesRepo, runInTransaction } = require('../database/db');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const FALLBACK_TRANSFER_LIMIT = 3;
+
+// Default max self-service transfers per key; kosong / tidak valid = 3, 0 = tidak boleh transfer
+const DEFAULT_TRANSFER_LIMIT = (() => {
+    const limit = parseInt(process.env.LICENSE_TRANSFER_LIMIT);
+    return Number.isNaN(limit) || limit < 0 ? FALLBACK_TRANSFER_LIMIT : limit;
+})();
+
+// ============================================================================
+// Transfer
+// ============================================================================
+
+/**
+ * @param {Object|null} generatedKey - generated_keys row
+ * @returns {number} Transfer limit of the key
+ */
+function getTransferLimit(generatedKey) {
+    return generatedKey?.transfer_limit ?? DEFAULT_TRANSFER_LIMIT;
+}
+
+/**
+ * Release a license from its device: frees the seat, counts the transfer
+ * and keeps the remaining term for the next activation
+ *
+ * @param {Object} license - active_licenses row
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.ipAddress]
+ */
+function releaseForTransfer(license, { reason = null, ipAddress = null } = {}) {
+    runInTransaction(() => {
+        licenseRepo.deleteByHardwareIdAndProduct(license.hardware_id, license.product_code);
+        leasesRepo.releaseByHardware(license.license_key, license.hardware_id);
+        generatedKeysRepo.releaseSeat(license.license_key);
+        generatedKeysRepo.recordTransfer(license.license_key);
+        transfersRepo.add({
+            license_key: license.license_key,
+            product_code: license.product_code,
+            from_hardware_id: license.hardware_id,
+            from_device_name: license.device_name,
+            expires_at: license.expires_at,
+            reason,
+            ip_address: ipAddress
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_TRANSFER_LIMIT,
+    getTransferLimit,
+    releaseForTransfer
+};
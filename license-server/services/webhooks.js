@@ -0,0 +1,291 @@
+/**
+ * Outbound Webhook Service
+ *
+ * Notifies external systems (CRM, support tooling) of license lifecycle
+ * events. Each event is queued per subscribed webhook in webhook_deliveries
+ * and sent by a worker, so a slow or failing endpoint never delays the
+ * request that caused the event. Failed deliveries are retried with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS, then marked 'failed'
+ * (an admin can requeue them).
+ *
+ * Request: POST <url> with JSON body { id, event, createdAt, actor, data }
+ *   X-Webhook-Event:     event name
+ *   X-Webhook-Id:        event id (same for every webhook & retry)
+ *   X-Webhook-Timestamp: unix seconds of this attempt
+ *   X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>") hex
+ */
+
+const crypto = require('crypto');
+const { webhooksRepo, webhookDeliveriesRepo } = require('../database/db');
+const { encryptSecret, decryptSecret } = require('./products');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Retry ke-n menunggu RETRY_BASE_SECONDS * 2^(n-1), maksimal RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 20;
+
+const WebhookEvent = {
+    LICENSE_ACTIVATED: 'license.activated',
+    LICENSE_REVOKED: 'license.revoked',
+    LICENSE_REACTIVATED: 'license.reactivated',
+    LICENSE_DELETED: 'license.deleted',
+    LICENSE_TRANSFERRED: 'license.transferred',
+    LICENSE_STALE: 'license.stale'
+};
+
+// Hanya dikirim lewat tombol Test, tidak bisa di-subscribe
+const TEST_EVENT = 'webhook.test';
+
+const WEBHOOK_EVENTS = Object.values(WebhookEvent);
+
+let processing = false;
+// Event baru selagi worker berjalan: jalankan lagi setelah selesai
+let rerunRequested = false;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function generateWebhookSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Event data for a license row (active_licenses)
+ */
+function licenseEventData(license, extra = {}) {
+    return {
+        licenseKey: license.license_key,
+        hardwareId: license.hardware_id,
+        productCode: license.product_code,
+        deviceName: license.device_name || null,
+        customerId: license.customer_id || null,
+        expiresAt: license.expires_at || null,
+        ...extra
+    };
+}
+
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function readWebhookSecret(webhook) {
+    const decrypted = decryptSecret(webhook.secret_encrypted);
+    if (decrypted.outdated) {
+        webhooksRepo.updateSecret(webhook.id, encryptSecret(decrypted.secret));
+    }
+    return decrypted.secret;
+}
+
+function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+function queueDelivery(webhookId, eventId, event, payload) {
+    webhookDeliveriesRepo.add({ webhook_id: webhookId, event_id: eventId, event, payload });
+}
+
+function scheduleProcessing() {
+    setImmediate(() => {
+        processQueue().catch(error => console.error('[WEBHOOK] Queue processing failed:', error.message));
+    });
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it.
+ * Never throws: a failing webhook must not fail the license action.
+ *
+ * @param {string} event - One of WebhookEvent
+ * @param {Object} data - Event data (see licenseEventData)
+ * @param {Object|null} [req] - Request, for the actor (as in the audit log)
+ * @returns {number} Number of queued deliveries
+ */
+function emitWebhookEvent(event, data, req = null) {
+    try {
+        const webhooks = webhooksRepo.findSubscribed(event);
+        if (webhooks.length === 0) return 0;
+
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({
+            id: eventId,
+            event,
+            createdAt: new Date().toISOString(),
+            actor: req?.adminUser?.username || (req ? 'client' : 'system'),
+            data
+        });
+
+        for (const webhook of webhooks) {
+            queueDelivery(webhook.id, eventId, event, payload);
+        }
+
+        scheduleProcessing();
+        return webhooks.length;
+    } catch (error) {
+        console.error('[WEBHOOK] Failed to queue event:', event, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Queue a test event for one webhook (regardless of its events / active flag)
+ */
+function sendTestEvent(webhook) {
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+        id: eventId,
+        event: TEST_EVENT,
+        createdAt: new Date().toISOString(),
+        data: { message: 'Test webhook dari license server' }
+    });
+
+    queueDelivery(webhook.id, eventId, TEST_EVENT, payload);
+    scheduleProcessing();
+    return eventId;
+}
+
+/**
+ * Queue a failed delivery again
+ *
+ * @returns {boolean} false when the delivery is not in 'failed' state
+ */
+function retryDelivery(deliveryId) {
+    const requeued = webhookDeliveriesRepo.requeue(deliveryId);
+    if (requeued) scheduleProcessing();
+    return requeued;
+}
+
+// ============================================================================
+// Delivery
+// ============================================================================
+
+/**
+ * Send one delivery attempt and record its result
+ */
+async function attemptDelivery(delivery) {
+    const webhook = webhooksRepo.findById(delivery.webhook_id);
+    const attempts = delivery.attempts + 1;
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    if (!webhook) {
+        error = 'Webhook sudah dihapus';
+    } else {
+        try {
+            const timestamp = Math.floor(Date.now() / 1000);
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'EyeSee-License-Server-Webhook/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(readWebhookSecret(webhook), timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+
+            statusCode = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+            // Body tidak dipakai; lepas koneksi
+            await response.body?.cancel();
+        } catch (err) {
+            error = err.name === 'TimeoutError'
+                ? `Timeout setelah ${WEBHOOK_TIMEOUT_MS} ms`
+                : (err.cause?.code || err.message);
+        }
+    }
+
+    const durationMs = Date.now() - startedAt;
+
+    if (!error) {
+        webhookDeliveriesRepo.recordAttempt(delivery.id, { status: 'delivered', status_code: statusCode, duration_ms: durationMs });
+        return;
+    }
+
+    const giveUp = !webhook || attempts >= WEBHOOK_MAX_ATTEMPTS;
+    webhookDeliveriesRepo.recordAttempt(delivery.id, {
+        status: giveUp ? 'failed' : 'pending',
+        next_attempt_at: giveUp ? null : new Date(Date.now() + retryDelaySeconds(attempts) * 1000).toISOString(),
+        status_code: statusCode,
+        error,
+        duration_ms: durationMs
+    });
+
+    console.warn(`[WEBHOOK] Delivery #${delivery.id} (${delivery.event}) failed (${attempts}/${WEBHOOK_MAX_ATTEMPTS}): ${error}${giveUp ? ', giving up' : ''}`);
+}
+
+/**
+ * Send all due deliveries (one at a time, oldest first)
+ *
+ * @returns {Promise<number>} Number of attempts made
+ */
+async function processQueue() {
+    if (processing) {
+        rerunRequested = true;
+        return 0;
+    }
+    processing = true;
+    rerunRequested = false;
+
+    let attempted = 0;
+    try {
+        let due;
+        do {
+            due = webhookDeliveriesRepo.findDue(new Date().toISOString(), WORKER_BATCH_SIZE);
+            for (const delivery of due) {
+                await attemptDelivery(delivery);
+                attempted++;
+            }
+        } while (due.length === WORKER_BATCH_SIZE);
+    } finally {
+        processing = false;
+        if (rerunRequested) scheduleProcessing();
+    }
+
+    return attempted;
+}
+
+/**
+ * Periodically send due deliveries (retries, and events queued before a restart)
+ */
+function startWebhookWorker() {
+    scheduleProcessing();
+
+    const timer = setInterval(() => {
+        processQueue().catch(error => console.error('[WEBHOOK] Queue processing failed:', error.message));
+    }, WORKER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    WebhookEvent,
+    WEBHOOK_EVENTS,
+    WEBHOOK_MAX_ATTEMPTS,
+    generateWebhookSecret,
+    licenseEventData,
+    emitWebhookEvent,
+    sendTestEvent,
+    retryDelivery,
+    processQueue,
+    startWebhookWorker
+};
@@ -158,6 +158,11 @@ console.log('[App] Site API URL:', SITE_API_URL || '(not configured)');
 let mainWindow;
 let licenseWindow;
 let siteSelectorWindow;
+let noSeatsWindow;
+
+// Last failed floating lease checkout (shown on the "no seats" screen)
+let leaseStatus = null;
+let leaseReleased = false;
 
 // The URL that will be loaded in the main window webview
 // Can come from: site selection, default webviewUrl, or env var
@@ -171,7 +176,7 @@ function createLicenseWindow() {
 
 	licenseWindow = new BrowserWindow({
 		width: 480,
-		height: 600,
+		height: 680,
 		resizable: false,
 		minimizable: false,
 		maximizable: false,
@@ -246,6 +251,45 @@ function createSiteSelectorWindow() {
 	});
 }
 
+/**
+ * Create the "no seats available" window
+ * Shown when a floating license has no free lease; retries until a seat frees up
+ */
+function createNoSeatsWindow() {
+	noSeatsWindow = new BrowserWindow({
+		width: 480,
+		height: 520,
+		resizable: false,
+		minimizable: true,
+		maximizable: false,
+		fullscreenable: false,
+		icon: path.join(__dirname, 'assets/icons/png/eyesee.png'),
+		show: false,
+		backgroundColor: '#667eea',
+		webPreferences: {
+			contextIsolation: true,
+			nodeIntegration: false,
+			preload: path.join(__dirname, 'preload.js'),
+		},
+	});
+
+	noSeatsWindow.loadFile('no-seats.html');
+
+	noSeatsWindow.once('ready-to-show', () => {
+		noSeatsWindow.show();
+	});
+
+	noSeatsWindow.setMenu(null);
+
+	noSeatsWindow.on('closed', () => {
+		noSeatsWindow = null;
+		// Closed without getting a seat - quit the app
+		if (!mainWindow && !siteSelectorWindow) {
+			app.quit();
+		}
+	});
+}
+
 /**
  * Create the main application window
  */
@@ -308,7 +352,11 @@ async function initializeApp() {
 			case LicenseStatus.VALID:
 			case LicenseStatus.OFFLINE_VALID:
 				// License valid — proceed to site selection or main window
-				await proceedAfterLicense(validation);
+				// (floating licenses first need a free lease)
+				if (await acquireFloatingLease()) {
+					await proceedAfterLicense(validation);
+					startLicenseRevalidation();
+				}
 				break;
 
 			case LicenseStatus.REVOKED:
@@ -320,6 +368,15 @@ async function initializeApp() {
 				app.quit();
 				break;
 
+			case LicenseStatus.EXPIRED:
+				// Subscription ended - renewal is done by admin on the server
+				dialog.showErrorBox(
+					'Lisensi Berakhir',
+					validation.message || 'Masa berlaku lisensi aplikasi ini telah berakhir.'
+				);
+				app.quit();
+				break;
+
 			case LicenseStatus.OFFLINE_EXPIRED:
 				// Offline too long - require server connection
 				dialog.showErrorBox(
@@ -347,6 +404,121 @@ async function initializeApp() {
 	}
 }
 
+/**
+ * Periodically re-check the license with the server while the app runs.
+ * Revocation by admin, deletion on the server, expiry (or offline tolerance
+ * running out) ends the session; offline and renewal reminders go to the
+ * renderer as license warnings.
+ */
+function startLicenseRevalidation() {
+	licenseManager.startRevalidation(
+		validation => {
+			switch (validation.status) {
+				case LicenseStatus.REVOKED:
+					endLicensedSession(
+						'Lisensi Dinonaktifkan',
+						validation.message || 'Lisensi aplikasi ini telah dinonaktifkan.'
+					);
+					break;
+
+				case LicenseStatus.EXPIRED:
+					endLicensedSession(
+						'Lisensi Berakhir',
+						validation.message ||
+							'Masa berlaku lisensi aplikasi ini telah berakhir.'
+					);
+					break;
+
+				case LicenseStatus.OFFLINE_EXPIRED:
+					endLicensedSession(
+						'Verifikasi Diperlukan',
+						validation.message ||
+							'Hubungkan ke server untuk memverifikasi lisensi.'
+					);
+					break;
+
+				case LicenseStatus.NOT_ACTIVATED:
+					endLicensedSession(
+						'Lisensi Tidak Ditemukan',
+						validation.message ||
+							'Lisensi perangkat ini tidak ditemukan di server. Silakan aktivasi ulang.'
+					);
+					break;
+			}
+		},
+		warning => {
+			if (mainWindow) {
+				mainWindow.webContents.send('license-warning', warning);
+			}
+		}
+	);
+}
+
+/**
+ * Check out a lease when the license is floating (concurrent use).
+ * Returns false when the app must not continue yet: the "no seats"
+ * screen is shown, or the app is quitting.
+ */
+async function acquireFloatingLease() {
+	if (!licenseManager.isFloating()) return true;
+
+	const lease = await licenseManager.checkoutLease();
+	if (lease.success) {
+		startFloatingLeaseHeartbeat();
+		return true;
+	}
+
+	leaseStatus = lease;
+
+	if (lease.noSeats) {
+		createNoSeatsWindow();
+	} else {
+		dialog.showErrorBox(
+			'Lisensi Floating',
+			lease.message || 'Gagal mengambil seat lisensi.'
+		);
+		app.quit();
+	}
+	return false;
+}
+
+/**
+ * Renew the floating lease in the background; if the server reclaimed it
+ * and no seat is free anymore, the session ends
+ */
+function startFloatingLeaseHeartbeat() {
+	licenseManager.startLeaseHeartbeat(checkout =>
+		endLicensedSession(
+			'Seat Lisensi Tidak Tersedia',
+			checkout.message || 'Lease lisensi floating berakhir.'
+		)
+	);
+}
+
+/**
+ * Show a blocking notice on top of the current window, then quit
+ */
+async function endLicensedSession(title, message) {
+	licenseManager.stopRevalidation();
+
+	const parent = mainWindow || siteSelectorWindow;
+	const options = {
+		type: 'error',
+		title,
+		message: title,
+		detail: message + '\n\nAplikasi akan ditutup.',
+		buttons: ['Tutup Aplikasi'],
+		noLink: true,
+	};
+
+	if (parent) {
+		await dialog.showMessageBox(parent, options);
+	} else {
+		await dialog.showMessageBox(options);
+	}
+	app.quit();
+}
+
 /**
  * After license is valid, decide whether to show site selector or go directly to main window
  */
@@ -432,6 +604,48 @@ ipcMain.handle('activate-license', async (event, licenseKey) => {
 	return result;
 });
 
+// Offline activation: save request file (key + hardware ID + device name)
+ipcMain.handle('export-activation-request', async (event, licenseKey) => {
+	const result = licenseManager.createActivationRequest(licenseKey);
+	if (!result.success) return result;
+
+	const { canceled, filePath } = await dialog.showSaveDialog(licenseWindow, {
+		title: 'Simpan File Request Aktivasi',
+		defaultPath: `${result.request.productCode}-${result.request.hardwareId.substring(0, 8)}.licreq`,
+		filters: [{ name: 'License Activation Request', extensions: ['licreq'] }],
+	});
+	if (canceled || !filePath) return { success: false, canceled: true };
+
+	try {
+		fs.writeFileSync(filePath, JSON.stringify(result.request, null, 2));
+		return {
+			success: true,
+			message: 'File request tersimpan. Kirim ke administrator untuk diproses.',
+		};
+	} catch (error) {
+		console.error('[License] Failed to save activation request:', error);
+		return { success: false, message: 'Gagal menyimpan file request.' };
+	}
+});
+
+// Offline activation: load response file signed by the license server
+ipcMain.handle('import-activation-response', async () => {
+	const { canceled, filePaths } = await dialog.showOpenDialog(licenseWindow, {
+		title: 'Buka File Response Aktivasi',
+		filters: [{ name: 'License Activation Response', extensions: ['licres', 'json'] }],
+		properties: ['openFile'],
+	});
+	if (canceled || !filePaths.length) return { success: false, canceled: true };
+
+	try {
+		const response = JSON.parse(fs.readFileSync(filePaths[0], 'utf8'));
+		return licenseManager.activateFromResponse(response);
+	} catch (error) {
+		console.error('[License] Failed to read activation response:', error);
+		return { success: false, message: 'File response tidak dapat dibaca.' };
+	}
+});
+
 // Get license info
 ipcMain.handle('get-license-info', async () => {
 	return licenseManager.getLicenseInfo();
@@ -486,9 +700,17 @@ ipcMain.on('show-license-info', async () => {
 		const licenseKey = info?.license?.licenseKey || info?.licenseKey || '-';
 		const productCode = info?.license?.productCode || info?.productCode || '-';
 		const hardwareId = info?.hardwareId || '-';
+		const expiry = info?.expiresAt
+			? `${new Date(info.expiresAt).toLocaleDateString('id-ID')} (${
+					info.daysUntilExpiry >= 0
+						? `${info.daysUntilExpiry} hari lagi`
+						: 'sudah berakhir'
+			  })`
+			: 'Tanpa batas';
 
 		let details = `Status  : ${statusIcon} ${statusText}\n`;
 		details += `Produk  : ${productCode}\n`;
+		details += `Berlaku : ${expiry}\n`;
 		details += `\nLicense Key:\n${licenseKey}\n`;
 		details += `\nHardware ID:\n${hardwareId}`;
 		if (info?.message && status !== 'valid')
@@ -521,7 +743,35 @@ ipcMain.handle('license-activated', async () => {
 		licenseWindow.close();
 	}
 	// Proceed through site selector flow (same as after valid license)
+	if (await acquireFloatingLease()) {
+		await proceedAfterLicense({ status: LicenseStatus.VALID, message: '' });
+		startLicenseRevalidation();
+	}
+	return { success: true };
+});
+
+// Floating license: status of the last failed checkout
+ipcMain.handle('get-lease-status', async () => {
+	return leaseStatus;
+});
+
+// Floating license: retry checkout from the "no seats" screen
+ipcMain.handle('retry-lease', async () => {
+	const lease = await licenseManager.checkoutLease();
+	if (!lease.success) {
+		leaseStatus = lease;
+		return lease;
+	}
+
+	leaseStatus = null;
+	startFloatingLeaseHeartbeat();
+
+	// Open the app before closing this window so 'closed' does not quit
 	await proceedAfterLicense({ status: LicenseStatus.VALID, message: '' });
+	startLicenseRevalidation();
+	if (noSeatsWindow) {
+		noSeatsWindow.close();
+	}
 	return { success: true };
 });
 
@@ -845,7 +1095,17 @@ ipcMain.handle('force-resource-cleanup', async () => {
 // App Lifecycle
 // ============================================================
 
-app.on('before-quit', () => {
+app.on('before-quit', event => {
+	licenseManager.stopRevalidation();
+
+	// Give the floating license seat back before quitting
+	if (licenseManager.hasLease() && !leaseReleased) {
+		event.preventDefault();
+		leaseReleased = true;
+		licenseManager.releaseLease().finally(() => app.quit());
+		return;
+	}
+
 	if (mainWindow) {
 		mainWindow.removeAllListeners();
 	}
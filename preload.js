@@ -14,12 +14,29 @@ contextBridge.exposeInMainWorld('electron', {
 	activateLicense: licenseKey =>
 		ipcRenderer.invoke('activate-license', licenseKey),
 
+	// Offline activation (request/response files)
+	exportActivationRequest: licenseKey =>
+		ipcRenderer.invoke('export-activation-request', licenseKey),
+	importActivationResponse: () =>
+		ipcRenderer.invoke('import-activation-response'),
+
+	// Floating license: retry lease checkout from the "no seats" screen
+	retryLease: () => ipcRenderer.invoke('retry-lease'),
+	getLeaseStatus: () => ipcRenderer.invoke('get-lease-status'),
+
 	// Get license information (includes hardware ID)
 	getLicenseInfo: () => ipcRenderer.invoke('get-license-info'),
 
 	// Get license warning (for offline warnings)
 	getLicenseWarning: () => ipcRenderer.invoke('get-license-warning'),
 
+	// Listen for license warnings pushed by main (offline / renewal reminders)
+	onLicenseWarning: callback => {
+		const listener = (event, warning) => callback(warning);
+		ipcRenderer.on('license-warning', listener);
+		return () => ipcRenderer.removeListener('license-warning', listener);
+	},
+
 	// Notify main process that license was activated
 	licenseActivated: () => ipcRenderer.invoke('license-activated'),
 
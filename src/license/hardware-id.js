@@ -2,8 +2,9 @@
  * Hardware ID Module
  * Generates a unique, persistent hardware fingerprint for license binding.
  * 
- * Uses multiple hardware identifiers to create a stable ID that persists
- * across reboots and minor hardware changes.
+ * The hardware ID combines several hardware identifiers. Each identifier is
+ * also hashed on its own (components) so the license server can still
+ * recognise the device when one of them changes (renamed PC, added RAM).
  * 
  * @module license/hardware-id
  */
@@ -21,7 +22,9 @@ const CONFIG = {
     // Hash algorithm
     ALGORITHM: 'sha256',
     // Output length (characters)
-    OUTPUT_LENGTH: 32
+    OUTPUT_LENGTH: 32,
+    // Output length per component hash (characters)
+    COMPONENT_LENGTH: 16
 };
 
 /**
@@ -120,6 +123,48 @@ function generateHardwareId() {
     return hash.substring(0, CONFIG.OUTPUT_LENGTH).toUpperCase();
 }
 
+/**
+ * Hash one hardware component
+ * 
+ * @param {string} name - Component name (part of the hash input)
+ * @param {string} value - Raw identifier
+ * @returns {string|null} Component hash or null if the identifier is unavailable
+ */
+function hashComponent(name, value) {
+    if (!value) return null;
+    
+    return crypto
+        .createHash(CONFIG.ALGORITHM)
+        .update(`${name}|${value}|${CONFIG.SALT}`)
+        .digest('hex')
+        .substring(0, CONFIG.COMPONENT_LENGTH)
+        .toUpperCase();
+}
+
+/**
+ * Generate the per-component fingerprint sent to the license server
+ * 
+ * @returns {Object} { machineId, cpu, hostname, memory } (unavailable components omitted)
+ */
+function generateHardwareComponents() {
+    const raw = {
+        machineId: getMachineId(),
+        cpu: getCpuId(),
+        hostname: getHostname(),
+        memory: getTotalMemory()
+    };
+    
+    const components = {};
+    for (const [name, value] of Object.entries(raw)) {
+        const hash = hashComponent(name, value);
+        if (hash) {
+            components[name] = hash;
+        }
+    }
+    
+    return components;
+}
+
 /**
  * Get the hardware ID (cached for performance)
  * 
@@ -134,12 +179,38 @@ function getHardwareId() {
     return cachedHardwareId;
 }
 
+/**
+ * Get the per-component fingerprint (cached for performance)
+ * 
+ * @returns {Object} Component hashes
+ */
+let cachedComponents = null;
+
+function getHardwareComponents() {
+    if (cachedComponents === null) {
+        cachedComponents = generateHardwareComponents();
+    }
+    return cachedComponents;
+}
+
+/**
+ * Get an identifier that survives component changes, for keys derived
+ * from the device (local storage encryption). Falls back to the full
+ * hardware ID when the machine ID is unavailable.
+ * 
+ * @returns {string} Stable device identifier
+ */
+function getStableDeviceId() {
+    return getHardwareComponents().machineId || getHardwareId();
+}
+
 /**
  * Clear the cached hardware ID
  * Useful for testing or if hardware changes are detected
  */
 function clearCache() {
     cachedHardwareId = null;
+    cachedComponents = null;
 }
 
 /**
@@ -154,6 +225,7 @@ function getHardwareDetails() {
         cpu: getCpuId(),
         hostname: getHostname(),
         memoryGB: getTotalMemory(),
+        components: getHardwareComponents(),
         platform: os.platform(),
         arch: os.arch()
     };
@@ -161,6 +233,8 @@ function getHardwareDetails() {
 
 module.exports = {
     getHardwareId,
+    getHardwareComponents,
+    getStableDeviceId,
     getHardwareDetails,
     clearCache,
     // Export for testing
@@ -169,6 +243,8 @@ module.exports = {
         getCpuId,
         getHostname,
         getTotalMemory,
-        generateHardwareId
+        hashComponent,
+        generateHardwareId,
+        generateHardwareComponents
     }
 };
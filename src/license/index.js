@@ -4,7 +4,7 @@
  */
 
 const { licenseManager, LicenseManager, LicenseStatus, CONFIG: MANAGER_CONFIG } = require('./license-manager');
-const { getHardwareId, getHardwareDetails } = require('./hardware-id');
+const { getHardwareId, getHardwareComponents, getHardwareDetails } = require('./hardware-id');
 const { validateLicenseKey } = require('./license-crypto');
 const { licenseStorage } = require('./license-storage');
 const serverClient = require('./license-server-client');
@@ -22,6 +22,7 @@ module.exports = {
     
     // Hardware utilities
     getHardwareId,
+    getHardwareComponents,
     getHardwareDetails,
     
     // Crypto utilities
@@ -2,13 +2,15 @@
  * License Manager Module (Post-binding)
  * 
  * Main entry point for license validation and management.
- * Validation is now primarily server-based.
+ * Validation is now primarily server-based. When the server is unreachable,
+ * the signed license token from the last successful check decides whether
+ * the app may run offline.
  * 
  * @module license/license-manager
  */
 
-const { getHardwareId, getHardwareDetails } = require('./hardware-id');
-const { validateLicenseKey } = require('./license-crypto');
+const { getHardwareId, getHardwareComponents, getHardwareDetails } = require('./hardware-id');
+const { validateLicenseKey, verifyLicenseToken, CONFIG: CRYPTO_CONFIG } = require('./license-crypto');
 const { licenseStorage } = require('./license-storage');
 const serverClient = require('./license-server-client');
 
@@ -18,7 +20,11 @@ const serverClient = require('./license-server-client');
 
 const CONFIG = {
     SERVER_URL: 'http://127.0.0.1:3000',
-    OFFLINE_TOLERANCE_HOURS: 24
+    OFFLINE_TOLERANCE_HOURS: 24,
+    // Interval revalidasi di background (cek revoke dari admin)
+    REVALIDATION_INTERVAL_MINUTES: 30,
+    // Mulai ingatkan perpanjangan N hari sebelum lisensi berakhir
+    EXPIRY_WARNING_DAYS: 14
 };
 
 // ============================================================================
@@ -28,6 +34,7 @@ const CONFIG = {
 const LicenseStatus = {
     VALID: 'valid',
     REVOKED: 'revoked',
+    EXPIRED: 'expired',
     INVALID_KEY: 'invalid_key',
     KEY_ALREADY_USED: 'key_already_used',
     NOT_ACTIVATED: 'not_activated',
@@ -36,6 +43,14 @@ const LicenseStatus = {
     SERVER_ERROR: 'server_error'
 };
 
+function formatDate(isoString) {
+    return new Date(isoString).toLocaleDateString('id-ID', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
 // ============================================================================
 // License Manager Class
 // ============================================================================
@@ -45,6 +60,10 @@ class LicenseManager {
         this.initialized = false;
         this.currentStatus = null;
         this.licenseData = null;
+        this.revalidationTimer = null;
+        this.licenseType = null;
+        this.lease = null;
+        this.leaseTimer = null;
     }
     
     initialize(serverUrl = null) {
@@ -107,47 +126,217 @@ class LicenseManager {
         this.licenseData = localData;
         result.license = localData;
         
-        // ── LICENSE LOKAL ADA → LANGSUNG VALID, TIDAK PERLU CEK SERVER ──
-        // Server hanya dihubungi saat aktivasi pertama kali.
-        // Setelah aktivasi berhasil, aplikasi bisa dibuka langsung tanpa internet.
+        // ── LICENSE LOKAL ADA → VERIFIKASI KE SERVER ──
+        // Kalau server tidak bisa dihubungi, pakai cache validasi terakhir
+        // selama masih dalam batas offline tolerance.
+        let serverResult = await serverClient.validateLicense(result.hardwareId, localData.productCode, getHardwareComponents());
+        
+        // Hardware ID berubah: minta server memindahkan binding (perlu license key)
+        if (!serverResult.offline && !serverResult.activated && await this.rebindDevice(localData, result.hardwareId)) {
+            serverResult = await serverClient.validateLicense(result.hardwareId, localData.productCode, getHardwareComponents());
+        }
+        
+        if (serverResult.offline) {
+            this.handleOfflineValidation(result);
+        } else {
+            this.handleServerValidation(result, serverResult);
+        }
+        
+        this.currentStatus = result.status;
+        return result;
+    }
+    
+    /**
+     * Ask the server to move this license to the current hardware ID
+     * 
+     * @param {Object} localData - Stored license data
+     * @param {string} hardwareId - Current hardware ID
+     * @returns {Promise<boolean>} Whether the binding was moved
+     */
+    async rebindDevice(localData, hardwareId) {
+        if (!localData.licenseKey || localData.hardwareId === hardwareId) return false;
+        
+        const rebind = await serverClient.rebindLicense(localData.licenseKey, hardwareId, getHardwareComponents());
+        return rebind.success === true;
+    }
+    
+    handleServerValidation(result, serverResult) {
+        licenseStorage.saveServerCache(serverResult);
+        licenseStorage.saveLicenseToken(serverResult.token);
+        result.online = true;
+        result.licenseType = serverResult.licenseType;
+        this.licenseType = serverResult.licenseType;
+        
+        // Server memindahkan binding setelah sebagian komponen hardware berubah
+        const boundHardwareId = serverResult.license?.hardwareId;
+        if (boundHardwareId && this.licenseData && boundHardwareId !== this.licenseData.hardwareId) {
+            licenseStorage.updateBoundHardwareId(boundHardwareId);
+            this.licenseData.hardwareId = boundHardwareId;
+            console.log('[License] Hardware binding updated by server');
+        }
+        
+        if (serverResult.revoked) {
+            result.status = LicenseStatus.REVOKED;
+            result.message = serverResult.revokedReason || 'Lisensi telah dinonaktifkan.';
+            console.log('[License] License revoked by server');
+            return result;
+        }
+        
+        if (serverResult.expired) {
+            this.applyExpiry(result, serverResult.expiresAt);
+            result.status = LicenseStatus.EXPIRED;
+            result.message = `Masa berlaku lisensi berakhir pada ${formatDate(serverResult.expiresAt)}. Hubungi administrator untuk perpanjangan.`;
+            return result;
+        }
+        
+        if (!serverResult.activated) {
+            // Token lama tidak boleh lagi membuka aplikasi saat offline
+            licenseStorage.clearLicenseToken();
+            result.status = LicenseStatus.NOT_ACTIVATED;
+            result.message = 'Lisensi tidak ditemukan di server. Silakan aktivasi ulang.';
+            return result;
+        }
+        
+        this.applyExpiry(result, serverResult.expiresAt);
         result.status = LicenseStatus.VALID;
         result.message = 'Lisensi aktif.';
-        result.online = false;
-        console.log('[License] License found locally — app starting without server check.');
         return result;
     }
     
     handleOfflineValidation(result) {
-        // Kept for compatibility but no longer called during normal startup.
-        const offlineStatus = licenseStorage.checkOfflineStatus(CONFIG.OFFLINE_TOLERANCE_HOURS);
         const cache = licenseStorage.loadServerCache();
         
         result.online = false;
-        result.offlineHours = offlineStatus.hoursOffline;
         
-        if (!offlineStatus.hasCache) {
+        if (cache?.revoked) {
+            result.status = LicenseStatus.REVOKED;
+            result.message = cache.revokedReason || 'Lisensi telah dinonaktifkan.';
+            return result;
+        }
+        
+        // Offline hanya diizinkan dengan token yang ditandatangani server
+        const tokenCheck = this.verifyStoredToken(result.hardwareId);
+        if (!tokenCheck.valid) {
             result.status = LicenseStatus.OFFLINE_EXPIRED;
-            result.message = 'Hubungkan ke server untuk verifikasi pertama.';
+            result.message = tokenCheck.error;
             return result;
         }
         
-        if (cache?.revoked) {
-            result.status = LicenseStatus.REVOKED;
-            result.message = cache.revokedReason || 'Lisensi telah dinonaktifkan.';
+        const { issuedAt, expiresAt, licenseExpiresAt, offlineToleranceHours, activationMode, licenseType } = tokenCheck.payload;
+        
+        // Lease floating hanya bisa diberikan server (batas pemakaian bersamaan)
+        if (licenseType === 'floating') {
+            result.status = LicenseStatus.OFFLINE_EXPIRED;
+            result.message = 'Lisensi floating memerlukan koneksi ke server lisensi.';
+            return result;
+        }
+        
+        this.applyExpiry(result, licenseExpiresAt);
+        result.offlineActivation = activationMode === 'offline';
+        
+        if (result.daysUntilExpiry !== null && result.daysUntilExpiry < 0) {
+            result.status = LicenseStatus.EXPIRED;
+            result.message = `Masa berlaku lisensi berakhir pada ${formatDate(licenseExpiresAt)}. Hubungi administrator untuk perpanjangan.`;
             return result;
         }
         
-        if (offlineStatus.expired) {
+        result.offlineHours = Math.floor((Date.now() - new Date(issuedAt).getTime()) / (60 * 60 * 1000));
+        
+        if (Date.now() > new Date(expiresAt).getTime()) {
             result.status = LicenseStatus.OFFLINE_EXPIRED;
-            result.message = offlineStatus.message;
+            result.message = result.offlineActivation
+                ? 'Aktivasi offline sudah berakhir. Buat file request baru dan kirim ke administrator.'
+                : `Offline lebih dari ${offlineToleranceHours} jam. Hubungkan ke server.`;
+            return result;
+        }
+        
+        if (result.offlineActivation) {
+            result.status = LicenseStatus.OFFLINE_VALID;
+            result.message = `Aktivasi offline. Berlaku hingga ${formatDate(expiresAt)}`;
             return result;
         }
         
         result.status = LicenseStatus.OFFLINE_VALID;
-        result.message = `Mode offline. ${offlineStatus.message}`;
+        result.message = `Mode offline. Terakhir diverifikasi ${result.offlineHours} jam yang lalu`;
         return result;
     }
     
+    /**
+     * Attach expiry info to a validation result
+     * 
+     * @param {Object} result - Validation result to update
+     * @param {string|null} expiresAt - License expiry (ISO) or null if perpetual
+     */
+    applyExpiry(result, expiresAt) {
+        result.expiresAt = expiresAt || null;
+        result.daysUntilExpiry = expiresAt
+            ? Math.floor((new Date(expiresAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000))
+            : null;
+        return result;
+    }
+    
+    /**
+     * Verify the stored license token belongs to this device and product
+     * 
+     * @param {string} hardwareId - Current hardware ID
+     * @returns {Object} { valid, payload, error }
+     */
+    verifyStoredToken(hardwareId) {
+        const token = licenseStorage.loadLicenseToken();
+        if (!token) {
+            return { valid: false, payload: null, error: 'Hubungkan ke server untuk verifikasi pertama.' };
+        }
+        
+        return this.verifyTokenForDevice(token, hardwareId);
+    }
+    
+    /**
+     * Verify a license token's signature, device and product
+     * 
+     * @param {string} token - Signed token from the server
+     * @param {string} hardwareId - Current hardware ID
+     * @returns {Object} { valid, payload, error }
+     */
+    verifyTokenForDevice(token, hardwareId) {
+        const verification = verifyLicenseToken(token);
+        if (!verification.valid) {
+            return verification;
+        }
+        
+        if (!this.tokenMatchesDevice(verification.payload, hardwareId)) {
+            return { valid: false, payload: null, error: 'Token lisensi bukan untuk perangkat ini.' };
+        }
+        
+        if (verification.payload.productCode !== CRYPTO_CONFIG.PRODUCT_CODE) {
+            return { valid: false, payload: null, error: 'Token lisensi bukan untuk aplikasi ini.' };
+        }
+        
+        return verification;
+    }
+    
+    /**
+     * Whether a token was issued for this device: the hardware ID matches,
+     * or the components still match by the rule the server put in the token
+     * (payload.hardwareMatch: components, required, threshold).
+     * 
+     * @param {Object} payload - Verified token payload
+     * @param {string} hardwareId - Current hardware ID
+     * @returns {boolean}
+     */
+    tokenMatchesDevice(payload, hardwareId) {
+        if (payload.hardwareId === hardwareId) return true;
+        
+        const rule = payload.hardwareMatch;
+        const stored = payload.hardwareComponents;
+        if (!stored || !rule) return false;
+        
+        const current = getHardwareComponents();
+        const isSame = name => Boolean(stored[name]) && stored[name] === current[name];
+        
+        return rule.required.every(isSame)
+            && rule.components.filter(isSame).length >= rule.threshold;
+    }
+    
     // ========================================================================
     // License Activation (Post-binding)
     // ========================================================================
@@ -174,7 +363,8 @@ class LicenseManager {
             const serverResult = await serverClient.activateLicense(
                 licenseKey,
                 currentHwId,
-                this.getDeviceName()
+                this.getDeviceName(),
+                getHardwareComponents()
             );
             
             if (!serverResult.success) {
@@ -186,15 +376,19 @@ class LicenseManager {
             licenseStorage.saveLicenseData({
                 licenseKey: licenseKey.toUpperCase(),
                 hardwareId: currentHwId,
-                productCode: keyValidation.productCode
+                productCode: keyValidation.productCode,
+                expiresAt: serverResult.license?.expiresAt || null
             });
             
             licenseStorage.saveServerCache({
                 valid: true,
                 revoked: false,
+                expiresAt: serverResult.license?.expiresAt || null,
                 serverTime: new Date().toISOString(),
                 offlineToleranceHours: CONFIG.OFFLINE_TOLERANCE_HOURS
             });
+            licenseStorage.saveLicenseToken(serverResult.token);
+            this.licenseType = serverResult.license?.licenseType || 'node_locked';
             
             result.success = true;
             result.message = 'Lisensi berhasil diaktifkan!';
@@ -209,10 +403,90 @@ class LicenseManager {
         }
     }
     
+    // ========================================================================
+    // Offline (Air-gapped) Activation
+    // ========================================================================
+    
+    /**
+     * Build the activation request file for sites without access to the
+     * license server. An admin turns it into a response file in the panel.
+     * 
+     * @param {string} licenseKey - Key entered in the license dialog
+     * @returns {Object} { success, message, request }
+     */
+    createActivationRequest(licenseKey) {
+        this.ensureInitialized();
+        
+        const keyValidation = validateLicenseKey(licenseKey);
+        if (!keyValidation.valid) {
+            return { success: false, message: keyValidation.error };
+        }
+        
+        return {
+            success: true,
+            request: {
+                type: 'license-activation-request',
+                version: 1,
+                licenseKey: licenseKey.toUpperCase(),
+                hardwareId: getHardwareId(),
+                components: getHardwareComponents(),
+                deviceName: this.getDeviceName(),
+                productCode: keyValidation.productCode,
+                createdAt: new Date().toISOString()
+            }
+        };
+    }
+    
+    /**
+     * Complete activation from a response file signed by the license server
+     * 
+     * @param {Object} response - Parsed response file
+     * @returns {Object} { success, message }
+     */
+    activateFromResponse(response) {
+        this.ensureInitialized();
+        
+        if (!response || response.type !== 'license-activation-response' || !response.token) {
+            return { success: false, message: 'File response aktivasi tidak valid.' };
+        }
+        
+        const currentHwId = getHardwareId();
+        const tokenCheck = this.verifyTokenForDevice(response.token, currentHwId);
+        if (!tokenCheck.valid) {
+            return { success: false, message: tokenCheck.error };
+        }
+        
+        const { licenseKey, licenseExpiresAt, expiresAt } = tokenCheck.payload;
+        if (Date.now() > new Date(expiresAt).getTime()) {
+            return { success: false, message: 'File response sudah kedaluwarsa. Minta response baru ke administrator.' };
+        }
+        
+        licenseStorage.saveLicenseData({
+            licenseKey,
+            hardwareId: currentHwId,
+            productCode: tokenCheck.payload.productCode,
+            expiresAt: licenseExpiresAt || null,
+            activationMode: 'offline'
+        });
+        
+        licenseStorage.saveServerCache({
+            valid: true,
+            revoked: false,
+            expiresAt: licenseExpiresAt || null,
+            serverTime: tokenCheck.payload.issuedAt,
+            offlineToleranceHours: tokenCheck.payload.offlineToleranceHours
+        });
+        licenseStorage.saveLicenseToken(response.token);
+        
+        console.log('[License] Activated offline:', currentHwId.substring(0, 8) + '...');
+        return { success: true, message: 'Lisensi berhasil diaktifkan (offline)!' };
+    }
+    
     deactivateLicense() {
         this.ensureInitialized();
         
         try {
+            this.stopRevalidation();
             licenseStorage.clearLicenseData();
             this.licenseData = null;
             this.currentStatus = LicenseStatus.NOT_ACTIVATED;
@@ -224,6 +498,191 @@ class LicenseManager {
         }
     }
     
+    /**
+     * Release this device's license on the server so the same key can be
+     * activated on another machine. Local license data is cleared on success.
+     * 
+     * @param {string} [reason] - Optional note stored in the transfer history
+     */
+    async transferLicense(reason = null) {
+        this.ensureInitialized();
+        
+        if (!licenseStorage.hasLicense()) {
+            return { success: false, message: 'Tidak ada lisensi aktif di perangkat ini.' };
+        }
+        
+        // Refresh token dulu; token lama bisa sudah kedaluwarsa
+        const validation = await this.validateLicense();
+        if (validation.status === LicenseStatus.OFFLINE_VALID || validation.status === LicenseStatus.OFFLINE_EXPIRED) {
+            return { success: false, message: 'Transfer lisensi memerlukan koneksi ke server lisensi.' };
+        }
+        
+        const serverResult = await serverClient.transferLicense(
+            licenseStorage.loadLicenseToken(),
+            this.licenseData?.licenseKey,
+            reason
+        );
+        if (!serverResult.success) {
+            return { success: false, message: serverResult.message || 'Transfer lisensi gagal.' };
+        }
+        
+        this.stopRevalidation();
+        licenseStorage.clearLicenseData();
+        this.licenseData = null;
+        this.currentStatus = LicenseStatus.NOT_ACTIVATED;
+        
+        console.log('[License] Transferred out, remaining transfers:', serverResult.transfersRemaining);
+        return serverResult;
+    }
+    
+    // ========================================================================
+    // Floating License Leases
+    // ========================================================================
+    
+    isFloating() {
+        return this.licenseType === 'floating';
+    }
+    
+    hasLease() {
+        return Boolean(this.lease);
+    }
+    
+    /**
+     * Check out a concurrent-use lease (floating licenses only)
+     * 
+     * @returns {Object} { success, noSeats, message, seatCount, leasesInUse, retryAfterSeconds }
+     */
+    async checkoutLease() {
+        this.ensureInitialized();
+        
+        const result = await serverClient.checkoutLease(licenseStorage.loadLicenseToken());
+        
+        if (!result.success) {
+            return {
+                success: false,
+                noSeats: result.code === 'NO_SEATS_AVAILABLE',
+                message: result.offline ? 'Tidak dapat terhubung ke server lisensi.' : result.message,
+                seatCount: result.seatCount,
+                leasesInUse: result.leasesInUse,
+                retryAfterSeconds: result.retryAfterSeconds
+            };
+        }
+        
+        this.lease = {
+            leaseId: result.leaseId,
+            heartbeatIntervalSeconds: result.heartbeatIntervalSeconds
+        };
+        
+        console.log('[License] Lease checked out, heartbeat every', result.heartbeatIntervalSeconds, 'seconds');
+        return { success: true };
+    }
+    
+    /**
+     * Keep the lease alive with heartbeats. If the server reclaimed it
+     * (e.g. after a network outage) a new checkout is attempted.
+     * 
+     * @param {Function} onLost - Called with the failed checkout result
+     *        when the lease is gone and no seat is available anymore
+     */
+    startLeaseHeartbeat(onLost) {
+        this.stopLeaseHeartbeat();
+        if (!this.lease) return;
+        
+        const intervalMs = this.lease.heartbeatIntervalSeconds * 1000;
+        
+        this.leaseTimer = setInterval(async () => {
+            const result = await serverClient.heartbeatLease(this.lease.leaseId);
+            
+            // Offline: coba lagi di heartbeat berikutnya
+            if (result.success || result.offline || result.code !== 'LEASE_EXPIRED') {
+                return;
+            }
+            
+            console.log('[License] Lease reclaimed by server, checking out again');
+            const checkout = await this.checkoutLease();
+            if (checkout.success) return;
+            
+            this.stopLeaseHeartbeat();
+            this.lease = null;
+            if (onLost) {
+                onLost(checkout);
+            }
+        }, intervalMs);
+    }
+    
+    stopLeaseHeartbeat() {
+        if (this.leaseTimer) {
+            clearInterval(this.leaseTimer);
+            this.leaseTimer = null;
+        }
+    }
+    
+    /**
+     * Give the seat back (app quit)
+     */
+    async releaseLease() {
+        this.stopLeaseHeartbeat();
+        if (!this.lease) return;
+        
+        const { leaseId } = this.lease;
+        this.lease = null;
+        
+        await serverClient.releaseLease(leaseId);
+        console.log('[License] Lease released');
+    }
+    
+    // ========================================================================
+    // Background Revalidation
+    // ========================================================================
+    
+    /**
+     * Start periodic server revalidation.
+     * 
+     * @param {Function} onStatusChange - Called with the validation result
+     *        on the first check and whenever the status differs from the last
+     *        one reported here (other callers of validateLicense() do not count)
+     * @param {Function} [onWarning] - Called with a warning (offline / expiry)
+     *        after every check that produces one
+     */
+    startRevalidation(onStatusChange, onWarning) {
+        this.stopRevalidation();
+        
+        const intervalMs = CONFIG.REVALIDATION_INTERVAL_MINUTES * 60 * 1000;
+        
+        // Status terakhir yang dilaporkan timer ini (null: cek pertama selalu dilaporkan).
+        // Bukan currentStatus: getWarning() / getLicenseInfo() juga mengubahnya, sehingga
+        // revoke yang mereka lihat duluan tidak pernah sampai ke onStatusChange
+        let reportedStatus = null;
+        
+        this.revalidationTimer = setInterval(async () => {
+            try {
+                const validation = await this.validateLicense();
+                console.log('[License] Revalidation status:', validation.status);
+                
+                if (validation.status !== reportedStatus && onStatusChange) {
+                    onStatusChange(validation);
+                }
+                reportedStatus = validation.status;
+                
+                const warning = this.buildWarning(validation);
+                if (warning && onWarning) {
+                    onWarning(warning);
+                }
+            } catch (error) {
+                console.error('[License] Revalidation error:', error);
+            }
+        }, intervalMs);
+        
+        console.log(`[License] Revalidation every ${CONFIG.REVALIDATION_INTERVAL_MINUTES} minutes`);
+    }
+    
+    stopRevalidation() {
+        if (this.revalidationTimer) {
+            clearInterval(this.revalidationTimer);
+            this.revalidationTimer = null;
+        }
+    }
+    
     // ========================================================================
     // Status Helpers
     // ========================================================================
@@ -281,20 +740,48 @@ class LicenseManager {
     async getWarning() {
         try {
             const validation = await this.validateLicense();
-            
-            if (validation.status === LicenseStatus.OFFLINE_VALID) {
-                return {
-                    type: 'offline',
-                    message: validation.message,
-                    severity: 'warning'
-                };
-            }
+            return this.buildWarning(validation);
         } catch (error) {
             console.error('[License] getWarning error:', error);
         }
         
         return null;
     }
+    
+    /**
+     * Build the warning (if any) for a validation result.
+     * Expiry reminders take priority over the offline notice.
+     * 
+     * @param {Object} validation - Result from validateLicense()
+     * @returns {Object|null} { type, message, severity }
+     */
+    buildWarning(validation) {
+        const usable = [LicenseStatus.VALID, LicenseStatus.OFFLINE_VALID].includes(validation.status);
+        const days = validation.daysUntilExpiry;
+        
+        if (usable && days !== null && days !== undefined && days <= CONFIG.EXPIRY_WARNING_DAYS) {
+            return {
+                type: 'expiry',
+                message: days === 0
+                    ? 'Lisensi berakhir hari ini. Hubungi administrator untuk perpanjangan.'
+                    : `Lisensi akan berakhir dalam ${days} hari (${formatDate(validation.expiresAt)}). Hubungi administrator untuk perpanjangan.`,
+                severity: days <= 3 ? 'critical' : 'warning',
+                expiresAt: validation.expiresAt,
+                daysUntilExpiry: days
+            };
+        }
+        
+        // Aktivasi offline memang tidak pernah terhubung ke server
+        if (validation.status === LicenseStatus.OFFLINE_VALID && !validation.offlineActivation) {
+            return {
+                type: 'offline',
+                message: validation.message,
+                severity: 'warning'
+            };
+        }
+        
+        return null;
+    }
 }
 
 // ============================================================================
@@ -42,18 +42,20 @@ async function checkServerConnection() {
     }
 }
 
-async function activateLicense(licenseKey, hardwareId, deviceName = null) {
+async function activateLicense(licenseKey, hardwareId, deviceName = null, components = null) {
     try {
         const response = await makeRequest('POST', '/api/license/activate', {
             licenseKey,
             hardwareId,
-            deviceName
+            deviceName,
+            components
         });
         
         return {
             success: response.success,
             message: response.message,
-            license: response.license || null
+            license: response.license || null,
+            token: response.token || null
         };
     } catch (error) {
         return {
@@ -64,15 +66,34 @@ async function activateLicense(licenseKey, hardwareId, deviceName = null) {
     }
 }
 
-async function validateLicense(hardwareId) {
+/**
+ * Format hardware components for the validate query string
+ * ("machineId:AB12...,cpu:CD34...")
+ */
+function encodeComponents(components) {
+    return Object.entries(components)
+        .map(([name, hash]) => `${name}:${hash}`)
+        .join(',');
+}
+
+async function validateLicense(hardwareId, productCode = null, components = null) {
     try {
-        const response = await makeRequest('GET', `/api/license/validate/${hardwareId}`);
+        const params = new URLSearchParams();
+        if (productCode) params.set('productCode', productCode);
+        if (components) params.set('components', encodeComponents(components));
+        
+        const query = params.toString() ? `?${params.toString()}` : '';
+        const response = await makeRequest('GET', `/api/license/validate/${hardwareId}${query}`);
         return {
             valid: response.valid,
             activated: response.activated,
             revoked: response.revoked || false,
             revokedReason: response.reason || null,
+            expired: response.expired || false,
+            expiresAt: response.expiresAt || response.license?.expiresAt || null,
+            licenseType: response.license?.licenseType || 'node_locked',
             license: response.license || null,
+            token: response.token || null,
             offlineToleranceHours: response.offlineToleranceHours || config.offlineToleranceHours,
             serverTime: response.serverTime,
             checkedAt: new Date().toISOString()
@@ -86,6 +107,99 @@ async function validateLicense(hardwareId) {
     }
 }
 
+/**
+ * Move the binding to the current hardware ID after some hardware
+ * components changed (the server checks the remaining components)
+ */
+async function rebindLicense(licenseKey, hardwareId, components) {
+    try {
+        const response = await makeRequest('POST', '/api/license/rebind', {
+            licenseKey,
+            hardwareId,
+            components
+        });
+        
+        return {
+            success: response.success,
+            license: response.license || null
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: error.message || 'Gagal menghubungi server lisensi',
+            offline: error.code === 'OFFLINE'
+        };
+    }
+}
+
+async function transferLicense(token, licenseKey, reason = null) {
+    try {
+        const response = await makeRequest('POST', '/api/license/transfer', {
+            token,
+            licenseKey,
+            reason
+        });
+        
+        return {
+            success: response.success,
+            message: response.message,
+            transferCount: response.transferCount,
+            transferLimit: response.transferLimit,
+            transfersRemaining: response.transfersRemaining
+        };
+    } catch (error) {
+        return {
+            success: false,
+            message: error.message || 'Gagal menghubungi server lisensi',
+            offline: error.code === 'OFFLINE'
+        };
+    }
+}
+
+// ============================================================================
+// Floating License Leases
+// ============================================================================
+
+async function checkoutLease(token) {
+    try {
+        const response = await makeRequest('POST', '/api/license/lease/checkout', { token });
+        return { success: true, ...response };
+    } catch (error) {
+        return {
+            success: false,
+            code: error.response?.code || null,
+            message: error.message || 'Gagal menghubungi server lisensi',
+            seatCount: error.response?.seatCount,
+            leasesInUse: error.response?.leasesInUse,
+            retryAfterSeconds: error.response?.retryAfterSeconds,
+            offline: error.code === 'OFFLINE' || error.code === 'TIMEOUT'
+        };
+    }
+}
+
+async function heartbeatLease(leaseId) {
+    try {
+        const response = await makeRequest('POST', '/api/license/lease/heartbeat', { leaseId });
+        return { success: true, ...response };
+    } catch (error) {
+        return {
+            success: false,
+            code: error.response?.code || null,
+            message: error.message,
+            offline: error.code === 'OFFLINE' || error.code === 'TIMEOUT'
+        };
+    }
+}
+
+async function releaseLease(leaseId) {
+    try {
+        await makeRequest('POST', '/api/license/lease/release', { leaseId });
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
 // ============================================================================
 // HTTP Request Helper
 // ============================================================================
@@ -156,5 +270,10 @@ module.exports = {
     checkServerConnection,
     activateLicense,
     validateLicense,
+    rebindLicense,
+    transferLicense,
+    checkoutLease,
+    heartbeatLease,
+    releaseLease,
     getConfig: () => ({ ...config })
 };
@@ -10,7 +10,7 @@
 const ElectronStore = require('electron-store');
 const Store = ElectronStore.default || ElectronStore;
 
-const { getHardwareId } = require('./hardware-id');
+const { getHardwareId, getStableDeviceId } = require('./hardware-id');
 const { encrypt, decrypt } = require('./license-crypto');
 
 // ============================================================================
@@ -25,6 +25,7 @@ const CONFIG = {
     KEYS: {
         LICENSE_DATA: 'licenseData',
         SERVER_CACHE: 'serverCache',
+        LICENSE_TOKEN: 'licenseToken',
         LAST_SERVER_CHECK: 'lastServerCheck',
         BOUND_HARDWARE_ID: 'boundHardwareId'
     }
@@ -48,15 +49,15 @@ class LicenseStorage {
         if (this.initialized) return;
         
         try {
-            const hardwareId = getHardwareId();
-            this.encryptionPassword = hardwareId + CONFIG.ENCRYPTION_KEY_SUFFIX;
+            // Kunci enkripsi dari komponen yang stabil, bukan hardware ID gabungan,
+            // agar ganti hostname / RAM tidak membuat data lisensi tidak terbaca
+            this.encryptionPassword = getStableDeviceId() + CONFIG.ENCRYPTION_KEY_SUFFIX;
             
-            this.store = new Store({
-                name: CONFIG.STORE_NAME,
-                projectName: CONFIG.PROJECT_NAME,
-                encryptionKey: this.encryptionPassword,
-                clearInvalidConfig: true
-            });
+            try {
+                this.store = this.openStore(this.encryptionPassword, false);
+            } catch (error) {
+                this.store = this.migrateLegacyStore();
+            }
             
             this.initialized = true;
             console.log('[Storage] Initialized');
@@ -66,6 +67,51 @@ class LicenseStorage {
         }
     }
     
+    openStore(encryptionKey, clearInvalidConfig) {
+        return new Store({
+            name: CONFIG.STORE_NAME,
+            projectName: CONFIG.PROJECT_NAME,
+            encryptionKey,
+            clearInvalidConfig
+        });
+    }
+    
+    /**
+     * Re-encrypt a store written by older versions, which derived the key
+     * from the full hardware ID. Unreadable stores are cleared as before.
+     * 
+     * @returns {Store} Store encrypted with the current key
+     */
+    migrateLegacyStore() {
+        const legacyPassword = getHardwareId() + CONFIG.ENCRYPTION_KEY_SUFFIX;
+        let legacyData = null;
+        
+        if (legacyPassword !== this.encryptionPassword) {
+            try {
+                legacyData = this.openStore(legacyPassword, false).store;
+            } catch (error) {
+                console.warn('[Storage] Existing license store is unreadable, starting fresh');
+            }
+        }
+        
+        const store = this.openStore(this.encryptionPassword, true);
+        
+        if (legacyData) {
+            const licenseData = legacyData[CONFIG.KEYS.LICENSE_DATA]
+                ? decrypt(legacyData[CONFIG.KEYS.LICENSE_DATA], legacyPassword)
+                : null;
+            
+            if (licenseData) {
+                legacyData[CONFIG.KEYS.LICENSE_DATA] = encrypt(licenseData, this.encryptionPassword);
+            }
+            
+            store.store = legacyData;
+            console.log('[Storage] Migrated license store to component-based key');
+        }
+        
+        return store;
+    }
+    
     ensureInitialized() {
         if (!this.initialized) {
             this.initialize();
@@ -83,6 +129,7 @@ class LicenseStorage {
      * @param {string} data.licenseKey - The license key
      * @param {string} data.hardwareId - Bound hardware ID
      * @param {string} data.productCode - Product code from key
+     * @param {string} [data.expiresAt] - License expiry (ISO) or null if perpetual
      */
     saveLicenseData(data) {
         this.ensureInitialized();
@@ -91,6 +138,8 @@ class LicenseStorage {
             licenseKey: data.licenseKey,
             hardwareId: data.hardwareId,
             productCode: data.productCode || null,
+            expiresAt: data.expiresAt || null,
+            activationMode: data.activationMode || 'online',
             activatedAt: new Date().toISOString()
         };
         
@@ -102,6 +151,27 @@ class LicenseStorage {
         console.log('[Storage] License data saved');
     }
     
+    /**
+     * Follow the server after it moved the binding to a new hardware ID
+     * (some hardware components changed)
+     * 
+     * @param {string} hardwareId - Hardware ID the license is now bound to
+     */
+    updateBoundHardwareId(hardwareId) {
+        this.ensureInitialized();
+        
+        const encrypted = this.store.get(CONFIG.KEYS.LICENSE_DATA);
+        const decrypted = encrypted ? decrypt(encrypted, this.encryptionPassword) : null;
+        if (!decrypted) return;
+        
+        const record = { ...JSON.parse(decrypted), hardwareId };
+        
+        this.store.set(CONFIG.KEYS.LICENSE_DATA, encrypt(JSON.stringify(record), this.encryptionPassword));
+        this.store.set(CONFIG.KEYS.BOUND_HARDWARE_ID, hardwareId);
+        
+        console.log('[Storage] Bound hardware ID updated');
+    }
+    
     /**
      * Load license activation data
      * 
@@ -127,6 +197,7 @@ class LicenseStorage {
                 licenseKey: data.licenseKey,
                 hardwareId: data.hardwareId,
                 productCode: data.productCode,
+                expiresAt: data.expiresAt || null,
                 activatedAt: new Date(data.activatedAt)
             };
         } catch (error) {
@@ -167,6 +238,8 @@ class LicenseStorage {
             valid: serverResponse.valid,
             revoked: serverResponse.revoked || false,
             revokedReason: serverResponse.revokedReason || null,
+            expired: serverResponse.expired || false,
+            expiresAt: serverResponse.expiresAt || null,
             serverTime: serverResponse.serverTime || new Date().toISOString(),
             cachedAt: new Date().toISOString(),
             offlineToleranceHours: serverResponse.offlineToleranceHours || 24
@@ -237,6 +310,40 @@ class LicenseStorage {
         };
     }
     
+    // ========================================================================
+    // Signed License Token
+    // ========================================================================
+    
+    /**
+     * Save the signed license token from the server
+     * 
+     * @param {string} token - Token issued on activation/validation
+     */
+    saveLicenseToken(token) {
+        this.ensureInitialized();
+        
+        if (!token) return;
+        this.store.set(CONFIG.KEYS.LICENSE_TOKEN, token);
+    }
+    
+    /**
+     * Load the last signed license token
+     * 
+     * @returns {string|null} Token or null
+     */
+    loadLicenseToken() {
+        this.ensureInitialized();
+        return this.store.get(CONFIG.KEYS.LICENSE_TOKEN, null);
+    }
+    
+    /**
+     * Remove the signed license token (server no longer knows this license)
+     */
+    clearLicenseToken() {
+        this.ensureInitialized();
+        this.store.delete(CONFIG.KEYS.LICENSE_TOKEN);
+    }
+    
     // ========================================================================
     // Clear Operations
     // ========================================================================
@@ -249,6 +356,7 @@ class LicenseStorage {
         
         this.store.delete(CONFIG.KEYS.LICENSE_DATA);
         this.store.delete(CONFIG.KEYS.BOUND_HARDWARE_ID);
+        this.store.delete(CONFIG.KEYS.LICENSE_TOKEN);
         
         console.log('[Storage] License data cleared');
     }
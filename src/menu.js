@@ -47,8 +47,16 @@ async function getLicenseDetails(appName, licenseManager) {
         const productCode = info?.license?.productCode || info?.productCode || '-';
         const hardwareId = info?.hardwareId || '-';
 
+        let expiry = 'Tanpa batas';
+        if (info?.expiresAt) {
+            const days = info.daysUntilExpiry;
+            expiry = new Date(info.expiresAt).toLocaleDateString('id-ID')
+                + (days >= 0 ? ` (${days} hari lagi)` : ' (sudah berakhir)');
+        }
+
         let details = `Status  : ${statusIcon} ${statusText}\n`;
         details += `Produk  : ${productCode}\n`;
+        details += `Berlaku : ${expiry}\n`;
         details += `\nLicense Key:\n${licenseKey}\n`;
         details += `\nHardware ID:\n${hardwareId}`;
 
@@ -103,6 +111,49 @@ function showAboutDialog(mainWindow, opts) {
     });
 }
 
+// ============================================================================
+// Helper: Transfer License (pindah ke perangkat lain)
+// ============================================================================
+
+async function transferLicense(mainWindow, licenseManager) {
+    const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        title: 'Transfer Lisensi',
+        message: 'Pindahkan lisensi ke perangkat lain?',
+        detail: 'Lisensi akan dilepas dari perangkat ini dan aplikasi akan ditutup. ' +
+            'Setelah itu license key yang sama dapat diaktifkan di perangkat baru.\n\n' +
+            'Jumlah transfer per license key dibatasi.',
+        buttons: ['Transfer', 'Batal'],
+        defaultId: 1,
+        cancelId: 1
+    });
+
+    if (response !== 0) return;
+
+    const result = await licenseManager.transferLicense('Self-service transfer');
+
+    if (!result.success) {
+        dialog.showMessageBox(mainWindow, {
+            type: 'error',
+            title: 'Transfer Lisensi',
+            message: 'Transfer lisensi gagal',
+            detail: result.message,
+            buttons: ['OK']
+        });
+        return;
+    }
+
+    await dialog.showMessageBox(mainWindow, {
+        type: 'info',
+        title: 'Transfer Lisensi',
+        message: 'Lisensi berhasil dilepas dari perangkat ini',
+        detail: `${result.message}\n\nSisa transfer untuk key ini: ${result.transfersRemaining}`,
+        buttons: ['OK']
+    });
+
+    app.quit();
+}
+
 // ============================================================================
 // Menu Template
 // ============================================================================
@@ -202,6 +253,10 @@ exports.createTemplate = (name, mainWindow) => {
                         });
                     },
                 },
+                {
+                    label: 'Transfer License...',
+                    click: () => transferLicense(mainWindow, licenseManager),
+                },
                 { type: 'separator' },
                 {
                     label: 'About EyeSee',
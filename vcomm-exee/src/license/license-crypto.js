@@ -3,12 +3,18 @@
  * 
  * License Key Format: XXXX-XXXX-XXXX-XXXX (4 segments)
  * 
- * | Segment | Content                    |
- * |---------|----------------------------|
- * | 1       | Random (2) + Product (2)   |
- * | 2       | Product (2) + Random (2)   |
- * | 3       | Random (4 - uniqueness)    |
- * | 4       | Checksum                   |
+ * | Segment | Content                         |
+ * |---------|---------------------------------|
+ * | 1       | Random (2) + Product (2)        |
+ * | 2       | Product (2) + Random (2)        |
+ * | 3       | Secret version (1) + Random (3) |
+ * | 4       | Checksum                        |
+ * 
+ * The checksum uses the secret generation named by the version char
+ * (CONFIG.KEY_SECRETS). Keys from before versioning have 4 random chars
+ * in segment 3 and are checked against generation 1. A key that fails
+ * every known generation but names one newer than this build knows is
+ * NOT rejected here: it is left to the server (see validateLicenseKey).
  * 
  * NOTE: Hardware ID is NOT embedded in key.
  * Binding happens on server during first activation.
@@ -31,8 +37,15 @@ const CONFIG = {
     SEGMENT_LENGTH: 4,
     CHARSET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
     
-    // Must match server-side
+    // Must match server-side (secret generasi 1; juga salt enkripsi lokal)
     SECRET_KEY: 'vcomm-license-secret-key-2024-v2',
+    
+    // Secret checksum per generasi (Rotate Secret di admin panel license server).
+    // Tambahkan generasi baru di sini sebelum diaktifkan; hapus generasi yang sudah di-retire.
+    KEY_SECRETS: {
+        1: 'vcomm-license-secret-key-2024-v2'
+    },
+    VERSION_CHARS: '123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ',
     PRODUCT_CODE: 'VC01'
 };
 
@@ -110,9 +123,9 @@ function encodeBase36(num, length) {
     return result.substring(0, length);
 }
 
-function generateChecksum(data) {
+function generateChecksum(data, secretKey = CONFIG.SECRET_KEY) {
     const hash = crypto
-        .createHmac('sha256', CONFIG.SECRET_KEY)
+        .createHmac('sha256', secretKey)
         .update(data)
         .digest('hex');
     
@@ -126,6 +139,12 @@ function generateChecksum(data) {
  * NOTE: This only validates format. 
  * Server validation is required to check if key exists and is valid.
  * 
+ * The checksum is NOT verified for keys whose version char is newer than
+ * CONFIG.KEY_SECRETS (checksumVerified: false). Legacy keys have a random
+ * char there, so a mistyped key can pass: every caller must send the key
+ * to the server (online activation, or the offline request file the
+ * server processes) and never grant a license from this result alone.
+ * 
  * @param {string} licenseKey - License key to validate
  * @returns {Object} Validation result
  */
@@ -133,6 +152,7 @@ function validateLicenseKey(licenseKey) {
     const result = {
         valid: false,
         productCode: null,
+        checksumVerified: false,
         error: null
     };
     
@@ -171,17 +191,25 @@ function validateLicenseKey(licenseKey) {
         return result;
     }
     
-    // Verify checksum
+    // Verify checksum: generasi dari karakter versi, lalu generasi 1 (key tanpa versi).
+    // Gagal semua tapi versinya lebih baru dari KEY_SECRETS (dirotasi setelah build ini):
+    // diteruskan ke server tanpa cek checksum.
     const dataToCheck = seg1 + seg2 + seg3;
-    const expectedChecksum = generateChecksum(dataToCheck);
+    const keyVersion = CONFIG.VERSION_CHARS.indexOf(seg3[0]) + 1;
+    const newestKnownVersion = Math.max(...Object.keys(CONFIG.KEY_SECRETS).map(Number));
+    const checksumVerified = [keyVersion, 1].some(version => {
+        const secretKey = CONFIG.KEY_SECRETS[version];
+        return secretKey && generateChecksum(dataToCheck, secretKey) === seg4;
+    });
     
-    if (seg4 !== expectedChecksum) {
+    if (!checksumVerified && keyVersion <= newestKnownVersion) {
         result.error = 'License key tidak valid';
         return result;
     }
     
     result.valid = true;
     result.productCode = productCode;
+    result.checksumVerified = checksumVerified;
     
     return result;
 }